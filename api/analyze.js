@@ -87,12 +87,14 @@ RELATIONSHIP DIMENSIONS — Score every connection on ALL four dimensions:
 
 1. RELATIONSHIP STRENGTH (data provided in deepSignals.relationshipGraph):
    - Use the pre-computed strength scores, response speed, informality level
+   - warmth (-1 to 1) and tone.label (warm / playful / tense / neutral) say whether a pair gets along — never route an intro through a tense pair
    - Strong bidirectional relationships = high-trust intro potential
 
 2. VALUE EXCHANGE POTENTIAL (YOU must infer this):
    - Complementary skills: designer+developer > designer+designer
    - Need/offer match: one's hiring + one's job hunting = gold
    - Network access: "she knows everyone in VC" = valuable for a founder
+   - deepSignals.networkMetrics.nodes: high betweenness = bridges sub-groups (best intro brokers), high influence = the group answers them
    - Knowledge gap: expert in what the other needs to learn
    - Score: how much MUTUAL value would this connection create?
 
@@ -172,7 +174,7 @@ export default async function handler(req, res) {
           }${
             searchEnrichments?.length ? `\n\nSEARCH AGENT FINDINGS (verified data from web search):\n${JSON.stringify(searchEnrichments.filter(s => s.verified), null, 2)}\n\nThese profiles were found by searching the web using clues from the chat. MERGE this verified data with what you find in the messages. This is REAL data — use it for precise matching.` : ""
           }${
-            deepSignals ? `\n\nDEEP SIGNALS EXTRACTED FROM CHAT:\n${JSON.stringify(deepSignals, null, 2)}\n\nUse these signals for richer profiling:\n- Shared links reveal interests (Spotify=music taste, GitHub=tech, YouTube=content preferences)\n- Phone area codes reveal original/home cities\n- Timing patterns reveal timezone and lifestyle (night owl vs early bird)\n- Emoji usage reveals personality and communication style\n- Cross-reference these with message content for higher confidence profiles` : ""
+            deepSignals ? `\n\nDEEP SIGNALS EXTRACTED FROM CHAT:\n${JSON.stringify(deepSignals, null, 2)}\n\nUse these signals for richer profiling:\n- Shared links reveal interests (Spotify=music taste, GitHub=tech, YouTube=content preferences)\n- linkSummary.byMember shows what each person shares (job posts = hiring, events = organizer) and whose links the group reacts to\n- Phone area codes reveal original/home cities\n- Timing patterns reveal timezone and lifestyle (night owl vs early bird)\n- Emoji usage reveals personality and communication style\n- Cross-reference these with message content for higher confidence profiles` : ""
           }\n\nCHAT EXPORT:\n${truncated}`,
         },
       ],
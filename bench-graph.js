@@ -0,0 +1,72 @@
+// Benchmark the Graph Engine on a synthetic 50k-edge network
+import { ConnexGraph, NodeType, EdgeType } from './server/graph-engine.js';
+
+const PEOPLE = 5000;
+const GROUPS = 200;
+const EDGES = 50000;
+
+// Seeded so every run builds the same graph
+let seed = 42;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+const pick = (n) => Math.floor(random() * n);
+
+const time = (label, fn) => {
+  const start = performance.now();
+  const result = fn();
+  console.log(`   ${label.padEnd(38)} ${(performance.now() - start).toFixed(1).padStart(8)} ms`);
+  return result;
+};
+
+console.log(`\n⏱️  CONNEX GRAPH BENCHMARK — ${PEOPLE} people, ${GROUPS} groups, ~${EDGES} edges\n`);
+
+const graph = new ConnexGraph();
+
+time('build graph', () => {
+  graph.addNode('You', NodeType.PERSON);
+  for (let i = 0; i < PEOPLE; i++) graph.addNode(`Person ${i}`, NodeType.PERSON);
+  for (let i = 0; i < GROUPS; i++) graph.addNode(`Group ${i}`, NodeType.GROUP);
+
+  // You know a fifth of everyone
+  for (let i = 0; i < PEOPLE; i += 5) graph.addEdge('You', `Person ${i}`, EdgeType.KNOWS);
+
+  while (graph.edges.size < EDGES) {
+    const a = `Person ${pick(PEOPLE)}`;
+    const roll = random();
+    if (roll < 0.5) graph.addEdge(a, `Person ${pick(PEOPLE)}`, EdgeType.KNOWS);
+    else if (roll < 0.85) graph.addEdge(a, `Group ${pick(GROUPS)}`, EdgeType.MEMBER_OF);
+    else graph.addEdge(a, `Person ${pick(PEOPLE)}`, EdgeType.WANTS_TO_MEET, { reason: 'intro' });
+  }
+});
+
+const stats = graph.getStats();
+console.log(`\n   Nodes: ${stats.totalNodes}   Edges: ${stats.totalEdges}\n`);
+
+const bridges = time('findBridgeOpportunities(You)', () => graph.findBridgeOpportunities('You'));
+console.log(`   → ${bridges.length} bridge opportunities\n`);
+
+const pairs = Array.from({ length: 100 }, () => [`Person ${pick(PEOPLE)}`, `Person ${pick(PEOPLE)}`]);
+let found = 0;
+time('findPath × 100 random pairs', () => {
+  for (const [a, b] of pairs) if (graph.findPath(a, b)) found++;
+});
+console.log(`   → ${found} paths found\n`);
+
+let ranked = 0;
+time('findBestPaths × 20 (k = 3)', () => {
+  for (const [a, b] of pairs.slice(0, 20)) ranked += graph.findBestPaths(a, b, { k: 3 }).length;
+});
+console.log(`   → ${ranked} ranked intro paths\n`);
+
+time('findPath to a missing node', () => graph.findPath('You', 'Nobody'));
+time('getConnections × 5000', () => {
+  for (let i = 0; i < PEOPLE; i++) graph.getConnections(`Person ${i}`);
+});
+time('removeNode × 100', () => {
+  for (let i = 1; i < 500; i += 5) graph.removeNode(`Person ${i}`);
+});
+time('toJSON → fromJSON', () => ConnexGraph.fromJSON(JSON.parse(JSON.stringify(graph.toJSON()))));
+
+console.log(`\n   Edges after removals: ${graph.getStats().totalEdges}\n`);
@@ -90,6 +90,19 @@ if (pathJacksonMatt) {
   console.log(`   No path found (without Nathan, there's no connection).`);
 }
 
+// Rank every way Jackson could reach Matt, strongest intro first
+console.log(`\n${'═'.repeat(55)}`);
+console.log(`🤝 BEST INTROS: Jackson Gates → Matt Mahan`);
+console.log(`${'═'.repeat(55)}\n`);
+
+const intros = graph.findBestPaths('Jackson Gates', 'Matt Mahan', { k: 3 });
+intros.forEach((intro, i) => {
+  console.log(`   ${i + 1}. ${intro.names.join(' → ')}  (strength ${intro.strength})`);
+  intro.steps.forEach(step => console.log(`      • ${step.explanation}`));
+  console.log('');
+});
+if (intros.length === 0) console.log(`   No intro path found.`);
+
 console.log(`\n${'═'.repeat(55)}`);
 console.log(`✅ Graph analysis complete`);
 console.log(`${'═'.repeat(55)}\n`);
@@ -1,5 +1,6 @@
 // Run SPARK engine on LEAD Bay Area chat
 import fs from 'fs';
+import { parseWhatsAppText } from './src/connex-engine.js';
 import { extractIntents, extractTimingSignals } from './server/discovery-engine.js';
 import { generateSparks, formatSparks } from './server/spark-engine.js';
 
@@ -26,37 +27,6 @@ const yourProfile = {
   context: "Building AI tools, interested in crypto/AI intersection. Based in Bangkok but connected to Bay Area through Stanford LEAD network."
 };
 
-// Parse WhatsApp chat
-function parseWhatsAppChat(text) {
-  const lines = text.split('\n');
-  const messages = [];
-  const memberSet = new Set();
-  
-  const msgRegex = /^\[(\d+\/\d+\/\d+),\s+(\d+:\d+:\d+\s+[AP]M)\]\s+([^:]+):\s*(.*)$/;
-  
-  for (const line of lines) {
-    const match = line.match(msgRegex);
-    if (match) {
-      const [_, date, time, sender, text] = match;
-      if (!sender.includes('Messages and calls are end-to-end') && 
-          !text.includes('joined from the community') &&
-          !text.includes('created this group') &&
-          !text.includes('changed the group') &&
-          text.trim().length > 5) {
-        messages.push({ date: `${date} ${time}`, sender: sender.trim(), text: text.trim() });
-        memberSet.add(sender.trim());
-      }
-    }
-  }
-  
-  const members = Array.from(memberSet).map(name => ({
-    name,
-    messageCount: messages.filter(m => m.sender === name).length
-  }));
-  
-  return { messages, members };
-}
-
 async function main() {
   console.log(`\n${'🔥'.repeat(25)}`);
   console.log(`\n   SPARK ENGINE — LEAD BAY AREA\n`);
@@ -64,7 +34,7 @@ async function main() {
   
   // Load and parse chat
   const chatText = fs.readFileSync('/home/moltbot/clawd/stanford-lead-chat/_chat.txt', 'utf-8');
-  const { messages, members } = parseWhatsAppChat(chatText);
+  const { messages, members } = parseWhatsAppText(chatText);
   
   console.log(`📊 Loaded ${messages.length} messages from ${members.length} members\n`);
   
@@ -8,69 +8,15 @@
 // Actionable > informational
 // ═══════════════════════════════════════════════════════════
 
+import { extractIntents, assertionWeight } from '../src/connex-engine.js';
+
 // ─────────────────────────────────────────────────────────────
 // SIGNAL EXTRACTORS
 // ─────────────────────────────────────────────────────────────
 
-/**
- * Extract active intents from messages
- * "I'm looking for..." / "Anyone know..." / "Hiring..." / "Raising..."
- */
-export function extractIntents(messages) {
-  const intentPatterns = [
-    // Seeking something
-    { pattern: /(?:i'?m |we'?re |currently )?(?:looking for|searching for|trying to find|need(?:ing)?)\s+(.+?)(?:\.|!|\?|$)/gi, type: 'seeking', strength: 0.9 },
-    { pattern: /(?:anyone know|does anyone|who knows|can someone)\s+(.+?)(?:\?|$)/gi, type: 'asking', strength: 0.85 },
-    
-    // Hiring
-    { pattern: /(?:i'?m |we'?re )?hiring\s+(.+?)(?:\.|!|$)/gi, type: 'hiring', strength: 0.95 },
-    { pattern: /(?:open role|job opening|looking to hire)\s*(?:for\s+)?(.+?)(?:\.|!|$)/gi, type: 'hiring', strength: 0.9 },
-    
-    // Job seeking
-    { pattern: /(?:looking for (?:a |an )?(?:new )?(?:job|role|position|opportunity))/gi, type: 'job_seeking', strength: 0.95 },
-    { pattern: /(?:open to (?:new )?opportunities|exploring options)/gi, type: 'job_seeking', strength: 0.8 },
-    
-    // Fundraising
-    { pattern: /(?:raising|fundraising|looking for (?:investors?|funding|capital))/gi, type: 'fundraising', strength: 0.95 },
-    { pattern: /(?:series [a-d]|seed round|pre-seed)/gi, type: 'fundraising', strength: 0.9 },
-    
-    // Selling/offering
-    { pattern: /(?:i can help with|i'?m? offering|happy to help|let me know if you need)\s+(.+?)(?:\.|!|$)/gi, type: 'offering', strength: 0.7 },
-    
-    // Intro requests
-    { pattern: /(?:can (?:someone |anyone )?intro|would love an intro|looking for intro)/gi, type: 'seeking_intro', strength: 0.9 },
-    { pattern: /(?:happy to intro|i can connect|want me to intro)/gi, type: 'offering_intro', strength: 0.8 },
-  ];
-
-  const intents = [];
-  const now = new Date();
-
-  messages.forEach(msg => {
-    const msgDate = parseMessageDate(msg);
-    const daysSince = msgDate ? Math.floor((now - msgDate) / (1000 * 60 * 60 * 24)) : 999;
-    
-    // Recency multiplier: last 7 days = 3x, last 30 = 1.5x, older = 0.5x
-    const recencyMultiplier = daysSince <= 7 ? 3 : daysSince <= 30 ? 1.5 : 0.5;
-
-    intentPatterns.forEach(({ pattern, type, strength }) => {
-      const matches = msg.text.matchAll(new RegExp(pattern));
-      for (const match of matches) {
-        intents.push({
-          type,
-          sender: msg.sender,
-          detail: match[1]?.trim() || null,
-          fullText: msg.text.slice(0, 200),
-          date: msg.date,
-          daysSince,
-          strength: strength * recencyMultiplier,
-          raw_strength: strength,
-        });
-      }
-    });
-  });
-
-  return intents;
-}
+// Intents come from the shared extractor in connex-engine, so this engine,
+// spark-engine and the browser pipeline agree on what each chat is asking for
+export { extractIntents };
 
 /**
  * Extract timing signals - travel, events, deadlines
@@ -122,8 +68,13 @@ export function extractTimingSignals(messages) {
   return signals;
 }
 
+// A connector who's at odds with either side won't make the intro
+const MIN_CONNECTOR_WARMTH = -0.2;
+
 /**
  * Build warm paths - who can intro who
+ * Bridges rank on the weaker of the two relationships, scaled by how warmly
+ * the connector gets on with each side (relationshipGraph warmth, -1 to 1).
  */
 export function buildWarmPaths(relationshipGraph, targetPerson, yourName) {
   const paths = [];
@@ -138,40 +89,40 @@ export function buildWarmPaths(relationshipGraph, targetPerson, yourName) {
     paths.push({
       type: 'direct',
       strength: directRel.strength,
+      warmth: directRel.warmth || 0,
       description: `You've talked directly (strength: ${directRel.strength})`,
       bidirectional: directRel.bidirectional,
     });
   }
 
   // Find mutual connections (bridges)
-  const yourConnections = relationshipGraph
-    .filter(r => r.personA === yourName || r.personB === yourName)
+  const connectionsOf = (name, minStrength) => relationshipGraph
+    .filter(r => r.personA === name || r.personB === name)
     .map(r => ({
-      person: r.personA === yourName ? r.personB : r.personA,
+      person: r.personA === name ? r.personB : r.personA,
       strength: r.strength,
+      warmth: r.warmth || 0,
     }))
-    .filter(c => c.strength >= 40); // Only strong connections can intro
+    .filter(c => c.strength >= minStrength && c.warmth >= MIN_CONNECTOR_WARMTH);
 
-  const theirConnections = relationshipGraph
-    .filter(r => r.personA === targetPerson || r.personB === targetPerson)
-    .map(r => ({
-      person: r.personA === targetPerson ? r.personB : r.personA,
-      strength: r.strength,
-    }))
-    .filter(c => c.strength >= 30);
+  const yourConnections = connectionsOf(yourName, 40); // Only strong connections can intro
+  const theirConnections = connectionsOf(targetPerson, 30);
 
   // Find overlaps
   yourConnections.forEach(yours => {
     const theirMatch = theirConnections.find(t => t.person === yours.person);
     if (theirMatch) {
-      const bridgeStrength = Math.min(yours.strength, theirMatch.strength);
+      const warmth = Math.min(yours.warmth, theirMatch.warmth);
+      const bridgeStrength = Math.round(Math.min(yours.strength, theirMatch.strength) * (1 + 0.25 * warmth));
       paths.push({
         type: 'bridge',
         via: yours.person,
         yourStrength: yours.strength,
         theirStrength: theirMatch.strength,
+        yourWarmth: yours.warmth,
+        theirWarmth: theirMatch.warmth,
         bridgeStrength,
-        description: `${yours.person} knows you both (${yours.strength}/${theirMatch.strength})`,
+        description: `${yours.person} knows you both (${yours.strength}/${theirMatch.strength})${warmth >= 0.2 ? ' and gets on well with both' : ''}`,
       });
     }
   });
@@ -206,7 +157,7 @@ export function calculateFit(yourProfile, targetProfile, brain = null) {
   const theirNeeds = [
     ...(targetProfile.looking_for || []),
     ...((brain?.intents || [])
-      .filter(i => i.sender === targetProfile.display_name && ['seeking', 'hiring', 'job_seeking', 'fundraising'].includes(i.type))
+      .filter(i => i.sender === targetProfile.display_name && ['seeking', 'hiring', 'job_seeking', 'fundraising'].includes(i.type) && assertionWeight(i) >= 0.5)
       .map(i => i.detail || i.type))
   ].map(s => s?.toLowerCase()).filter(Boolean);
 
@@ -225,7 +176,7 @@ export function calculateFit(yourProfile, targetProfile, brain = null) {
   const theirOfferings = [
     ...(targetProfile.offering || []),
     ...((brain?.intents || [])
-      .filter(i => i.sender === targetProfile.display_name && ['offering', 'offering_intro'].includes(i.type))
+      .filter(i => i.sender === targetProfile.display_name && ['offering', 'offering_intro'].includes(i.type) && assertionWeight(i) >= 0.5)
       .map(i => i.detail || i.type))
   ].map(s => s?.toLowerCase()).filter(Boolean);
 
@@ -301,8 +252,10 @@ export function discoverConnections(yourProfile, candidates, brain = {}, options
     };
 
     // ─── 1. ACTIVE INTENTS (highest signal) ───
+    // Negated intents ("not hiring anymore") are dropped; hypothetical and
+    // quoted ones already carry a discounted strength
     const theirIntents = (brain.intents || [])
-      .filter(i => i.sender === candidate.display_name)
+      .filter(i => i.sender === candidate.display_name && i.assertion !== 'negated')
       .sort((a, b) => b.strength - a.strength);
 
     theirIntents.slice(0, 3).forEach(intent => {
@@ -1,3 +1,6 @@
+import { summarizeMembership, extractEvents } from '../src/connex-engine.js';
+import { decayWeight, halfLife } from '../src/decay.js';
+
 /**
  * GRAPH ENGINE — Find the Triangles
  * 
@@ -38,27 +41,135 @@ const EdgeType = {
   MEMBER_OF: 'member_of'
 };
 
+// Node ids are lowercased names with anything non-alphanumeric as "_"
+const toNodeId = (id) => id.toLowerCase().replace(/[^a-z0-9]/g, '_');
+const edgeKey = (from, to, type) => `${from}\u0000${to}\u0000${type}`;
+
+// ═══════════════════════════════════════════════════════════
+// INTRO PATH SCORING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * How much one hop of each edge type is worth in an intro chain (0–1).
+ * Types missing here (wants_to_meet, interested_in, lives_in, …) say
+ * nothing about whether two people could vouch for each other, so
+ * findBestPaths never walks them.
+ */
+const INTRO_EDGE_STRENGTH = {
+  knows: 1.0,
+  classmate: 0.9,
+  colleague: 0.9,
+  met_at: 0.8,
+  worked_at: 0.5,
+  attended: 0.5,
+  member_of: 0.3
+};
+
+// Node types a chain may pass through — "you both like AI" is not an intro
+const INTRO_VIA_TYPES = new Set(['person', 'group', 'school', 'company', 'event']);
+
+// Old ties fade toward this floor rather than to nothing
+const MIN_RECENCY = 0.3;
+
+/**
+ * Strength of one edge as an intro hop, 0–1: edge type × tie strength
+ * (repeat interactions) × recency of the latest interaction
+ */
+function introStrength(edge, now = Date.now()) {
+  const typeStrength = INTRO_EDGE_STRENGTH[edge.type];
+  if (!typeStrength) return 0;
+  const tie = 1 - Math.pow(0.5, edge.weight || 1);
+  const decay = decayWeight(lastSeen(edge), halfLife('relationship'), now);
+  const recency = decay == null ? 1 : MIN_RECENCY + (1 - MIN_RECENCY) * decay;
+  return typeStrength * tie * recency;
+}
+
+// Latest interaction the edge's contexts recorded; null when none carry a
+// time (hand-built or profile edges), which findBestPaths treats as current
+function lastSeen(edge) {
+  let latest = edge.context?.timestamp || null;
+  for (const context of edge.contexts || []) {
+    if (context?.timestamp && (!latest || context.timestamp > latest)) latest = context.timestamp;
+  }
+  return latest;
+}
+
+// Unordered pair key, so banning a hop bans it in both directions
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+// Binary min-heap of [cost, ...] entries
+function heapPush(heap, entry) {
+  heap.push(entry);
+  for (let i = heap.length - 1; i > 0;) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    for (let i = 0; ;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
 /**
  * The Graph
+ *
+ * Edges are indexed by source, target and type, so lookups, dedup and
+ * removal cost the node's degree rather than a scan of every edge.
+ *
+ * Nodes and edges carry createdAt/updatedAt and removals leave a tombstone,
+ * so diffSince() can tell what's new since any point in time.
  */
 class ConnexGraph {
   constructor() {
     this.nodes = new Map();  // id -> { type, data }
-    this.edges = [];         // { from, to, type, weight, context }
+    this.edges = new Map();  // from/to/type key -> { from, to, type, weight, context }
     this.index = {
       byType: new Map(),     // type -> Set of ids
       byName: new Map(),     // lowercase name -> id
+      nameOf: new Map(),     // id -> lowercase name it was indexed under
+      out: new Map(),        // id -> Set of edges from it
+      in: new Map(),         // id -> Set of edges to it
+      touching: new Map(),   // id -> Set of edges either way, in insertion order
+      byEdgeType: new Map(), // edge type -> Set of edges
     };
+    this.removed = new Map();  // node/edge key -> { id | from, to, type, removedAt }
+    this.lastChange = 0;       // ms of the latest createdAt/updatedAt/removedAt
+  }
+
+  // Change times strictly increase, so "changed after T" never misses or
+  // repeats a change made in the same millisecond as T
+  _stamp() {
+    this.lastChange = Math.max(Date.now(), this.lastChange + 1);
+    return new Date(this.lastChange).toISOString();
   }
 
   /**
    * Add a node to the graph
    */
   addNode(id, type, data = {}) {
-    const nodeId = id.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const nodeId = toNodeId(id);
     
     if (!this.nodes.has(nodeId)) {
-      this.nodes.set(nodeId, { id: nodeId, type, data: { name: id, ...data } });
+      const now = this._stamp();
+      this.nodes.set(nodeId, { id: nodeId, type, data: { name: id, ...data }, createdAt: now, updatedAt: now });
+      this.removed.delete(`node:${nodeId}`);
       
       // Index by type
       if (!this.index.byType.has(type)) {
@@ -68,98 +179,212 @@ class ConnexGraph {
       
       // Index by name
       this.index.byName.set(id.toLowerCase(), nodeId);
+      this.index.nameOf.set(nodeId, id.toLowerCase());
     } else {
       // Merge data
       const existing = this.nodes.get(nodeId);
-      existing.data = { ...existing.data, ...data };
+      const changed = Object.entries(data).some(([key, value]) => JSON.stringify(existing.data[key]) !== JSON.stringify(value));
+      if (changed) {
+        existing.data = { ...existing.data, ...data };
+        existing.updatedAt = this._stamp();
+      }
     }
     
     return nodeId;
   }
 
+  /**
+   * Remove a node and every edge touching it
+   */
+  removeNode(nodeId) {
+    const id = toNodeId(nodeId);
+    const node = this.nodes.get(id);
+    if (!node) return false;
+    
+    for (const edge of this.getConnections(id)) this._removeEdge(edge);
+    this.nodes.delete(id);
+    this.removed.set(`node:${id}`, { id, type: node.type, removedAt: this._stamp() });
+    this.index.byType.get(node.type)?.delete(id);
+    const name = this.index.nameOf.get(id);
+    if (this.index.byName.get(name) === id) this.index.byName.delete(name);
+    this.index.nameOf.delete(id);
+    return true;
+  }
+
   /**
    * Add an edge (relationship) between nodes
    */
   addEdge(fromId, toId, type, context = {}) {
-    const from = fromId.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    const to = toId.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const from = toNodeId(fromId);
+    const to = toNodeId(toId);
     
     // Check if edge already exists
-    const existing = this.edges.find(e => 
-      e.from === from && e.to === to && e.type === type
-    );
+    const existing = this.edges.get(edgeKey(from, to, type));
     
     if (existing) {
       // Strengthen existing edge
       existing.weight = (existing.weight || 1) + 1;
       existing.contexts = existing.contexts || [];
       existing.contexts.push(context);
+      existing.updatedAt = this._stamp();
     } else {
-      this.edges.push({
-        from,
-        to,
-        type,
-        weight: context.weight || 1,
-        context,
-        timestamp: context.timestamp || new Date().toISOString()
-      });
+      this._createEdge(from, to, type, context);
     }
   }
 
+  /**
+   * Add an edge, or replace its context when it differs — for facts (works
+   * at, lives in) that re-importing the same profile shouldn't strengthen
+   */
+  setEdge(fromId, toId, type, context = {}) {
+    const from = toNodeId(fromId);
+    const to = toNodeId(toId);
+    const existing = this.edges.get(edgeKey(from, to, type));
+    
+    if (!existing) {
+      this._createEdge(from, to, type, context);
+    } else if (JSON.stringify(existing.context) !== JSON.stringify(context)) {
+      existing.context = context;
+      existing.updatedAt = this._stamp();
+    }
+  }
+
+  _createEdge(from, to, type, context) {
+    const now = this._stamp();
+    this._indexEdge({
+      from,
+      to,
+      type,
+      weight: context.weight || 1,
+      context,
+      timestamp: context.timestamp || now,
+      createdAt: now,
+      updatedAt: now
+    });
+    this.removed.delete(`edge:${edgeKey(from, to, type)}`);
+  }
+
+  /**
+   * Remove the edge of `type` from one node to another, or every edge
+   * between them in that direction when no type is given. Returns how many went.
+   */
+  removeEdge(fromId, toId, type = null) {
+    const from = toNodeId(fromId);
+    const to = toNodeId(toId);
+    const doomed = type
+      ? [this.edges.get(edgeKey(from, to, type))].filter(Boolean)
+      : this.getEdgesFrom(from).filter(e => e.to === to);
+    doomed.forEach(edge => this._removeEdge(edge));
+    return doomed.length;
+  }
+
+  _removeEdge(edge) {
+    this._unindexEdge(edge);
+    this.removed.set(`edge:${edgeKey(edge.from, edge.to, edge.type)}`, {
+      from: edge.from, to: edge.to, type: edge.type, removedAt: this._stamp()
+    });
+  }
+
+  _indexEdge(edge) {
+    this.edges.set(edgeKey(edge.from, edge.to, edge.type), edge);
+    const add = (map, key) => {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(edge);
+    };
+    add(this.index.out, edge.from);
+    add(this.index.in, edge.to);
+    add(this.index.touching, edge.from);
+    add(this.index.touching, edge.to);
+    add(this.index.byEdgeType, edge.type);
+  }
+
+  _unindexEdge(edge) {
+    this.edges.delete(edgeKey(edge.from, edge.to, edge.type));
+    this.index.out.get(edge.from)?.delete(edge);
+    this.index.in.get(edge.to)?.delete(edge);
+    this.index.touching.get(edge.from)?.delete(edge);
+    this.index.touching.get(edge.to)?.delete(edge);
+    this.index.byEdgeType.get(edge.type)?.delete(edge);
+  }
+
+  /**
+   * Get one node by id or name, or null
+   */
+  getNode(id) {
+    return this.nodes.get(toNodeId(id)) || null;
+  }
+
+  /**
+   * Get one edge, or null
+   */
+  getEdge(fromId, toId, type) {
+    return this.edges.get(edgeKey(toNodeId(fromId), toNodeId(toId), type)) || null;
+  }
+
   /**
    * Get all edges from a node
    */
   getEdgesFrom(nodeId) {
-    const id = nodeId.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    return this.edges.filter(e => e.from === id);
+    return [...(this.index.out.get(toNodeId(nodeId)) || [])];
   }
 
   /**
    * Get all edges to a node
    */
   getEdgesTo(nodeId) {
-    const id = nodeId.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    return this.edges.filter(e => e.to === id);
+    return [...(this.index.in.get(toNodeId(nodeId)) || [])];
+  }
+
+  /**
+   * Get all edges of one type
+   */
+  getEdgesByType(type) {
+    return [...(this.index.byEdgeType.get(type) || [])];
   }
 
   /**
    * Get all connections of a node (both directions)
    */
   getConnections(nodeId) {
-    const id = nodeId.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    return this.edges.filter(e => e.from === id || e.to === id);
+    return [...(this.index.touching.get(toNodeId(nodeId)) || [])];
   }
 
   /**
    * Find path between two nodes (BFS)
    */
   findPath(fromId, toId, maxDepth = 4) {
-    const from = fromId.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    const to = toId.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const from = toNodeId(fromId);
+    const to = toNodeId(toId);
     
     if (from === to) return [from];
     
-    const queue = [[from]];
-    const visited = new Set([from]);
+    // Parent pointers instead of copying the path into every queue entry
+    const parent = new Map([[from, null]]);
+    const depth = new Map([[from, 1]]);
+    const queue = [from];
+    const pathTo = (node) => {
+      const path = [];
+      for (let n = node; n !== null; n = parent.get(n)) path.push(n);
+      return path.reverse();
+    };
     
-    while (queue.length > 0) {
-      const path = queue.shift();
-      const current = path[path.length - 1];
-      
-      if (path.length > maxDepth) continue;
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
       
-      const connections = this.getConnections(current);
+      if (depth.get(current) > maxDepth) continue;
       
-      for (const edge of connections) {
+      for (const edge of this.getConnections(current)) {
         const next = edge.from === current ? edge.to : edge.from;
         
         if (next === to) {
-          return [...path, next];
+          parent.set(next, current);
+          return pathTo(next);
         }
         
-        if (!visited.has(next)) {
-          visited.add(next);
-          queue.push([...path, next]);
+        if (!parent.has(next)) {
+          parent.set(next, current);
+          depth.set(next, depth.get(current) + 1);
+          queue.push(next);
         }
       }
     }
@@ -167,6 +392,143 @@ class ConnexGraph {
     return null; // No path found
   }
 
+  /**
+   * Strongest walkable edge to each neighbor: Map neighborId -> { edge, strength }
+   */
+  _introLinks(nodeId, cache) {
+    if (cache.has(nodeId)) return cache.get(nodeId);
+    const links = new Map();
+    for (const edge of this.getConnections(nodeId)) {
+      const other = edge.from === nodeId ? edge.to : edge.from;
+      const strength = introStrength(edge);
+      if (other === nodeId || strength <= 0) continue;
+      if (strength > (links.get(other)?.strength || 0)) links.set(other, { edge, strength });
+    }
+    cache.set(nodeId, links);
+    return links;
+  }
+
+  /**
+   * Dijkstra over (node, hops) so the hop limit doesn't hide a strong path
+   * that only fits by taking a weaker first hop. Cost is -log(strength), so
+   * the cheapest path is the one whose hop strengths multiply highest.
+   */
+  _strongestPath(from, to, { maxHops, bannedNodes, bannedPairs, cache }) {
+    const best = new Map([[`${from}|0`, 0]]);
+    const parent = new Map();
+    const fewestHops = new Map(); // node -> hops of its cheapest settled state
+    const heap = [[0, from, 0]];
+    
+    while (heap.length > 0) {
+      const [cost, node, hops] = heapPop(heap);
+      const key = `${node}|${hops}`;
+      if (cost > best.get(key)) continue;
+      // Already reached cheaper in as few hops: nothing this state can add
+      if (fewestHops.get(node) <= hops) continue;
+      fewestHops.set(node, hops);
+      
+      if (node === to) {
+        const nodes = [node];
+        const edges = [];
+        for (let k = key; parent.has(k);) {
+          const step = parent.get(k);
+          nodes.unshift(step.node);
+          edges.unshift(step.edge);
+          k = step.key;
+        }
+        return { nodes, edges, cost };
+      }
+      if (hops >= maxHops) continue;
+      
+      for (const [next, { edge, strength }] of this._introLinks(node, cache)) {
+        if (bannedNodes.has(next) || bannedPairs.has(pairKey(node, next))) continue;
+        if (next !== to && !INTRO_VIA_TYPES.has(this.nodes.get(next)?.type)) continue;
+        const nextCost = cost - Math.log(strength);
+        const nextKey = `${next}|${hops + 1}`;
+        if (nextCost < (best.get(nextKey) ?? Infinity)) {
+          best.set(nextKey, nextCost);
+          parent.set(nextKey, { key, node, edge });
+          heapPush(heap, [nextCost, next, hops + 1]);
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * "How can I reach X?" — the k strongest intro chains from one node to
+   * another (Yen's algorithm over _strongestPath), ranked by the product of
+   * hop strengths: edge type (knows beats member_of), repeat interactions
+   * and how recently each tie was active. Each path explains its hops.
+   */
+  findBestPaths(fromId, toId, { k = 3, maxHops = 4 } = {}) {
+    const from = toNodeId(fromId);
+    const to = toNodeId(toId);
+    if (!this.nodes.has(from) || !this.nodes.has(to) || from === to) return [];
+    
+    const cache = new Map();
+    const search = (start, hopsLeft, bannedNodes = new Set(), bannedPairs = new Set()) =>
+      this._strongestPath(start, to, { maxHops: hopsLeft, bannedNodes, bannedPairs, cache });
+    
+    const first = search(from, maxHops);
+    if (!first) return [];
+    const found = [first];
+    const candidates = [];
+    const seen = new Set([first.nodes.join('>')]);
+    
+    while (found.length < k) {
+      const previous = found[found.length - 1];
+      
+      // Branch off every node of the last path, banning the hops the
+      // paths found so far took from the same root
+      for (let i = 0; i < previous.nodes.length - 1; i++) {
+        const root = previous.nodes.slice(0, i + 1);
+        const rootId = root.join('>');
+        const bannedPairs = new Set(found
+          .filter(p => p.nodes.slice(0, i + 1).join('>') === rootId)
+          .map(p => pairKey(p.nodes[i], p.nodes[i + 1])));
+        const bannedNodes = new Set(root.slice(0, -1));
+        
+        const spur = search(previous.nodes[i], maxHops - i, bannedNodes, bannedPairs);
+        if (!spur) continue;
+        
+        const nodes = [...root.slice(0, -1), ...spur.nodes];
+        const id = nodes.join('>');
+        if (seen.has(id)) continue;
+        seen.add(id);
+        const edges = [...previous.edges.slice(0, i), ...spur.edges];
+        const rootCost = previous.edges.slice(0, i).reduce((sum, e) => sum - Math.log(introStrength(e)), 0);
+        candidates.push({ nodes, edges, cost: rootCost + spur.cost });
+      }
+      
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.cost - b.cost);
+      found.push(candidates.shift());
+    }
+    
+    return found.map(p => this._describePath(p));
+  }
+
+  _describePath({ nodes, edges, cost }) {
+    const name = (id) => this.nodes.get(id)?.data?.name || id;
+    return {
+      path: nodes,
+      names: nodes.map(name),
+      hops: edges.length,
+      strength: Math.round(Math.exp(-cost) * 1000) / 1000,
+      steps: edges.map((edge, i) => ({
+        from: name(nodes[i]),
+        to: name(nodes[i + 1]),
+        type: edge.type,
+        weight: edge.weight || 1,
+        strength: Math.round(introStrength(edge) * 1000) / 1000,
+        lastSeen: lastSeen(edge),
+        explanation: explainHop(edge, name)
+      }))
+    };
+  }
+
   /**
    * THE MAGIC: Find triangles where YOU are the missing link
    * 
@@ -174,23 +536,23 @@ class ConnexGraph {
    *          → YOU should intro A to B
    */
   findBridgeOpportunities(youId) {
-    const you = youId.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const you = toNodeId(youId);
     const opportunities = [];
     
-    // Get everyone you know
+    // Get everyone you know, with the first edge that links you
     const yourConnections = this.getConnections(you);
-    const peopleYouKnow = new Set();
+    const peopleYouKnow = new Map();
     
     yourConnections.forEach(edge => {
       const other = edge.from === you ? edge.to : edge.from;
       const node = this.nodes.get(other);
-      if (node?.type === NodeType.PERSON) {
-        peopleYouKnow.add(other);
+      if (node?.type === NodeType.PERSON && !peopleYouKnow.has(other)) {
+        peopleYouKnow.set(other, edge);
       }
     });
     
     // For each person you know, check if they want to meet someone else you know
-    for (const personA of peopleYouKnow) {
+    for (const personA of peopleYouKnow.keys()) {
       const theirEdges = this.getEdgesFrom(personA);
       
       for (const edge of theirEdges) {
@@ -207,12 +569,8 @@ class ConnexGraph {
             const nodeB = this.nodes.get(personB);
             
             // Calculate opportunity strength
-            const yourRelToA = yourConnections.find(e => 
-              (e.from === you && e.to === personA) || (e.to === you && e.from === personA)
-            );
-            const yourRelToB = yourConnections.find(e => 
-              (e.from === you && e.to === personB) || (e.to === you && e.from === personB)
-            );
+            const yourRelToA = peopleYouKnow.get(personA);
+            const yourRelToB = peopleYouKnow.get(personB);
             
             opportunities.push({
               type: 'bridge',
@@ -242,8 +600,8 @@ class ConnexGraph {
    * (Same school, company, group, interest, etc.)
    */
   findSharedContext(youId, theirId) {
-    const you = youId.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    const them = theirId.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const you = toNodeId(youId);
+    const them = toNodeId(theirId);
     
     const shared = [];
     
@@ -284,7 +642,7 @@ class ConnexGraph {
    * A wants help with X, B can help with X → opportunity
    */
   findHelpMatches(youId) {
-    const you = youId.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const you = toNodeId(youId);
     const matches = [];
     
     const yourConnections = this.getConnections(you);
@@ -353,25 +711,59 @@ class ConnexGraph {
     }
     
     const edgesByType = {};
-    for (const edge of this.edges) {
-      edgesByType[edge.type] = (edgesByType[edge.type] || 0) + 1;
+    for (const [type, edges] of this.index.byEdgeType) {
+      if (edges.size > 0) edgesByType[type] = edges.size;
     }
     
     return {
       totalNodes: this.nodes.size,
-      totalEdges: this.edges.length,
+      totalEdges: this.edges.size,
       nodesByType,
       edgesByType
     };
   }
 
+  /**
+   * What changed after `since` (ISO string, Date or ms): nodes and edges
+   * added, changed (new data, strengthened) or removed. Pass the returned
+   * `until` back as `since` to get only what happened after this call.
+   */
+  diffSince(since = 0) {
+    const sinceMs = new Date(since).getTime();
+    if (Number.isNaN(sinceMs)) throw new Error(`Invalid since: ${since}`);
+    // Every stamp is a toISOString(), so comparing strings compares times
+    const after = new Date(sinceMs).toISOString();
+    const diff = {
+      since: after,
+      until: new Date(Math.max(this.lastChange, sinceMs)).toISOString(),
+      nodes: { added: [], changed: [], removed: [] },
+      edges: { added: [], changed: [], removed: [] }
+    };
+    
+    const collect = (items, bucket) => {
+      for (const item of items) {
+        if (item.createdAt > after) bucket.added.push(item);
+        else if (item.updatedAt > after) bucket.changed.push(item);
+      }
+    };
+    collect(this.nodes.values(), diff.nodes);
+    collect(this.edges.values(), diff.edges);
+    
+    for (const [key, entry] of this.removed) {
+      if (entry.removedAt > after) (key.startsWith('node:') ? diff.nodes : diff.edges).removed.push(entry);
+    }
+    
+    return diff;
+  }
+
   /**
    * Serialize graph to JSON
    */
   toJSON() {
     return {
       nodes: Array.from(this.nodes.values()),
-      edges: this.edges
+      edges: Array.from(this.edges.values()),
+      removed: Array.from(this.removed.values())
     };
   }
 
@@ -382,17 +774,52 @@ class ConnexGraph {
     const graph = new ConnexGraph();
     
     for (const node of json.nodes || []) {
-      graph.addNode(node.data?.name || node.id, node.type, node.data);
+      const id = graph.addNode(node.data?.name || node.id, node.type, node.data);
+      // Keep the saved change times (snapshots from before they existed have none)
+      Object.assign(graph.nodes.get(id), { createdAt: node.createdAt || null, updatedAt: node.updatedAt || null });
     }
     
     for (const edge of json.edges || []) {
-      graph.edges.push(edge);
+      if (!graph.edges.has(edgeKey(edge.from, edge.to, edge.type))) graph._indexEdge(edge);
     }
     
+    for (const entry of json.removed || []) {
+      const key = entry.id ? `node:${entry.id}` : `edge:${edgeKey(entry.from, entry.to, entry.type)}`;
+      graph.removed.set(key, entry);
+    }
+    
+    const stamps = [...(json.nodes || []), ...(json.edges || [])].map(item => item.updatedAt)
+      .concat((json.removed || []).map(entry => entry.removedAt));
+    graph.lastChange = stamps.reduce((max, stamp) => stamp ? Math.max(max, Date.parse(stamp)) : max, 0);
+    
     return graph;
   }
 }
 
+/**
+ * One hop of an intro chain in words: "Nathan met Jackson Gates at Stanford
+ * MBA Holiday Party · 3 interactions · last 2026-03-20"
+ */
+function explainHop(edge, name) {
+  const a = name(edge.from);
+  const b = name(edge.to);
+  const ctx = edge.context || {};
+  const phrases = {
+    knows: `${a} knows ${b}`,
+    classmate: `${a} and ${b} were classmates${ctx.school ? ` at ${ctx.school}` : ''}`,
+    colleague: `${a} and ${b} worked together${ctx.company ? ` at ${ctx.company}` : ''}`,
+    met_at: `${a} met ${b}${ctx.event ? ` at ${ctx.event}` : ''}`,
+    worked_at: `${a} works at ${b}`,
+    attended: `${a} attended ${b}`,
+    member_of: `${a} is in ${b}`
+  };
+  const parts = [phrases[edge.type] || `${a} ${edge.type.replace(/_/g, ' ')} ${b}`];
+  if ((edge.weight || 1) > 1) parts.push(`${edge.weight} interactions`);
+  const seen = lastSeen(edge);
+  if (seen) parts.push(`last ${seen.slice(0, 10)}`);
+  return parts.join(' · ');
+}
+
 /**
  * Build Nathan's personal graph (hardcoded for now, would be built from data)
  */
@@ -580,6 +1007,169 @@ export function extractRelationshipsFromChat(messages, graph) {
   return graph;
 }
 
+/**
+ * Add group membership events (parsedChat.membershipEvents) to the graph.
+ * "A added B" is a KNOWS edge — nobody adds a stranger to a group — and
+ * every member gets a MEMBER_OF edge to the group with their role and tenure.
+ */
+export function addMembershipEvents(events, graph, groupName = 'Group Chat') {
+  graph.addNode(groupName, NodeType.GROUP, { name: groupName });
+  const membership = summarizeMembership(events);
+  const admins = new Set(membership.admins.map(a => a.name));
+
+  for (const e of events) {
+    if (e.type === 'added' && e.actor !== e.target) {
+      graph.addNode(e.actor, NodeType.PERSON, { name: e.actor });
+      graph.addNode(e.target, NodeType.PERSON, { name: e.target });
+      graph.addEdge(e.actor, e.target, EdgeType.KNOWS, {
+        source: 'membership',
+        via: 'added_to_group',
+        group: groupName,
+        date: e.date,
+        timestamp: e.timestamp,
+        weight: 3
+      });
+    }
+  }
+
+  const people = new Set(events.flatMap(e => [e.actor, e.target]).filter(Boolean));
+  for (const name of people) {
+    graph.addNode(name, NodeType.PERSON, { name });
+    const departure = membership.departures.filter(d => d.name === name).pop();
+    graph.addEdge(name, groupName, EdgeType.MEMBER_OF, {
+      role: admins.has(name) ? 'admin' : 'member',
+      invitedBy: membership.invitedBy[name] || null,
+      joinedViaLink: membership.joinedViaLink.includes(name),
+      active: !membership.churned.includes(name),
+      leftAt: membership.churned.includes(name) ? departure?.timestamp || null : null
+    });
+  }
+
+  return graph;
+}
+
+// Pairwise MET_AT edges stop meaning much past a certain crowd size
+const MET_AT_MAX_ATTENDEES = 20;
+
+/**
+ * Add meetups detected in the chat (extractEvents) to the graph. Each event
+ * becomes an EVENT node with ATTENDED edges from everyone who said yes, and
+ * people who went to the same meetup get a MET_AT edge between them.
+ */
+export function addChatEvents(events, graph, groupName = 'Group Chat') {
+  for (const e of events) {
+    if (e.attendees.length === 0) continue;
+    const eventId = `${e.title} (${e.date})`;
+    graph.addNode(eventId, NodeType.EVENT, {
+      name: eventId,
+      group: groupName,
+      where: e.where,
+      city: e.city,
+      start: e.when?.start || null,
+      organizer: e.organizer,
+      category: e.category
+    });
+
+    for (const name of e.attendees) {
+      graph.addNode(name, NodeType.PERSON, { name });
+      graph.addEdge(name, eventId, EdgeType.ATTENDED, { source: 'chat_event', date: e.date, timestamp: e.timestamp });
+    }
+
+    if (e.attendees.length > MET_AT_MAX_ATTENDEES) continue;
+    for (let i = 0; i < e.attendees.length; i++) {
+      for (let j = i + 1; j < e.attendees.length; j++) {
+        graph.addEdge(e.attendees[i], e.attendees[j], EdgeType.MET_AT, {
+          event: eventId,
+          date: e.date,
+          location: e.where || e.city || null,
+          timestamp: e.timestamp
+        });
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Add a parsed chat to the graph: relationships stated in messages, group
+ * membership and meetups. The group node remembers the newest message it
+ * has taken in (lastMessageAt), so importing a re-export only adds what came
+ * after it instead of strengthening every edge a second time.
+ */
+export function addChatToGraph(parsedChat, graph) {
+  const groupName = parsedChat.groupName || parsedChat.stats?.groupName || 'Group Chat';
+  const groupId = graph.addNode(groupName, NodeType.GROUP, { name: groupName });
+  const seenUntil = graph.nodes.get(groupId).data.lastMessageAt || null;
+  const isNew = (item) => !seenUntil || (item.timestamp && item.timestamp > seenUntil);
+
+  const messages = parsedChat.messages.filter(isNew);
+  extractRelationshipsFromChat(messages, graph);
+  for (const sender of new Set(messages.map(m => m.sender))) {
+    if (!graph.getEdge(sender, groupName, EdgeType.MEMBER_OF)) {
+      graph.addEdge(sender, groupName, EdgeType.MEMBER_OF, { source: 'chat' });
+    }
+  }
+  addMembershipEvents((parsedChat.membershipEvents || []).filter(isNew), graph, groupName);
+  addChatEvents(extractEvents(parsedChat).filter(isNew), graph, groupName);
+
+  const latest = messages.reduce((max, m) => (m.timestamp && m.timestamp > max ? m.timestamp : max), '');
+  if (latest) graph.addNode(groupName, NodeType.GROUP, { lastMessageAt: latest });
+
+  return graph;
+}
+
+// Free-text profile fields ("technical cofounder", { name: "AI" }) as short labels
+const profileTerms = (values) => [].concat(values || [])
+  .map(v => (typeof v === 'string' ? v : v?.name || v?.school || v?.title || '').trim())
+  .filter(term => term.length > 1 && term.length <= 60);
+
+const withoutEmpty = (data) => Object.fromEntries(Object.entries(data).filter(([, v]) => v != null && v !== ''));
+
+/**
+ * Add profiles to the graph — Brain analysis output ({ role, company,
+ * location: { city }, interests, looking_for, offering }) or a built
+ * profile ({ work, education, location, skills }). Profile facts use
+ * setEdge, so analyzing the same person again updates edges rather than
+ * strengthening them.
+ */
+export function addProfilesToGraph(profiles, graph, { group = null } = {}) {
+  for (const profile of profiles) {
+    if (!profile?.name) continue;
+    const role = profile.role || profile.work?.title || null;
+    const company = profile.company || profile.work?.company || null;
+    const city = typeof profile.location === 'string' ? profile.location : profile.location?.city || null;
+    const person = profile.name;
+
+    graph.addNode(person, NodeType.PERSON, withoutEmpty({
+      name: person,
+      role,
+      company,
+      city,
+      industry: profile.industry,
+      phone: profile.phone,
+      category: profile.category
+    }));
+
+    const link = (target, nodeType, edgeType, context = {}) => {
+      graph.addNode(target, nodeType, { name: target });
+      graph.setEdge(person, target, edgeType, { source: 'profile', ...context });
+    };
+
+    if (company) link(company, NodeType.COMPANY, EdgeType.WORKED_AT, withoutEmpty({ role }));
+    if (city) link(city, NodeType.LOCATION, EdgeType.LIVES_IN);
+    // Membership from the chat itself carries role and tenure; don't overwrite it
+    if (group && !graph.getEdge(person, group, EdgeType.MEMBER_OF)) link(group, NodeType.GROUP, EdgeType.MEMBER_OF);
+    profileTerms(profile.education).forEach(school => link(school, NodeType.SCHOOL, EdgeType.ATTENDED));
+    profileTerms(profile.interests).forEach(term => link(term, NodeType.INTEREST, EdgeType.INTERESTED_IN));
+    profileTerms([].concat(profile.offering || [], profile.expertise || profile.skills || []))
+      .forEach(term => link(term, NodeType.INTEREST, EdgeType.CAN_HELP_WITH));
+    profileTerms(profile.looking_for).forEach(term => link(term, NodeType.INTEREST, EdgeType.WANTS_HELP_WITH));
+  }
+
+  return graph;
+}
+
 /**
  * Format bridge opportunities for display
  */
@@ -0,0 +1,155 @@
+/**
+ * Graph Store
+ * Keeps the ConnexGraph across server restarts
+ *
+ * Both stores have the same shape:
+ *   load()       → Promise<ConnexGraph | null>  (null when nothing is saved yet)
+ *   save(graph)  → Promise<{ nodes, edges, removed }>  (rows written)
+ *
+ * The file store rewrites one JSON snapshot. The Supabase store
+ * (migrations/004_graph_store.sql) only writes what graph.diffSince()
+ * reports since its last save.
+ */
+
+import fs from 'fs';
+import { ConnexGraph } from './graph-engine.js';
+
+// ═══════════════════════════════════════════════════════════
+// FILE STORE
+// ═══════════════════════════════════════════════════════════
+
+export function createFileGraphStore(filePath) {
+  return {
+    kind: 'file',
+
+    async load() {
+      if (!fs.existsSync(filePath)) return null;
+      return ConnexGraph.fromJSON(JSON.parse(await fs.promises.readFile(filePath, 'utf-8')));
+    },
+
+    async save(graph) {
+      const json = { ...graph.toJSON(), _meta: { lastUpdated: new Date().toISOString() } };
+      // Write then rename, so a crash mid-write never leaves half a graph
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(json));
+      await fs.promises.rename(tmpPath, filePath);
+      return { nodes: json.nodes.length, edges: json.edges.length, removed: json.removed.length };
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// SUPABASE STORE
+// ═══════════════════════════════════════════════════════════
+
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 500;
+
+async function selectAll(client, table) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await client.from(table).select('*').range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`Load ${table}: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function upsertAll(client, table, rows, onConflict) {
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const { error } = await client
+      .from(table)
+      .upsert(rows.slice(i, i + BATCH_SIZE), { onConflict });
+    if (error) throw new Error(`Save ${table}: ${error.message}`);
+  }
+}
+
+const nodeRow = (node) => ({
+  id: node.id,
+  type: node.type,
+  data: node.data,
+  created_at: node.createdAt,
+  updated_at: node.updatedAt,
+  removed_at: null,
+});
+
+const edgeRow = (edge) => ({
+  from_id: edge.from,
+  to_id: edge.to,
+  type: edge.type,
+  weight: edge.weight,
+  context: edge.context || {},
+  contexts: edge.contexts || null,
+  happened_at: edge.timestamp || null,
+  created_at: edge.createdAt,
+  updated_at: edge.updatedAt,
+  removed_at: null,
+});
+
+/**
+ * Removed nodes and edges stay as rows with removed_at set, so diffs
+ * still report them after a restart.
+ */
+export function createSupabaseGraphStore(client) {
+  // Everything up to this change time is already in the tables
+  let savedUntil = 0;
+
+  return {
+    kind: 'supabase',
+
+    async load() {
+      const [nodeRows, edgeRows] = await Promise.all([
+        selectAll(client, 'graph_nodes'),
+        selectAll(client, 'graph_edges'),
+      ]);
+      if (nodeRows.length === 0 && edgeRows.length === 0) return null;
+
+      const live = (row) => !row.removed_at;
+      const graph = ConnexGraph.fromJSON({
+        nodes: nodeRows.filter(live).map((row) => ({
+          id: row.id,
+          type: row.type,
+          data: row.data,
+          createdAt: row.created_at,
+          updatedAt: row.updated_at,
+        })),
+        edges: edgeRows.filter(live).map((row) => ({
+          from: row.from_id,
+          to: row.to_id,
+          type: row.type,
+          weight: row.weight,
+          context: row.context,
+          ...(row.contexts ? { contexts: row.contexts } : {}),
+          timestamp: row.happened_at,
+          createdAt: row.created_at,
+          updatedAt: row.updated_at,
+        })),
+        removed: [
+          ...nodeRows.filter((row) => !live(row)).map((row) => ({ id: row.id, type: row.type, removedAt: row.removed_at })),
+          ...edgeRows.filter((row) => !live(row)).map((row) => ({ from: row.from_id, to: row.to_id, type: row.type, removedAt: row.removed_at })),
+        ],
+      });
+      savedUntil = graph.lastChange;
+      return graph;
+    },
+
+    async save(graph) {
+      const diff = graph.diffSince(savedUntil);
+      const nodes = [...diff.nodes.added, ...diff.nodes.changed];
+      const edges = [...diff.edges.added, ...diff.edges.changed];
+
+      await upsertAll(client, 'graph_nodes', nodes.map(nodeRow), 'id');
+      await upsertAll(client, 'graph_edges', edges.map(edgeRow), 'from_id,to_id,type');
+      // Only removed_at is sent, so the rest of the row is kept as it was
+      await upsertAll(client, 'graph_nodes',
+        diff.nodes.removed.map((r) => ({ id: r.id, type: r.type, removed_at: r.removedAt })), 'id');
+      await upsertAll(client, 'graph_edges',
+        diff.edges.removed.map((r) => ({ from_id: r.from, to_id: r.to, type: r.type, removed_at: r.removedAt })), 'from_id,to_id,type');
+
+      savedUntil = diff.until;
+      return { nodes: nodes.length, edges: edges.length, removed: diff.nodes.removed.length + diff.edges.removed.length };
+    },
+  };
+}
+
+export default { createFileGraphStore, createSupabaseGraphStore };
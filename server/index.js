@@ -4,7 +4,7 @@ import cors from 'cors';
 import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
-import { supabase, upsertProfile, saveChat, getAllProfiles, getNetworkStats } from './supabase.js';
+import { supabase, upsertProfile, saveChat, linkChatMembers, getChatProfiles, getChatMessages, getAllProfiles, getNetworkStats, saveChatSpheres, getChatSpheres } from './supabase.js';
 import * as userProfile from './user-profile.js';
 import * as enrichment from './enrichment.js';
 import { runResearchLoop } from './research-loop.js';
@@ -17,6 +17,12 @@ import * as matchEngine from './match-engine.js';
 import * as deepResearch from './deep-research.js';
 import * as webResearch from './web-research.js';
 import * as identityResolver from './identity-resolver.js';
+import { parseWhatsAppText, parseRichMessage, detectThreads, INTENT_SCHEMA_VERSION, buildKnowledgeBase, searchKnowledgeBase, trackIntents, mergeChatHistory, enrichProfiles, buildRelationshipGraph, computeNetworkMetrics, replyEdges, detectCommunities } from '../src/connex-engine.js';
+import { toTranscript, buildParsedChat } from '../src/chat-importers.js';
+import { getTaxonomy, setTaxonomy, normalizeTaxonomy } from '../src/taxonomy.js';
+import { getHalfLives, setHalfLives, halfLifeOverrides } from '../src/decay.js';
+import { ConnexGraph, addChatToGraph, addProfilesToGraph } from './graph-engine.js';
+import { createFileGraphStore, createSupabaseGraphStore } from './graph-store.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -110,13 +116,54 @@ RULES:
 
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { chatContent, memberCount } = req.body;
+    const { memberCount, groupName, source } = req.body;
+    // ConnexApp posts chatText; older clients send chatContent
+    const chatContent = req.body.chatContent || req.body.chatText;
     
     if (!chatContent) {
       return res.status(400).json({ error: 'chatContent is required' });
     }
 
+    // Merge into the stored history of this chat so a re-export only
+    // analyzes messages we haven't seen yet
+    let history = null;
+    let transcript = chatContent;
+    // Profiles from earlier imports, for members the new messages don't cover
+    let storedProfiles = [];
+    try {
+      const parsedChat = parseWhatsAppText(chatContent);
+      if (source) parsedChat.stats.source = source;
+      parsedChat.groupName = groupName || null;
+      updateGraph(graph => addChatToGraph(parsedChat, graph));
+      const saved = await saveChat(parsedChat);
+      if (saved) {
+        history = {
+          chatId: saved.chat.id,
+          newMessages: saved.newMessages.length,
+          duplicateMessages: saved.duplicateCount,
+          totalMessages: saved.chat.message_count,
+          imports: saved.chat.import_count,
+        };
+        if (saved.newMessages.length === 0) {
+          const profiles = await getChatProfiles(saved.chat.id);
+          return res.json({ profiles, group_insights: null, trust_activations: [], history, upToDate: true });
+        }
+        mergeIntoStoredChat(saved.chat.id, parsedChat, saved.chat.message_count);
+        // Sub-circles shift as the history grows; re-detect in the background
+        refreshChatSpheres(saved.chat.id).catch((err) => console.error('Sphere detection error:', err.message));
+        if (saved.duplicateCount > 0) {
+          transcript = toTranscript({ messages: saved.newMessages });
+          storedProfiles = await getChatProfiles(saved.chat.id);
+        }
+      }
+    } catch (historyErr) {
+      console.error('Chat history error:', historyErr.message);
+    }
+
     const client = getClient();
+    const scope = history?.duplicateMessages
+      ? `the ${history.newMessages} messages added since the last import (${history.duplicateMessages} earlier messages were already analyzed)`
+      : 'this WhatsApp chat export';
     
     const response = await client.messages.create({
       model: 'claude-sonnet-4-20250514',
@@ -124,7 +171,7 @@ app.post('/api/analyze', async (req, res) => {
       system: ANALYZE_SYSTEM_PROMPT,
       messages: [{
         role: 'user',
-        content: `Analyze this WhatsApp chat export (${memberCount || 'unknown'} members) and return structured JSON profiles for all members:\n\n${chatContent.slice(0, 100000)}`
+        content: `Analyze ${scope} (${memberCount || 'unknown'} members) and return structured JSON profiles for all members:\n\n${transcript.slice(0, 100000)}`
       }]
     });
 
@@ -139,23 +186,30 @@ app.post('/api/analyze', async (req, res) => {
         // 🗄️ PERSIST TO SUPABASE
         if (parsed.profiles && Array.isArray(parsed.profiles)) {
           console.log(`💾 Saving ${parsed.profiles.length} profiles to Supabase...`);
+          const profileIds = new Map();
           for (const profile of parsed.profiles) {
             try {
-              await upsertProfile(profile);
+              const saved = await upsertProfile(profile);
+              if (saved) profileIds.set(profile.name, saved.id);
             } catch (dbErr) {
               console.error('Profile save error:', dbErr.message);
             }
           }
+          if (history) await linkChatMembers(history.chatId, profileIds);
           console.log('✅ Profiles saved');
+          updateGraph(graph => addProfilesToGraph(parsed.profiles, graph, { group: groupName || null }));
         }
-        
-        return res.json(parsed);
+
+        // A partial re-import only re-analyzed recent speakers; everyone else keeps their stored profile
+        const analyzed = new Set((parsed.profiles || []).map((p) => p.name));
+        const profiles = [...storedProfiles.filter((p) => !analyzed.has(p.name)), ...(parsed.profiles || [])];
+        return res.json({ ...parsed, profiles, history });
       } catch (e) {
-        return res.json({ raw: text, parseError: e.message });
+        return res.json({ raw: text, parseError: e.message, history });
       }
     }
     
-    res.json({ raw: text });
+    res.json({ raw: text, history });
   } catch (err) {
     console.error('Analyze error:', err);
     res.status(500).json({ error: err.message });
@@ -369,6 +423,140 @@ app.get('/api/connectors', async (req, res) => {
   }
 });
 
+// ============ KNOWLEDGE BASE & OPEN ASKS ============
+// Questions a group already answered and asks still waiting, built from its stored history
+
+// Rebuilt only when an import adds messages to the chat
+const storedChatCache = new Map();
+
+async function getStoredChat(chatId) {
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .select('id, name, platform, message_count')
+    .eq('id', chatId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!chat) return null;
+
+  const cached = storedChatCache.get(chatId);
+  if (cached && cached.messageCount === chat.message_count) return cached;
+
+  const messages = (await getChatMessages(chatId)).map((m) => ({ ...m, ...(parseRichMessage(m.text) || {}) }));
+  const parsedChat = buildParsedChat(messages, chat.platform);
+  const stored = { chat, parsedChat, messageCount: chat.message_count, threads: null, knowledgeBase: null };
+  storedChatCache.set(chatId, stored);
+  return stored;
+}
+
+// A cached chat takes new imports in place rather than reloading its whole history
+function mergeIntoStoredChat(chatId, parsedChat, messageCount) {
+  const cached = storedChatCache.get(chatId);
+  if (!cached) return;
+  const merged = mergeChatHistory(cached.parsedChat, parsedChat).parsedChat;
+  storedChatCache.set(chatId, { ...cached, chat: { ...cached.chat, message_count: messageCount }, parsedChat: merged, messageCount, threads: null, knowledgeBase: null });
+}
+
+// Threads are segmented on first use, not on every import, and kept with the chat
+function storedThreads(stored) {
+  if (!stored.threads) stored.threads = detectThreads(stored.parsedChat.messages);
+  return stored.threads;
+}
+
+async function getKnowledgeBase(chatId) {
+  const stored = await getStoredChat(chatId);
+  if (!stored) return null;
+  if (!stored.knowledgeBase) {
+    stored.knowledgeBase = { ...buildKnowledgeBase(stored.parsedChat, { threads: storedThreads(stored) }), chat: stored.chat };
+  }
+  return stored.knowledgeBase;
+}
+
+// GET /api/chats/:chatId/knowledge?q=dentist - Ask the group's history
+app.get('/api/chats/:chatId/knowledge', async (req, res) => {
+  try {
+    const knowledgeBase = await getKnowledgeBase(req.params.chatId);
+    if (!knowledgeBase) return res.status(404).json({ error: 'Chat not found' });
+
+    const { q, limit = 10 } = req.query;
+    const entries = q
+      ? searchKnowledgeBase(knowledgeBase, q, { limit: parseInt(limit, 10) })
+      : knowledgeBase.entries.slice(-parseInt(limit, 10)).reverse();
+    res.json({ chat: knowledgeBase.chat, query: q || null, entries, total: knowledgeBase.entries.length });
+  } catch (err) {
+    console.error('Knowledge base error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/chats/:chatId/intents?status=open - Asks in a group and where they stand
+// status: open | answered | fulfilled | stale (comma-separated); defaults to open,answered
+app.get('/api/chats/:chatId/intents', async (req, res) => {
+  try {
+    const stored = await getStoredChat(req.params.chatId);
+    if (!stored) return res.status(404).json({ error: 'Chat not found' });
+
+    const { status = 'open,answered', staleDays } = req.query;
+    const wanted = status === 'all' ? null : new Set(status.split(',').map((s) => s.trim()));
+    // Status depends on today's date, so this isn't cached with the chat
+    const intents = trackIntents(stored.parsedChat, {
+      threads: storedThreads(stored),
+      ...(staleDays ? { staleDays: parseInt(staleDays, 10) } : {}),
+    });
+    const counts = {};
+    intents.forEach((i) => { counts[i.status] = (counts[i.status] || 0) + 1; });
+    res.json({
+      chat: stored.chat,
+      intents: intents.filter((i) => !wanted || wanted.has(i.status)).reverse(),
+      counts,
+    });
+  } catch (err) {
+    console.error('Intent lifecycle error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============ SPHERES ============
+// Sub-circles of a group (the climbers, the SF founders, the parents),
+// clustered over its stored history and kept in spheres / sphere_members
+
+async function refreshChatSpheres(chatId) {
+  const stored = await getStoredChat(chatId);
+  if (!stored) return null;
+  const { parsedChat } = stored;
+  const communities = detectCommunities(
+    enrichProfiles(parsedChat),
+    buildRelationshipGraph(parsedChat, { useTemporalDecay: true }),
+    {
+      networkMetrics: computeNetworkMetrics(parsedChat.members.map((m) => m.name), replyEdges(parsedChat)),
+      me: loadUserContext()?.name || null,
+    },
+  );
+  await saveChatSpheres(chatId, communities);
+  return communities;
+}
+
+// GET /api/chats/:chatId/spheres - Stored sub-circles of a group
+app.get('/api/chats/:chatId/spheres', async (req, res) => {
+  try {
+    res.json({ spheres: await getChatSpheres(req.params.chatId) });
+  } catch (err) {
+    console.error('Spheres error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/chats/:chatId/spheres - Re-detect them now
+app.post('/api/chats/:chatId/spheres', async (req, res) => {
+  try {
+    const communities = await refreshChatSpheres(req.params.chatId);
+    if (!communities) return res.status(404).json({ error: 'Chat not found' });
+    res.json(communities);
+  } catch (err) {
+    console.error('Sphere detection error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============ USER PROFILE ENDPOINTS ============
 
 // Create or update user
@@ -642,6 +830,7 @@ app.post('/api/discover/intents', async (req, res) => {
     });
     
     res.json({ 
+      schema_version: INTENT_SCHEMA_VERSION,
       total: intents.length,
       intents,
       by_sender: bySender,
@@ -893,6 +1082,7 @@ app.post('/api/contacts/import', async (req, res) => {
     }
     
     const results = await contactMemory.importContacts(contacts, userId);
+    updateGraph(graph => addProfilesToGraph(contacts, graph));
     res.json(results);
   } catch (err) {
     console.error('Import error:', err);
@@ -945,6 +1135,7 @@ app.post('/api/profile/build', async (req, res) => {
       email,
     });
     
+    if (result.merged_profile?.name) updateGraph(graph => addProfilesToGraph([result.merged_profile], graph));
     res.json(result);
   } catch (err) {
     console.error('Profile build error:', err);
@@ -1007,6 +1198,7 @@ app.post('/api/profile/batch', async (req, res) => {
       concurrency: Math.min(concurrency, 5), // Cap at 5
     });
     
+    updateGraph(graph => addProfilesToGraph(result.results.map(r => r.result?.merged_profile).filter(Boolean), graph));
     res.json(result);
   } catch (err) {
     console.error('Batch import error:', err);
@@ -1784,6 +1976,215 @@ app.post('/api/brain/intro', (req, res) => {
   }
 });
 
+// ============ NETWORK GRAPH ============
+// The ConnexGraph lives across restarts: connex-graph.json next to the user
+// context, or the graph_nodes / graph_edges tables with GRAPH_STORE=supabase
+// (migrations/004_graph_store.sql). Chat imports, profile builds and contact
+// imports add to it; /api/graph/diff tells the brain what changed.
+
+// Bursts of updates (a batch import) are written once
+const GRAPH_SAVE_DELAY_MS = 2000;
+
+const graphStore = process.env.GRAPH_STORE === 'supabase'
+  ? createSupabaseGraphStore(supabase)
+  : createFileGraphStore(path.join(CONNEX_ROOT, 'connex-graph.json'));
+
+let networkGraph = new ConnexGraph();
+// If the saved graph can't be read, keep serving from memory but never
+// overwrite it with this partial one
+let graphLoadFailed = false;
+
+const graphReady = graphStore.load()
+  .then(graph => {
+    if (graph) networkGraph = graph;
+    console.log(`   ✓ Graph loaded from ${graphStore.kind} store (${networkGraph.nodes.size} nodes, ${networkGraph.edges.size} edges)`);
+  })
+  .catch(err => {
+    graphLoadFailed = true;
+    console.error('   ✗ Could not load graph, changes will not be saved:', err.message);
+  });
+
+let graphSaving = Promise.resolve();
+let graphSaveTimer = null;
+
+function scheduleGraphSave() {
+  if (graphLoadFailed) return;
+  clearTimeout(graphSaveTimer);
+  graphSaveTimer = setTimeout(() => {
+    graphSaving = graphSaving
+      .then(() => graphStore.save(networkGraph))
+      .catch(err => console.error('Graph save error:', err.message));
+  }, GRAPH_SAVE_DELAY_MS);
+}
+
+// Apply an update once the stored graph is loaded, then save it. Graph
+// errors are logged, never fail the request that triggered them.
+async function updateGraph(update) {
+  try {
+    await graphReady;
+    update(networkGraph);
+    scheduleGraphSave();
+  } catch (err) {
+    console.error('Graph update error:', err.message);
+  }
+}
+
+// GET /api/graph/stats - Node and edge counts
+app.get('/api/graph/stats', async (req, res) => {
+  await graphReady;
+  res.json({ ...networkGraph.getStats(), store: graphStore.kind, lastChange: networkGraph.lastChange ? new Date(networkGraph.lastChange).toISOString() : null });
+});
+
+// GET /api/graph/diff?since=ISO - Nodes and edges added, changed or removed since then
+app.get('/api/graph/diff', async (req, res) => {
+  if (!req.query.since) {
+    return res.status(400).json({ error: 'since is required (ISO timestamp)' });
+  }
+  await graphReady;
+  try {
+    res.json(networkGraph.diffSince(req.query.since));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/graph/paths?to=Name&from=Name&k=3&maxHops=4 - "How can I reach X?"
+// Strongest intro chains, each hop explained; from defaults to the user
+app.get('/api/graph/paths', async (req, res) => {
+  const from = req.query.from || loadUserContext()?.name;
+  const { to } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'to is required (and from, when no user context is set)' });
+  }
+  await graphReady;
+  for (const name of [from, to]) {
+    if (!networkGraph.getNode(name)) {
+      return res.status(404).json({ error: `${name} is not in the graph` });
+    }
+  }
+  const k = Math.min(parseInt(req.query.k) || 3, 10);
+  const maxHops = Math.min(parseInt(req.query.maxHops) || 4, 6);
+  res.json({ from, to, paths: networkGraph.findBestPaths(from, to, { k, maxHops }) });
+});
+
+// ============ TAXONOMY ENDPOINTS ============
+// Interest categories, keywords, synonyms and activity templates. Edits are
+// saved next to the user context and shared by the engine, match engine and
+// proactive brain running in this process.
+
+function taxonomyPath() {
+  return path.join(CONNEX_ROOT, 'taxonomy.json');
+}
+
+// Load the saved taxonomy at startup (the built-in default otherwise)
+function loadTaxonomy() {
+  if (!fs.existsSync(taxonomyPath())) return false;
+  try {
+    setTaxonomy(JSON.parse(fs.readFileSync(taxonomyPath(), 'utf-8')));
+    return true;
+  } catch (err) {
+    console.warn('Could not load taxonomy, using default:', err.message);
+    return false;
+  }
+}
+
+let customTaxonomy = loadTaxonomy();
+
+// GET /api/taxonomy - Current taxonomy
+app.get('/api/taxonomy', (req, res) => {
+  res.json({ taxonomy: getTaxonomy(), custom: customTaxonomy });
+});
+
+// PUT /api/taxonomy - Replace the taxonomy
+app.put('/api/taxonomy', (req, res) => {
+  let taxonomy;
+  try {
+    taxonomy = normalizeTaxonomy(req.body.taxonomy || req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    fs.writeFileSync(taxonomyPath(), JSON.stringify({ ...taxonomy, _meta: { lastUpdated: new Date().toISOString() } }, null, 2));
+    setTaxonomy(taxonomy);
+    customTaxonomy = true;
+    res.json({ taxonomy, custom: true });
+  } catch (err) {
+    console.error('Save taxonomy error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/taxonomy - Back to the built-in default
+app.delete('/api/taxonomy', (req, res) => {
+  try {
+    if (fs.existsSync(taxonomyPath())) fs.unlinkSync(taxonomyPath());
+    customTaxonomy = false;
+    res.json({ taxonomy: setTaxonomy(null), custom: false });
+  } catch (err) {
+    console.error('Reset taxonomy error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============ HALF-LIFE ENDPOINTS ============
+// How many days each kind of signal keeps half its weight (src/decay.js).
+// Saved like the taxonomy and read by every scorer running in this process.
+
+function halfLivesPath() {
+  return path.join(CONNEX_ROOT, 'half-lives.json');
+}
+
+// Load saved overrides at startup and merge them onto the current defaults
+function loadHalfLives() {
+  if (!fs.existsSync(halfLivesPath())) return null;
+  try {
+    const overrides = halfLifeOverrides(JSON.parse(fs.readFileSync(halfLivesPath(), 'utf-8')));
+    setHalfLives(overrides);
+    return overrides;
+  } catch (err) {
+    console.warn('Could not load half-lives, using defaults:', err.message);
+    return null;
+  }
+}
+
+let savedHalfLifeOverrides = loadHalfLives();
+
+// GET /api/half-lives - Current half-lives in days, and which were overridden
+app.get('/api/half-lives', (req, res) => {
+  res.json({ halfLives: getHalfLives(), overrides: savedHalfLifeOverrides || {}, custom: !!savedHalfLifeOverrides });
+});
+
+// PUT /api/half-lives - Override some half-lives; the rest go back to default.
+// Only the overrides are saved, so later changes to the defaults still apply.
+app.put('/api/half-lives', (req, res) => {
+  let overrides;
+  try {
+    overrides = halfLifeOverrides(req.body.halfLives || req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    fs.writeFileSync(halfLivesPath(), JSON.stringify(overrides, null, 2));
+    savedHalfLifeOverrides = overrides;
+    res.json({ halfLives: setHalfLives(overrides), overrides, custom: true });
+  } catch (err) {
+    console.error('Save half-lives error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/half-lives - Back to the defaults
+app.delete('/api/half-lives', (req, res) => {
+  try {
+    if (fs.existsSync(halfLivesPath())) fs.unlinkSync(halfLivesPath());
+    savedHalfLifeOverrides = null;
+    res.json({ halfLives: setHalfLives(null), overrides: {}, custom: false });
+  } catch (err) {
+    console.error('Reset half-lives error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`🧠 Connex Brain server running on port ${PORT}`);
   console.log(`   Health: http://localhost:${PORT}/api/health`);
@@ -1794,5 +2195,12 @@ app.listen(PORT, () => {
   console.log(`   Profile Builder: http://localhost:${PORT}/api/profile/build`);
   console.log(`   Match Engine: http://localhost:${PORT}/api/match/find`);
   console.log(`   Unified Brain: http://localhost:${PORT}/api/brain/scan`);
+  console.log(`   Taxonomy: http://localhost:${PORT}/api/taxonomy`);
+  console.log(`   Half-lives: http://localhost:${PORT}/api/half-lives`);
+  console.log(`   Graph diff: http://localhost:${PORT}/api/graph/diff?since=`);
+  console.log(`   Intro paths: http://localhost:${PORT}/api/graph/paths?to=`);
+  console.log(`   Knowledge: http://localhost:${PORT}/api/chats/:chatId/knowledge?q=`);
+  console.log(`   Open asks: http://localhost:${PORT}/api/chats/:chatId/intents`);
+  console.log(`   Spheres: http://localhost:${PORT}/api/chats/:chatId/spheres`);
   console.log(`   Stats: http://localhost:${PORT}/api/stats`);
 });
@@ -3,12 +3,15 @@
 // Find connections between profiles
 // ═══════════════════════════════════════════════════════════
 
+import { canonicalTerm, categorizeInterest, getTaxonomy } from '../src/taxonomy.js';
+
 // ─── SCORING WEIGHTS ───
 const WEIGHTS = {
   sameCity: 30,
   sameRegion: 15,
   sameCountry: 5,
   sharedInterest: 10,      // per interest
+  sharedCategory: 5,       // per taxonomy category with no exact overlap
   sharedSkill: 8,          // per skill
   complementaryNeed: 25,   // looking_for matches offering
   sameIndustry: 15,
@@ -60,28 +63,41 @@ function normalizeLocation(profile) {
 }
 
 // ─── INTEREST MATCHING ───
+// Keyword interests count in full; expertise terms (buildExpertiseModel) count
+// by how central they are to the person, so two people who both mention
+// sushi once don't outscore two who both keep talking term sheets.
 function scoreInterests(profileA, profileB) {
   let score = 0;
   let reasons = [];
   
-  const interestsA = extractInterests(profileA);
-  const interestsB = extractInterests(profileB);
+  const weightsA = interestWeights(profileA);
+  const weightsB = interestWeights(profileB);
   
-  if (interestsA.length === 0 || interestsB.length === 0) {
+  if (weightsA.size === 0 || weightsB.size === 0) {
     return { score: 0, reasons: [] };
   }
   
-  // Find overlaps (case-insensitive)
-  const normalizedA = interestsA.map(i => i.toLowerCase());
-  const normalizedB = interestsB.map(i => i.toLowerCase());
-  
-  const shared = normalizedA.filter(i => normalizedB.includes(i));
+  // Find overlaps (case-insensitive, taxonomy synonyms folded into their keyword)
+  const overlap = (t) => Math.min(weightsA.get(t), weightsB.get(t));
+  const shared = [...weightsA.keys()].filter(t => weightsB.has(t)).sort((a, b) => overlap(b) - overlap(a));
   
   if (shared.length > 0) {
-    score += shared.length * WEIGHTS.sharedInterest;
+    score += Math.round(shared.reduce((sum, t) => sum + overlap(t), 0) * WEIGHTS.sharedInterest);
     reasons.push(`Shared interests: ${shared.slice(0, 3).join(", ")}${shared.length > 3 ? ` +${shared.length - 3} more` : ""}`);
   }
   
+  // Same taxonomy category without the same keyword (UFC fan + golfer → sports)
+  const categoriesOf = (terms) => new Set(terms.map(t => categorizeInterest(t)).filter(Boolean));
+  const covered = categoriesOf(shared);
+  const categoriesB = categoriesOf([...weightsB.keys()]);
+  const sharedCategories = [...categoriesOf([...weightsA.keys()])].filter(c => categoriesB.has(c) && !covered.has(c));
+  
+  if (sharedCategories.length > 0) {
+    score += sharedCategories.length * WEIGHTS.sharedCategory;
+    const labels = sharedCategories.map(c => getTaxonomy().categories[c].label.toLowerCase());
+    reasons.push(`Same interest area: ${labels.join(", ")}`);
+  }
+  
   return { score, reasons };
 }
 
@@ -97,25 +113,49 @@ function extractInterests(profile) {
   return [];
 }
 
+// term → weight: expertise terms by their 0–1 score, everything else 1
+function interestWeights(profile) {
+  const weights = expertiseWeights(profile);
+  extractInterests(profile).forEach(i => weights.set(canonicalTerm(i), 1));
+  return weights;
+}
+
+// Expertise vector from enrichProfiles ({ term, score, answers }), or the
+// plain strings stored on server profiles (weight 1, never demonstrated);
+// demonstratedOnly keeps terms the person used answering someone else's question
+function expertiseWeights(profile, { demonstratedOnly = false } = {}) {
+  const weights = new Map();
+  (profile.expertise || []).forEach(e => {
+    const entry = typeof e === 'string' ? { term: e } : e || {};
+    if (typeof entry.term !== 'string' || !entry.term.trim()) return;
+    if (demonstratedOnly && !entry.answers) return;
+    const term = canonicalTerm(entry.term);
+    const weight = Number.isFinite(entry.score) ? entry.score : 1;
+    weights.set(term, Math.max(weights.get(term) || 0, weight));
+  });
+  return weights;
+}
+
 // ─── SKILL MATCHING ───
+// Listed skills plus expertise the chat shows them putting to use
 function scoreSkills(profileA, profileB) {
   let score = 0;
   let reasons = [];
   
-  const skillsA = profileA.skills || [];
-  const skillsB = profileB.skills || [];
+  const skillsA = expertiseWeights(profileA, { demonstratedOnly: true });
+  const skillsB = expertiseWeights(profileB, { demonstratedOnly: true });
+  (profileA.skills || []).forEach(s => skillsA.set(s.toLowerCase(), 1));
+  (profileB.skills || []).forEach(s => skillsB.set(s.toLowerCase(), 1));
   
-  if (skillsA.length === 0 || skillsB.length === 0) {
+  if (skillsA.size === 0 || skillsB.size === 0) {
     return { score: 0, reasons: [] };
   }
   
-  const normalizedA = skillsA.map(s => s.toLowerCase());
-  const normalizedB = skillsB.map(s => s.toLowerCase());
-  
-  const shared = normalizedA.filter(s => normalizedB.includes(s));
+  const overlap = (s) => Math.min(skillsA.get(s), skillsB.get(s));
+  const shared = [...skillsA.keys()].filter(s => skillsB.has(s)).sort((a, b) => overlap(b) - overlap(a));
   
   if (shared.length > 0) {
-    score += shared.length * WEIGHTS.sharedSkill;
+    score += Math.round(shared.reduce((sum, s) => sum + overlap(s), 0) * WEIGHTS.sharedSkill);
     reasons.push(`Shared skills: ${shared.slice(0, 3).join(", ")}`);
   }
   
@@ -245,6 +285,7 @@ export function scoreMatch(profileA, profileB) {
   const scorers = [
     scoreLocation,
     scoreInterests,
+    scoreSkills,
     scoreComplementary,
     scoreWork,
     scoreMutualConnections,
@@ -253,6 +294,8 @@ export function scoreMatch(profileA, profileB) {
   for (const scorer of scorers) {
     try {
       const { score, reasons } = scorer(profileA, profileB);
+      // One bad field shouldn't turn the whole match into NaN
+      if (!Number.isFinite(score)) throw new Error(`${scorer.name} returned ${score}`);
       totalScore += score;
       allReasons.push(...reasons);
     } catch (e) {
@@ -0,0 +1,32 @@
+-- Chat History
+-- Successive exports of the same group merge into one canonical history
+
+-- Stable identity for a chat across exports (platform + group name).
+-- raw_hash only hashed member/message counts, so every re-export was a new chat.
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS chat_key TEXT UNIQUE;
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS import_count INT DEFAULT 0;
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS last_imported_at TIMESTAMPTZ;
+
+-- One row per distinct message, keyed by the engine's fingerprintMessage()
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+  fingerprint TEXT NOT NULL,
+  sender TEXT,
+  sent_at TIMESTAMPTZ,              -- exporter wall-clock, encoded as UTC
+  text TEXT,
+  is_media BOOLEAN DEFAULT FALSE,
+  imported_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(chat_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_chat_sent ON chat_messages(chat_id, sent_at);
+
+-- Members are tracked by their display name in the chat; profile_id is
+-- filled in once a profile exists for them
+ALTER TABLE chat_members ADD COLUMN IF NOT EXISTS member_name TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_members_chat_name ON chat_members(chat_id, member_name);
+
+COMMENT ON TABLE chat_messages IS 'Deduplicated message history per chat, merged across re-imports';
+COMMENT ON COLUMN chats.chat_key IS 'platform:group name — stable across successive exports';
+COMMENT ON COLUMN chat_members.message_count IS 'Accumulated across every import of the chat';
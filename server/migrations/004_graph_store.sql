@@ -0,0 +1,35 @@
+-- Graph Store
+-- The server's ConnexGraph, persisted between restarts (GRAPH_STORE=supabase)
+
+-- One row per node, keyed by the graph's node id (lowercased name)
+CREATE TABLE IF NOT EXISTS graph_nodes (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  data JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ,
+  removed_at TIMESTAMPTZ            -- set instead of deleting, so diffs see it
+);
+
+-- One row per edge; a repeat of the same edge strengthens it (weight, contexts)
+CREATE TABLE IF NOT EXISTS graph_edges (
+  from_id TEXT NOT NULL,
+  to_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  weight REAL DEFAULT 1,
+  context JSONB DEFAULT '{}',
+  contexts JSONB,
+  happened_at TIMESTAMPTZ,          -- when the relationship was observed
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ,
+  removed_at TIMESTAMPTZ,
+  PRIMARY KEY (from_id, to_id, type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_graph_nodes_updated ON graph_nodes(updated_at);
+CREATE INDEX IF NOT EXISTS idx_graph_edges_updated ON graph_edges(updated_at);
+CREATE INDEX IF NOT EXISTS idx_graph_edges_to ON graph_edges(to_id);
+
+COMMENT ON TABLE graph_nodes IS 'ConnexGraph nodes — people, groups, schools, companies, interests, events';
+COMMENT ON TABLE graph_edges IS 'ConnexGraph edges, written incrementally from graph.diffSince()';
+COMMENT ON COLUMN graph_edges.removed_at IS 'Tombstone: the edge was removed from the graph at this time';
@@ -0,0 +1,14 @@
+-- Chat Spheres
+-- Sub-circles detected inside a group chat (detectCommunities) stored as spheres
+
+-- Which chat a detected sphere came from; re-detection replaces that chat's rows
+ALTER TABLE spheres ADD COLUMN IF NOT EXISTS chat_id UUID REFERENCES chats(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_spheres_chat ON spheres(chat_id);
+
+-- Members are tracked by their display name in the chat, like chat_members;
+-- profile_id is filled in when the member already has a profile
+ALTER TABLE sphere_members ADD COLUMN IF NOT EXISTS member_name TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sphere_members_sphere_name ON sphere_members(sphere_id, member_name);
+
+COMMENT ON COLUMN spheres.chat_id IS 'Set for community spheres detected in a chat; NULL for spheres built from the user profile';
+COMMENT ON COLUMN spheres.matching_criteria IS 'For community spheres: { topics, locations, cohesion, modularity } from detectCommunities()';
@@ -0,0 +1,8 @@
+-- Chat Overlap
+-- An unnamed re-export starts later than the last one (WhatsApp caps how much
+-- an export holds), so its oldest message no longer matches the stored
+-- chat_key. saveChat looks its earliest messages up by fingerprint instead.
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_fingerprint ON chat_messages(fingerprint);
+
+COMMENT ON COLUMN chats.chat_key IS 'platform:group name, or platform:first fingerprint for unnamed exports — re-exports of an unnamed chat are matched by message overlap';
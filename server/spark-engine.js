@@ -13,6 +13,14 @@
 import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
+import { assertionWeight, buildRelationshipGraph, trackIntents } from '../src/connex-engine.js';
+import { halfLife, decayByAge } from '../src/decay.js';
+
+// Intents weighted below this ("I'm NOT hiring", forwarded job posts) never become sparks
+const MIN_ASSERTION_WEIGHT = 0.25;
+// An intent is time-urgent while this much of its weight is left: about half
+// a day for "who's free tonight", three weeks for a hiring post
+const URGENT_FRESHNESS = 0.7;
 
 function getAnthropicToken() {
   const authPath = path.join(process.env.HOME, '.clawdbot/agents/main/agent/auth-profiles.json');
@@ -34,30 +42,25 @@ function getAnthropicToken() {
 }
 
 /**
- * Calculate days since a date string
+ * Days since an intent was posted, from the ISO timestamp the parsers emit
+ * for every date format; the engine's own daysSince when there is none
  */
-function daysSince(dateStr) {
-  if (!dateStr) return null;
-  
-  // Parse WhatsApp format: "M/D/YY H:MM:SS AM/PM" or similar
-  const match = dateStr.match(/(\d+)\/(\d+)\/(\d+)/);
-  if (!match) return null;
-  
-  const [_, month, day, year] = match;
-  const fullYear = parseInt(year) < 50 ? 2000 + parseInt(year) : 1900 + parseInt(year);
-  const msgDate = new Date(fullYear, parseInt(month) - 1, parseInt(day));
-  const now = new Date();
-  
-  return Math.floor((now - msgDate) / (1000 * 60 * 60 * 24));
+function daysSince(intent, now = Date.now()) {
+  const posted = Date.parse(intent.timestamp || '');
+  if (Number.isNaN(posted)) return intent.daysSince ?? null;
+  return Math.max(0, Math.floor((new Date(now).getTime() - posted) / (1000 * 60 * 60 * 24)));
 }
 
 /**
- * Determine urgency level based on intent type and recency
+ * Determine urgency level based on intent type and recency.
+ * Recency is measured against the intent type's half-life (decay.js).
+ * Only affirmed intents count as urgent — "if I were hiring…" can wait.
  */
 function getUrgency(intent, daysAgo) {
   const urgentTypes = ['hiring', 'fundraising', 'seeking_intro'];
-  const timeUrgent = daysAgo !== null && daysAgo < 14;
-  const typeUrgent = urgentTypes.includes(intent.type);
+  const freshness = decayByAge(daysAgo, halfLife('intent', intent.type));
+  const timeUrgent = freshness !== null && freshness >= URGENT_FRESHNESS;
+  const typeUrgent = urgentTypes.includes(intent.type) && (intent.assertion || 'affirmed') === 'affirmed';
   
   if (typeUrgent && timeUrgent) return 'hot';
   if (typeUrgent || timeUrgent) return 'warm';
@@ -66,8 +69,9 @@ function getUrgency(intent, daysAgo) {
 
 /**
  * Find mutual connections or shared context
+ * Connectors who talk warmly with both you and them outrank a shared group.
  */
-function findWarmPaths(person, yourProfile, allMembers, messages) {
+function findWarmPaths(person, yourProfile, allMembers, messages, relationshipGraph = []) {
   const paths = [];
   
   // Same group = shared context
@@ -91,8 +95,27 @@ function findWarmPaths(person, yourProfile, allMembers, messages) {
     });
   }
   
-  // Check if they reply to same people you might know
-  return paths;
+  // Someone on good terms with both of you
+  const ties = (name) => new Map(relationshipGraph
+    .filter(r => (r.personA === name || r.personB === name) && r.strength >= 20)
+    .map(r => [r.personA === name ? r.personB : r.personA, r]));
+  const yours = ties(yourProfile.name);
+  const theirs = ties(person);
+  const connectors = [...yours.keys()]
+    .filter(name => theirs.has(name))
+    .map(name => ({ name, warmth: Math.min(yours.get(name).warmth || 0, theirs.get(name).warmth || 0) }))
+    .filter(c => c.warmth > 0)
+    .sort((a, b) => b.warmth - a.warmth);
+  if (connectors.length > 0) {
+    paths.push({
+      type: 'connector',
+      via: connectors[0].name,
+      detail: `${connectors.map(c => c.name).slice(0, 3).join(', ')} get${connectors.length === 1 ? 's' : ''} on well with you both`,
+      strength: Math.min(0.6 + 0.3 * connectors[0].warmth, 0.9)
+    });
+  }
+  
+  return paths.sort((a, b) => b.strength - a.strength);
 }
 
 /**
@@ -153,6 +176,16 @@ function generateOpener(person, intent, warmPath, yourProfile) {
   return templates[Math.floor(Math.random() * templates.length)];
 }
 
+/**
+ * Status of the tracked ask an intent belongs to. Re-asks fold into the
+ * first ask (trackIntents), so it's the sender's latest ask of that type
+ * made at or before this message.
+ */
+function askStatus(intent, tracked) {
+  const asks = tracked.filter(t => t.sender === intent.sender && t.type === intent.type && Number(t.id.slice(1)) <= intent.messageIndex);
+  return asks.length > 0 ? asks[asks.length - 1].status : null;
+}
+
 /**
  * MAIN: Generate spark recommendations
  */
@@ -160,11 +193,23 @@ export async function generateSparks(yourProfile, intents, messages, members, op
   const { maxResults = 5, useAI = true } = options;
   
   const sparks = [];
+  // Tone-aware relationships, so warm paths can go through people who get along
+  const relationshipGraph = options.relationshipGraph || (members.length > 0 ? buildRelationshipGraph({ messages, members, membershipEvents: [] }) : []);
+  
+  // Follow each ask through the chat, unless the caller already did; pass
+  // options.threads to reuse a detectThreads() result for this chat
+  const tracked = intents.some(i => i.status) ? [] : trackIntents({ messages, members }, { now: options.now, threads: options.threads });
   
   for (const intent of intents) {
-    const daysAgo = daysSince(intent.date);
+    // "found one, thanks all" or long-quiet asks are done
+    const status = intent.status || askStatus(intent, tracked);
+    if (status === 'fulfilled' || status === 'stale') continue;
+    const weight = assertionWeight(intent);
+    if (weight < MIN_ASSERTION_WEIGHT) continue;
+    const daysAgo = daysSince(intent, options.now);
+    const freshness = decayByAge(daysAgo, halfLife('intent', intent.type)) ?? 0;
     const urgency = getUrgency(intent, daysAgo);
-    const warmPaths = findWarmPaths(intent.sender, yourProfile, members, messages);
+    const warmPaths = findWarmPaths(intent.sender, yourProfile, members, messages, relationshipGraph);
     const youAngles = generateYouAngle(intent, yourProfile);
     const opener = generateOpener(intent.sender, intent, warmPaths[0], yourProfile);
     
@@ -177,12 +222,12 @@ export async function generateSparks(yourProfile, intents, messages, members, op
       youAngles,
       opener,
       
-      // Raw score for sorting
-      score: (
+      // Raw score for sorting, discounted for hypothetical/quoted intents
+      score: weight * (
         (urgency === 'hot' ? 30 : urgency === 'warm' ? 15 : 5) +
         (youAngles.length * 10) +
         (warmPaths.length * 5) +
-        (daysAgo !== null && daysAgo < 7 ? 20 : daysAgo < 14 ? 10 : 0)
+        20 * freshness
       )
     });
   }
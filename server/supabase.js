@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { fingerprintChat, summarizeMemberActivity } from '../src/connex-engine.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
@@ -77,50 +78,380 @@ export async function getAllProfiles() {
 // CHAT OPERATIONS
 // ═══════════════════════════════════════════════════════════
 
-export async function saveChat(chat, profiles) {
-  // Hash the chat content to detect duplicates
-  const rawHash = Buffer.from(JSON.stringify({
-    members: chat.members?.length,
-    messages: chat.stats?.totalMessages,
-  })).toString('base64').slice(0, 32);
+const chatPlatform = (chat) => chat.stats?.source || 'whatsapp';
+const chatName = (chat) => chat.groupName || chat.stats?.groupName || null;
 
-  const { data: chatData, error: chatError } = await supabase
+// Stable across successive exports of a named group — unlike a hash of the
+// member/message counts, which changes every time the group is re-exported.
+// An unnamed export is keyed on its oldest message, which only identifies
+// the first import: see findOverlappingChat for the ones after it.
+export function chatKey(chat) {
+  const name = chatName(chat);
+  if (name) return `${chatPlatform(chat)}:${name.trim().toLowerCase()}`;
+  return `${chatPlatform(chat)}:${chat.messages?.[0]?.fingerprint || 'unknown'}`;
+}
+
+const OVERLAP_SAMPLE = 50;   // earliest messages of an unnamed export looked up
+const OVERLAP_MIN = 3;       // of those, how many a stored chat must already have
+
+/**
+ * The stored chat an unnamed export continues. WhatsApp caps what an export
+ * holds, so on a busy group a re-export's oldest messages are ones the last
+ * import had midway through: look the earliest few up by fingerprint (which
+ * covers sender, minute and text) and take the chat holding most of them.
+ */
+async function findOverlappingChat(chat) {
+  const sample = chat.messages.slice(0, OVERLAP_SAMPLE).map((m) => m.fingerprint);
+  if (sample.length === 0) return null;
+  const { data, error } = await supabase
+    .from('chat_messages')
+    .select('chat_id')
+    .in('fingerprint', sample);
+  if (error) throw new Error(`Find overlapping chat: ${error.message}`);
+
+  const hits = new Map();
+  data.forEach((row) => hits.set(row.chat_id, (hits.get(row.chat_id) || 0) + 1));
+  const candidates = [...hits]
+    .filter(([, count]) => count >= Math.min(OVERLAP_MIN, sample.length))
+    .sort((a, b) => b[1] - a[1]);
+  for (const [chatId] of candidates) {
+    const { data: stored, error: chatError } = await supabase
+      .from('chats')
+      .select('*')
+      .eq('id', chatId)
+      .eq('platform', chatPlatform(chat))
+      .maybeSingle();
+    if (chatError) throw new Error(`Load overlapping chat: ${chatError.message}`);
+    if (stored) return stored;
+  }
+  return null;
+}
+
+async function findKnownFingerprints(chatId, fingerprints) {
+  const known = new Set();
+  for (let i = 0; i < fingerprints.length; i += 500) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select('fingerprint')
+      .eq('chat_id', chatId)
+      .in('fingerprint', fingerprints.slice(i, i + 500));
+    // Treating a failed lookup as "nothing known" would store every message twice
+    if (error) throw new Error(`Load known messages: ${error.message}`);
+    data.forEach((row) => known.add(row.fingerprint));
+  }
+  return known;
+}
+
+const earliest = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+const latest = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+
+/**
+ * Merge a parsed chat export into the stored history of that chat.
+ * Messages are deduplicated by fingerprint, so re-uploading an overlapping
+ * export only adds what's new; per-member message_count/first_seen/last_seen
+ * accumulate across imports. Throws when the stored history can't be read,
+ * rather than saving the whole export again.
+ *
+ * @param {Object} chat - parsed chat ({ messages, members, stats }), optional groupName
+ * @param {Array} profiles - Brain profiles to link to chat members by name
+ * @returns {Promise<Object|null>} { chat, newMessages, duplicateCount }
+ */
+export async function saveChat(chat, profiles = []) {
+  fingerprintChat(chat);
+  const key = chatKey(chat);
+
+  let { data: chatData } = await supabase
     .from('chats')
-    .upsert({
-      name: chat.groupName || 'Unknown Group',
-      platform: 'whatsapp',
-      member_count: chat.members?.length || 0,
-      message_count: chat.stats?.totalMessages || 0,
-      date_range: chat.stats?.dateRange || {},
-      raw_hash: rawHash,
-    }, {
-      onConflict: 'raw_hash',
+    .select('*')
+    .eq('chat_key', key)
+    .maybeSingle();
+  if (!chatData && !chatName(chat)) chatData = await findOverlappingChat(chat);
+
+  if (!chatData) {
+    const { data, error } = await supabase
+      .from('chats')
+      .insert({
+        chat_key: key,
+        name: chatName(chat) || 'Unknown Group',
+        platform: chatPlatform(chat),
+        member_count: 0,
+        message_count: 0,
+        date_range: {},
+        import_count: 0,
+      })
+      .select()
+      .single();
+    if (error) {
+      console.error('Chat save error:', error);
+      return null;
+    }
+    chatData = data;
+  }
+
+  // Only messages this chat hasn't seen before
+  const known = await findKnownFingerprints(chatData.id, chat.messages.map((m) => m.fingerprint));
+  const newMessages = chat.messages.filter((m) => !known.has(m.fingerprint));
+
+  for (let i = 0; i < newMessages.length; i += 500) {
+    const { error } = await supabase
+      .from('chat_messages')
+      .upsert(newMessages.slice(i, i + 500).map((m) => ({
+        chat_id: chatData.id,
+        fingerprint: m.fingerprint,
+        sender: m.sender,
+        sent_at: m.timestamp,
+        text: m.text,
+        is_media: Boolean(m.isMedia),
+      })), {
+        onConflict: 'chat_id,fingerprint',
+        ignoreDuplicates: true,
+      });
+    if (error) console.error('Chat message save error:', error);
+  }
+
+  // Accumulate member stats from the new messages onto what's stored
+  const { data: memberRows } = await supabase
+    .from('chat_members')
+    .select('*')
+    .eq('chat_id', chatData.id);
+  const storedMembers = new Map((memberRows || []).map((row) => [row.member_name, row]));
+
+  const profileIds = new Map();
+  for (const profile of profiles) {
+    const savedProfile = await upsertProfile(profile);
+    if (savedProfile) profileIds.set(profile.name, savedProfile.id);
+  }
+
+  for (const activity of summarizeMemberActivity(newMessages)) {
+    const stored = storedMembers.get(activity.name);
+    const row = {
+      chat_id: chatData.id,
+      member_name: activity.name,
+      profile_id: profileIds.get(activity.name) || stored?.profile_id || null,
+      message_count: (stored?.message_count || 0) + activity.messageCount,
+      first_seen: earliest(stored?.first_seen, activity.firstSeen),
+      last_seen: latest(stored?.last_seen, activity.lastSeen),
+    };
+    storedMembers.set(activity.name, row);
+    await supabase
+      .from('chat_members')
+      .upsert(row, { onConflict: 'chat_id,member_name' });
+  }
+
+  const timestamps = newMessages.map((m) => m.timestamp).filter(Boolean).sort();
+  const { data: updated, error: updateError } = await supabase
+    .from('chats')
+    .update({
+      member_count: storedMembers.size,
+      message_count: (chatData.message_count || 0) + newMessages.length,
+      date_range: {
+        start: earliest(chatData.date_range?.start, timestamps[0]),
+        end: latest(chatData.date_range?.end, timestamps[timestamps.length - 1]),
+      },
+      import_count: (chatData.import_count || 0) + 1,
+      last_imported_at: new Date().toISOString(),
     })
+    .eq('id', chatData.id)
     .select()
     .single();
+  if (updateError) console.error('Chat update error:', updateError);
 
-  if (chatError) {
-    console.error('Chat save error:', chatError);
-    return null;
+  return {
+    chat: updated || chatData,
+    newMessages,
+    duplicateCount: chat.messages.length - newMessages.length,
+  };
+}
+
+/**
+ * Link a chat's members to their saved profiles by display name.
+ *
+ * @param {string} chatId
+ * @param {Map<string, string>} profileIds - member name → profiles.id
+ */
+export async function linkChatMembers(chatId, profileIds) {
+  for (const [name, profileId] of profileIds) {
+    const { error } = await supabase
+      .from('chat_members')
+      .update({ profile_id: profileId })
+      .eq('chat_id', chatId)
+      .eq('member_name', name);
+    if (error) console.error('Chat member link error:', error);
   }
+}
 
-  // Link profiles to chat
-  for (const profile of profiles) {
-    const savedProfile = await upsertProfile(profile);
-    if (savedProfile && chatData) {
-      await supabase
-        .from('chat_members')
-        .upsert({
-          chat_id: chatData.id,
-          profile_id: savedProfile.id,
-          message_count: profile.message_count || 0,
-        }, {
-          onConflict: 'chat_id,profile_id',
-        });
+/**
+ * Profiles linked to a chat's members, in the shape the Brain returns them
+ * (name, role, company, location, interests, …) so they can stand in for
+ * members a new import didn't re-analyze.
+ */
+export async function getChatProfiles(chatId) {
+  const { data, error } = await supabase
+    .from('chat_members')
+    .select('member_name, profile:profile_id (*)')
+    .eq('chat_id', chatId)
+    .not('profile_id', 'is', null);
+  if (error) {
+    console.error('Chat profiles error:', error);
+    return [];
+  }
+  return data.filter((row) => row.profile).map(({ member_name, profile }) => ({
+    name: member_name,
+    role: profile.role,
+    company: profile.company,
+    industry: profile.industry,
+    location: profile.location || {},
+    interests: profile.interests || [],
+    expertise: profile.expertise || [],
+    affinities: profile.affinities || {},
+    looking_for: profile.looking_for || [],
+    offering: profile.offering || [],
+    activity_score: profile.activity_score || 0,
+    personality_notes: profile.personality_notes,
+    context_sources: profile.sources || [],
+  }));
+}
+
+/**
+ * Stored history of a chat as engine messages, oldest first — every import
+ * merged, so questions answered in last year's export are still there.
+ * Throws when a page fails to load.
+ */
+export async function getChatMessages(chatId) {
+  const messages = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select('fingerprint, sender, sent_at, text, is_media')
+      .eq('chat_id', chatId)
+      .order('sent_at', { ascending: true })
+      .range(from, from + 999);
+    // Half a history would be cached as the whole one
+    if (error) throw new Error(`Load chat messages: ${error.message}`);
+    data.forEach((row) => messages.push({
+      date: row.sent_at?.slice(0, 10) || null,
+      time: row.sent_at?.slice(11, 19) || null,
+      timestamp: row.sent_at,
+      sender: row.sender,
+      text: row.text || '',
+      isMedia: row.is_media,
+      fingerprint: row.fingerprint,
+    }));
+    if (data.length < 1000) break;
+  }
+  return messages;
+}
+
+// ═══════════════════════════════════════════════════════════
+// SPHERE OPERATIONS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Replace the spheres detected in a chat with a fresh detectCommunities()
+ * result (migrations/005_chat_spheres.sql). Members are linked to their
+ * profile through chat_members when they have one. The new spheres are
+ * written before the old ones are dropped, so a failed save throws and
+ * leaves the chat's previous spheres in place.
+ *
+ * @param {string} chatId
+ * @param {Object} communities - { spheres, modularity } from detectCommunities
+ * @returns {Promise<Array>} the stored sphere rows
+ */
+export async function saveChatSpheres(chatId, communities, { userId = null } = {}) {
+  const { data: oldRows, error: loadError } = await supabase
+    .from('spheres')
+    .select('id')
+    .eq('chat_id', chatId);
+  if (loadError) throw new Error(`Load spheres: ${loadError.message}`);
+
+  // sphere_members rows go with their sphere (ON DELETE CASCADE)
+  const dropSpheres = async (rows) => {
+    if (rows.length === 0) return null;
+    const { error } = await supabase
+      .from('spheres')
+      .delete()
+      .in('id', rows.map((row) => row.id));
+    return error;
+  };
+
+  let sphereRows = [];
+  if (communities.spheres.length > 0) {
+    const { data, error } = await supabase
+      .from('spheres')
+      .insert(communities.spheres.map((sphere) => ({
+        user_id: userId,
+        chat_id: chatId,
+        name: sphere.name,
+        sphere_type: sphere.sphereType,
+        matching_criteria: {
+          key: sphere.id,
+          topics: sphere.topics,
+          locations: sphere.locations,
+          cohesion: sphere.cohesion,
+          modularity: communities.modularity,
+        },
+        member_count: sphere.size,
+        your_strength: sphere.yourStrength,
+        your_role: sphere.yourRole,
+        activity_level: sphere.activityLevel,
+        key_connectors: [sphere.hub, ...sphere.keyConnectors],
+        bridge_opportunities: sphere.bridges,
+      })))
+      .select();
+    if (error) throw new Error(`Save spheres: ${error.message}`);
+    sphereRows = data;
+
+    const { data: memberRows, error: memberLoadError } = await supabase
+      .from('chat_members')
+      .select('member_name, profile_id')
+      .eq('chat_id', chatId);
+    if (memberLoadError) {
+      await dropSpheres(sphereRows);
+      throw new Error(`Load chat members: ${memberLoadError.message}`);
+    }
+    const profileIds = new Map(memberRows.map((row) => [row.member_name, row.profile_id]));
+    const rowByKey = new Map(sphereRows.map((row) => [row.matching_criteria.key, row]));
+
+    const members = communities.spheres.flatMap((sphere) => sphere.members.map((member) => ({
+      sphere_id: rowByKey.get(sphere.id).id,
+      profile_id: profileIds.get(member.name) || null,
+      member_name: member.name,
+      role: member.role,
+      influence_score: member.influence,
+      connection_strength: member.connectionStrength,
+      last_interaction: member.lastSeen,
+    })));
+    for (let i = 0; i < members.length; i += 500) {
+      const { error: memberError } = await supabase
+        .from('sphere_members')
+        .insert(members.slice(i, i + 500));
+      if (memberError) {
+        await dropSpheres(sphereRows);
+        throw new Error(`Save sphere members: ${memberError.message}`);
+      }
     }
   }
 
-  return chatData;
+  const deleteError = await dropSpheres(oldRows);
+  if (deleteError) {
+    await dropSpheres(sphereRows);
+    throw new Error(`Replace spheres: ${deleteError.message}`);
+  }
+  return sphereRows;
+}
+
+/** A chat's stored spheres with their members, largest first */
+export async function getChatSpheres(chatId) {
+  const { data, error } = await supabase
+    .from('spheres')
+    .select('*, sphere_members(*)')
+    .eq('chat_id', chatId)
+    .order('member_count', { ascending: false });
+  if (error) {
+    console.error('Sphere load error:', error);
+    return [];
+  }
+  return data || [];
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -11,8 +11,9 @@ import {
   discoverConnections 
 } from './discovery-engine.js';
 
-// Import existing analyzers (these are in the frontend but we'll reference the logic)
-// In production, these would be shared modules
+// Reply-aware relationship graph shared with the frontend engine
+import { buildRelationshipGraph } from '../src/connex-engine.js';
+import { getTaxonomy, categoryTerms } from '../src/taxonomy.js';
 
 /**
  * Main entry point: Who should you talk to right now?
@@ -142,66 +143,6 @@ export async function whoToTalkTo(yourProfile, parsedChat, options = {}) {
 // HELPER FUNCTIONS
 // ─────────────────────────────────────────────────────────────
 
-/**
- * Build relationship graph from chat
- * Simplified version - production would use the full algorithm
- */
-function buildRelationshipGraph(parsedChat) {
-  const interactions = {};
-  const messages = parsedChat.messages;
-
-  // Track reply chains
-  for (let i = 1; i < messages.length; i++) {
-    const prev = messages[i - 1];
-    const curr = messages[i];
-    
-    if (prev.sender !== curr.sender) {
-      const key = [prev.sender, curr.sender].sort().join('↔');
-      if (!interactions[key]) {
-        interactions[key] = { replies: 0, mentions: 0, personA: prev.sender, personB: curr.sender };
-      }
-      interactions[key].replies++;
-    }
-  }
-
-  // Track mentions
-  const memberNames = new Set(parsedChat.members.map(m => m.name));
-  const firstNames = new Map();
-  memberNames.forEach(name => {
-    const first = name.toLowerCase().split(' ')[0];
-    if (first.length > 2) firstNames.set(first, name);
-  });
-
-  messages.forEach(msg => {
-    const text = msg.text.toLowerCase();
-    firstNames.forEach((fullName, firstName) => {
-      if (text.includes(firstName) && msg.sender !== fullName) {
-        const key = [msg.sender, fullName].sort().join('↔');
-        if (!interactions[key]) {
-          interactions[key] = { replies: 0, mentions: 0, personA: msg.sender, personB: fullName };
-        }
-        interactions[key].mentions++;
-      }
-    });
-  });
-
-  // Calculate strength
-  return Object.values(interactions).map(i => {
-    const strength = Math.min(
-      Math.round(i.replies * 3 + i.mentions * 5),
-      100
-    );
-    return {
-      personA: i.personA,
-      personB: i.personB,
-      strength,
-      interactions: i.replies + i.mentions,
-      bidirectional: i.replies >= 2,
-      label: strength >= 50 ? 'strong' : strength >= 25 ? 'moderate' : 'weak',
-    };
-  }).filter(r => r.strength > 0);
-}
-
 /**
  * Extract interests for a specific member from their messages
  */
@@ -209,25 +150,18 @@ function extractMemberInterests(memberName, messages) {
   const memberMessages = messages.filter(m => m.sender === memberName);
   const text = memberMessages.map(m => m.text.toLowerCase()).join(' ');
   
-  const categories = {
-    sports: ['ufc', 'mma', 'warriors', 'basketball', 'golf', 'football', 'soccer', 'tennis', 'gym', 'workout', 'nba', 'nfl'],
-    crypto: ['bitcoin', 'btc', 'ethereum', 'crypto', 'trading', 'blockchain', 'nft', 'defi', 'solana', 'web3'],
-    food: ['dim sum', 'restaurant', 'brunch', 'dinner', 'thai food', 'sushi', 'ramen', 'coffee', 'cocktails'],
-    wellness: ['sauna', 'ice bath', 'massage', 'spa', 'wellness', 'yoga', 'meditation'],
-    tech: ['ai', 'startup', 'coding', 'engineering', 'product', 'developer', 'software', 'llm', 'gpt'],
-    business: ['fundraising', 'investor', 'funding', 'strategy', 'revenue', 'growth', 'pitch', 'vc'],
-    travel: ['flight', 'airport', 'hotel', 'trip', 'vacation', 'traveling'],
-    music: ['concert', 'festival', 'spotify', 'playlist', 'music', 'show', 'tickets'],
-  };
+  // Whole words only, so "ai" doesn't fire on "said"
+  const words = ` ${text.replace(/[^\p{L}\p{N}]+/gu, ' ')} `;
 
   const found = [];
-  Object.entries(categories).forEach(([category, keywords]) => {
-    const matches = keywords.filter(kw => text.includes(kw));
+  Object.keys(getTaxonomy().categories).forEach(category => {
+    const terms = categoryTerms(category);
+    const matches = [...new Set(terms.filter(([term]) => words.includes(` ${term} `)).map(([, keyword]) => keyword))];
     if (matches.length > 0) {
       found.push({
         category,
         keywords: matches,
-        confidence: Math.min(matches.length / keywords.length, 1),
+        confidence: Math.min(matches.length / getTaxonomy().categories[category].keywords.length, 1),
       });
     }
   });
@@ -1,9 +1,12 @@
-import { useState, useCallback, useRef } from "react";
-import { runPipeline, normLoc, parseWhatsAppText, enrichProfiles, analyzeNetwork, generateSuggestions, getDMStrategy, extractSharedLinks, extractPhoneSignals, extractTimingPatterns, extractEmojiProfile, prioritizeContacts, buildRelationshipGraph, extractIntents, extractEndorsements, extractSelfDisclosures, generateSearchQueries } from "./connex-engine.js";
+import { useState, useCallback, useRef, useEffect, useMemo } from "react";
+import { runPipeline, normLoc, parseWhatsAppText, enrichProfiles, analyzeNetwork, generateSuggestions, getDMStrategy, extractSharedLinks, extractSharedContent, extractPhoneSignals, extractTimingPatterns, extractEmojiProfile, prioritizeContacts, buildRelationshipGraph, extractIntents, extractEndorsements, extractSelfDisclosures, generateSearchQueries, summarizeMembership, membershipFields, tallyPolls, findPollResults, buildKnowledgeBase, searchKnowledgeBase, buildExpertiseModel, summarizeLinks, computeNetworkMetrics, replyEdges, detectCommunities } from "./connex-engine.js";
 import SecondDegreeMatcher from "./SecondDegreeMatcher.jsx";
 import ProfileBuilder from "./ProfileBuilder.jsx";
 import BrainDashboard from "./BrainDashboard.jsx";
+import { parseChatExport, toTranscript } from "./chat-importers.js";
+import { importChatArchive } from "./chat-archive.js";
 import { API_BASE } from "./config.js";
+import { getTaxonomy, setTaxonomy, activityFor, fillTemplate, categorizeInterest } from "./taxonomy.js";
 
 // Engine imported from connex-engine.js — offline fallback
 // API endpoint at /api/analyze — Claude-powered Brain analysis
@@ -15,17 +18,19 @@ import { API_BASE } from "./config.js";
 // UI + suggestion/network/DM pipeline expects.
 
 function bridgeBrainProfiles(brainProfiles, parsedChat) {
-  const INTEREST_CATEGORIES = ["sports","crypto","food","wellness","tech","business","travel","music"];
+  const membership = summarizeMembership(parsedChat.membershipEvents);
+  const expertise = buildExpertiseModel(parsedChat);
 
   return brainProfiles.map((bp) => {
     // Find matching parsed member for message counts
     const member = parsedChat.members.find((m) => m.name === bp.name) || {};
 
-    // Convert Brain interests array to engine format [{category, keywords, confidence}]
+    // Convert Brain interests array to engine format [{category, keywords, confidence}],
+    // grouped by the taxonomy's categories (editable via /api/taxonomy)
     const interests = [];
     const brainInterests = bp.interests || [];
-    INTEREST_CATEGORIES.forEach((cat) => {
-      const matches = brainInterests.filter((i) => i.toLowerCase().includes(cat) || cat.includes(i.toLowerCase().split(" ")[0]));
+    Object.keys(getTaxonomy().categories).forEach((cat) => {
+      const matches = brainInterests.filter((i) => categorizeInterest(i) === cat);
       if (matches.length > 0) {
         interests.push({ category: cat, keywords: matches, confidence: 0.8 });
       }
@@ -68,10 +73,12 @@ function bridgeBrainProfiles(brainProfiles, parsedChat) {
       last_seen: member.lastSeen || null,
       location,
       interests,
+      expertise: expertise[bp.name] || [],
       affinities,
       activity_level,
       mentions: member.messages ? [] : [], // Will be filled by engine if needed
       mentioned_by: [],
+      ...membershipFields(bp.name, membership),
       // Brain-enriched fields (new)
       brain: {
         role: bp.role,
@@ -117,22 +124,60 @@ function fillMentions(profiles, parsedChat) {
   return profiles;
 }
 
+// ═══════════════════════════════════════════════════════════
+// LARGE EXPORTS
+// ═══════════════════════════════════════════════════════════
+// Above this size WhatsApp .txt exports are streamed through a Web Worker so
+// the tab stays responsive; the worker also collects per-message signals.
+const LARGE_EXPORT_BYTES = 2 * 1024 * 1024;
+
+function parseInWorker(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./chat-parser.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") { onProgress(data); return; }
+      worker.terminate();
+      if (data.type === "done") resolve({ parsedChat: data.parsedChat, chatText: data.chatText, signals: data.signals });
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (err) => { worker.terminate(); reject(err); };
+    worker.postMessage({ file });
+  });
+}
+
 // ═══════════════════════════════════════════════════════════
 // ACTIVITY COORDINATOR
 // ═══════════════════════════════════════════════════════════
 
-const ACTIVITY_TYPES = [
-  { id: "ufc", emoji: "🥊", label: "UFC Watch Party", tpl: (l, n) => `🥊 *UFC Watch Party — ${l}*\n\nHey ${n}! Let's catch the next UFC card together.\n\n📅 When works?\n• This Saturday\n• Next Saturday\n• Other (reply below)\n\n📍 Sports bar in ${l} — suggestions welcome!\n\nWho's in? 👊` },
-  { id: "dimsum", emoji: "🍜", label: "Dim Sum / Food Meetup", tpl: (l, n) => `🍜 *${l} Food Meetup*\n\nHey ${n}! Let's do dim sum (or whatever sounds good).\n\n📅 When works?\n• Weekend brunch\n• Weeknight dinner\n• Other\n\n📍 ${l} — drop your favorite spots!\n\nReply with your pick 🍽️` },
-  { id: "crypto", emoji: "₿", label: "Crypto Discussion", tpl: (l, n) => `₿ *${l} Crypto Discussion*\n\nHey ${n}! Let's meet up and talk crypto, markets, and what's next.\n\n📅 When works?\n• Weeknight evening\n• Weekend afternoon\n• Coffee this week\n\n📍 ${l} café or co-working space\n\nWho's in? 📈` },
-  { id: "coworking", emoji: "💻", label: "Co-working / Tech", tpl: (l, n) => `💻 *${l} Tech Co-working Day*\n\nHey ${n}! Let's grab a space, hack on projects, swap ideas.\n\n📅 When works?\n• This week\n• Next week\n• Weekend session\n\n📍 ${l} — know any good spots?\n\nLet's build 🚀` },
-  { id: "wellness", emoji: "🧘", label: "Wellness Session", tpl: (l, n) => `🧘 *${l} Wellness Session*\n\nHey ${n}! Group wellness day — sauna, ice bath, yoga, whatever works.\n\n📅 When free?\n• This weekend\n• Next weekend\n• Weekday evening\n\n📍 ${l} — I'll research the best spots!\n\nWho needs this? 🙌` },
-  { id: "golf", emoji: "⛳", label: "Golf Outing", tpl: (l, n) => `⛳ *${l} Golf Outing*\n\nHey ${n}! Let's hit the course.\n\n📅 When works?\n• Saturday AM\n• Sunday AM\n• Weekday\n\n📍 ${l} — course preferences?\n\nAll levels welcome! 🏌️` },
-  { id: "coffee", emoji: "☕", label: "Business Coffee", tpl: (l, n) => `☕ *${l} Business Coffee*\n\nHey ${n}! Let's grab coffee and catch up on projects.\n\n📅 When works?\n• Morning this week\n• Afternoon\n• Lunch\n\n📍 ${l} — café suggestions?\n\nCasual & productive ☕` },
-  { id: "music", emoji: "🎵", label: "Music Night", tpl: (l, n) => `🎵 *${l} Music Night*\n\nHey ${n}! Let's check out live music together.\n\n📅 When?\n• This weekend\n• Next weekend\n• Weeknight\n\n📍 ${l} — anyone know what's playing?\n\nLet's go! 🎶` },
-];
+// Activity types and their poll templates come from the taxonomy; the server
+// copy (editable via /api/taxonomy) wins over the built-in default
+async function loadTaxonomy() {
+  try {
+    const res = await fetch(`${API_BASE}/api/taxonomy`);
+    if (res.ok) return setTaxonomy((await res.json()).taxonomy);
+  } catch (err) {
+    // Offline — keep the built-in taxonomy
+  }
+  return getTaxonomy();
+}
+
+// Poll messages copied out of the coordinator, so a later export of the same
+// group can show who picked what
+const POSTED_POLLS_KEY = "connex:posted-polls";
+
+function loadPostedPolls() {
+  try {
+    return JSON.parse(localStorage.getItem(POSTED_POLLS_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+}
 
-const INTEREST_TO_ACTIVITY = { sports:"ufc", crypto:"crypto", food:"dimsum", wellness:"wellness", tech:"coworking", business:"coffee", travel:"coffee", music:"music" };
+function rememberPostedPoll(poll) {
+  const polls = [poll, ...loadPostedPolls().filter((p) => p.text !== poll.text)].slice(0, 20);
+  try { localStorage.setItem(POSTED_POLLS_KEY, JSON.stringify(polls)); } catch (err) { /* storage full or disabled */ }
+  return polls;
+}
 
 // ═══════════════════════════════════════════════════════════
 // DEMO DATA
@@ -191,6 +236,17 @@ function ConfBar({ value }) {
   );
 }
 
+// Contact memory is per user; remembered so shared cards can be saved in one click
+const CONTACTS_USER_KEY = "connex:contacts-user";
+
+function loadContactsUser() {
+  try {
+    return localStorage.getItem(CONTACTS_USER_KEY) || "";
+  } catch (err) {
+    return "";
+  }
+}
+
 // ═══════════════════════════════════════════════════════════
 // APP
 // ═══════════════════════════════════════════════════════════
@@ -209,6 +265,9 @@ export default function ConnexApp() {
   const [processingStatus, setProcessingStatus] = useState("");
   const [groupInsights, setGroupInsights] = useState(null);
   const [trustActivations, setTrustActivations] = useState([]);
+  const [sharedContacts, setSharedContacts] = useState([]);
+  const [contactsUserId, setContactsUserId] = useState(loadContactsUser);
+  const [contactsImport, setContactsImport] = useState(null); // null | { saving } | { imported, skipped, errors } | { error }
 
   // User profile state (optional enrichment)
   const [userLinkedin, setUserLinkedin] = useState("");
@@ -225,21 +284,50 @@ export default function ConnexApp() {
   const [coordLoc, setCoordLoc] = useState("");
   const [coordMsg, setCoordMsg] = useState("");
   const [coordSrcId, setCoordSrcId] = useState(null);
+  const [taxonomy, setTaxonomyState] = useState(getTaxonomy);
+  const [postedPolls, setPostedPolls] = useState(loadPostedPolls);
+  const [askQuery, setAskQuery] = useState("");
+  const [askResults, setAskResults] = useState(null);
+  const [askLoading, setAskLoading] = useState(false);
+
+  useEffect(() => { loadTaxonomy().then(setTaxonomyState); }, []);
 
   const fileRef = useRef(null);
+  const folderRef = useRef(null);
   const coordRef = useRef(null);
+  const knowledgeRef = useRef({ parsedChat: null, kb: null });
 
-  const processFile = useCallback(async (text) => {
+  // `imported` is set for zipped exports already unpacked by importChatArchive
+  const processFile = useCallback(async (content, filename = "", imported = null) => {
     setProcessing(true);
     setProcessingStatus("Parsing messages...");
 
     // Always run the local parser first for message stats
-    const parsedChat = parseWhatsAppText(text);
+    let parsedChat;
+    try {
+      parsedChat = imported?.parsedChat || parseChatExport(content, filename);
+    } catch (parseError) {
+      console.error("Chat import error:", parseError);
+      parsedChat = { stats: { totalMessages: 0 } };
+    }
     if (parsedChat.stats.totalMessages === 0) {
       setProcessing(false);
       setProcessingStatus("");
       return;
     }
+    setSharedContacts(imported?.sharedContacts || []);
+    setContactsImport(null);
+    // The Brain prompt expects chat text — re-render non-WhatsApp imports
+    const text = imported?.chatText || (parsedChat.stats.source === "whatsapp" ? content : toTranscript(parsedChat));
+
+    // Set when the server stored the chat — lets "Ask History" search all of it
+    let chatId = null;
+    // How this import merged into the stored history: { newMessages, totalMessages, imports, upToDate }
+    let history = null;
+    // Centrality over who replies to whom; shared by prioritization, hubs/brokers and DM strategy
+    const networkMetrics = computeNetworkMetrics(parsedChat.members.map(m => m.name), replyEdges(parsedChat));
+    // Relationship strength per pair; also what the sub-circles are clustered on
+    const relationshipGraph = buildRelationshipGraph(parsedChat);
 
     // Try Claude API first
     try {
@@ -277,15 +365,21 @@ export default function ConnexApp() {
       const endorsements = extractEndorsements(parsedChat.messages, memberNames);
       const selfDisclosures = extractSelfDisclosures(parsedChat.messages);
 
+      // Large exports arrive from the parser worker with these already collected
+      const streamed = imported?.signals || {};
+      const sharedLinks = streamed.sharedLinks || extractSharedLinks(parsedChat.messages);
       const deepSignals = {
-        sharedLinks: extractSharedLinks(parsedChat.messages),
+        sharedLinks,
+        linkSummary: summarizeLinks(sharedLinks),
+        sharedContent: streamed.sharedContent || extractSharedContent(parsedChat.messages),
         phoneSignals: extractPhoneSignals(parsedChat.members),
-        timingPatterns: extractTimingPatterns(parsedChat.messages),
-        emojiProfiles: extractEmojiProfile(parsedChat.messages),
-        relationshipGraph: buildRelationshipGraph(parsedChat),
+        timingPatterns: streamed.timingPatterns || extractTimingPatterns(parsedChat.messages),
+        emojiProfiles: streamed.emojiProfiles || extractEmojiProfile(parsedChat.messages),
+        relationshipGraph,
         intents,
         endorsements,
         selfDisclosures,
+        networkMetrics,
       };
 
       // Step 3: Prioritize contacts (quick local scan)
@@ -364,7 +458,9 @@ export default function ConnexApp() {
 
       // Step 5: Analyze chat with ALL intelligence
       setProcessingStatus(`🧠 Connex Brain analyzing...`);
-      const analyzePayload = { chatText: text, userProfile, deepSignals, highPriorityContacts: highPriorityNames, searchEnrichments };
+      // groupName + source let the server merge re-exports of the same chat
+      const groupName = parsedChat.stats.groupName || filename.match(/WhatsApp Chat (?:with|-) (.+)\.txt$/i)?.[1] || null;
+      const analyzePayload = { chatText: text, groupName, source: parsedChat.stats.source, userProfile, deepSignals, highPriorityContacts: highPriorityNames, searchEnrichments };
       if (aggregatedProfile) {
         analyzePayload.enrichedUserProfile = aggregatedProfile;
       }
@@ -376,13 +472,16 @@ export default function ConnexApp() {
 
       if (res.ok) {
         const data = await res.json();
+        chatId = data.history?.chatId || null;
+        history = data.history ? { ...data.history, upToDate: Boolean(data.upToDate) } : null;
         if (data.profiles && data.profiles.length > 0) {
           setProcessingStatus("Building rich profiles...");
           let profiles = bridgeBrainProfiles(data.profiles, parsedChat);
           profiles = fillMentions(profiles, parsedChat);
-          const analysis = analyzeNetwork(profiles);
-          const suggestions = generateSuggestions(profiles);
-          const dmStrategy = getDMStrategy(profiles);
+          const analysis = analyzeNetwork(profiles, networkMetrics);
+          const suggestions = generateSuggestions(profiles, null, parsedChat);
+          const dmStrategy = getDMStrategy(profiles, analysis);
+          const communities = detectCommunities(profiles, relationshipGraph, { networkMetrics, me: userName || null });
           setGroupInsights(data.group_insights || null);
           setTrustActivations(data.trust_activations || []);
           setAnalysisMode("claude");
@@ -402,7 +501,7 @@ export default function ConnexApp() {
             }),
           }).catch(() => {}); // Fire and forget
           
-          setResults({ parsedChat, profiles, analysis, suggestions, dmStrategy });
+          setResults({ parsedChat, profiles, analysis, suggestions, dmStrategy, communities, chatId, history });
           setProcessing(false);
           setProcessingStatus("");
           setTab("overview");
@@ -418,38 +517,135 @@ export default function ConnexApp() {
     setProcessingStatus("Running local analysis...");
     setTimeout(() => {
       const localProfiles = enrichProfiles(parsedChat);
-      const analysis = analyzeNetwork(localProfiles);
-      const suggestions = generateSuggestions(localProfiles);
-      const dmStrategy = getDMStrategy(localProfiles);
+      const analysis = analyzeNetwork(localProfiles, networkMetrics);
+      const suggestions = generateSuggestions(localProfiles, null, parsedChat);
+      const dmStrategy = getDMStrategy(localProfiles, analysis);
+      const communities = detectCommunities(localProfiles, relationshipGraph, { networkMetrics, me: userName || null });
       setAnalysisMode("offline");
       setGroupInsights(null);
       setTrustActivations([]);
-      setResults({ parsedChat, profiles: localProfiles, analysis, suggestions, dmStrategy });
+      setResults({ parsedChat, profiles: localProfiles, analysis, suggestions, dmStrategy, communities, chatId, history });
       setProcessing(false);
       setProcessingStatus("");
       setTab("overview");
     }, 300);
-  }, []);
+  }, [userName, userLinkedin, userTwitter, userInstagram, userCity]);
+
+  // Search the server's copy when the chat was stored (it holds every import),
+  // otherwise build the knowledge base from the parsed chat in memory
+  const askHistory = useCallback(async (query) => {
+    if (!results || !query.trim()) return;
+    setAskLoading(true);
+    if (results.chatId) {
+      try {
+        const res = await fetch(`${API_BASE}/api/chats/${results.chatId}/knowledge?q=${encodeURIComponent(query)}`);
+        if (res.ok) {
+          const data = await res.json();
+          setAskResults({ query, entries: data.entries });
+          setAskLoading(false);
+          return;
+        }
+      } catch (err) {
+        console.error("Knowledge search error:", err);
+      }
+    }
+    if (knowledgeRef.current.parsedChat !== results.parsedChat) {
+      knowledgeRef.current = { parsedChat: results.parsedChat, kb: buildKnowledgeBase(results.parsedChat) };
+    }
+    setAskResults({ query, entries: searchKnowledgeBase(knowledgeRef.current.kb, query) });
+    setAskLoading(false);
+  }, [results]);
 
   const handleFile = useCallback((file) => {
     if (!file) return;
     const reader = new FileReader();
-    reader.onload = (e) => processFile(e.target.result);
+    if (file.name.toLowerCase().endsWith(".zip")) {
+      // "Export with media" zips (WhatsApp) and Slack workspace exports
+      reader.onload = async (e) => {
+        setProcessing(true);
+        setProcessingStatus("📦 Unpacking archive...");
+        try {
+          const imported = await importChatArchive(e.target.result);
+          processFile(null, file.name, imported);
+        } catch (archiveError) {
+          console.error("Archive import error:", archiveError);
+          setProcessing(false);
+          setProcessingStatus("");
+        }
+      };
+      reader.readAsArrayBuffer(file);
+      return;
+    }
+    if (file.size > LARGE_EXPORT_BYTES && file.name.toLowerCase().endsWith(".txt")) {
+      setProcessing(true);
+      setProcessingStatus("Parsing messages...");
+      parseInWorker(file, ({ percent, messages }) => {
+        setProcessingStatus(`Parsing messages... ${percent}% (${messages.toLocaleString()} so far)`);
+      })
+        .then((imported) => processFile(null, file.name, imported))
+        .catch((workerError) => {
+          console.error("Chat parser worker error:", workerError);
+          setProcessing(false);
+          setProcessingStatus("");
+        });
+      return;
+    }
+    reader.onload = (e) => processFile(e.target.result, file.name);
     reader.readAsText(file);
   }, [processFile]);
 
+  // Unzipped Slack export picked as a folder: { "general/2024-01-15.json": text, "users.json": text, … }
+  const handleSlackFolder = useCallback(async (fileList) => {
+    const jsonFiles = [...fileList].filter((f) => f.name.toLowerCase().endsWith(".json"));
+    if (jsonFiles.length === 0) return;
+    setProcessing(true);
+    setProcessingStatus("📦 Reading Slack export...");
+    try {
+      const files = {};
+      await Promise.all(jsonFiles.map(async (f) => {
+        // webkitRelativePath starts with the picked folder's own name
+        files[(f.webkitRelativePath || f.name).split("/").slice(1).join("/") || f.name] = await f.text();
+      }));
+      processFile(files, jsonFiles[0].webkitRelativePath?.split("/")[0] || "");
+    } catch (folderError) {
+      console.error("Slack folder import error:", folderError);
+      setProcessing(false);
+      setProcessingStatus("");
+    }
+  }, [processFile]);
+
+  // Shared contact cards → contact-memory (phone-less cards are skipped server-side)
+  const saveSharedContacts = useCallback(async () => {
+    const userId = contactsUserId.trim();
+    if (!userId || sharedContacts.length === 0) return;
+    setContactsImport({ saving: true });
+    try {
+      const res = await fetch(`${API_BASE}/api/contacts/import`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ userId, contacts: sharedContacts }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      try { localStorage.setItem(CONTACTS_USER_KEY, userId); } catch (err) { /* storage full or disabled */ }
+      setContactsImport(data);
+    } catch (importError) {
+      setContactsImport({ error: importError.message });
+    }
+  }, [contactsUserId, sharedContacts]);
+
   const copy = useCallback((text) => {
     navigator.clipboard?.writeText(text).then(() => { setCopied(true); setTimeout(() => setCopied(false), 2000); });
   }, []);
 
   const buildMessage = (actId, parts, loc) => {
-    const act = ACTIVITY_TYPES.find((a) => a.id === actId);
+    const act = getTaxonomy().activities.find((a) => a.id === actId);
     if (!act || parts.length === 0) return "";
-    return act.tpl(loc || "TBD", parts.map((n) => n.split(" ")[0]).join(", "));
+    return fillTemplate(act, { location: loc || "TBD", names: parts.map((n) => n.split(" ")[0]).join(", ") });
   };
 
   const handleUseSuggestion = useCallback((suggestion) => {
-    const actId = INTEREST_TO_ACTIVITY[suggestion.activity] || "coworking";
+    const actId = suggestion.activityId || activityFor(suggestion.activity)?.id || "coworking";
     setCoordActive(true);
     setCoordActId(actId);
     setCoordParts(suggestion.participants);
@@ -475,6 +671,14 @@ export default function ConnexApp() {
     setCoordActive(false); setCoordActId(null); setCoordParts([]); setCoordLoc(""); setCoordMsg(""); setCoordSrcId(null);
   }, []);
 
+  // Polls only change with the chat or a newly posted poll, not on every render
+  const parsedChat = results?.parsedChat;
+  const chatPolls = useMemo(() => (parsedChat ? tallyPolls(parsedChat) : []), [parsedChat]);
+  const pollResults = useMemo(
+    () => (parsedChat ? postedPolls.map((p) => ({ ...p, result: findPollResults(parsedChat, p.text, chatPolls) })).filter((p) => p.result) : []),
+    [parsedChat, postedPolls, chatPolls],
+  );
+
   // ─── Shared styles ───
   const card = { background: C.card, borderRadius: 12, border: `1px solid ${C.border}`, padding: 20, marginBottom: 16 };
   const tag = (bg, color, bc) => ({ display: "inline-block", padding: "3px 8px", borderRadius: 4, fontSize: 11, fontWeight: 600, marginRight: 4, marginBottom: 4, background: bg, color, border: bc ? `1px solid ${bc}` : "none" });
@@ -626,10 +830,14 @@ export default function ConnexApp() {
             onDrop={(e) => { e.preventDefault(); setDragging(false); handleFile(e.dataTransfer.files[0]); }}
             onClick={() => fileRef.current?.click()}
           >
-            <input ref={fileRef} type="file" accept=".txt,.text" style={{ display: "none" }} onChange={(e) => handleFile(e.target.files[0])} />
+            <input ref={fileRef} type="file" accept=".txt,.text,.json,.md,.zip" style={{ display: "none" }} onChange={(e) => handleFile(e.target.files[0])} />
             <div style={{ fontSize: 36, marginBottom: 12 }}>{processing ? "⏳" : "📁"}</div>
-            <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 6 }}>{processing ? "Analyzing chat..." : "Drop WhatsApp export here"}</div>
-            <div style={{ fontSize: 12, color: C.textMuted }}>{processing ? (processingStatus || "Parsing messages, enriching profiles...") : ".txt file · WhatsApp → Export Chat → Without Media"}</div>
+            <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 6 }}>{processing ? "Analyzing chat..." : "Drop a chat export here"}</div>
+            <div style={{ fontSize: 12, color: C.textMuted }}>{processing ? (processingStatus || "Parsing messages, enriching profiles...") : "WhatsApp .txt or .zip (with media) · Telegram .json · Signal .md · Slack .zip"}</div>
+          </div>
+          <div style={{ textAlign: "center", marginTop: 12 }}>
+            <input ref={folderRef} type="file" webkitdirectory="" multiple style={{ display: "none" }} onChange={(e) => handleSlackFolder(e.target.files)} />
+            <button style={{ ...btnO, fontSize: 11 }} onClick={() => folderRef.current?.click()} disabled={processing}>Pick an unzipped Slack export folder</button>
           </div>
           <div style={{ textAlign: "center", marginTop: 20 }}>
             <span style={{ fontSize: 12, color: C.textDim, marginRight: 12 }}>No chat handy?</span>
@@ -652,7 +860,7 @@ export default function ConnexApp() {
     );
   }
 
-  const { parsedChat, profiles, analysis, suggestions, dmStrategy } = results;
+  const { profiles, analysis, suggestions, dmStrategy, communities } = results;
   const warmIntros = trustActivations.filter(a => a.type === "warm_intro");
   const groupActs = trustActivations.filter(a => a.type === "group_activation");
   const tabs = [
@@ -660,7 +868,9 @@ export default function ConnexApp() {
     { id: "connections", l: `🔗 Connections (${trustActivations.length})` },
     { id: "profiles", l: `Members (${profiles.length})` },
     { id: "suggestions", l: `Meetups (${suggestions.length})` },
+    { id: "spheres", l: `Spheres (${communities.spheres.length})` },
     { id: "dm", l: "DM Strategy" },
+    { id: "ask", l: "💬 Ask History" },
   ];
 
   return (
@@ -675,7 +885,7 @@ export default function ConnexApp() {
               </span>
             )}
           </div>
-          <button style={btnO} onClick={() => { setResults(null); setTab("overview"); clearCoord(); setAnalysisMode(null); setGroupInsights(null); setTrustActivations([]); }}>← New Analysis</button>
+          <button style={btnO} onClick={() => { setResults(null); setTab("overview"); setAskQuery(""); setAskResults(null); clearCoord(); setAnalysisMode(null); setGroupInsights(null); setTrustActivations([]); setSharedContacts([]); setContactsImport(null); }}>← New Analysis</button>
         </div>
 
         <div style={{ display: "flex", gap: 4, marginBottom: 24, padding: 4, background: C.card, borderRadius: 10, border: `1px solid ${C.border}` }}>
@@ -684,6 +894,13 @@ export default function ConnexApp() {
 
         {/* ════════════ OVERVIEW ════════════ */}
         {tab === "overview" && (<div>
+          {results.history?.imports > 1 && (
+            <div style={{ ...card, padding: "10px 16px", fontSize: 12, color: C.textMuted }}>
+              {results.history.upToDate
+                ? `No new messages since the last import — ${analysisMode === "claude" ? "showing the stored profiles" : "no stored profiles yet, showing the local analysis"}.`
+                : `Merged ${results.history.newMessages} new messages into the stored history (${results.history.totalMessages} total, import #${results.history.imports}). Only recent speakers were re-analyzed.`}
+            </div>
+          )}
           <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: 12 }}>
             {[{ n: parsedChat.stats.totalMessages, l: "Messages", c: C.accent }, { n: parsedChat.stats.totalMembers, l: "Members", c: C.cyan }, { n: trustActivations.length || suggestions.length, l: trustActivations.length ? "Connections" : "Meetup Ideas", c: C.green }, { n: new Set(profiles.map((p) => normLoc(p.location?.primary)).filter(Boolean)).size, l: "Cities", c: C.yellow }].map((s, i) => (
               <div key={i} style={{ ...card, textAlign: "center", padding: "16px 14px", marginBottom: 0 }}>
@@ -698,6 +915,25 @@ export default function ConnexApp() {
               <span style={{ fontSize: 12, fontWeight: 600 }}>{parsedChat.stats.dateRange.start} → {parsedChat.stats.dateRange.end}</span>
             </div>
           )}
+          {sharedContacts.length > 0 && (
+            <div style={{ ...card, marginTop: 16 }}>
+              <div style={secTitle}>📇 Contact cards shared ({sharedContacts.length})</div>
+              {sharedContacts.slice(0, 12).map((c, i) => (
+                <div key={i} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, padding: "6px 0", borderBottom: `1px solid ${C.border}` }}>
+                  <span style={{ fontWeight: 600 }}>{c.name}{c.phone && <span style={{ color: C.textMuted, fontWeight: 400 }}> · {c.phone}</span>}</span>
+                  <span style={{ color: C.textDim }}>shared by {c.sharedBy}</span>
+                </div>
+              ))}
+              <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 12 }}>
+                <input value={contactsUserId} onChange={(e) => setContactsUserId(e.target.value)} placeholder="Your Connex user ID" style={{ flex: 1, padding: "6px 10px", borderRadius: 8, border: `1px solid ${C.border}`, background: C.bg, color: C.text, fontSize: 11, outline: "none" }} />
+                <button style={btnA} disabled={!contactsUserId.trim() || contactsImport?.saving} onClick={saveSharedContacts}>{contactsImport?.saving ? "Saving..." : "Save to Contacts"}</button>
+              </div>
+              {contactsImport?.error && <div style={{ fontSize: 11, color: C.red, marginTop: 6 }}>{contactsImport.error}</div>}
+              {contactsImport?.imported != null && (
+                <div style={{ fontSize: 11, color: C.green, marginTop: 6 }}>Saved {contactsImport.imported}{contactsImport.skipped > 0 && ` · ${contactsImport.skipped} without a phone number skipped`}{contactsImport.errors?.length > 0 && ` · ${contactsImport.errors.length} failed`}</div>
+              )}
+            </div>
+          )}
           <div style={{ ...card, marginTop: 16 }}>
             <div style={secTitle}>Group Interests</div>
             <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
@@ -756,7 +992,29 @@ export default function ConnexApp() {
               {analysis.hubs.slice(0, 5).map((h, i) => (
                 <div key={i} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "8px 0", borderBottom: i < Math.min(analysis.hubs.length, 5) - 1 ? `1px solid ${C.border}` : "none" }}>
                   <div><span style={{ fontSize: 13, fontWeight: 700 }}>{h.name}</span>{h.location && <span style={{ fontSize: 11, color: C.textMuted, marginLeft: 8 }}>📍 {normLoc(h.location)}</span>}</div>
-                  <span style={{ fontSize: 11, color: C.cyan }}>{h.inDegree} mention{h.inDegree !== 1 ? "s" : ""} · {h.messageCount} msgs</span>
+                  <span style={{ fontSize: 11, color: C.cyan }}>{h.influence.toFixed(1)}× influence · {h.inDegree} engage · {h.messageCount} msgs</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {analysis.brokers?.length > 0 && (
+            <div style={card}>
+              <div style={secTitle}>Brokers — Bridge Sub-groups</div>
+              {analysis.brokers.slice(0, 5).map((b, i) => (
+                <div key={i} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "8px 0", borderBottom: i < Math.min(analysis.brokers.length, 5) - 1 ? `1px solid ${C.border}` : "none" }}>
+                  <div><span style={{ fontSize: 13, fontWeight: 700 }}>{b.name}</span>{b.location && <span style={{ fontSize: 11, color: C.textMuted, marginLeft: 8 }}>📍 {normLoc(b.location)}</span>}</div>
+                  <span style={{ fontSize: 11, color: C.cyan }}>on {Math.round(b.betweenness * 100)}% of paths · {b.ties} ties</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {(analysis.admins?.length > 0 || analysis.connectors?.some((c) => c.invites > 0)) && (
+            <div style={card}>
+              <div style={secTitle}>Admins & Inviters</div>
+              {[...new Map([...(analysis.admins || []), ...analysis.connectors.filter((c) => c.invites > 0)].map((n) => [n.name, n])).values()].slice(0, 5).map((n, i, list) => (
+                <div key={i} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "8px 0", borderBottom: i < list.length - 1 ? `1px solid ${C.border}` : "none" }}>
+                  <div><span style={{ fontSize: 13, fontWeight: 700 }}>{n.name}</span>{n.isAdmin && <span style={{ fontSize: 11, color: C.orange, marginLeft: 8 }}>admin</span>}{n.leftGroup && <span style={{ fontSize: 11, color: C.textDim, marginLeft: 8 }}>left</span>}</div>
+                  <span style={{ fontSize: 11, color: C.cyan }}>{n.invites} invite{n.invites !== 1 ? "s" : ""}</span>
                 </div>
               ))}
             </div>
@@ -900,6 +1158,13 @@ export default function ConnexApp() {
                         <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>{p.brain.expertise.map((e, j) => <span key={j} style={tag(C.greenSoft, C.green, C.green + "30")}>{e}</span>)}</div>
                       </div>
                     )}
+                    {/* Topics the member talks about more than the rest of the group */}
+                    {p.expertise?.length > 0 && (
+                      <div style={{ marginTop: 12 }}>
+                        <div style={{ color: C.textDim, fontSize: 10, letterSpacing: 1, textTransform: "uppercase", marginBottom: 6 }}>Talks About</div>
+                        <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>{p.expertise.map((e, j) => <span key={j} title={e.evidence.map((ev) => `${ev.date}: ${ev.text}`).join("\n")} style={tag(e.answers > 0 ? C.greenSoft : C.border, e.answers > 0 ? C.green : C.textMuted)}>{e.term} {Math.round(e.score * 100)}%</span>)}</div>
+                      </div>
+                    )}
                     {/* Brain: Looking For / Offering */}
                     {(p.brain?.looking_for?.length > 0 || p.brain?.offering?.length > 0) && (
                       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginTop: 12 }}>
@@ -986,7 +1251,7 @@ export default function ConnexApp() {
               <div style={{ marginBottom: 16 }}>
                 <div style={{ fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", color: C.textDim, marginBottom: 8, fontWeight: 600 }}>Activity Type</div>
                 <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
-                  {ACTIVITY_TYPES.map((a) => (
+                  {taxonomy.activities.map((a) => (
                     <button key={a.id} onClick={() => { if (coordParts.length > 0) changeActivity(a.id); }} style={{
                       background: coordActId === a.id ? C.accent : C.border,
                       color: coordActId === a.id ? "#fff" : C.textMuted,
@@ -1027,7 +1292,7 @@ export default function ConnexApp() {
                 <div>
                   <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
                     <div style={{ fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", color: C.textDim, fontWeight: 600 }}>Poll Message — Ready to Send</div>
-                    <button style={btnG} onClick={() => copy(coordMsg)}>📋 Copy Message</button>
+                    <button style={btnG} onClick={() => { copy(coordMsg); setPostedPolls(rememberPostedPoll({ text: coordMsg, activity: coordActId, location: coordLoc, postedAt: new Date().toISOString() })); }}>📋 Copy Message</button>
                   </div>
                   <div style={{ background: "#0d0d14", borderRadius: 8, padding: 16, fontSize: 12, lineHeight: 1.7, whiteSpace: "pre-wrap", color: C.text, border: `1px solid ${C.border}` }}>{coordMsg}</div>
                   <div style={{ marginTop: 10, fontSize: 11, color: C.textDim, textAlign: "center" }}>Paste this directly into your WhatsApp group chat</div>
@@ -1037,15 +1302,81 @@ export default function ConnexApp() {
                   ↑ Select a meetup suggestion above to generate a poll message
                 </div>
               )}
+
+              {/* Results of polls posted from here, read back from this export */}
+              {pollResults.length > 0 && (
+                <div style={{ marginTop: 20, paddingTop: 16, borderTop: `1px solid ${C.border}` }}>
+                  <div style={{ fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", color: C.textDim, marginBottom: 10, fontWeight: 600 }}>📊 Poll Results</div>
+                  {pollResults.map(({ text, location, result }) => {
+                    const total = result.options.reduce((sum, o) => sum + o.votes, 0);
+                    return (
+                      <div key={text} style={{ marginBottom: 14 }}>
+                        <div style={{ fontSize: 12, fontWeight: 600, marginBottom: 6 }}>{text.split("\n")[0].replace(/\*/g, "")} <span style={{ color: C.textDim, fontWeight: 400 }}>· {result.question} · {total} vote{total === 1 ? "" : "s"}{location ? ` · ${location}` : ""}</span></div>
+                        {result.options.map((o) => (
+                          <div key={o.text} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4, fontSize: 11 }}>
+                            <div style={{ width: 140, color: C.textMuted }}>{o.text}</div>
+                            <div style={{ flex: 1, height: 6, borderRadius: 3, background: C.border }}>
+                              <div style={{ width: `${total ? (o.votes / total) * 100 : 0}%`, height: "100%", borderRadius: 3, background: C.green }} />
+                            </div>
+                            <div style={{ width: 24, textAlign: "right", fontWeight: 700 }}>{o.votes}</div>
+                            <div style={{ flex: 1, color: C.textDim }}>{o.voters.join(", ")}</div>
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
             </div>
           </div>
         </div>)}
 
+        {/* ════════════ SPHERES ════════════ */}
+        {tab === "spheres" && (<div>
+          <div style={{ ...card, borderColor: C.accent + "40", background: C.accentSoft, marginBottom: 20 }}>
+            <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 4 }}>🫧 Sub-circles in this group</div>
+            <div style={{ fontSize: 12, color: C.textMuted }}>Clusters of people who talk to each other most, named after the topics and cities they share.{communities.spheres.length > 0 && ` Modularity ${communities.modularity} — above 0.3 the circles are clearly separate.`}</div>
+          </div>
+          {communities.spheres.length === 0 && (
+            <div style={{ ...card, fontSize: 12, color: C.textMuted }}>No sub-circles of 3+ people yet — this group talks as one.</div>
+          )}
+          {communities.spheres.map((sphere) => (
+            <div key={sphere.id} style={card}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  <span style={{ fontSize: 15, fontWeight: 700 }}>{sphere.name}</span>
+                  <ActivityBadge level={sphere.activityLevel} />
+                  {sphere.yourRole && <span style={tag(C.cyanSoft, C.cyan)}>you: {sphere.yourRole}</span>}
+                </div>
+                <span style={{ fontSize: 11, color: C.textDim }}>{sphere.size} people · {Math.round(sphere.cohesion * 100)}% inward</span>
+              </div>
+              <div style={{ marginBottom: 8 }}>
+                {sphere.topics.map((t) => <span key={t.term} style={tag(C.accentSoft, C.accent)}>{t.term} · {t.members}</span>)}
+                {sphere.locations.slice(0, 2).map((l) => <span key={l.city} style={tag(C.greenSoft, C.green)}>📍 {l.city} · {l.members}</span>)}
+              </div>
+              <div style={{ fontSize: 12, color: C.textMuted, marginBottom: 6 }}>
+                <span style={{ color: C.text, fontWeight: 700 }}>{sphere.hub}</span> is the hub{sphere.keyConnectors.length > 0 && <> · connectors: <span style={{ color: C.cyan }}>{sphere.keyConnectors.join(", ")}</span></>}
+              </div>
+              <div style={{ fontSize: 11, color: C.textDim, lineHeight: 1.6 }}>{sphere.members.map((m) => m.name).join(" · ")}</div>
+              {sphere.bridges.length > 0 && (
+                <div style={{ marginTop: 10, paddingTop: 10, borderTop: `1px solid ${C.border}` }}>
+                  {sphere.bridges.slice(0, 3).map((b) => (
+                    <div key={b.sphere} style={{ fontSize: 12, color: C.textMuted, marginBottom: 2 }}><span style={{ color: C.green, marginRight: 6 }}>↔</span>{b.name} via {b.via.slice(0, 3).join(", ")}</div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          {communities.unclustered.length > 0 && (
+            <div style={{ ...card, fontSize: 12, color: C.textMuted }}>Not in a circle yet: {communities.unclustered.join(", ")}</div>
+          )}
+        </div>)}
+
         {/* ════════════ DM STRATEGY ════════════ */}
         {tab === "dm" && (<div>
           <div style={{ ...card, borderColor: C.accent + "40", background: C.accentSoft, marginBottom: 20 }}>
             <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 4 }}>🎯 Who to DM First</div>
-            <div style={{ fontSize: 12, color: C.textMuted }}>Ranked by influence: message volume, mentions, and engagement.</div>
+            <div style={{ fontSize: 12, color: C.textMuted }}>Ranked by reach: who bridges sub-groups, who the group answers, and two-way engagement.</div>
           </div>
           {dmStrategy.map((dm, i) => {
             const p = dm.profile;
@@ -1069,6 +1400,38 @@ export default function ConnexApp() {
           })}
         </div>)}
 
+        {tab === "ask" && (<div>
+          <div style={{ ...card, borderColor: C.cyan + "40", marginBottom: 20 }}>
+            <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 4 }}>💬 Ask the Group's History</div>
+            <div style={{ fontSize: 12, color: C.textMuted, marginBottom: 12 }}>Questions the group already answered — recommendations, contacts and links, with who answered.</div>
+            <form onSubmit={(e) => { e.preventDefault(); askHistory(askQuery); }} style={{ display: "flex", gap: 8 }}>
+              <input value={askQuery} onChange={(e) => setAskQuery(e.target.value)} placeholder="e.g. dentist, visa agent, good sushi" style={{ flex: 1, padding: "8px 12px", borderRadius: 8, border: `1px solid ${C.border}`, background: C.bg, color: C.text, fontSize: 12, outline: "none" }} />
+              <button type="submit" style={btnA} disabled={askLoading || !askQuery.trim()}>{askLoading ? "Searching..." : "Ask"}</button>
+            </form>
+          </div>
+          {askResults && askResults.entries.length === 0 && (
+            <div style={{ ...card, fontSize: 12, color: C.textMuted }}>Nobody has asked about "{askResults.query}" yet — maybe you should.</div>
+          )}
+          {askResults?.entries.map((entry) => (
+            <div key={entry.id} style={card}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 12, marginBottom: 8 }}>
+                <div style={{ fontSize: 13, fontWeight: 700 }}>❓ {entry.question}</div>
+                <div style={{ fontSize: 11, color: C.textDim, whiteSpace: "nowrap" }}>{entry.asker} · {entry.date}</div>
+              </div>
+              {entry.answers.length === 0 && <div style={{ fontSize: 12, color: C.textDim }}>No answer found in the chat.</div>}
+              {entry.answers.map((answer, j) => (
+                <div key={j} style={{ fontSize: 12, color: C.textMuted, marginBottom: 6, paddingLeft: 12, borderLeft: `2px solid ${answer.accepted ? C.green : C.border}` }}>
+                  <span style={{ color: C.text, fontWeight: 600 }}>{answer.by}</span>
+                  {answer.accepted && <span style={{ color: C.green, marginLeft: 6 }}>✓</span>}
+                  <span style={{ color: C.textDim, marginLeft: 6 }}>{answer.date}</span>
+                  <div>{answer.text}</div>
+                  {answer.links.map((link) => <div key={link}><a href={link} target="_blank" rel="noreferrer" style={{ color: C.cyan }}>{link}</a></div>)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>)}
+
         {copied && <div style={{ position: "fixed", bottom: 24, left: "50%", transform: "translateX(-50%)", background: C.green, color: "#000", padding: "10px 24px", borderRadius: 8, fontSize: 12, fontWeight: 700, letterSpacing: 1, zIndex: 999 }}>✓ COPIED TO CLIPBOARD</div>}
       </div>
     </div>
@@ -0,0 +1,172 @@
+/**
+ * Chat Archive Import — zipped exports
+ *
+ * WhatsApp "Export Chat → Attach Media" produces a zip with the transcript
+ * (_chat.txt on iOS, "WhatsApp Chat with <group>.txt" on Android) next to
+ * every attachment. Slack workspace exports are zips too. This module unpacks
+ * either, links attachments to the messages that reference them, and turns
+ * shared vCards into contacts for contact-memory's importContacts.
+ */
+
+import { readZip } from "./zip-reader.js";
+import { parseWhatsAppText } from "./connex-engine.js";
+import { parseSlackExport } from "./chat-importers.js";
+
+// ═══════════════════════════════════════════════════════════
+// ATTACHMENTS
+// ═══════════════════════════════════════════════════════════
+
+const KIND_BY_EXTENSION = {
+  jpg: "image", jpeg: "image", png: "image", gif: "image", heic: "image", webp: "image",
+  mp4: "video", mov: "video", "3gp": "video", mkv: "video",
+  opus: "audio", m4a: "audio", mp3: "audio", ogg: "audio", aac: "audio", wav: "audio",
+  pdf: "document", doc: "document", docx: "document", xls: "document", xlsx: "document",
+  ppt: "document", pptx: "document", csv: "document", txt: "document", key: "document", pages: "document",
+  vcf: "contact",
+};
+
+export function attachmentKind(filename) {
+  const base = filename.split("/").pop();
+  // Android stickers are .webp files named STK-YYYYMMDD-WA0000.webp
+  if (/^STK-/i.test(base) || /-STICKER-/i.test(base)) return "sticker";
+  const ext = base.split(".").pop().toLowerCase();
+  return KIND_BY_EXTENSION[ext] || "other";
+}
+
+// "<attached: 00000012-PHOTO-2026-01-15-09-02-31.jpg>" (iOS)
+// "IMG-20260115-WA0001.jpg (file attached)" (Android)
+const ATTACHED_PATTERNS = [
+  /<attached:\s*([^>]+)>/gi,
+  /(?:^|\n)\s*([^\n]+?\.[a-z0-9]{2,5})\s+\(file attached\)/gi,
+];
+
+function findAttachmentRefs(text) {
+  const refs = [];
+  ATTACHED_PATTERNS.forEach((pattern) => {
+    for (const match of text.matchAll(pattern)) refs.push(match[1].trim());
+  });
+  return refs;
+}
+
+// ═══════════════════════════════════════════════════════════
+// VCARDS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Parse one or more vCards (2.1/3.0/4.0) into plain contacts.
+ */
+export function parseVCards(text) {
+  // Unfold continuation lines (RFC 6350 §3.2)
+  const unfolded = text.replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "");
+  const cards = [];
+  let card = null;
+  unfolded.split("\n").forEach((line) => {
+    if (/^BEGIN:VCARD/i.test(line)) { card = { name: null, phones: [], emails: [], org: null, title: null }; return; }
+    if (/^END:VCARD/i.test(line)) { if (card) cards.push(card); card = null; return; }
+    if (!card) return;
+    const sep = line.indexOf(":");
+    if (sep < 0) return;
+    const [key, ...params] = line.slice(0, sep).split(";");
+    const value = line.slice(sep + 1).trim();
+    switch (key.toUpperCase().replace(/^ITEM\d+\./, "")) {
+      case "FN": card.name = value; break;
+      case "N": if (!card.name) card.name = value.split(";").filter(Boolean).reverse().join(" ").trim() || null; break;
+      case "TEL": {
+        // WhatsApp adds waid=<digits> — the cleanest form of the number
+        const waid = params.find((p) => /^waid=/i.test(p));
+        card.phones.push(waid ? `+${waid.split("=")[1]}` : value);
+        break;
+      }
+      case "EMAIL": card.emails.push(value); break;
+      case "ORG": card.org = value.replace(/;+$/, "").replace(/;/g, ", ") || null; break;
+      case "TITLE": card.title = value || null; break;
+    }
+  });
+  return cards;
+}
+
+// vCard → the { phone, name, notes, tags, category } shape importContacts takes
+function toContactMemory(card, sharedBy, message, groupName) {
+  const where = groupName ? ` in ${groupName}` : "";
+  const details = [card.title, card.org].filter(Boolean).join(" at ");
+  return {
+    phone: card.phones[0] || null,
+    name: card.name || "Unknown",
+    email: card.emails[0] || null,
+    notes: `Contact card shared by ${sharedBy}${where} on ${message.date}${details ? ` — ${details}` : ""}`,
+    tags: ["whatsapp", "shared_contact"],
+    category: null,
+    sharedBy,
+    sharedAt: message.timestamp || message.date,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// IMPORT
+// ═══════════════════════════════════════════════════════════
+
+async function importWhatsAppArchive(entries, chatEntry, options) {
+  const chatText = await chatEntry.text();
+  const parsedChat = parseWhatsAppText(chatText);
+  const byName = new Map(entries.filter((e) => !e.isDirectory).map((e) => [e.name.split("/").pop(), e]));
+
+  const linked = new Set();
+  const sharedContacts = [];
+  for (const msg of parsedChat.messages) {
+    const refs = findAttachmentRefs(msg.text);
+    if (refs.length === 0) continue;
+    msg.isMedia = true;
+    msg.attachments = refs.map((filename) => {
+      const entry = byName.get(filename);
+      if (entry) linked.add(filename);
+      return { filename, kind: attachmentKind(filename), size: entry?.size ?? null, included: Boolean(entry) };
+    });
+    for (const attachment of msg.attachments) {
+      if (attachment.kind !== "contact" || !attachment.included) continue;
+      const cards = parseVCards(await byName.get(attachment.filename).text());
+      cards.forEach((card) => sharedContacts.push(toContactMemory(card, msg.sender, msg, options.groupName)));
+    }
+  }
+
+  const unlinked = [...byName.keys()].filter((name) => name !== chatEntry.name.split("/").pop() && !linked.has(name));
+  parsedChat.stats.attachments = { linked: linked.size, unlinked: unlinked.length };
+  parsedChat.stats.groupName = options.groupName;
+  return { parsedChat, chatText, sharedContacts };
+}
+
+async function importSlackArchive(entries, options) {
+  const files = {};
+  for (const entry of entries) {
+    if (!entry.isDirectory && entry.name.endsWith(".json")) files[entry.name] = await entry.text();
+  }
+  const parsedChat = parseSlackExport(files, options);
+  return { parsedChat, chatText: null, sharedContacts: [] };
+}
+
+/**
+ * Unpack a zipped chat export.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - the zip file contents
+ * @param {Object} options - { groupName, channel } (channel for Slack)
+ * @returns {Promise<Object>} { parsedChat, chatText, sharedContacts }
+ *   chatText is the original transcript for WhatsApp, null for Slack.
+ */
+export async function importChatArchive(data, options = {}) {
+  const entries = await readZip(data);
+  const names = entries.map((e) => e.name);
+
+  if (names.includes("users.json") || names.includes("channels.json")) {
+    return importSlackArchive(entries, options);
+  }
+
+  const chatEntry =
+    entries.find((e) => /(^|\/)_chat\.txt$/.test(e.name)) ||
+    entries.find((e) => /WhatsApp Chat.*\.txt$/i.test(e.name)) ||
+    entries.find((e) => !e.isDirectory && e.name.endsWith(".txt"));
+  if (!chatEntry) throw new Error("No chat transcript found in archive");
+
+  const groupName = options.groupName || chatEntry.name.match(/WhatsApp Chat (?:with|-) (.+)\.txt$/i)?.[1] || null;
+  return importWhatsAppArchive(entries, chatEntry, { ...options, groupName });
+}
+
+export default { importChatArchive, parseVCards, attachmentKind };
@@ -0,0 +1,298 @@
+/**
+ * Chat Importers — Telegram, Signal and Slack exports
+ *
+ * Each importer normalizes its platform's export into the same
+ * { messages, members, stats } shape parseWhatsAppText returns, so the rest
+ * of the engine (enrichProfiles, analyzeNetwork, the Brain) runs unchanged.
+ * Every message records the platform it came from in `source`.
+ */
+
+import { parseWhatsAppText, parseRichMessage } from "./connex-engine.js";
+
+// ═══════════════════════════════════════════════════════════
+// SHARED HELPERS
+// ═══════════════════════════════════════════════════════════
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Wall-clock Date (encoded as UTC, see toTimestamp) → engine message fields
+function dateFields(wallClock) {
+  if (!wallClock || isNaN(wallClock)) return { date: null, time: null, timestamp: null };
+  return {
+    date: `${wallClock.getUTCFullYear()}-${pad(wallClock.getUTCMonth() + 1)}-${pad(wallClock.getUTCDate())}`,
+    time: `${pad(wallClock.getUTCHours())}:${pad(wallClock.getUTCMinutes())}:${pad(wallClock.getUTCSeconds())}`,
+    timestamp: wallClock.toISOString(),
+  };
+}
+
+/**
+ * Build the parsed-chat shape from a flat, chronological message list.
+ * membershipEvents use the { type, actor, target, detail, date, time, timestamp }
+ * shape parseWhatsAppText emits.
+ */
+export function buildParsedChat(messages, source, extra = {}, membershipEvents = []) {
+  const members = new Map();
+  messages.forEach((msg) => {
+    if (!members.has(msg.sender)) {
+      members.set(msg.sender, { name: msg.sender, messageCount: 0, firstSeen: msg.date, lastSeen: msg.date, messages: [] });
+    }
+    const member = members.get(msg.sender);
+    member.messageCount++;
+    member.lastSeen = msg.date;
+    member.messages.push(msg);
+  });
+  return {
+    messages,
+    members: Array.from(members.values()),
+    membershipEvents,
+    stats: {
+      totalMessages: messages.length,
+      totalMembers: members.size,
+      dateRange: { start: messages[0]?.date, end: messages[messages.length - 1]?.date },
+      source,
+      ...extra,
+    },
+  };
+}
+
+/**
+ * Render a parsed chat back into a WhatsApp-style transcript — the Brain API
+ * prompt expects plain chat text regardless of where the chat came from.
+ */
+export function toTranscript(parsedChat) {
+  return parsedChat.messages
+    .map((m) => `[${m.date}, ${m.time}] ${m.sender}: ${m.text}`)
+    .join("\n");
+}
+
+// ═══════════════════════════════════════════════════════════
+// TELEGRAM (Telegram Desktop → Export chat history → JSON)
+// ═══════════════════════════════════════════════════════════
+
+// Telegram "text" is either a string or an array of strings and entity objects
+function flattenTelegramText(text) {
+  if (typeof text === "string") return text;
+  if (!Array.isArray(text)) return "";
+  return text.map((part) => (typeof part === "string" ? part : part?.text || "")).join("");
+}
+
+// Service actions → membership event types
+const TELEGRAM_ACTIONS = {
+  create_group: "created",
+  invite_members: "added",
+  remove_members: "removed",
+  join_group_by_link: "joined",
+  edit_group_title: "subject",
+};
+
+function telegramMembershipEvents(raw, when) {
+  const type = TELEGRAM_ACTIONS[raw.action];
+  if (!type || !raw.actor) return [];
+  const actor = raw.actor.trim();
+  switch (type) {
+    case "added":
+    case "removed":
+      // Telegram logs a member leaving as removing themselves
+      return (raw.members || []).map((target) => ({
+        type: type === "removed" && target === actor ? "left" : type,
+        actor, target, detail: null, ...when,
+      }));
+    case "created":
+      return [{ type, actor, target: null, detail: raw.title || null, ...when }];
+    case "subject":
+      return [{ type, actor, target: null, detail: { from: null, to: raw.title }, ...when }];
+    default:
+      return [{ type, actor, target: actor, detail: null, ...when }];
+  }
+}
+
+// Polls and shared locations arrive as structured fields with no text —
+// write them the way WhatsApp exports do so parseRichMessage (and the
+// Brain transcript) reads them the same
+function telegramRichText(raw) {
+  if (raw.poll) {
+    const options = (raw.poll.answers || []).map((a) => `OPTION: ${a.text} (${a.voters || 0} ${a.voters === 1 ? "vote" : "votes"})`);
+    return ["POLL:", raw.poll.question, ...options].join("\n");
+  }
+  const loc = raw.location_information;
+  if (loc) {
+    const url = `https://maps.google.com/?q=${loc.latitude},${loc.longitude}`;
+    if (raw.live_location_period_seconds) return `live location shared\n${url}`;
+    return [raw.place_name, raw.address, `location: ${url}`].filter(Boolean).join("\n");
+  }
+  return null;
+}
+
+export function parseTelegramExport(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  const messages = [];
+  const membershipEvents = [];
+  (data.messages || []).forEach((raw) => {
+    if (raw.type === "service") {
+      membershipEvents.push(...telegramMembershipEvents(raw, dateFields(raw.date ? new Date(`${raw.date}Z`) : null)));
+      return;
+    }
+    if (raw.type !== "message" || !raw.from) return;
+    const richText = telegramRichText(raw);
+    const text = richText || flattenTelegramText(raw.text);
+    const isMedia = !richText && Boolean(raw.media_type || raw.photo || raw.file);
+    if (!text && !isMedia) return;
+    // Export dates are the exporter's local wall-clock without an offset
+    const wallClock = raw.date ? new Date(`${raw.date}Z`) : null;
+    messages.push({
+      ...dateFields(wallClock),
+      sender: raw.from.trim(),
+      text: text || `<${raw.media_type || (raw.photo ? "photo" : "file")} omitted>`,
+      isMedia,
+      source: "telegram",
+      sourceId: raw.id,
+      replyToId: raw.reply_to_message_id ?? null,
+      ...(raw.forwarded_from ? { forwardedFrom: raw.forwarded_from } : {}),
+      // Newer exports list who reacted (only the most recent few per emoji)
+      ...(raw.reactions?.length ? { reactions: raw.reactions.map((r) => ({ emoji: r.emoji || r.type, count: r.count || 0, by: (r.recent || []).map((x) => x.from).filter(Boolean) })) } : {}),
+      ...(richText ? parseRichMessage(richText) : {}),
+    });
+  });
+  return buildParsedChat(messages, "telegram", { groupName: data.name || null }, membershipEvents);
+}
+
+// ═══════════════════════════════════════════════════════════
+// SIGNAL (signal-export Markdown: "[2026-01-15 09:02] Name: text")
+// ═══════════════════════════════════════════════════════════
+
+export function parseSignalExport(textContent) {
+  const HEADER = /^\[(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)\]\s*([^:]+):\s?(.*)$/;
+  const lines = textContent.replace(/\r\n?/g, "\n").split("\n");
+  const messages = [];
+  let current = null;
+  lines.forEach((line) => {
+    const match = line.match(HEADER);
+    if (match) {
+      const [, date, time, sender, text] = match;
+      const wallClock = new Date(`${date}T${time.length === 5 ? time + ":00" : time}Z`);
+      // Attachments are written as Markdown links/images on their own line
+      const isMedia = /^!?\[[^\]]*\]\([^)]+\)$/.test(text.trim());
+      current = { ...dateFields(wallClock), sender: sender.trim(), text, isMedia, source: "signal" };
+      messages.push(current);
+    } else if (current && line.trim()) {
+      current.text += "\n" + line;
+    }
+  });
+  return buildParsedChat(messages, "signal");
+}
+
+// ═══════════════════════════════════════════════════════════
+// SLACK (workspace export: users.json, channels.json, <channel>/<day>.json)
+// ═══════════════════════════════════════════════════════════
+
+const SLACK_SKIPPED_SUBTYPES = new Set(["channel_join", "channel_leave", "channel_topic", "channel_purpose", "channel_name", "channel_archive", "bot_message", "pinned_item"]);
+
+function slackUserName(user) {
+  return user?.profile?.real_name || user?.real_name || user?.profile?.display_name || user?.name || null;
+}
+
+// Slack mrkdwn → plain text: <@U123> → @Name, <url|label> → url, <#C1|general> → #general
+function flattenSlackText(text, usersById) {
+  return (text || "")
+    .replace(/<@([A-Z0-9]+)(?:\|[^>]+)?>/g, (_, id) => `@${slackUserName(usersById.get(id)) || id}`)
+    .replace(/<#[A-Z0-9]+\|([^>]+)>/g, "#$1")
+    .replace(/<(https?:\/\/[^|>]+)(?:\|[^>]+)?>/g, "$1")
+    .replace(/<!(here|channel|everyone)>/g, "@$1")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+/**
+ * @param {Object} files - unpacked export, { "path/in/zip.json": string | parsed JSON }
+ * @param {Object} options - { channel } to import one channel; default is all of them
+ */
+export function parseSlackExport(files, options = {}) {
+  const read = (path) => {
+    const value = files[path];
+    if (value == null) return null;
+    return typeof value === "string" ? JSON.parse(value) : value;
+  };
+  const usersById = new Map((read("users.json") || []).map((u) => [u.id, u]));
+
+  const messages = [];
+  const membershipEvents = [];
+  Object.keys(files)
+    .filter((path) => /^[^/]+\/\d{4}-\d{2}-\d{2}\.json$/.test(path))
+    .filter((path) => !options.channel || path.startsWith(`${options.channel}/`))
+    .forEach((path) => {
+      const channel = path.split("/")[0];
+      (read(path) || []).forEach((raw) => {
+        if (raw.type !== "message") return;
+        const sender = slackUserName(usersById.get(raw.user)) || raw.user_profile?.real_name || raw.user_profile?.display_name || raw.user;
+        if (!sender) return;
+        // Slack ts is UTC epoch seconds; there's no exporter wall-clock to recover
+        const wallClock = new Date(parseFloat(raw.ts) * 1000);
+        if (raw.subtype === "channel_join" || raw.subtype === "channel_leave") {
+          // "inviter" is set when someone was added rather than joining on their own
+          const inviter = raw.inviter && (slackUserName(usersById.get(raw.inviter)) || raw.inviter);
+          const type = raw.subtype === "channel_leave" ? "left" : inviter ? "added" : "joined";
+          membershipEvents.push({ type, actor: inviter || sender, target: sender, detail: { channel }, ...dateFields(wallClock) });
+          return;
+        }
+        if (SLACK_SKIPPED_SUBTYPES.has(raw.subtype)) return;
+        const isMedia = Array.isArray(raw.files) && raw.files.length > 0;
+        messages.push({
+          ...dateFields(wallClock),
+          sender,
+          text: flattenSlackText(raw.text, usersById) || (isMedia ? "<file omitted>" : ""),
+          isMedia,
+          source: "slack",
+          channel,
+          sourceId: raw.ts,
+          replyToId: raw.thread_ts && raw.thread_ts !== raw.ts ? raw.thread_ts : null,
+          ...(raw.reactions?.length ? { reactions: raw.reactions.map((r) => ({ emoji: r.name, count: r.count || 0, by: (r.users || []).map((id) => slackUserName(usersById.get(id)) || id) })) } : {}),
+        });
+      });
+    });
+
+  const byTimestamp = (a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+  messages.sort(byTimestamp);
+  membershipEvents.sort(byTimestamp);
+  return buildParsedChat(messages.filter((m) => m.text), "slack", { groupName: options.channel || null }, membershipEvents);
+}
+
+// ═══════════════════════════════════════════════════════════
+// DISPATCH
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Guess the platform of an export from its filename and content.
+ * Returns "whatsapp" | "telegram" | "signal" | "slack".
+ */
+export function detectChatSource(content, filename = "") {
+  if (content && typeof content === "object" && !Array.isArray(content)) {
+    if (Array.isArray(content.messages)) return "telegram";
+    if ("users.json" in content || "channels.json" in content) return "slack";
+  }
+  if (typeof content !== "string") return "whatsapp";
+  const trimmed = content.trimStart();
+  if (filename.toLowerCase().endsWith(".json") || trimmed.startsWith("{")) return "telegram";
+  if (/^\[\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2})?\]/m.test(trimmed.slice(0, 2000))) return "signal";
+  return "whatsapp";
+}
+
+/**
+ * Parse any supported export into { messages, members, stats }.
+ */
+export function parseChatExport(content, filename = "", options = {}) {
+  switch (options.source || detectChatSource(content, filename)) {
+    case "telegram": return parseTelegramExport(content);
+    case "signal": return parseSignalExport(content);
+    case "slack": return parseSlackExport(content, options);
+    default: return parseWhatsAppText(content);
+  }
+}
+
+export default {
+  parseChatExport,
+  detectChatSource,
+  parseTelegramExport,
+  parseSignalExport,
+  parseSlackExport,
+  buildParsedChat,
+  toTranscript,
+};
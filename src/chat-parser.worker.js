@@ -0,0 +1,46 @@
+/**
+ * Chat Parser Worker — parses large WhatsApp exports off the main thread
+ *
+ * Post { file } (a File/Blob) and it streams the file through
+ * createWhatsAppParser, extracting per-message signals as it goes.
+ * Replies with { type: "progress", percent, lines, messages } while parsing,
+ * then { type: "done", parsedChat, signals, chatText } or { type: "error", message }.
+ */
+
+import { createWhatsAppParser, createSignalCollector } from "./connex-engine.js";
+
+// The Brain prompt takes 100k characters of chat text; for a huge export the
+// most recent stretch is the part worth sending (and re-imports add to the end)
+const CHAT_TEXT_LIMIT = 100000;
+
+self.onmessage = async (event) => {
+  const { file } = event.data;
+  try {
+    const signals = createSignalCollector();
+    const parser = createWhatsAppParser({
+      onMessage: signals.add,
+      onProgress: ({ lines, messages, chars }) => {
+        // chars ≈ bytes for mostly-ASCII exports; good enough for a progress bar
+        const percent = Math.min(99, Math.round((chars / (file.size || 1)) * 100));
+        self.postMessage({ type: "progress", percent, lines, messages });
+      },
+      progressEvery: 10000,
+    });
+
+    let chatText = "";
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chatText = (chatText + value).slice(-CHAT_TEXT_LIMIT);
+      parser.push(value);
+    }
+
+    const parsedChat = parser.end();
+    // Start the tail on a whole line
+    if (file.size > CHAT_TEXT_LIMIT) chatText = chatText.slice(chatText.indexOf("\n") + 1);
+    self.postMessage({ type: "done", parsedChat, signals: signals.result(), chatText });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -3,79 +3,1281 @@
  * Browser-compatible, zero dependencies
  */
 
+import { LEXICONS, detectLanguage, createTermMatcher } from "./lexicons.js";
+import { getTaxonomy, categoryTerms, categorizeInterest } from "./taxonomy.js";
+import { halfLife, decayByAge } from "./decay.js";
+
+export { registerLexicon, detectLanguage } from "./lexicons.js";
+export { getTaxonomy, setTaxonomy } from "./taxonomy.js";
+
 // ═══════════════════════════════════════════════════════════
 // PARSER
 // ═══════════════════════════════════════════════════════════
 
-export function parseWhatsAppText(textContent) {
-  const MESSAGE_PATTERNS = [
-    /^\[(\d{1,2}\/\d{1,2}\/\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?\s*[AP]M)\]\s*([^:]+):\s*(.+)$/i,
-    /^(\d{1,2}\/\d{1,2}\/\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?\s*[AP]M)\s*-\s*([^:]+):\s*(.+)$/i,
-    /^(\d{1,2}\/\d{1,2}\/\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?)\s*-\s*([^:]+):\s*(.+)$/i,
-    /^(\d{4}-\d{2}-\d{2}),?\s+(\d{1,2}:\d{2}(?::\d{2})?)\s*-\s*([^:]+):\s*(.+)$/i,
-  ];
-  const SYSTEM_PATTERNS = [/created group/i, /added/i, /left/i, /removed/i, /changed the subject/i, /changed this group's icon/i, /messages and calls are end-to-end encrypted/i, /your security code/i, /disappeared/i];
-  const content = textContent.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  const lines = content.split("\n");
+// Message headers: "[date, time] rest" (iOS) or "date, time - rest" (Android).
+// Dates may use / . or - separators in any component order; times may be
+// 12h ("9:02 PM", "9:02 p. m.") or 24h ("21:02", "21.02").
+const DATE_RE = String.raw`(\d{1,4}[\/.\-]\d{1,2}[\/.\-]\d{1,4})\.?`;
+const TIME_RE = String.raw`(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?(?:\s*[ap]\.?\s?m\.?)?)`;
+const HEADER_PATTERNS = [
+  new RegExp(String.raw`^\[${DATE_RE},?\s+${TIME_RE}\]\s*(.*)$`, "i"),
+  new RegExp(String.raw`^${DATE_RE},?\s+${TIME_RE}\s+-\s+(.*)$`, "i"),
+];
+
+// Invisible characters WhatsApp sprinkles into exports: LRM/RLM marks and the
+// (narrow) no-break spaces iOS puts before AM/PM.
+const INVISIBLE_CHARS = /[\u200E\u200F\u202A-\u202E]/g;
+const ODD_SPACES = /[\u00A0\u202F\u2007]/g;
+
+function matchHeader(line) {
+  for (const pattern of HEADER_PATTERNS) {
+    const match = line.match(pattern);
+    if (match) return match;
+  }
+  return null;
+}
+
+function splitDate(date) {
+  return date.split(/[\/.\-]/).map((p) => parseInt(p, 10));
+}
+
+function countOrderViolations(dates, order) {
+  let violations = 0;
+  let prev = null;
+  dates.forEach((date) => {
+    const parts = resolveDateParts(date, order);
+    if (!parts) { violations += 10; return; }
+    const value = parts.year * 10000 + parts.month * 100 + parts.day;
+    if (prev !== null && value < prev) violations++;
+    prev = value;
+  });
+  return violations;
+}
+
+/**
+ * Sample message headers and infer how this export writes dates and times.
+ * Returns { dateOrder: "MDY"|"DMY"|"YMD", clock: "12h"|"24h" }.
+ */
+export function detectDateFormat(lines, sampleSize = 500) {
+  const dates = [];
+  let twelveHour = 0;
+  let twentyFourHour = 0;
+  for (const raw of lines) {
+    if (dates.length >= sampleSize) break;
+    const line = raw.replace(INVISIBLE_CHARS, "").replace(ODD_SPACES, " ");
+    const match = matchHeader(line);
+    if (!match) continue;
+    dates.push(match[1]);
+    if (/[ap]\.?\s?m\.?$/i.test(match[2])) twelveHour++;
+    else twentyFourHour++;
+  }
+  const clock = twelveHour >= twentyFourHour && twelveHour > 0 ? "12h" : "24h";
+  if (dates.length === 0) return { dateOrder: "MDY", clock };
+
+  const split = dates.map(splitDate);
+  if (split.some(([a]) => a > 999)) return { dateOrder: "YMD", clock };
+  // A component above 12 can only be the day
+  const firstIsDay = split.some(([a]) => a > 12);
+  const secondIsDay = split.some(([, b]) => b > 12);
+  if (firstIsDay && !secondIsDay) return { dateOrder: "DMY", clock };
+  if (secondIsDay && !firstIsDay) return { dateOrder: "MDY", clock };
+
+  // Still ambiguous (every day so far ≤ 12): prefer the order under which the
+  // chat reads chronologically, then fall back to locale conventions.
+  const mdy = countOrderViolations(dates, "MDY");
+  const dmy = countOrderViolations(dates, "DMY");
+  if (mdy !== dmy) return { dateOrder: mdy < dmy ? "MDY" : "DMY", clock };
+  const dotted = dates.some((d) => d.includes("."));
+  return { dateOrder: dotted || clock === "24h" ? "DMY" : "MDY", clock };
+}
+
+function resolveDateParts(date, order) {
+  const parts = splitDate(date);
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+  let year, month, day;
+  if (order === "YMD" || parts[0] > 999) [year, month, day] = parts;
+  else if (order === "DMY") [day, month, year] = parts;
+  else [month, day, year] = parts;
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1) return null;
+  // Date.UTC would roll 31/02 over into March — that date just doesn't exist
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+  return { year, month, day };
+}
+
+/**
+ * Turn a raw export date + time into an ISO timestamp.
+ * Exports carry no timezone, so the wall-clock time is encoded as UTC —
+ * read hours back with getUTCHours() to get the sender's local hour.
+ */
+export function toTimestamp(date, time, format = { dateOrder: "MDY" }) {
+  if (!date || !time) return null;
+  const parts = resolveDateParts(date.trim(), format.dateOrder);
+  if (!parts) return null;
+  const timeMatch = time.replace(ODD_SPACES, " ").match(/(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap])?\.?\s?(m)?/i);
+  if (!timeMatch) return null;
+  let hour = parseInt(timeMatch[1], 10);
+  const minute = parseInt(timeMatch[2], 10);
+  const second = parseInt(timeMatch[3] || "0", 10);
+  const meridiem = timeMatch[4] && timeMatch[5] ? timeMatch[4].toLowerCase() : null;
+  if (meridiem === "p" && hour !== 12) hour += 12;
+  if (meridiem === "a" && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, hour, minute, second)).toISOString();
+}
+
+// ═══════════════════════════════════════════════════════════
+// MEMBERSHIP EVENTS (who added whom, who left, admins)
+// ═══════════════════════════════════════════════════════════
+
+// Actors never contain ":" — that's what keeps "Ana: I left early" a message.
+// Android writes these without a sender; iOS writes them as "<group>: ‎<event>".
+const NAME = String.raw`([^:]+?)`;
+const MEMBERSHIP_PATTERNS = [
+  { type: "created", re: new RegExp(String.raw`^${NAME} created (?:group|this group)(?: ["“](.*)["”])?$`, "i") },
+  { type: "added", re: new RegExp(String.raw`^${NAME} added (.+)$`, "i") },
+  { type: "removed", re: new RegExp(String.raw`^${NAME} removed (.+)$`, "i") },
+  { type: "left", re: new RegExp(String.raw`^${NAME} left$`, "i") },
+  { type: "joined", re: new RegExp(String.raw`^${NAME} joined(?: using (?:this|the) group['’]s invite link| from the community| via (?:an )?invite link)?$`, "i") },
+  { type: "subject", re: new RegExp(String.raw`^${NAME} changed the (?:subject|group name)(?: from ["“](.*?)["”])? to ["“](.*)["”]$`, "i") },
+  { type: "description", re: new RegExp(String.raw`^${NAME} changed the group description$`, "i") },
+  { type: "admin", re: new RegExp(String.raw`^${NAME}(?:['’]re| (?:is|are)) now an admin$`, "i") },
+];
+
+// Other notices that carry nothing about members
+const SYSTEM_PATTERNS = [/changed this group's icon/i, /messages and calls are end-to-end encrypted/i, /your security code/i, /disappeared/i];
+
+// "Bob, Carol and Dave" → ["Bob", "Carol", "Dave"]
+function splitNames(list) {
+  return list.split(/,\s*|\s+(?:and|&)\s+/).map((n) => n.trim()).filter(Boolean);
+}
+
+/**
+ * Recognize a group membership notice. Returns one event per affected member
+ * ({ type, actor, target, detail }), or null if the text isn't one.
+ */
+export function matchMembershipEvent(text) {
+  for (const { type, re } of MEMBERSHIP_PATTERNS) {
+    const match = text.trim().match(re);
+    if (!match) continue;
+    const actor = match[1].trim();
+    switch (type) {
+      case "added":
+      case "removed":
+        return splitNames(match[2]).map((target) => ({ type, actor, target, detail: null }));
+      case "created":
+        return [{ type, actor, target: null, detail: match[2] || null }];
+      case "subject":
+        return [{ type, actor, target: null, detail: { from: match[2] ?? null, to: match[3] } }];
+      case "description":
+        return [{ type, actor, target: null, detail: null }];
+      default:
+        // left / joined / admin — the actor is the member it happened to
+        return [{ type, actor, target: actor, detail: null }];
+    }
+  }
+  return null;
+}
+
+/**
+ * Roll membership events up into who invited whom, admins and churn.
+ * Admins are inferred: the creator, anyone announced as admin, and anyone
+ * who removed a member (only admins can).
+ */
+export function summarizeMembership(events = []) {
+  const invitedBy = {};
+  const invited = {};
+  const admins = new Map();
+  const departures = [];
+  const present = new Map();
+  const joinedViaLink = [];
+  const subjects = [];
+  let createdBy = null;
+
+  const addAdmin = (name, evidence) => {
+    if (!admins.has(name)) admins.set(name, []);
+    admins.get(name).push(evidence);
+  };
+
+  events.forEach((e) => {
+    switch (e.type) {
+      case "created":
+        createdBy = e.actor;
+        addAdmin(e.actor, "created the group");
+        break;
+      case "added":
+        invitedBy[e.target] = e.actor;
+        (invited[e.actor] = invited[e.actor] || []).push(e.target);
+        present.set(e.target, true);
+        break;
+      case "joined":
+        joinedViaLink.push(e.target);
+        present.set(e.target, true);
+        break;
+      case "removed":
+        addAdmin(e.actor, `removed ${e.target}`);
+        departures.push({ name: e.target, type: "removed", by: e.actor, timestamp: e.timestamp });
+        present.set(e.target, false);
+        break;
+      case "left":
+        departures.push({ name: e.target, type: "left", by: null, timestamp: e.timestamp });
+        present.set(e.target, false);
+        break;
+      case "admin":
+        addAdmin(e.target, "made admin");
+        break;
+      case "subject":
+        subjects.push({ by: e.actor, ...e.detail, timestamp: e.timestamp });
+        break;
+    }
+  });
+
+  return {
+    createdBy,
+    admins: Array.from(admins, ([name, evidence]) => ({ name, evidence })),
+    invitedBy,
+    invited,
+    joinedViaLink,
+    departures,
+    churned: Array.from(present).filter(([, here]) => !here).map(([name]) => name),
+    subjects,
+  };
+}
+
+// Per-member view of the summary, merged into profiles by enrichProfiles
+export function membershipFields(name, membership) {
+  return {
+    invited: membership.invited[name] || [],
+    invited_by: membership.invitedBy[name] || null,
+    is_admin: membership.admins.some((a) => a.name === name),
+    left_group: membership.churned.includes(name),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// RICH MESSAGES (polls, location pins, event invites)
+// ═══════════════════════════════════════════════════════════
+
+// Native WhatsApp poll: "POLL:" / question / "OPTION: Saturday (3 votes)"
+const POLL_HEADER_RE = /^POLL:\s*(.*)$/i;
+const POLL_OPTION_RE = /^OPTION:\s*(.+?)\s*\((\d+)\s+votes?\)\s*$/i;
+// Text polls (what the Activity Coordinator posts): a question, then "• option" or "1) option" lines
+const TEXT_OPTION_RE = /^\s*(?:•|\d[.)])\s+(.+)$/;
+const EVENT_HEADER_RE = /^EVENT:\s*(.*)$/i;
+const EVENT_FIELD_RE = /^(?:(start|starts|when|date|end|ends|location|where|description)\s*:|(📅|🗓️?|🕒|📍))\s*(.+)$/iu;
+const MAPS_URL_RE = /https?:\/\/(?:www\.)?(?:maps\.google\.[a-z.]+|google\.[a-z.]+\/maps|goo\.gl\/maps|maps\.app\.goo\.gl|maps\.apple\.com)\S*/i;
+const COORDS_RE = /(?:[?&](?:q|ll|sll|query|center)=|@)(-?\d{1,2}\.\d+)\s*(?:,|%2C)\s*(-?\d{1,3}\.\d+)/i;
+const LIVE_LOCATION_RE = /^(?:location:\s*)?live location(?: shared| ended)?\.?$/im;
+
+// Canonical city keys (as in extractLocation) → centre, for naming dropped pins
+const CITY_COORDS = {
+  bangkok: [13.7563, 100.5018], singapore: [1.3521, 103.8198], "hong kong": [22.3193, 114.1694],
+  "los angeles": [34.0522, -118.2437], "san francisco": [37.7749, -122.4194], "new york": [40.7128, -74.006],
+  london: [51.5074, -0.1278], tokyo: [35.6762, 139.6503], dubai: [25.2048, 55.2708], paris: [48.8566, 2.3522],
+  berlin: [52.52, 13.405], sydney: [-33.8688, 151.2093], melbourne: [-37.8136, 144.9631], toronto: [43.6532, -79.3832],
+  seattle: [47.6062, -122.3321], austin: [30.2672, -97.7431], miami: [25.7617, -80.1918], chicago: [41.8781, -87.6298],
+  denver: [39.7392, -104.9903], portland: [45.5152, -122.6784], boston: [42.3601, -71.0589], atlanta: [33.749, -84.388],
+  dallas: [32.7767, -96.797], houston: [29.7604, -95.3698], washington: [38.9072, -77.0369],
+};
+const CITY_RADIUS_KM = 60;
+
+function distanceKm([lat1, lng1], [lat2, lng2]) {
+  const rad = Math.PI / 180;
+  const a = Math.sin(((lat2 - lat1) * rad) / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(((lng2 - lng1) * rad) / 2) ** 2;
+  return 12742 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Build a location pin, resolving the nearest known city (within
+ * CITY_RADIUS_KM) or a city named in the place name.
+ */
+export function locationPin({ lat = null, lng = null, name = null, url = null, live = false }) {
+  let city = null;
+  if (lat !== null && lng !== null) {
+    let best = CITY_RADIUS_KM;
+    Object.entries(CITY_COORDS).forEach(([key, centre]) => {
+      const d = distanceKm([lat, lng], centre);
+      if (d < best) { best = d; city = key; }
+    });
+  }
+  if (!city && name) {
+    const matches = createTermMatcher(name, "en");
+    city = Object.entries(LEXICONS.en.locations).find(([term]) => matches(term))?.[1] || null;
+  }
+  return { lat, lng, name, url, live, city };
+}
+
+function parseLocationPin(text) {
+  const trimmed = text.trim();
+  const live = LIVE_LOCATION_RE.test(trimmed);
+  const url = trimmed.match(MAPS_URL_RE)?.[0];
+  if (!url) return live ? locationPin({ live }) : null;
+  const coords = url.match(COORDS_RE);
+  let name = null;
+  const place = url.match(/\/place\/([^/@?]+)/);
+  const query = url.match(/[?&]q=([^&]+)/);
+  if (place) name = place[1];
+  else if (query && !COORDS_RE.test(`?q=${query[1]}`)) name = query[1];
+  if (name) name = decodeURIComponent(name.replace(/\+/g, " "));
+  // iOS puts the place name (and address) on the lines above the link
+  if (!name) name = trimmed.replace(url, "").replace(LIVE_LOCATION_RE, "").replace(/^location:\s*/im, "").split("\n").map((l) => l.trim()).find(Boolean) || null;
+  return locationPin({ lat: coords ? parseFloat(coords[1]) : null, lng: coords ? parseFloat(coords[2]) : null, name, url, live });
+}
+
+function parsePoll(lines) {
+  const header = lines[0].match(POLL_HEADER_RE);
+  if (header) {
+    const options = [];
+    const question = [header[1]];
+    lines.slice(1).forEach((line) => {
+      const option = line.match(POLL_OPTION_RE);
+      if (option) options.push({ text: option[1].trim(), votes: parseInt(option[2], 10) });
+      else if (options.length === 0) question.push(line);
+    });
+    return { question: question.join(" ").trim(), options, native: true };
+  }
+  const first = lines.findIndex((line) => TEXT_OPTION_RE.test(line));
+  if (first < 1) return null;
+  const options = [];
+  for (let i = first; i < lines.length && TEXT_OPTION_RE.test(lines[i]); i++) {
+    options.push({ text: lines[i].match(TEXT_OPTION_RE)[1].trim(), votes: null });
+  }
+  const question = lines.slice(0, first).reverse().find((line) => line.trim().endsWith("?"));
+  if (options.length < 2 || !question) return null;
+  return { question: question.trim(), options, native: false };
+}
+
+function parseEvent(lines) {
+  const header = lines[0].match(EVENT_HEADER_RE);
+  if (!header) return null;
+  const event = { title: header[1].trim() || null, when: null, start: null, end: null, location: null, description: [] };
+  lines.slice(1).forEach((line) => {
+    const field = line.trim().match(EVENT_FIELD_RE);
+    if (!field) {
+      if (!event.title) event.title = line.trim();
+      else if (line.trim()) event.description.push(line.trim());
+      return;
+    }
+    const key = (field[1] || field[2]).toLowerCase();
+    const value = field[3].trim();
+    if (["start", "starts", "when", "date", "📅", "🗓", "🗓️", "🕒"].includes(key)) event.when = value;
+    else if (key === "end" || key === "ends") event.end = value;
+    else if (["location", "where", "📍"].includes(key)) event.location = value;
+    else event.description.push(value);
+  });
+  // Wall-clock as UTC, like message timestamps
+  const start = event.when ? Date.parse(`${event.when.replace(/\s+at\s+/i, " ")} UTC`) : NaN;
+  event.start = isNaN(start) ? null : new Date(start).toISOString();
+  event.description = event.description.join("\n") || null;
+  return event;
+}
+
+/**
+ * Recognize a poll, location pin or event invite in a message's text.
+ * Returns { type: "poll", poll } | { type: "location", location } |
+ * { type: "event", event }, or null for an ordinary message.
+ */
+export function parseRichMessage(text) {
+  if (!text) return null;
+  const lines = text.split("\n").filter((line) => line.trim());
+  if (lines.length === 0) return null;
+  const event = parseEvent(lines);
+  if (event) return { type: "event", event };
+  const poll = parsePoll(lines);
+  if (poll) return { type: "poll", poll };
+  const location = parseLocationPin(text);
+  if (location) return { type: "location", location };
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// POLL RESULTS
+// ═══════════════════════════════════════════════════════════
+
+const POLL_WINDOW_MS = 48 * 60 * 60 * 1000;
+const POLL_FILLER_WORDS = new Set(["the", "a", "an", "or", "and", "reply", "below", "works", "work", "me", "for", "i", "im", "i'm"]);
+
+const pollTokens = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").split(/\s+/).filter((t) => t && !POLL_FILLER_WORDS.has(t));
+
+// Which option a short reply picks: "2", "option 2", "next sat", "Sunday AM".
+// Ties ("saturday" when two options say Saturday) count as no vote.
+function matchPollOption(reply, options) {
+  const text = reply.trim();
+  if (text.length > 140) return null;
+  const numbered = text.match(/^(?:option\s*)?#?(\d)(?:\W|$)/i);
+  if (numbered && text.length <= 40) return options[parseInt(numbered[1], 10) - 1] || null;
+  const words = pollTokens(text);
+  const scored = options.map((option) => {
+    const tokens = pollTokens(option.text);
+    const hits = tokens.filter((t) => words.some((w) => w === t || (w.length >= 3 && t.startsWith(w)))).length;
+    return { option, score: tokens.length ? hits / tokens.length : 0, hits };
+  }).sort((a, b) => b.score - a.score);
+  if (!scored[0] || scored[0].hits === 0) return null;
+  if (scored[1] && scored[1].score === scored[0].score) return null;
+  return scored[0].option;
+}
+
+/**
+ * Poll results with who voted for what. Native polls keep the export's vote
+ * counts; votes per member come from replies in the following POLL_WINDOW_MS
+ * (until the next poll), latest reply wins.
+ *
+ * @returns {Array} [{ index, sender, date, question, native, options: [{ text, votes, voters }], votes: { member: option } }]
+ */
+export function tallyPolls(parsedChat) {
+  const { messages } = parsedChat;
+  const polls = [];
+  messages.forEach((msg, index) => {
+    if (msg.type !== "poll") return;
+    const options = msg.poll.options.map((o) => ({ text: o.text, votes: o.votes, voters: [] }));
+    const votes = {};
+    const opened = msg.timestamp ? Date.parse(msg.timestamp) : null;
+    for (let j = index + 1; j < messages.length; j++) {
+      const reply = messages[j];
+      if (reply.type === "poll") break;
+      if (opened !== null && reply.timestamp && Date.parse(reply.timestamp) - opened > POLL_WINDOW_MS) break;
+      if (reply.sender === msg.sender || reply.isMedia || reply.type) continue;
+      const choice = matchPollOption(reply.text, options);
+      if (choice) votes[reply.sender] = choice.text;
+    }
+    Object.entries(votes).forEach(([member, text]) => options.find((o) => o.text === text).voters.push(member));
+    options.forEach((o) => { o.votes = Math.max(o.votes || 0, o.voters.length); });
+    polls.push({ index, sender: msg.sender, date: msg.date, question: msg.poll.question, native: msg.poll.native, options, votes });
+  });
+  return polls;
+}
+
+/**
+ * Poll votes as per-member preference signals, tagged with the taxonomy
+ * category the chosen option falls in (null for "This Saturday").
+ * @returns {Object} { member: [{ question, choice, category, date }] }
+ */
+export function extractPollPreferences(parsedChat, polls = tallyPolls(parsedChat)) {
+  const preferences = {};
+  polls.forEach((poll) => {
+    Object.entries(poll.votes).forEach(([member, choice]) => {
+      (preferences[member] = preferences[member] || []).push({ question: poll.question, choice, category: categorizeInterest(choice), date: poll.date });
+    });
+  });
+  return preferences;
+}
+
+const pollKey = (poll) => [poll.question, ...poll.options.map((o) => o.text)].join("|").toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Find a poll we posted (e.g. an Activity Coordinator message) in a chat
+ * export and return its tally — the most recent copy if it was posted twice.
+ */
+export function findPollResults(parsedChat, pollText, polls = tallyPolls(parsedChat)) {
+  const posted = parseRichMessage(pollText);
+  if (posted?.type !== "poll") return null;
+  const key = pollKey(posted.poll);
+  return polls.filter((p) => pollKey(p) === key).pop() || null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// EVENTS & RSVPS ("dinner at Soho House Thursday 7pm, who's in?")
+// ═══════════════════════════════════════════════════════════
+
+const EVENT_WORD_RE = /\b(?:meetup|meet up|hangout|hang out|party|drinks|dinner|lunch|brunch|breakfast|coffee|bbq|barbecue|picnic|game night|watch party|happy hour|hike|get-?together|catch ?up)\b/i;
+const INVITE_RE = /\bwho(?:'s| is) (?:in|down|coming|keen|up for|free)|\banyone (?:in|down|keen|want|wanna|up for|free|around|joining)\b|\bwho wants\b|\bwanna (?:join|come|grab|get|do|hit)\b|\bwant to (?:join|come)\b|\bjoin (?:us|me)\b|\blet'?s (?:do|grab|get|go|hit|meet|have)\b|\b(?:come|swing) (?:by|through|join)\b|\bi'?m hosting\b|\bwe'?re (?:doing|having|hosting)\b|\brsvp\b|\bsave the date\b|\byou in\?/i;
+const PAST_EVENT_RE = /\b(?:yesterday|last (?:night|week|weekend|sunday|monday|tuesday|wednesday|thursday|friday|saturday)|went to|was (?:great|amazing|fun|epic))\b/i;
+const RELATIVE_DAY_RE = /\b(today|tonight|tomorrow|tmrw|tmr|(?:this|next) weekend)\b/i;
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const WEEKDAY_RE = /\b(?:(this|next|coming)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|tues|weds|thurs)\b/i;
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH_DAY_RE = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b|\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+const NUMERIC_DATE_RE = /(?:^|\s)(\d{1,2})\/(\d{1,2})(?![/\d])/;
+const CLOCK_RE = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)|\b([01]?\d|2[0-3]):([0-5]\d)\b|\b(noon)\b/i;
+// Words that end a venue name: "at Soho House Thursday 7pm"
+const NOT_VENUE_RE = /^(?:today|tonight|tomorrow|tmrw|this|next|on|around|from|for|and|with|who|anyone|\d.*|sunday|monday|tuesday|wednesday|thursday|friday|saturday|jan.*|feb.*|mar.*|apr.*|may|jun.*|jul.*|aug.*|sep.*|oct.*|nov.*|dec.*|noon)$/i;
+const VENUE_RE = /(?:\bat|@)\s+((?:the\s+)?[A-Z0-9][\w'’&.-]*(?:\s+(?:[A-Z0-9][\w'’&.-]*|of|de|la|the))*)/;
+
+const RSVP_NO_RE = /\bcan['’]?t (?:make it|come|join|do)|\bcannot (?:make it|come)|\bi['’]?m out\b|\bcount me out\b|\bnot (?:this time|me|able)|\bwon['’]?t make it|\bnext time\b|\bpass\b|\bbusy\b|\bunfortunately\b|👎/i;
+const RSVP_MAYBE_RE = /\bmaybe\b|\bmight\b|\btentative(?:ly)?\b|\bprobably\b|\bwill try\b|\bnot sure\b|\bif i can\b|🤔/i;
+// The whole message is the answer: "in!", "count me in 🙌", "yes", "sure"
+const RSVP_YES_RE = /^(?:(?:(?:i['’]?m |count me )?in|i['’]?m (?:down|keen|there)|down|yes+|yep|yeah|sure|me(?: too)?|same|\+1|let['’]?s go|sounds (?:good|great|fun)|i['’]?ll (?:be there|come|join)|see you there)[\s!.]*(?:[👍🙋✋🙌][\s!]*)*|(?:[👍🙋✋🙌][\s!]*)+)$/iu;
+// Unambiguous wherever they appear — but "I'm in Bangkok" is not "I'm in"
+const RSVP_PHRASE_RE = /\bcount me in\b|\bi['’]?ll (?:be there|come|join)\b|\bsee you there\b|\bi['’]?m (?:in|down|keen)(?=\s*(?:[!.,]|for (?:it|that|this)\b|$))/i;
+const RSVP_MAX_LENGTH = 100;            // longer messages are conversation, not RSVPs
+const RSVP_WINDOW_MS = 72 * 60 * 60 * 1000;
+const EVENT_DURATION_MS = 6 * 60 * 60 * 1000;
+const DAY_MS_UTC = 24 * 60 * 60 * 1000;
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Resolve "Thursday 7pm", "tomorrow", "this weekend", "Mar 14" or "3/14"
+ * against when the message was sent. Wall-clock as UTC, like timestamps.
+ * @returns {Object|null} { text, start, precision: "datetime" | "day" }
+ */
+export function resolveEventTime(text, sentAt, dateOrder = "MDY") {
+  const sent = new Date(sentAt);
+  if (isNaN(sent)) return null;
+  const today = Date.UTC(sent.getUTCFullYear(), sent.getUTCMonth(), sent.getUTCDate());
+  const dow = sent.getUTCDay();
+  const said = [];
+  let day = null;
+
+  const relative = text.match(RELATIVE_DAY_RE);
+  const weekday = text.match(WEEKDAY_RE);
+  const monthDay = text.match(MONTH_DAY_RE);
+  const numeric = text.match(NUMERIC_DATE_RE);
+  if (relative) {
+    const word = relative[1].toLowerCase();
+    said.push(relative[1]);
+    if (word === "today" || word === "tonight") day = today;
+    else if (word.endsWith("weekend")) {
+      const next = word.startsWith("next");
+      // Saturday of this (or next) weekend; on a Sunday "this weekend" is today
+      const toSaturday = dow === 0 ? (next ? 6 : 0) : 6 - dow + (next ? 7 : 0);
+      day = today + toSaturday * DAY_MS_UTC;
+    } else day = today + DAY_MS_UTC;
+  } else if (weekday) {
+    said.push(weekday[0]);
+    const name = weekday[2].toLowerCase();
+    const target = WEEKDAY_NAMES.findIndex((d) => d.startsWith(name.slice(0, 3)));
+    // "next Friday" is the coming Friday, a week out only when said on a Friday
+    const diff = (target - dow + 7) % 7 || (weekday[1] ? 7 : 0);
+    day = today + diff * DAY_MS_UTC;
+  } else if (monthDay) {
+    said.push(monthDay[0]);
+    const month = MONTH_NAMES.indexOf((monthDay[1] || monthDay[4]).toLowerCase().slice(0, 3));
+    day = Date.UTC(sent.getUTCFullYear(), month, parseInt(monthDay[2] || monthDay[3], 10));
+  } else if (numeric) {
+    const [a, b] = [parseInt(numeric[1], 10), parseInt(numeric[2], 10)];
+    const [month, date] = dateOrder === "DMY" ? [b, a] : [a, b];
+    if (month >= 1 && month <= 12 && date >= 1 && date <= 31) {
+      said.push(numeric[0].trim());
+      day = Date.UTC(sent.getUTCFullYear(), month - 1, date);
+    }
+  }
+  // Dates already behind us ("Jan 5" said in December) mean next year
+  if (day !== null && (monthDay || numeric) && !relative && !weekday && day < today - DAY_MS_UTC) {
+    const next = new Date(day);
+    day = Date.UTC(next.getUTCFullYear() + 1, next.getUTCMonth(), next.getUTCDate());
+  }
+
+  const clock = text.match(CLOCK_RE);
+  let minutes = null;
+  if (clock) {
+    said.push(clock[0].trim());
+    if (clock[6]) minutes = 12 * 60;
+    else if (clock[4]) minutes = parseInt(clock[4], 10) * 60 + parseInt(clock[5], 10);
+    else {
+      let hour = parseInt(clock[1], 10) % 12;
+      if (clock[3].toLowerCase().startsWith("p")) hour += 12;
+      minutes = hour * 60 + parseInt(clock[2] || "0", 10);
+    }
+    if (minutes >= 24 * 60) minutes = null;
+  }
+  if (day === null && minutes === null) return null;
+  // A bare time is today, or tomorrow if that time has passed
+  if (day === null) day = today + (minutes * 60000 < sent - today ? DAY_MS_UTC : 0);
+  return {
+    text: said.join(" "),
+    start: new Date(day + (minutes ?? 0) * 60000).toISOString(),
+    precision: minutes !== null ? "datetime" : "day",
+  };
+}
+
+// What the event is: a taxonomy keyword (→ category) or a generic meetup word
+function eventActivity(text) {
+  const lower = ` ${text.toLowerCase().replace(/[^\p{L}\p{N}\s]+/gu, " ")} `;
+  for (const id of Object.keys(getTaxonomy().categories)) {
+    const hit = categoryTerms(id).find(([term]) => lower.includes(` ${term} `));
+    if (hit) return { what: hit[0], category: id };
+  }
+  const generic = text.match(EVENT_WORD_RE);
+  return generic ? { what: generic[0].toLowerCase(), category: categorizeInterest(generic[0]) } : null;
+}
+
+function eventVenue(text) {
+  const match = text.match(VENUE_RE);
+  if (!match) return null;
+  const words = [];
+  for (const word of match[1].split(/\s+/)) {
+    if (NOT_VENUE_RE.test(word)) break;
+    words.push(word);
+  }
+  while (words.length && /^(?:of|de|la|the)$/i.test(words[words.length - 1])) words.pop();
+  return words.join(" ").replace(/[.,!?]+$/, "") || null;
+}
+
+function proposedEvent(msg, index, dateOrder) {
+  const sentAt = parseMessageDateTime(msg);
+  if (msg.type === "event") {
+    const { event } = msg;
+    const when = event.start ? { text: event.when, start: event.start, precision: "datetime" } : (sentAt && event.when ? resolveEventTime(event.when, sentAt, dateOrder) : null);
+    const activity = eventActivity(`${event.title || ""} ${event.description || ""}`);
+    return { index, msg, sentAt, source: "invite", title: event.title || "Event", what: activity?.what || null, category: activity?.category || null, where: event.location, when };
+  }
+  if (msg.isMedia || msg.type || !sentAt || msg.text.length > 400) return null;
+  if (!INVITE_RE.test(msg.text) || PAST_EVENT_RE.test(msg.text)) return null;
+  const activity = eventActivity(msg.text);
+  const when = resolveEventTime(msg.text, sentAt, dateOrder);
+  if (!activity || !when) return null;
+  const cue = msg.text.match(INVITE_RE);
+  if (classifyAssertion(msg.text, cue.index, cue[0].length, msg).assertion === "negated") return null;
+  const where = eventVenue(msg.text);
+  // Keep the sender's casing for the title ("UFC", "Dim Sum")
+  const said = msg.text.slice(msg.text.toLowerCase().indexOf(activity.what)).slice(0, activity.what.length);
+  return { index, msg, sentAt, source: "chat", title: `${capitalize(said || activity.what)}${where ? ` at ${where}` : ""}`, what: activity.what, category: activity.category, where, when };
+}
+
+function rsvpStatus(text) {
+  if (RSVP_NO_RE.test(text)) return "declined";
+  if (RSVP_MAYBE_RE.test(text)) return "maybe";
+  if (RSVP_YES_RE.test(text.trim()) || RSVP_PHRASE_RE.test(text)) return "going";
+  return null;
+}
+
+/**
+ * Meetups proposed in the chat — free text with an activity, a time and an
+ * invitation ("who's in?"), or native event invites — with RSVPs from the
+ * replies that follow: "in!", "count me in", "can't make it", "maybe".
+ * An answer counts when it replies to (quotes, @mentions) the organizer, or
+ * when it's addressed to nobody and comes right after the invite or another
+ * answer to it — so "sure" to someone else's question isn't a yes. A
+ * member's last answer wins. The organizer counts as going.
+ *
+ * @returns {Array} [{ id, index, organizer, title, what, category, where, city, when, date, timestamp, source, attendees, maybe, declined, rsvps }]
+ */
+export function extractEvents(parsedChat) {
+  const { messages } = parsedChat;
+  const dateOrder = parsedChat.stats?.format?.dateOrder || "MDY";
+  const replyTo = new Map();
+  detectReplies(parsedChat).forEach((r) => {
+    if (r.kind !== "sequential") replyTo.set(r.index, [...(replyTo.get(r.index) || []), r.to]);
+  });
+
+  const events = [];
+  let open = [];
+  messages.forEach((msg, index) => {
+    const proposed = proposedEvent(msg, index, dateOrder);
+    if (proposed) {
+      events.push({ ...proposed, rsvps: new Map(), lastIndex: index });
+      open.push(events[events.length - 1]);
+      return;
+    }
+    if (open.length === 0 || msg.isMedia || msg.type) return;
+    const sentAt = parseMessageDateTime(msg);
+    // RSVPs close RSVP_WINDOW_MS after the invite, or once the event is over
+    open = open.filter((e) => !sentAt || (sentAt - e.sentAt <= RSVP_WINDOW_MS && !(e.when?.start && sentAt - Date.parse(e.when.start) > (e.when.precision === "day" ? DAY_MS_UTC : EVENT_DURATION_MS))));
+    const addressed = replyTo.get(index) || [];
+    const candidates = open.filter((e) => e.msg.sender !== msg.sender);
+    const toOrganizer = candidates.filter((e) => addressed.includes(e.msg.sender)).pop();
+    // Addressed to nobody: only while the answers to the invite keep coming
+    const inRun = addressed.length === 0 ? candidates.find((e) => e.lastIndex === index - 1) : null;
+    const event = toOrganizer || inRun;
+    if (!event || (msg.text.length > RSVP_MAX_LENGTH && !toOrganizer)) return;
+    const status = rsvpStatus(msg.text);
+    if (!status) return;
+    event.rsvps.set(msg.sender, { member: msg.sender, status, date: msg.date, text: msg.text });
+    event.lastIndex = index;
+  });
+
+  return events.map(({ index, msg, source, title, what, category, where, when, rsvps }) => {
+    const answers = [...rsvps.values()];
+    return {
+      id: `e${index}`,
+      index,
+      organizer: msg.sender,
+      title,
+      what,
+      category,
+      where: where || null,
+      city: locationPin({ name: `${where || ""} ${msg.text}` }).city,
+      when,
+      date: msg.date,
+      timestamp: msg.timestamp || null,
+      source,
+      attendees: [msg.sender, ...answers.filter((a) => a.status === "going").map((a) => a.member)],
+      maybe: answers.filter((a) => a.status === "maybe").map((a) => a.member),
+      declined: answers.filter((a) => a.status === "declined").map((a) => a.member),
+      rsvps: answers,
+    };
+  });
+}
+
+/**
+ * What past meetups say about a category in a city: how many there were,
+ * how many people went on average, and who keeps showing up.
+ * @returns {Object|null} { past, avgAttendance, lastDate, regulars }
+ */
+export function meetupHistory(events, { category, city = null } = {}) {
+  const past = events.filter((e) => e.category === category && e.attendees.length > 1 && (!city || !e.city || normLoc(e.city) === normLoc(city)));
+  if (past.length === 0) return null;
+  const attended = {};
+  past.forEach((e) => e.attendees.forEach((name) => { attended[name] = (attended[name] || 0) + 1; }));
+  return {
+    past: past.length,
+    avgAttendance: Math.round((past.reduce((sum, e) => sum + e.attendees.length, 0) / past.length) * 10) / 10,
+    lastDate: past[past.length - 1].date,
+    regulars: Object.entries(attended).filter(([, n]) => n >= 2 || past.length === 1).sort((a, b) => b[1] - a[1]).map(([name]) => name),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// STREAMING PARSER (large exports, Web Workers, Node file streams)
+// ═══════════════════════════════════════════════════════════
+
+const DATE_SAMPLE_SIZE = 500;
+
+/**
+ * Incremental WhatsApp parser. Feed text in chunks of any size with push(),
+ * then call end() for the same { messages, members, membershipEvents, stats }
+ * parseWhatsAppText returns. Lines are held back only until the first
+ * DATE_SAMPLE_SIZE headers have fixed the date format; after that each
+ * message goes to onMessage as soon as the next header closes it.
+ *
+ * @param {Object} options - { onMessage(msg), onProgress({ lines, messages, chars }), progressEvery }
+ */
+export function createWhatsAppParser(options = {}) {
+  const { onMessage = null, onProgress = null, progressEvery = 5000 } = options;
   const messages = [];
+  const membershipEvents = [];
   const members = new Map();
+  let format = null;
+  let pending = [];
+  let pendingHeaders = 0;
+  let partial = "";
   let currentMessage = null;
-  for (const line of lines) {
-    let matched = false;
-    for (const pattern of MESSAGE_PATTERNS) {
-      const match = line.match(pattern);
-      if (match) {
-        if (currentMessage) messages.push(currentMessage);
-        const [_, date, time, sender, text] = match;
-        const isSystem = SYSTEM_PATTERNS.some((p) => p.test(text));
-        if (!isSystem) {
-          const trimmedSender = sender.trim();
-          if (!members.has(trimmedSender)) {
-            members.set(trimmedSender, { name: trimmedSender, messageCount: 0, firstSeen: date, lastSeen: date, messages: [] });
-          }
-          const member = members.get(trimmedSender);
-          member.messageCount++;
-          member.lastSeen = date;
-          currentMessage = { date, time, sender: trimmedSender, text, isMedia: text.includes("<Media omitted>") || text.includes("omitted") };
-          member.messages.push(currentMessage);
-        } else { currentMessage = null; }
-        matched = true;
-        break;
-      }
+  let lineCount = 0;
+  let chars = 0;
+
+  const closeMessage = () => {
+    if (!currentMessage) return;
+    // Only known once every continuation line is in
+    const rich = currentMessage.isMedia ? null : parseRichMessage(currentMessage.text);
+    if (rich) Object.assign(currentMessage, rich);
+    messages.push(currentMessage);
+    if (onMessage) onMessage(currentMessage);
+    currentMessage = null;
+  };
+
+  const processLine = (rawLine) => {
+    const line = rawLine.replace(INVISIBLE_CHARS, "").replace(ODD_SPACES, " ");
+    const header = matchHeader(line);
+    if (!header) {
+      if (currentMessage && line.trim()) { currentMessage.text += "\n" + line; }
+      return;
+    }
+    closeMessage();
+    const [, date, time, rest] = header;
+    const body = rest.match(/^([^:]+):\s*(.+)$/);
+    // iOS marks system notices with an LRM right after "<group>: "
+    const iosNotice = body && /:\s?\u200E/.test(rawLine);
+    const events = matchMembershipEvent(rest) || (iosNotice ? matchMembershipEvent(body[2]) : null);
+    if (events) {
+      const timestamp = toTimestamp(date, time, format);
+      events.forEach((e) => membershipEvents.push({ ...e, date, time, timestamp }));
+      return;
     }
-    if (!matched && currentMessage && line.trim()) { currentMessage.text += "\n" + line; }
+    // Lines with a header but no "Sender:" are system notices
+    if (!body || SYSTEM_PATTERNS.some((p) => p.test(body[2]))) return;
+    const trimmedSender = body[1].trim();
+    const text = body[2];
+    const timestamp = toTimestamp(date, time, format);
+    if (!members.has(trimmedSender)) {
+      members.set(trimmedSender, { name: trimmedSender, messageCount: 0, firstSeen: date, lastSeen: date, messages: [] });
+    }
+    const member = members.get(trimmedSender);
+    member.messageCount++;
+    member.lastSeen = date;
+    currentMessage = { date, time, timestamp, sender: trimmedSender, text, isMedia: text.includes("<Media omitted>") || text.includes("omitted"), source: "whatsapp" };
+    member.messages.push(currentMessage);
+  };
+
+  const flushPending = () => {
+    format = detectDateFormat(pending, DATE_SAMPLE_SIZE);
+    pending.forEach(processLine);
+    pending = [];
+  };
+
+  const feedLine = (rawLine) => {
+    lineCount++;
+    if (format) {
+      processLine(rawLine);
+    } else {
+      pending.push(rawLine);
+      if (matchHeader(rawLine.replace(INVISIBLE_CHARS, "").replace(ODD_SPACES, " "))) pendingHeaders++;
+      if (pendingHeaders >= DATE_SAMPLE_SIZE) flushPending();
+    }
+    if (onProgress && lineCount % progressEvery === 0) onProgress({ lines: lineCount, messages: messages.length, chars });
+  };
+
+  return {
+    push(chunk) {
+      chars += chunk.length;
+      const lines = (partial + chunk).split(/\r\n|\r|\n/);
+      partial = lines.pop();
+      lines.forEach(feedLine);
+    },
+    end() {
+      feedLine(partial);
+      partial = "";
+      if (!format) flushPending();
+      closeMessage();
+      if (onProgress) onProgress({ lines: lineCount, messages: messages.length, chars });
+      return {
+        messages,
+        members: Array.from(members.values()),
+        membershipEvents,
+        stats: {
+          totalMessages: messages.length,
+          totalMembers: members.size,
+          dateRange: { start: messages[0]?.date, end: messages[messages.length - 1]?.date },
+          format,
+          source: "whatsapp",
+        },
+      };
+    },
+  };
+}
+
+// ReadableStream (browser File.stream(), fetch bodies) or any async iterable
+// (Node fs.createReadStream) → chunks
+async function* readChunks(source) {
+  if (typeof source.getReader !== "function") {
+    yield* source;
+    return;
+  }
+  const reader = source.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
   }
-  if (currentMessage) messages.push(currentMessage);
-  return { messages, members: Array.from(members.values()), stats: { totalMessages: messages.length, totalMembers: members.size, dateRange: { start: messages[0]?.date, end: messages[messages.length - 1]?.date } } };
+}
+
+/**
+ * Parse a WhatsApp export from a stream without holding the whole file as
+ * one string. Chunks may be strings or UTF-8 bytes.
+ *
+ * @param {ReadableStream|AsyncIterable} source
+ * @param {Object} options - same as createWhatsAppParser
+ * @returns {Promise<Object>} { messages, members, membershipEvents, stats }
+ */
+export async function parseWhatsAppStream(source, options = {}) {
+  const parser = createWhatsAppParser(options);
+  const decoder = new TextDecoder();
+  for await (const chunk of readChunks(source)) {
+    parser.push(typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  return parser.end();
+}
+
+export function parseWhatsAppText(textContent) {
+  const parser = createWhatsAppParser();
+  parser.push(textContent);
+  return parser.end();
 }
 
 // ═══════════════════════════════════════════════════════════
-// DEEP SIGNAL EXTRACTORS (from WhatsApp chat data)
+// CHAT HISTORY (incremental re-import of overlapping exports)
 // ═══════════════════════════════════════════════════════════
 
-// Extract all URLs shared in messages
-export function extractSharedLinks(messages) {
-  const urlPattern = /https?:\/\/[^\s<>"{}|\\^`\[\]]+/gi;
+// FNV-1a, 32-bit — sync and dependency-free so it runs in the browser and Node
+function fnv1a(str, seed = 0x811c9dc5) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * Stable identity for a message across exports of the same chat.
+ * Keyed on minute-precision time, sender and whitespace-normalized text:
+ * iOS exports carry seconds and Android ones don't, and media placeholders
+ * differ between "without media" and "attach media" exports.
+ */
+export function fingerprintMessage(msg) {
+  const when = (msg.timestamp || `${msg.date} ${msg.time}`).slice(0, 16);
+  const isMedia = msg.isMedia || /<attached:|\(file attached\)/i.test(msg.text || "");
+  const text = isMedia
+    ? "<media>"
+    : (msg.text || "").replace(INVISIBLE_CHARS, "").replace(/\s+/g, " ").trim().toLowerCase();
+  const key = `${when}|${(msg.sender || "").trim()}|${text}`;
+  return fnv1a(key) + fnv1a(key, 0x01000193);
+}
+
+/**
+ * Stamp `fingerprint` on every message of a parsed chat. Identical messages
+ * in the same minute ("ok", "👍") get an ordinal suffix so they stay distinct.
+ */
+export function fingerprintChat(parsedChat) {
+  const seen = new Map();
+  parsedChat.messages.forEach((msg) => {
+    const base = fingerprintMessage(msg);
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    msg.fingerprint = n === 0 ? base : `${base}-${n}`;
+  });
+  return parsedChat;
+}
+
+/**
+ * Per-sender { messageCount, firstSeen, lastSeen } for a batch of messages,
+ * with ISO timestamps for the bounds (null when a message has no timestamp).
+ */
+export function summarizeMemberActivity(messages) {
+  const activity = new Map();
+  messages.forEach((msg) => {
+    const entry = activity.get(msg.sender) || { name: msg.sender, messageCount: 0, firstSeen: null, lastSeen: null };
+    entry.messageCount++;
+    if (msg.timestamp) {
+      if (!entry.firstSeen || msg.timestamp < entry.firstSeen) entry.firstSeen = msg.timestamp;
+      if (!entry.lastSeen || msg.timestamp > entry.lastSeen) entry.lastSeen = msg.timestamp;
+    }
+    activity.set(msg.sender, entry);
+  });
+  return Array.from(activity.values());
+}
+
+/**
+ * Merge a new export into the canonical history of the same chat.
+ * Messages already present (by fingerprint) are dropped; member stats
+ * accumulate over the combined history rather than being replaced.
+ *
+ * @param {Object|null} existing - previously merged parsed chat
+ * @param {Object} incoming - freshly parsed export
+ * @returns {Object} { parsedChat, newMessages, duplicateCount }
+ */
+export function mergeChatHistory(existing, incoming) {
+  fingerprintChat(incoming);
+  if (!existing || existing.messages.length === 0) {
+    return { parsedChat: incoming, newMessages: incoming.messages, duplicateCount: 0 };
+  }
+  if (existing.messages.some((m) => !m.fingerprint)) fingerprintChat(existing);
+
+  const known = new Set(existing.messages.map((m) => m.fingerprint));
+  const newMessages = incoming.messages.filter((m) => !known.has(m.fingerprint));
+  const messages = [...existing.messages, ...newMessages].sort((a, b) =>
+    (a.timestamp || "") < (b.timestamp || "") ? -1 : (a.timestamp || "") > (b.timestamp || "") ? 1 : 0
+  );
+
+  const members = new Map();
+  messages.forEach((msg) => {
+    if (!members.has(msg.sender)) {
+      members.set(msg.sender, { name: msg.sender, messageCount: 0, firstSeen: msg.date, lastSeen: msg.date, messages: [] });
+    }
+    const member = members.get(msg.sender);
+    member.messageCount++;
+    member.lastSeen = msg.date;
+    member.messages.push(msg);
+  });
+
+  const eventKeys = new Set();
+  const membershipEvents = [...(existing.membershipEvents || []), ...(incoming.membershipEvents || [])].filter((e) => {
+    const key = `${e.timestamp}|${e.type}|${e.actor}|${e.target}`;
+    if (eventKeys.has(key)) return false;
+    eventKeys.add(key);
+    return true;
+  }).sort((a, b) => ((a.timestamp || "") < (b.timestamp || "") ? -1 : (a.timestamp || "") > (b.timestamp || "") ? 1 : 0));
+
+  return {
+    parsedChat: {
+      messages,
+      members: Array.from(members.values()),
+      membershipEvents,
+      stats: {
+        ...existing.stats,
+        ...incoming.stats,
+        totalMessages: messages.length,
+        totalMembers: members.size,
+        dateRange: { start: messages[0]?.date, end: messages[messages.length - 1]?.date },
+        imports: (existing.stats.imports || 1) + 1,
+      },
+    },
+    newMessages,
+    duplicateCount: incoming.messages.length - newMessages.length,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// LINK INTELLIGENCE (normalize, classify, attribute shared URLs)
+// ═══════════════════════════════════════════════════════════
+
+const LINK_URL_RE = /https?:\/\/[^\s<>"{}|\\^`\[\]]+/gi;
+// Query params that only say where the click came from
+const TRACKING_PARAM_RE = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|ref|ref_src|ref_url|igsh|igshid|si|share_id|spm)$/i;
+const SITE_TRACKING_PARAMS = {
+  "x.com": ["s", "t"],
+  "youtube.com": ["feature", "pp", "ab_channel"],
+  "linkedin.com": ["trk", "trackingid", "lipi", "rcm", "originalsubdomain"],
+  "amazon.com": ["tag", "psc", "smid", "th"],
+  "nytimes.com": ["smid", "smtyp"],
+};
+// Host aliases and shorteners whose target is in the path. Opaque shorteners
+// (bit.ly, t.co, lnkd.in…) can't be expanded offline and are flagged instead.
+const HOST_ALIASES = { "twitter.com": "x.com", "mobile.twitter.com": "x.com", "m.youtube.com": "youtube.com", "music.youtube.com": "youtube.com", "m.facebook.com": "facebook.com", "fb.com": "facebook.com", "luma.com": "lu.ma", "angel.co": "wellfound.com" };
+const SHORTENERS = {
+  "youtu.be": (path) => `youtube.com/watch?v=${path.slice(1)}`,
+  "redd.it": (path) => `reddit.com/comments${path}`,
+  "fb.me": (path) => `facebook.com${path}`,
+  "bit.ly": null, "t.co": null, "lnkd.in": null, "tinyurl.com": null, "goo.gl": null, "maps.app.goo.gl": null,
+  "amzn.to": null, "a.co": null, "spoti.fi": null, "ow.ly": null, "buff.ly": null, "rebrand.ly": null, "is.gd": null, "cutt.ly": null, "shorturl.at": null,
+};
+
+// First rule to match wins; paths are matched lowercased
+const LINK_TYPE_RULES = [
+  ["calendar", (host, path) => /^(?:calendar\.google\.com|calendly\.com|cal\.com|meet\.google\.com)$/.test(host) || /(?:^|\.)zoom\.us$/.test(host) && /^\/j\//.test(path) || /outlook\.(?:live|office)\.com$/.test(host) && path.startsWith("/calendar") || /\.ics$/.test(path)],
+  ["job", (host, path) => /^(?:boards\.greenhouse\.io|job-boards\.greenhouse\.io|jobs\.lever\.co|jobs\.ashbyhq\.com|workatastartup\.com|indeed\.com|glassdoor\.com)$/.test(host) || /\.workable\.com$/.test(host) || host === "linkedin.com" && path.startsWith("/jobs") || host === "wellfound.com" && path.includes("/jobs") || /\/(?:careers?|jobs?)(?:\/|$)/.test(path)],
+  ["event", (host, path) => /^(?:eventbrite\.[\w.]+|lu\.ma|meetup\.com|partiful\.com|ticketmaster\.[\w.]+|dice\.fm|allevents\.in)$/.test(host) || /^(?:facebook\.com|ra\.co)$/.test(host) && path.startsWith("/events") || /\/events?\/[^/]+/.test(path)],
+  ["product", (host, path) => /^amazon\.[\w.]+$/.test(host) || /^(?:apps\.apple\.com|shopee\.[\w.]+|lazada\.[\w.]+|producthunt\.com)$/.test(host) || host === "play.google.com" && path.startsWith("/store") || host === "etsy.com" && path.startsWith("/listing") || host === "ebay.com" && path.startsWith("/itm") || /\/(?:dp|products?)\//.test(path)],
+  ["profile", (host, path) => host === "linkedin.com" && /^\/(?:in|company)\//.test(path) || /^(?:x\.com|instagram\.com|github\.com|facebook\.com|t\.me|threads\.net)$/.test(host) && /^\/[\w.@-]+\/?$/.test(path) || host === "tiktok.com" && /^\/@[\w.-]+\/?$/.test(path) || host === "wa.me"],
+  ["article", (host, path) => /(?:^|\.)(?:medium\.com|substack\.com|nytimes\.com|wsj\.com|ft\.com|bloomberg\.com|techcrunch\.com|theverge\.com|wired\.com|economist\.com|reuters\.com|bbc\.co\.uk|bbc\.com|theguardian\.com|forbes\.com|businessinsider\.com|axios\.com|paulgraham\.com|hbr\.org)$/.test(host) || host !== "instagram.com" && /\/(?:blog|article|articles|news|posts?|p)\/[^/]+/.test(path) || /\/\d{4}\/\d{2}\//.test(path)],
+];
+const LINK_TYPE_LABELS = { job: "job posts", event: "events", article: "articles", product: "products", profile: "profiles", calendar: "calendar invites" };
+
+// Where a link lives, the way the old extractor labelled it
+function linkPlatform(domain) {
+  if (domain.includes("linkedin.com")) return "linkedin";
+  if (domain === "x.com") return "twitter";
+  if (domain.includes("instagram.com")) return "instagram";
+  if (domain.includes("spotify.com") || domain === "spoti.fi") return "spotify";
+  if (domain.includes("youtube.com")) return "youtube";
+  if (domain.includes("github.com")) return "github";
+  if (domain.includes("medium.com") || domain.includes("substack.com")) return "article";
+  if (domain.includes("eventbrite.") || domain === "lu.ma" || domain.includes("meetup.com")) return "event";
+  if (domain.includes("strava.com")) return "fitness";
+  if (domain.includes("goodreads.com")) return "books";
+  return "other";
+}
+
+// Trailing punctuation belongs to the sentence, except a ")" or "]" that
+// closes one opened inside the URL (wikipedia.org/wiki/Foo_(bar))
+const URL_CLOSERS = { ")": "(", "]": "[" };
+function trimUrlPunctuation(raw) {
+  let url = raw;
+  for (;;) {
+    const last = url.slice(-1);
+    const opener = URL_CLOSERS[last];
+    const count = (ch) => url.split(ch).length - 1;
+    if (/[.,;:!?]/.test(last) || (opener && count(last) > count(opener))) url = url.slice(0, -1);
+    else return url;
+  }
+}
+
+/**
+ * Canonical form of a shared URL: https, no "www."/mobile host, tracking
+ * params and fragments dropped, path-based shorteners expanded. Two people
+ * sharing the same article from different apps get the same url back.
+ *
+ * @returns {Object} { url, domain, shortened } or null for anything unparseable
+ */
+export function normalizeUrl(raw) {
+  let parsed;
+  try {
+    parsed = new URL(trimUrlPunctuation(raw));
+  } catch {
+    return null;
+  }
+  let host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  host = HOST_ALIASES[host] || host;
+  if (SHORTENERS[host]) {
+    const expanded = SHORTENERS[host](parsed.pathname);
+    const params = parsed.search;
+    parsed = new URL(`https://${expanded}`);
+    new URLSearchParams(params).forEach((value, key) => parsed.searchParams.append(key, value));
+    host = parsed.hostname;
+  }
+  const siteParams = SITE_TRACKING_PARAMS[host.replace(/^(?:\w+\.)?(amazon)\.[\w.]+$/, "$1.com")] || [];
+  [...parsed.searchParams.keys()].forEach((key) => {
+    if (TRACKING_PARAM_RE.test(key) || siteParams.includes(key.toLowerCase())) parsed.searchParams.delete(key);
+  });
+  parsed.searchParams.sort();
+  const path = parsed.pathname.replace(/\/+$/, "");
+  const query = parsed.searchParams.toString();
+  return { url: `https://${host}${path}${query ? `?${query}` : ""}`, domain: host, shortened: host in SHORTENERS };
+}
+
+/** job, event, calendar, product, profile, article or other */
+export function classifyLink(url) {
+  const normalized = typeof url === "string" ? normalizeUrl(url) : url;
+  if (!normalized) return "other";
+  const { pathname } = new URL(normalized.url);
+  const path = pathname.toLowerCase();
+  return LINK_TYPE_RULES.find(([, test]) => test(normalized.domain, path))?.[0] || "other";
+}
+
+// "great read", "signed up", 🔥 — someone acting on a link rather than chatting past it
+const LINK_REACTION_RE = /\b(?:thanks|thx|ty|nice|great (?:read|find|share|link)|good (?:read|find|one)|love (?:this|it)|interesting|bookmarked|saved|signed up|registered|applied|rsvp['’]?d|going|cool|amazing|wow)\b|[🔥👍🙏🙌❤️😍💯👏]/iu;
+const LINK_REACTION_WINDOW = 5;                 // messages after a link that can react to it
+const LINK_REACTION_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * One pass over the messages: every URL normalized and classified, who shared
+ * it (repeat shares marked) and who reacted — platform reactions, replies to
+ * the message, or a short "great read 🔥" from someone else right after it.
+ * Collector form, so the streaming parser can run it.
+ */
+function collectSharedLinks() {
   const links = [];
-  messages.forEach(msg => {
-    const urls = msg.text.match(urlPattern) || [];
-    urls.forEach(url => {
-      const domain = url.match(/https?:\/\/([^/]+)/)?.[1] || "";
-      let type = "other";
-      if (domain.includes("linkedin.com")) type = "linkedin";
-      else if (domain.includes("twitter.com") || domain.includes("x.com")) type = "twitter";
-      else if (domain.includes("instagram.com")) type = "instagram";
-      else if (domain.includes("spotify.com") || domain.includes("open.spotify")) type = "spotify";
-      else if (domain.includes("youtube.com") || domain.includes("youtu.be")) type = "youtube";
-      else if (domain.includes("github.com")) type = "github";
-      else if (domain.includes("medium.com") || domain.includes("substack.com")) type = "article";
-      else if (domain.includes("eventbrite.com") || domain.includes("lu.ma") || domain.includes("meetup.com")) type = "event";
-      else if (domain.includes("strava.com")) type = "fitness";
-      else if (domain.includes("goodreads.com")) type = "books";
-      links.push({ url, domain, type, sender: msg.sender, date: msg.date });
-    });
+  const seen = new Set();
+  const bySourceId = new Map();
+  let recent = [];   // [{ position, time, sender, entries }]
+  let position = 0;
+  const react = (entries, name, kind) => entries.forEach((link) => {
+    if (name && name !== link.sender && !link.reactedBy.some((r) => r.name === name)) link.reactedBy.push({ name, kind });
   });
-  return links;
+  return {
+    add(msg) {
+      position++;
+      const time = msg.timestamp ? Date.parse(msg.timestamp) : null;
+      const urls = msg.text.match(LINK_URL_RE) || [];
+
+      // Reactions to earlier links
+      const target = msg.replyToId != null && bySourceId.get(String(msg.replyToId));
+      if (target) react(target, msg.sender, "reply");
+      else if (urls.length === 0 && msg.text.length <= 80 && LINK_REACTION_RE.test(msg.text)) {
+        const last = recent.filter((r) => r.sender !== msg.sender).pop();
+        if (last && position - last.position <= LINK_REACTION_WINDOW && (time === null || last.time === null || time - last.time <= LINK_REACTION_MAX_MS)) react(last.entries, msg.sender, "message");
+      }
+      if (urls.length === 0) return;
+
+      const entries = [];
+      urls.forEach((raw) => {
+        const normalized = normalizeUrl(raw);
+        if (!normalized) return;
+        const { url, domain, shortened } = normalized;
+        const link = {
+          url, originalUrl: raw, domain, shortened,
+          type: classifyLink(normalized),
+          platform: linkPlatform(domain),
+          sender: msg.sender, date: msg.date, timestamp: msg.timestamp || null,
+          repeat: seen.has(url),
+          reactedBy: [],
+        };
+        seen.add(url);
+        entries.push(link);
+        links.push(link);
+      });
+      (msg.reactions || []).forEach((r) => r.by.forEach((name) => react(entries, name, "emoji")));
+      if (msg.sourceId != null) bySourceId.set(String(msg.sourceId), entries);
+      recent = [...recent.filter((r) => position - r.position < LINK_REACTION_WINDOW), { position, time, sender: msg.sender, entries }];
+    },
+    result: () => links,
+  };
+}
+
+export function extractSharedLinks(messages) {
+  return collectAll(collectSharedLinks(), messages);
+}
+
+/**
+ * Roll shared links up into what each member shares and a group reading list.
+ * Repeat shares of the same url merge; the list ranks on how many people
+ * reacted, then how many shared it. Profiles and calendar invites are
+ * attributed to members but left off the reading list.
+ *
+ * @param {Array} links - extractSharedLinks() output
+ * @returns {Object} { byMember: { [name]: { shared, unique, types, topType, domains, reactionsReceived, reactedTo } }, readingList: [{ url, domain, type, platform, firstSharedBy, firstDate, sharedBy, shares, reactedBy, score }] }
+ */
+export function summarizeLinks(links, options = {}) {
+  const { limit = 50 } = options;
+  const byUrl = new Map();
+  const byMember = {};
+  const member = (name) => (byMember[name] = byMember[name] || { shared: 0, unique: 0, types: {}, topType: null, domains: {}, reactionsReceived: 0, reactedTo: 0 });
+
+  links.forEach((link) => {
+    const m = member(link.sender);
+    m.shared++;
+    if (!link.repeat) m.unique++;
+    m.types[link.type] = (m.types[link.type] || 0) + 1;
+    m.domains[link.domain] = (m.domains[link.domain] || 0) + 1;
+    m.reactionsReceived += link.reactedBy.length;
+    link.reactedBy.forEach((r) => member(r.name).reactedTo++);
+
+    if (!byUrl.has(link.url)) byUrl.set(link.url, { url: link.url, domain: link.domain, type: link.type, platform: link.platform, firstSharedBy: link.sender, firstDate: link.date, sharedBy: [], shares: 0, reactedBy: [] });
+    const entry = byUrl.get(link.url);
+    entry.shares++;
+    if (!entry.sharedBy.includes(link.sender)) entry.sharedBy.push(link.sender);
+    link.reactedBy.forEach((r) => { if (!entry.reactedBy.includes(r.name)) entry.reactedBy.push(r.name); });
+  });
+
+  Object.values(byMember).forEach((m) => {
+    const types = Object.entries(m.types).filter(([type]) => type !== "other").sort((a, b) => b[1] - a[1]);
+    m.topType = types[0]?.[0] || null;
+    m.domains = Object.entries(m.domains).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([domain]) => domain);
+  });
+
+  const readingList = [...byUrl.values()]
+    .filter((e) => e.type !== "profile" && e.type !== "calendar")
+    .map((e) => {
+      const reactedBy = e.reactedBy.filter((name) => !e.sharedBy.includes(name));
+      return { ...e, reactedBy, score: reactedBy.length * 2 + e.sharedBy.length };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+  return { byMember, readingList };
+}
+
+// ═══════════════════════════════════════════════════════════
+// DEEP SIGNAL EXTRACTORS (from WhatsApp chat data)
+// ═══════════════════════════════════════════════════════════
+
+// Each extractor below is a collector — { add(msg), result() } — so a
+// streaming parse can feed messages as they arrive (createSignalCollector);
+// the extractX(messages) functions are the batch form of the same thing.
+
+function collectAll(collector, messages) {
+  messages.forEach(collector.add);
+  return collector.result();
+}
+
+// Count shared media per member → who shares photos, docs, contact cards.
+// Uses linked attachments from zipped exports, else the "omitted" placeholders.
+function collectSharedContent() {
+  const OMITTED_KINDS = [
+    [/image omitted|photo omitted|gif omitted/i, "image"],
+    [/video omitted/i, "video"],
+    [/audio omitted|voice note omitted/i, "audio"],
+    [/document omitted|\.pdf\b.*omitted/i, "document"],
+    [/contact card omitted|\.vcf \(file attached\)/i, "contact"],
+    [/sticker omitted/i, "sticker"],
+    [/<media omitted>/i, "other"],
+  ];
+  const byMember = {};
+  return {
+    add(msg) {
+      if (!msg.isMedia && !msg.attachments) return;
+      if (!byMember[msg.sender]) byMember[msg.sender] = { image: 0, video: 0, audio: 0, document: 0, contact: 0, sticker: 0, other: 0, documents: [] };
+      const counts = byMember[msg.sender];
+      if (msg.attachments?.length) {
+        msg.attachments.forEach(a => {
+          counts[a.kind] = (counts[a.kind] || 0) + 1;
+          if (a.kind === "document") counts.documents.push(a.filename);
+        });
+        return;
+      }
+      const kind = OMITTED_KINDS.find(([pattern]) => pattern.test(msg.text))?.[1] || "other";
+      counts[kind]++;
+    },
+    result: () => Object.entries(byMember).map(([name, counts]) => {
+      const { documents, ...kinds } = counts;
+      const total = Object.values(kinds).reduce((a, b) => a + b, 0);
+      return {
+        name,
+        ...kinds,
+        total,
+        documents: documents.slice(0, 10),
+        style: counts.document >= 3 ? "resource_sharer" : counts.image + counts.video >= 5 ? "visual" : "occasional",
+      };
+    }).sort((a, b) => b.total - a.total),
+  };
+}
+
+export function extractSharedContent(messages) {
+  return collectAll(collectSharedContent(), messages);
 }
 
 // Extract phone number signals
@@ -119,181 +1321,292 @@ export function extractPhoneSignals(members) {
 }
 
 // Extract timing patterns → timezone and behavior
-export function extractTimingPatterns(messages) {
+function collectTimingPatterns() {
   const memberTimings = {};
-  messages.forEach(msg => {
-    if (!memberTimings[msg.sender]) memberTimings[msg.sender] = { hours: [], days: [] };
-    const timeMatch = msg.time?.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
-    if (timeMatch) {
-      let hour = parseInt(timeMatch[1]);
-      if (timeMatch[4]?.toUpperCase() === "PM" && hour !== 12) hour += 12;
-      if (timeMatch[4]?.toUpperCase() === "AM" && hour === 12) hour = 0;
-      memberTimings[msg.sender].hours.push(hour);
-    }
-  });
+  return {
+    add(msg) {
+      if (!memberTimings[msg.sender]) memberTimings[msg.sender] = { hours: [], days: [] };
+      const msgTime = parseMessageDateTime(msg);
+      if (msgTime) {
+        memberTimings[msg.sender].hours.push(msgTime.getUTCHours());
+        memberTimings[msg.sender].days.push(msgTime.getUTCDay());
+      }
+    },
+    result: () => Object.entries(memberTimings).map(([name, data]) => {
+      const avgHour = data.hours.reduce((a, b) => a + b, 0) / data.hours.length;
+      const peakHours = [...data.hours].sort((a, b) => a - b);
+      const isNightOwl = peakHours.filter(h => h >= 22 || h <= 4).length > peakHours.length * 0.3;
+      const isEarlyBird = peakHours.filter(h => h >= 5 && h <= 8).length > peakHours.length * 0.3;
+
+      return {
+        name,
+        avgHour: Math.round(avgHour),
+        peakRange: `${peakHours[0] || 0}:00 - ${peakHours[peakHours.length - 1] || 23}:00`,
+        style: isNightOwl ? "night_owl" : isEarlyBird ? "early_bird" : "regular",
+        messageCount: data.hours.length,
+      };
+    }),
+  };
+}
 
-  return Object.entries(memberTimings).map(([name, data]) => {
-    const avgHour = data.hours.reduce((a, b) => a + b, 0) / data.hours.length;
-    const peakHours = data.hours.sort((a, b) => a - b);
-    const isNightOwl = peakHours.filter(h => h >= 22 || h <= 4).length > peakHours.length * 0.3;
-    const isEarlyBird = peakHours.filter(h => h >= 5 && h <= 8).length > peakHours.length * 0.3;
-    
-    return {
-      name,
-      avgHour: Math.round(avgHour),
-      peakRange: `${peakHours[0] || 0}:00 - ${peakHours[peakHours.length - 1] || 23}:00`,
-      style: isNightOwl ? "night_owl" : isEarlyBird ? "early_bird" : "regular",
-      messageCount: data.hours.length,
-    };
-  });
+export function extractTimingPatterns(messages) {
+  return collectAll(collectTimingPatterns(), messages);
 }
 
 // Extract emoji usage → personality fingerprint
-export function extractEmojiProfile(messages) {
+function collectEmojiProfile() {
   const emojiRegex = /[\u{1F300}-\u{1F9FF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}]/gu;
   const memberEmojis = {};
-  
-  messages.forEach(msg => {
-    const emojis = msg.text.match(emojiRegex) || [];
-    if (!memberEmojis[msg.sender]) memberEmojis[msg.sender] = {};
-    emojis.forEach(e => {
-      memberEmojis[msg.sender][e] = (memberEmojis[msg.sender][e] || 0) + 1;
-    });
-  });
+  const messageCounts = {};
+  return {
+    add(msg) {
+      const emojis = msg.text.match(emojiRegex) || [];
+      if (!memberEmojis[msg.sender]) memberEmojis[msg.sender] = {};
+      messageCounts[msg.sender] = (messageCounts[msg.sender] || 0) + 1;
+      emojis.forEach(e => {
+        memberEmojis[msg.sender][e] = (memberEmojis[msg.sender][e] || 0) + 1;
+      });
+    },
+    result: () => Object.entries(memberEmojis).map(([name, emojis]) => {
+      const sorted = Object.entries(emojis).sort((a, b) => b[1] - a[1]);
+      const totalEmojis = sorted.reduce((sum, [_, c]) => sum + c, 0);
+      return {
+        name,
+        topEmojis: sorted.slice(0, 5).map(([e, c]) => ({ emoji: e, count: c })),
+        totalEmojis,
+        emojiDensity: totalEmojis / (messageCounts[name] || 1),
+      };
+    }),
+  };
+}
 
-  return Object.entries(memberEmojis).map(([name, emojis]) => {
-    const sorted = Object.entries(emojis).sort((a, b) => b[1] - a[1]);
-    return {
-      name,
-      topEmojis: sorted.slice(0, 5).map(([e, c]) => ({ emoji: e, count: c })),
-      totalEmojis: sorted.reduce((sum, [_, c]) => sum + c, 0),
-      emojiDensity: sorted.reduce((sum, [_, c]) => sum + c, 0) / (messages.filter(m => m.sender === name).length || 1),
-    };
-  });
+export function extractEmojiProfile(messages) {
+  return collectAll(collectEmojiProfile(), messages);
+}
+
+/**
+ * All per-message signal extractors behind one add(msg) — hand it to
+ * createWhatsAppParser's onMessage to extract while parsing.
+ * result() → { sharedLinks, sharedContent, timingPatterns, emojiProfiles }
+ */
+export function createSignalCollector() {
+  const collectors = {
+    sharedLinks: collectSharedLinks(),
+    sharedContent: collectSharedContent(),
+    timingPatterns: collectTimingPatterns(),
+    emojiProfiles: collectEmojiProfile(),
+  };
+  return {
+    add(msg) {
+      Object.values(collectors).forEach((c) => c.add(msg));
+    },
+    result: () => Object.fromEntries(Object.entries(collectors).map(([key, c]) => [key, c.result()])),
+  };
 }
 
 // ═══════════════════════════════════════════════════════════
 // CONVERSATION THREAD DETECTION
 // ═══════════════════════════════════════════════════════════
 
+// Messages from parseWhatsAppText carry an ISO timestamp; anything built
+// elsewhere (API payloads, older saved chats) falls back to the raw strings.
 function parseMessageDateTime(msg) {
-  // Parse date
-  let dateParts = null;
-  const isoMatch = msg.date?.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  const usMatch = msg.date?.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
-  if (isoMatch) {
-    dateParts = { year: parseInt(isoMatch[1]), month: parseInt(isoMatch[2]) - 1, day: parseInt(isoMatch[3]) };
-  } else if (usMatch) {
-    let year = parseInt(usMatch[3]);
-    if (year < 100) year += 2000;
-    dateParts = { month: parseInt(usMatch[1]) - 1, day: parseInt(usMatch[2]), year };
-  }
-  if (!dateParts) return null;
+  const iso = msg.timestamp || toTimestamp(msg.date, msg.time);
+  return iso ? new Date(iso) : null;
+}
 
-  // Parse time
-  const timeMatch = msg.time?.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
-  if (!timeMatch) return null;
-  let hour = parseInt(timeMatch[1]);
-  const minute = parseInt(timeMatch[2]);
-  if (timeMatch[4]?.toUpperCase() === "PM" && hour !== 12) hour += 12;
-  if (timeMatch[4]?.toUpperCase() === "AM" && hour === 12) hour = 0;
-
-  return new Date(dateParts.year, dateParts.month, dateParts.day, hour, minute);
-}
-
-function extractTopicKeywords(messages) {
-  const stopWords = new Set([
-    "the","a","an","is","are","was","were","be","been","being","have","has","had",
-    "do","does","did","will","would","could","should","may","might","shall","can",
-    "i","you","he","she","it","we","they","me","him","her","us","them","my","your",
-    "his","its","our","their","this","that","these","those","what","which","who",
-    "when","where","how","why","not","no","yes","yeah","yep","nah","nope","ok","okay",
-    "just","like","really","very","so","too","also","but","and","or","if","then",
-    "for","with","from","about","into","to","in","on","at","by","of","up","out",
-    "all","some","any","one","two","more","much","many","well","now","here","there",
-    "get","got","going","go","come","know","think","want","need","let","make","take",
-    "see","say","said","tell","told","look","good","great","nice","cool","right",
-    "lol","haha","lmao","omg","media","omitted","im","dont","didnt","cant","its",
-    "thats","whats","been","was","had","that","http","https","www","com",
-  ]);
-
-  const wordCounts = {};
+const TOPIC_STOP_WORDS = new Set([
+  "the","a","an","is","are","was","were","be","been","being","have","has","had",
+  "do","does","did","will","would","could","should","may","might","shall","can",
+  "i","you","he","she","it","we","they","me","him","her","us","them","my","your",
+  "his","its","our","their","this","that","these","those","what","which","who",
+  "when","where","how","why","not","no","yes","yeah","yep","nah","nope","ok","okay",
+  "just","like","really","very","so","too","also","but","and","or","if","then",
+  "for","with","from","about","into","to","in","on","at","by","of","up","out",
+  "all","some","any","one","two","more","much","many","well","now","here","there",
+  "get","got","going","go","come","know","think","want","need","let","make","take",
+  "see","say","said","tell","told","look","good","great","nice","cool","right",
+  "lol","haha","lmao","omg","media","omitted","im","dont","didnt","cant","its",
+  "thats","whats","been","was","had","that","http","https","www","com",
+]);
+
+function topicTokens(text, exclude = null) {
+  return text.toLowerCase()
+    .replace(/https?:\/\/[^\s]+/g, "")
+    .replace(/['’]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => w.length > 2 && !TOPIC_STOP_WORDS.has(w) && !exclude?.has(w));
+}
+
+// Inverse document frequency over a chat's messages — words every thread uses
+// ("guys", "tonight") weigh little, "ramen" or "term sheet" weigh a lot
+function buildIdf(tokenLists) {
+  const df = new Map();
+  tokenLists.forEach(tokens => new Set(tokens).forEach(t => df.set(t, (df.get(t) || 0) + 1)));
+  const n = tokenLists.length;
+  return (term) => Math.log((n + 1) / ((df.get(term) || 0) + 1)) + 1;
+}
+
+function tfidfVector(tokens, idf) {
+  const vector = new Map();
+  tokens.forEach(t => vector.set(t, (vector.get(t) || 0) + idf(t)));
+  return vector;
+}
+
+function cosine(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  a.forEach((v, k) => { normA += v * v; if (b.has(k)) dot += v * b.get(k); });
+  b.forEach(v => { normB += v * v; });
+  return dot / Math.sqrt(normA * normB);
+}
+
+// cosine() against a lazily decayed thread centroid — the scale cancels out
+function centroidCosine(vector, centroid) {
+  if (vector.size === 0 || centroid.sumSq <= 0) return 0;
+  let dot = 0, norm = 0;
+  vector.forEach((v, k) => { norm += v * v; dot += v * (centroid.weights.get(k) || 0); });
+  return dot / Math.sqrt(norm * centroid.sumSq);
+}
+
+// Top terms by TF-IDF, so a thread is described by what sets it apart
+function extractTopicKeywords(messages, idf = () => 1, exclude = null) {
+  const scores = {};
   messages.forEach(msg => {
-    const words = msg.text.toLowerCase()
-      .replace(/https?:\/\/[^\s]+/g, "")
-      .replace(/[^a-z0-9\s]/g, "")
-      .split(/\s+/)
-      .filter(w => w.length > 2 && !stopWords.has(w));
-    words.forEach(w => { wordCounts[w] = (wordCounts[w] || 0) + 1; });
+    topicTokens(msg.text, exclude).forEach(w => { scores[w] = (scores[w] || 0) + idf(w); });
   });
 
-  return Object.entries(wordCounts)
+  return Object.entries(scores)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 8)
     .map(([word]) => word);
 }
 
-export function detectThreads(messages) {
+const QUESTION_RE = /\?|(?:anyone know|does anyone|who knows|can someone|looking for|need a|how do|what is|where is|when is)/i;
+
+// Time alone keeps a message in a thread for about THREAD_GAP_MS — the old
+// fixed-gap rule. A question with something to say and no reply link is a
+// topic opener: time barely counts for it, so a new question raised a minute
+// later starts its own thread. Lexical similarity and reply links let a
+// thread survive long gaps and keep interleaved topics apart.
+const THREAD_GAP_MS = 10 * 60 * 1000;            // time proximity drops to half here
+const THREAD_MAX_GAP_MS = 12 * 60 * 60 * 1000;   // a thread can't be resumed after this
+const THREAD_MAX_ACTIVE = 8;                     // open threads considered per message
+const THREAD_JOIN_THRESHOLD = 0.25;
+const THREAD_WEIGHTS = { reply: 0.45, lexical: 0.35, time: 0.5, participant: 0.1 };
+const CENTROID_DECAY = 0.85;                     // recent messages define the topic
+const CENTROID_RESCALE = 1e-6;                   // fold the decay back into the weights below this
+const CONTENT_TOKENS = 3;                        // words before a question counts as a topic opener
+
+/**
+ * Split messages into conversations. Each message joins the open thread it
+ * scores best against — explicit reply links (platform reply ids, quotes,
+ * @mentions, "Sarah, …"), TF-IDF similarity to the thread's recent messages,
+ * time since the thread's last message, and whether the sender is already in
+ * it — or starts a new thread when nothing scores THREAD_JOIN_THRESHOLD.
+ *
+ * @param {Array} messages - chronological messages
+ * @param {Object} options - { replies } to reuse a detectReplies() result
+ */
+export function detectThreads(messages, options = {}) {
   if (!messages || messages.length === 0) return [];
 
-  const THREAD_GAP_MS = 10 * 60 * 1000; // 10 minutes
+  const members = [...new Set(messages.map(m => m.sender))].map(name => ({ name }));
+  // "@Amy" and "Dan, thanks" say who, not what
+  const names = new Set(members.flatMap(m => m.name.toLowerCase().split(/\s+/)));
+  const tokenLists = messages.map(msg => (msg.isMedia ? [] : topicTokens(msg.text, names)));
+  const idf = buildIdf(tokenLists);
+  const replies = options.replies || detectReplies({ messages, members });
+  const replyTargets = new Map();
+  replies.forEach(r => {
+    if (r.kind === "sequential") return;
+    if (!replyTargets.has(r.index)) replyTargets.set(r.index, []);
+    replyTargets.get(r.index).push(r);
+  });
+
   const threads = [];
-  let currentThread = null;
+  const threadOfSourceId = new Map();
+  let active = [];
+  let lastThread = null;
+
+  // The centroid decays lazily: weights are stored divided by `scale`, so a
+  // message costs its own words rather than a pass over the thread's vocabulary
+  const addTo = (thread, msg, vector, msgTime) => {
+    thread.messages.push(msg);
+    thread.participantSet.add(msg.sender);
+    if (msgTime) thread.endTime = msgTime;
+    thread.lastBySender.set(msg.sender, msgTime || thread.endTime);
+    const centroid = thread.centroid;
+    centroid.scale *= CENTROID_DECAY;
+    vector.forEach((v, k) => {
+      const prev = centroid.weights.get(k) || 0;
+      const next = prev + v / centroid.scale;
+      centroid.weights.set(k, next);
+      centroid.sumSq += next * next - prev * prev;
+    });
+    if (centroid.scale < CENTROID_RESCALE) {
+      centroid.sumSq = 0;
+      centroid.weights.forEach((v, k) => {
+        centroid.weights.set(k, v * centroid.scale);
+        centroid.sumSq += (v * centroid.scale) ** 2;
+      });
+      centroid.scale = 1;
+    }
+    if (msg.sourceId != null) threadOfSourceId.set(String(msg.sourceId), thread);
+    lastThread = thread;
+  };
 
   messages.forEach((msg, idx) => {
     const msgTime = parseMessageDateTime(msg);
+    const vector = tfidfVector(tokenLists[idx], idf);
     if (!msgTime) {
       // Can't parse time — attach to current thread if one exists
-      if (currentThread) {
-        currentThread.messages.push(msg);
-        if (!currentThread.participantSet.has(msg.sender)) {
-          currentThread.participantSet.add(msg.sender);
-        }
-      }
+      if (lastThread) addTo(lastThread, msg, vector, null);
       return;
     }
 
-    if (!currentThread) {
-      // Start first thread
-      currentThread = {
-        messages: [msg],
-        participantSet: new Set([msg.sender]),
-        startTime: msgTime,
-        endTime: msgTime,
-      };
-      return;
-    }
+    active = active.filter(t => msgTime - t.endTime <= THREAD_MAX_GAP_MS).slice(-THREAD_MAX_ACTIVE);
+    // Reply links point at a thread: the quoted message's, or the one the
+    // addressed person spoke in most recently
+    const linked = new Map();
+    const quoted = msg.replyToId != null ? threadOfSourceId.get(String(msg.replyToId)) : null;
+    if (quoted) linked.set(quoted, 1);
+    (replyTargets.get(idx) || []).forEach(r => {
+      let latest = null;
+      active.forEach(t => { if (t.lastBySender.has(r.to) && (!latest || t.lastBySender.get(r.to) > latest.lastBySender.get(r.to))) latest = t; });
+      if (latest) linked.set(latest, Math.max(linked.get(latest) || 0, r.weight));
+    });
 
-    const gap = msgTime - currentThread.endTime;
+    let best = null;
+    let bestScore = THREAD_JOIN_THRESHOLD;
+    const opener = linked.size === 0 && tokenLists[idx].length >= CONTENT_TOKENS && QUESTION_RE.test(msg.text);
+    const timeWeight = opener ? THREAD_WEIGHTS.time / 4 : THREAD_WEIGHTS.time;
+    active.forEach(thread => {
+      const time = 1 / (1 + (Math.max(msgTime - thread.endTime, 0) / THREAD_GAP_MS) ** 2);
+      const score = THREAD_WEIGHTS.reply * (linked.get(thread) || 0)
+        + THREAD_WEIGHTS.lexical * centroidCosine(vector, thread.centroid)
+        + timeWeight * time
+        + (thread.participantSet.has(msg.sender) ? THREAD_WEIGHTS.participant : 0);
+      if (score >= bestScore) { best = thread; bestScore = score; }
+    });
 
-    if (gap <= THREAD_GAP_MS) {
-      // Same thread — within 10 min window
-      currentThread.messages.push(msg);
-      currentThread.participantSet.add(msg.sender);
-      currentThread.endTime = msgTime;
+    if (!best) {
+      best = { messages: [], participantSet: new Set(), startTime: msgTime, endTime: msgTime, centroid: { weights: new Map(), scale: 1, sumSq: 0 }, lastBySender: new Map() };
+      threads.push(best);
+      active.push(best);
     } else {
-      // New thread — finalize current one
-      threads.push(finalizeThread(currentThread));
-      currentThread = {
-        messages: [msg],
-        participantSet: new Set([msg.sender]),
-        startTime: msgTime,
-        endTime: msgTime,
-      };
+      // Keep most recently active last so slice(-THREAD_MAX_ACTIVE) drops stale ones
+      active = [...active.filter(t => t !== best), best];
     }
+    addTo(best, msg, vector, msgTime);
   });
 
-  // Finalize last thread
-  if (currentThread && currentThread.messages.length > 0) {
-    threads.push(finalizeThread(currentThread));
-  }
-
-  return threads;
+  return threads.map(thread => finalizeThread(thread, idf, names));
 }
 
-function finalizeThread(thread) {
+function finalizeThread(thread, idf, names) {
   const participants = [...thread.participantSet];
-  const topicKeywords = extractTopicKeywords(thread.messages);
+  const topicKeywords = extractTopicKeywords(thread.messages, idf, names);
 
   return {
     participants,
@@ -326,7 +1639,7 @@ export function analyzeThreadContext(threads) {
     for (let i = 0; i < messages.length - 1; i++) {
       const msg = messages[i];
       const next = messages[i + 1];
-      const isQuestion = /\?|(?:anyone know|does anyone|who knows|can someone|looking for|need a|how do|what is|where is|when is)/i.test(msg.text);
+      const isQuestion = QUESTION_RE.test(msg.text);
       if (isQuestion && next.sender !== msg.sender) {
         requestResponse.push({
           asker: msg.sender,
@@ -337,19 +1650,299 @@ export function analyzeThreadContext(threads) {
         });
       }
     }
-
-    // Participant engagement within thread
-    const participantMsgCounts = {};
-    messages.forEach(msg => {
-      participantMsgCounts[msg.sender] = (participantMsgCounts[msg.sender] || 0) + 1;
+
+    // Participant engagement within thread
+    const participantMsgCounts = {};
+    messages.forEach(msg => {
+      participantMsgCounts[msg.sender] = (participantMsgCounts[msg.sender] || 0) + 1;
+    });
+
+    return {
+      ...thread,
+      type,
+      depth: exchanges,
+      requestResponse,
+      participantEngagement: participantMsgCounts,
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// KNOWLEDGE BASE (questions the group already answered)
+// ═══════════════════════════════════════════════════════════
+
+const RECOMMENDATION_RE = /\b(?:try|recommend(?:ed)?|highly rec|go to|check out|i use|we use|i used|call|contact|ask|ping|dm|reach out|number is|his number|her number)\b/i;
+const THANKS_RE = /\b(?:thanks|thank you|thx|ty|perfect|legend|lifesaver|appreciate it|will do|booked)\b|🙏|🙌/i;
+const KB_URL_RE = /https?:\/\/[^\s<>"{}|\\^`\[\]]+/gi;
+const KB_PHONE_RE = /\+?\d[\d\s().-]{7,}\d/;
+const KB_ANSWER_LOOKAHEAD = 15;   // messages after a question that can answer it
+const KB_MIN_ANSWER_SCORE = 0.3;
+const KB_MAX_ANSWERS = 3;
+
+/**
+ * Shared state for scoring answers: threads, per-message topic tokens and
+ * TF-IDF vectors, and explicit reply links keyed "messageIndex:recipient".
+ */
+function answerContext(parsedChat, options = {}) {
+  const { messages } = parsedChat;
+  const replies = detectReplies(parsedChat);
+  const threads = options.threads || detectThreads(messages, { replies });
+  const names = new Set(parsedChat.members.flatMap(m => m.name.toLowerCase().split(/\s+/)));
+  const tokens = new Map(messages.map(m => [m, m.isMedia ? [] : topicTokens(m.text, names)]));
+  const idf = buildIdf([...tokens.values()]);
+  const vectors = new Map();
+  const vectorOf = (m) => {
+    if (!vectors.has(m)) vectors.set(m, tfidfVector(tokens.get(m) || [], idf));
+    return vectors.get(m);
+  };
+  const indexOf = new Map(messages.map((m, i) => [m, i]));
+  const explicitTo = new Map();
+  replies.forEach(r => { if (r.kind !== "sequential") explicitTo.set(`${r.index}:${r.to}`, r.weight); });
+  return { threads, names, tokens, idf, vectorOf, indexOf, explicitTo };
+}
+
+// How much `msg` reads like an answer to `question` (0–1.2)
+function scoreAnswer(context, question, msg) {
+  const { vectorOf, indexOf, explicitTo } = context;
+  return 0.4 * (explicitTo.get(`${indexOf.get(msg)}:${question.sender}`) || 0)
+    + 0.3 * cosine(vectorOf(question), vectorOf(msg))
+    + (msg.text.match(KB_URL_RE) || KB_PHONE_RE.test(msg.text) ? 0.2 : 0)
+    + (RECOMMENDATION_RE.test(msg.text) ? 0.2 : 0)
+    + (msg.text.length >= 20 ? 0.1 : 0)
+    - (QUESTION_RE.test(msg.text) ? 0.2 : 0);
+}
+
+/**
+ * Questions the group asked and the answers that resolved them: who asked,
+ * who answered (full text, links shared), and whether the asker thanked
+ * someone. Answers are scored on reply links to the asker, words shared with
+ * the question, links or phone numbers, and recommendation phrasing.
+ *
+ * @param {Object} parsedChat
+ * @param {Object} options - { threads } to reuse a detectThreads() result
+ * @returns {Object} { entries: [{ id, question, asker, date, timestamp, answers, answeredBy, links, resolved, keywords }], messageCount }
+ */
+export function buildKnowledgeBase(parsedChat, options = {}) {
+  const { messages } = parsedChat;
+  const context = answerContext(parsedChat, options);
+  const { threads, names, tokens, idf, indexOf, explicitTo } = context;
+
+  const entries = [];
+  threads.forEach(thread => {
+    thread.messages.forEach((question, qi) => {
+      if (question.isMedia || question.type || !QUESTION_RE.test(question.text)) return;
+      // "really?" and "what?" aren't questions worth keeping
+      if ((tokens.get(question) || []).length < 2) return;
+
+      const following = thread.messages.slice(qi + 1, qi + 1 + KB_ANSWER_LOOKAHEAD);
+      const answers = [];
+      for (const msg of following) {
+        // The asker moving on to a new question ends this one
+        if (msg.sender === question.sender && QUESTION_RE.test(msg.text) && (tokens.get(msg) || []).length >= 2) break;
+        if (msg.sender === question.sender || msg.isMedia) continue;
+        const links = msg.text.match(KB_URL_RE) || [];
+        const score = scoreAnswer(context, question, msg);
+        if (score >= KB_MIN_ANSWER_SCORE) answers.push({ msg, by: msg.sender, text: msg.text, date: msg.date, timestamp: msg.timestamp || null, links, score: Math.round(score * 100) / 100, accepted: false });
+      }
+      if (answers.length === 0) return;
+
+      // Asker's thanks marks the answer it follows (or names) as the one that resolved it
+      const thanks = following.find(m => m.sender === question.sender && THANKS_RE.test(m.text));
+      if (thanks) {
+        const thanksIdx = indexOf.get(thanks);
+        const named = answers.find(a => explicitTo.has(`${thanksIdx}:${a.by}`));
+        const before = answers.filter(a => indexOf.get(a.msg) < thanksIdx).pop();
+        const accepted = named || before;
+        if (accepted) accepted.accepted = true;
+      }
+
+      const kept = answers
+        .sort((a, b) => b.accepted - a.accepted || b.score - a.score)
+        .slice(0, KB_MAX_ANSWERS)
+        .map(({ msg, ...answer }) => answer);
+      entries.push({
+        id: `q${indexOf.get(question)}`,
+        question: question.text,
+        asker: question.sender,
+        date: question.date,
+        timestamp: question.timestamp || null,
+        answers: kept,
+        answeredBy: [...new Set(kept.map(a => a.by))],
+        links: [...new Set(kept.flatMap(a => a.links))],
+        resolved: kept.some(a => a.accepted),
+        keywords: extractTopicKeywords([question, ...following.filter(m => kept.some(a => a.text === m.text && a.by === m.sender))], idf, names),
+      });
+    });
+  });
+
+  return { entries, messageCount: messages.length };
+}
+
+// "dentist" finds "dentists", "accountant" finds "accounting" (shared 5+ letter stem)
+const termsMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 5 && (a.startsWith(b.slice(0, 5)) && b.startsWith(a.slice(0, 5))));
+
+/**
+ * Search a knowledge base. Question words count double; resolved questions
+ * rank a little higher.
+ * @returns {Array} matching entries with a `score`, best first
+ */
+export function searchKnowledgeBase(knowledgeBase, query, options = {}) {
+  const { limit = 5 } = options;
+  const terms = topicTokens(query || "");
+  if (terms.length === 0) return [];
+  const docs = knowledgeBase.entries.map(entry => ({
+    entry,
+    question: topicTokens(entry.question),
+    answers: entry.answers.flatMap(a => topicTokens(a.text)),
+  }));
+  const idf = buildIdf(docs.map(d => [...d.question, ...d.answers]));
+
+  return docs
+    .map(({ entry, question, answers }) => {
+      let score = 0;
+      terms.forEach(term => {
+        const weight = Math.max(...[...question, ...answers].filter(t => termsMatch(t, term)).map(t => idf(t)), 0);
+        if (question.some(t => termsMatch(t, term))) score += 2 * weight;
+        else if (answers.some(t => termsMatch(t, term))) score += weight;
+      });
+      if (entry.resolved) score *= 1.2;
+      return { ...entry, score: Math.round(score * 100) / 100 };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// ═══════════════════════════════════════════════════════════
+// INTENT LIFECYCLE (open → answered → fulfilled, or stale)
+// ═══════════════════════════════════════════════════════════
+
+// Intents that ask something of the group — travel plans and offers aren't "fulfilled"
+const ASK_TYPES = new Set(["seeking", "hiring", "job_seeking", "fundraising", "seeking_intro", "recommendation", "location_check", "availability"]);
+// One-off asks a thank-you closes; hiring and raising need an explicit "filled" / "closed"
+const ONE_SHOT_TYPES = new Set(["seeking", "seeking_intro", "recommendation", "location_check", "availability"]);
+const FULFILLED_RE = /\b(?:found (?:one|someone|somebody|it|him|her|them|a|an|the|my)|all sorted|sorted now|all set|(?:role|position|spot|job)s? (?:is |are |has been |have been )?(?:filled|closed)|filled the (?:role|position|spot)|closed (?:the|our|my) (?:round|raise)|round (?:is )?closed|(?:we|i)(?:'ve| have)? (?:just )?hired|(?:we|i)(?:'ve| have)? signed (?:with|up with)|(?:got|accepted) (?:an|the) offer|no longer (?:looking|needed)|(?:problem|issue) solved|never ?mind|nvm)\b/i;
+// Replies offering to help count toward answering an ask
+const OFFER_HELP_RE = /\b(?:i know (?:a|an|someone|somebody|some|a few|a couple|the)|i can (?:help|intro|introduce|connect)|(?:will|can|happy to|let me) (?:intro|introduce|connect)|dm(?:'?d| me| you)|sent you|check your dms)\b/i;
+const INTENT_RESPONSE_LOOKAHEAD = 15; // thread messages after an ask that can respond to it
+const INTENT_FOLLOWUP_DAYS = 90;      // how long after an ask "found one" can still close it
+const INTENT_REASK_SIMILARITY = 0.3;  // same sender + type + this much overlap = asking again
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Track each ask as an entity whose status follows the conversation:
+ *   open      — nobody has responded yet
+ *   answered  — someone replied with help (reply link, shared words, a link or number, "try …")
+ *   fulfilled — the asker closed it: "found one, thanks all", "role filled", or thanks after an answer
+ *   stale     — open or answered with no activity for `staleDays` (default: the
+ *               intent type's half-life, so "who's free tonight" goes stale in a day)
+ * Asking the same thing again folds into the earlier ask (`askCount`).
+ *
+ * @param {Object} parsedChat
+ * @param {Object} options - { now, staleDays, threads }
+ * @returns {Array} [{ id, type, sender, detail, text, date, timestamp, status, askCount, responses, respondedBy, closedBy, lastActivity, ageDays }]
+ */
+export function trackIntents(parsedChat, options = {}) {
+  const { messages } = parsedChat;
+  const { now = new Date(), staleDays = null } = options;
+  const context = answerContext(parsedChat, options);
+  const { threads, indexOf, vectorOf, explicitTo } = context;
+  const position = new Map();
+  threads.forEach(thread => thread.messages.forEach((m, i) => position.set(m, { thread, i })));
+  const times = new Map();
+  const timeOf = (m) => {
+    if (!times.has(m)) times.set(m, parseMessageDateTime(m)?.getTime() ?? null);
+    return times.get(m);
+  };
+  // Still closable (and re-askable) at time `time`
+  const withinFollowup = (entity, time) => {
+    const asked = timeOf(entity.asks[entity.asks.length - 1]);
+    return time == null || asked == null || time - asked <= INTENT_FOLLOWUP_DAYS * DAY_MS;
+  };
+
+  const asks = new Map();
+  extractIntents(messages).forEach(intent => {
+    if (ASK_TYPES.has(intent.type) && assertionWeight(intent) >= 0.5 && !asks.has(intent.messageIndex)) asks.set(intent.messageIndex, intent);
+  });
+
+  const tracked = [];
+  const bySender = new Map();  // sender → entities not yet fulfilled
+  const byThread = new Map();  // thread → Set of entities asked in it
+  messages.forEach((msg, idx) => {
+    const at = position.get(msg);
+    const time = timeOf(msg);
+    const open = (bySender.get(msg.sender) || []).filter(t => withinFollowup(t, time));
+    bySender.set(msg.sender, open);
+    const intent = asks.get(idx);
+    if (intent) {
+      const earlier = open.find(t => t.type === intent.type && cosine(vectorOf(t.asks[0]), vectorOf(msg)) >= INTENT_REASK_SIMILARITY);
+      const entity = earlier || { intent, type: intent.type, sender: msg.sender, asks: [], askIn: new Map(), responses: [], closedBy: null };
+      entity.asks.push(msg);
+      if (at) entity.askIn.set(at.thread, msg);
+      if (!earlier) {
+        tracked.push(entity);
+        open.push(entity);
+      }
+      if (at) {
+        if (!byThread.has(at.thread)) byThread.set(at.thread, new Set());
+        byThread.get(at.thread).add(entity);
+      }
+      return;
+    }
+    if (msg.isMedia) return;
+
+    // Someone else answering an ask in the same thread
+    (at && byThread.get(at.thread) || []).forEach(entity => {
+      if (entity.closedBy || entity.sender === msg.sender) return;
+      const ask = entity.askIn.get(at.thread);
+      if (!ask || at.i - position.get(ask).i > INTENT_RESPONSE_LOOKAHEAD) return;
+      const score = scoreAnswer(context, ask, msg) + (OFFER_HELP_RE.test(msg.text) ? 0.2 : 0);
+      if (score >= KB_MIN_ANSWER_SCORE) entity.responses.push({ msg, by: msg.sender, text: msg.text, date: msg.date, timestamp: msg.timestamp || null, score: Math.round(score * 100) / 100, accepted: false });
     });
 
+    // The asker closing one of their asks
+    if (open.length === 0) return;
+    let closed = null;
+    const found = msg.text.match(FULFILLED_RE);
+    if (found && classifyAssertion(msg.text, found.index, found[0].length, msg).assertion === "affirmed") {
+      // Several open asks: the one it talks about, else the latest
+      closed = open.reduce((best, t) => (cosine(vectorOf(t.asks[0]), vectorOf(msg)) >= cosine(vectorOf(best.asks[0]), vectorOf(msg)) ? t : best));
+      closed.closedBy = { reason: "found", text: msg.text, date: msg.date, timestamp: msg.timestamp || null };
+    } else if (THANKS_RE.test(msg.text) && at) {
+      closed = open.filter(t => ONE_SHOT_TYPES.has(t.type) && t.responses.some(r => position.get(r.msg)?.thread === at.thread)).pop();
+      if (closed) {
+        const accepted = closed.responses.find(r => explicitTo.has(`${idx}:${r.by}`)) || closed.responses[closed.responses.length - 1];
+        accepted.accepted = true;
+        closed.closedBy = { reason: "thanks", text: msg.text, date: msg.date, timestamp: msg.timestamp || null };
+      }
+    }
+    if (closed) bySender.set(msg.sender, open.filter(t => t !== closed));
+  });
+
+  const nowMs = new Date(now).getTime();
+  return tracked.map(entity => {
+    const first = entity.asks[0];
+    const activity = [...entity.asks, ...entity.responses.map(r => r.msg)].map(timeOf).filter(t => t != null);
+    const lastActivity = activity.length > 0 ? Math.max(...activity) : null;
+    const askedAt = timeOf(first);
+    let status = entity.responses.length > 0 ? "answered" : "open";
+    if (entity.closedBy) status = "fulfilled";
+    else if (lastActivity != null && nowMs - lastActivity > (staleDays ?? halfLife("intent", entity.type)) * DAY_MS) status = "stale";
     return {
-      ...thread,
-      type,
-      depth: exchanges,
-      requestResponse,
-      participantEngagement: participantMsgCounts,
+      id: `i${indexOf.get(first)}`,
+      type: entity.type,
+      sender: entity.sender,
+      detail: entity.intent.detail,
+      text: first.text,
+      date: first.date,
+      timestamp: first.timestamp || null,
+      status,
+      askCount: entity.asks.length,
+      responses: entity.responses.map(({ msg, ...response }) => response),
+      respondedBy: [...new Set(entity.responses.map(r => r.by))],
+      closedBy: entity.closedBy,
+      lastActivity: lastActivity != null ? new Date(lastActivity).toISOString() : null,
+      ageDays: askedAt != null ? Math.floor((nowMs - askedAt) / DAY_MS) : null,
     };
   });
 }
@@ -358,9 +1951,10 @@ export function analyzeThreadContext(threads) {
 // TEMPORAL DECAY SCORING
 // ═══════════════════════════════════════════════════════════
 
-export function applyTemporalDecay(messages, referenceDate) {
+// Half-lives live in decay.js; the default here is the generic "message" one
+export function applyTemporalDecay(messages, referenceDate, halfLifeDays = halfLife("message")) {
   const refDate = referenceDate ? new Date(referenceDate) : new Date();
-  const HALF_LIFE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days in ms
+  const HALF_LIFE_MS = halfLifeDays * 24 * 60 * 60 * 1000;
   const DECAY_CONSTANT = Math.LN2 / HALF_LIFE_MS;
 
   return messages.map(msg => {
@@ -414,17 +2008,7 @@ export function buildEvidenceTrail(suggestion, deepSignals, parsedChat) {
 
   // 2. Shared interests — find specific messages that prove the interest
   if (activity) {
-    const interestKeywords = {
-      sports: ["ufc","mma","warriors","basketball","golf","football","soccer","tennis","gym","workout","nba","nfl","boxing"],
-      crypto: ["bitcoin","btc","ethereum","crypto","trading","blockchain","nft","defi","solana","web3"],
-      food: ["dim sum","restaurant","brunch","dinner","thai food","sushi","ramen","coffee","cocktails","lunch","bar","drinks"],
-      wellness: ["sauna","ice bath","massage","spa","wellness","yoga","meditation","mindfulness","recovery"],
-      tech: ["ai","startup","coding","engineering","product","developer","software","app","llm","gpt","claude"],
-      business: ["fundraising","investor","funding","strategy","revenue","growth","pitch","deal","vc","equity"],
-      travel: ["flight","airport","hotel","trip","vacation","traveling","passport","airline"],
-      music: ["concert","festival","spotify","playlist","dj","music","band","show","tickets"],
-    };
-    const keywords = interestKeywords[activity] || [];
+    const keywords = categoryTerms(activity).map(([term]) => term);
 
     // Count keyword mentions per participant
     const mentionCounts = {};
@@ -469,8 +2053,11 @@ export function buildEvidenceTrail(suggestion, deepSignals, parsedChat) {
     });
   }
 
+  // Negated, quoted and hypothetical intents aren't evidence
+  const statedIntents = (deepSignals.intents || []).filter(intent => assertionWeight(intent) >= 0.5);
+
   // 3. Travel intents — someone going to the suggestion location
-  (deepSignals.intents || []).forEach(intent => {
+  statedIntents.forEach(intent => {
     if (intent.type === "travel" && participants.includes(intent.sender)) {
       if (location && intent.detail && (
         intent.detail.toLowerCase().includes(location.toLowerCase().slice(0, 4)) ||
@@ -525,7 +2112,7 @@ export function buildEvidenceTrail(suggestion, deepSignals, parsedChat) {
   });
 
   // 6. Seeking intro / offering intro intents
-  (deepSignals.intents || []).forEach(intent => {
+  statedIntents.forEach(intent => {
     if ((intent.type === "seeking_intro" || intent.type === "offering_intro") && participants.includes(intent.sender)) {
       evidence.push({
         type: intent.type,
@@ -539,38 +2126,168 @@ export function buildEvidenceTrail(suggestion, deepSignals, parsedChat) {
   return evidence;
 }
 
+// ═══════════════════════════════════════════════════════════
+// ASSERTION CLASSIFICATION
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * How much a matched signal counts, by how it was said. "I'm NOT hiring
+ * right now", "lol I wish I was raising" and "if I ever move to Tokyo" all
+ * hit the intent patterns; these weights let ranking drop or discount them.
+ */
+export const ASSERTION_WEIGHTS = { affirmed: 1, hypothetical: 0.3, quoted: 0.2, negated: 0 };
+
+const NEGATION_RE = /\b(?:not|never|no|nobody|none|neither|nor|stopped|done|finished|paused|cannot|dont|doesnt|didnt|cant|wont|isnt|arent|wasnt|werent|aint)\b|n['’]t\b/i;
+const NEGATION_SUFFIX_RE = /^[^,;:]*?\b(?:anymore|any more|freeze|frozen|on hold)\b/i;
+const NEGATION_WINDOW = 5; // words before the match a negation can govern
+// "not sure if anyone knows…" asks; it doesn't negate
+const INDIRECT_QUESTION_RE = /\b(?:(?:don['’]?t|do not|not sure|no idea)\s+(?:know\s+)?(?:if|whether)|wonder(?:ing)?\s+(?:if|whether))\b/gi;
+const HYPOTHETICAL_RE = /\b(?:if|unless|wish|someday|some day|one day|hypothetically|imagine|suppose|supposing|in theory|dream(?:ing)? (?:of|about))\b/i;
+// "if anyone knows…" is a request, not a condition
+const REQUEST_IF_RE = /\bif (?:anyone|anybody|someone|somebody|you)\b/gi;
+// Modals read as polite asks in a question ("could someone recommend…?")
+const MODAL_RE = /\b(?:would|could|might)\b|\b(?:i|we)['’]d\b/i;
+const REPORTED_RE = /\b(?:he|she|they|someone|somebody|my \w+)\s+(?:said|says|told me|tweeted|posted|wrote|mentioned)\b|\baccording to\b/i;
+const REPORTED_NAME_RE = /\b[A-Z][a-z]+\s+(?:said|says|told me|tweeted|posted|wrote|mentioned)\b/;
+const FORWARDED_RE = /^(?:fwd?:|forwarded\b|-+\s*forwarded message)/i;
+const SARCASM_RE = /\byeah,? right\b|\bas if\b|(?:^|\s)\/s\b|🙄|🙃/i;
+const JOKE_RE = /\b(?:lol|lmao|rofl|haha+|hehe|jk|kidding)\b|😂|🤣|😅/i;
+
+/**
+ * Tag the pattern match at text[index, index + length) as affirmed, negated,
+ * hypothetical or quoted. Negation has to sit in the same clause, a few words
+ * before the match ("we're not hiring") or right after it ("hiring freeze");
+ * conditions, wishes and reported speech count anywhere earlier in the
+ * sentence. Forwarded messages and "> " quote lines are quoted outright.
+ *
+ * @returns {{ assertion: string, confidence: number }}
+ */
+export function classifyAssertion(text, index = 0, length = 0, msg = null) {
+  if (msg?.forwardedFrom || FORWARDED_RE.test(text)) return { assertion: "quoted", confidence: 0.9 };
+  const lineStart = text.lastIndexOf("\n", index - 1) + 1;
+  if (/^\s*>/.test(text.slice(lineStart))) return { assertion: "quoted", confidence: 0.95 };
+
+  const before = text.slice(0, index);
+  const sentenceStart = Math.max(...[".", "!", "?", "\n"].map(p => before.lastIndexOf(p))) + 1;
+  const sentenceEnd = text.slice(index + length).search(/[.!?\n]/);
+  const sentence = before.slice(sentenceStart);
+  const after = sentenceEnd === -1 ? text.slice(index + length) : text.slice(index + length, index + length + sentenceEnd + 1);
+  const isQuestion = after.endsWith("?");
+
+  // Inside quotation marks, or someone else's words
+  const straightQuotes = (before.match(/"/g) || []).length;
+  const curlyQuotes = (before.match(/“/g) || []).length - (before.match(/”/g) || []).length;
+  if (straightQuotes % 2 === 1 || curlyQuotes > 0) return { assertion: "quoted", confidence: 0.8 };
+  if (REPORTED_RE.test(sentence) || REPORTED_NAME_RE.test(sentence)) return { assertion: "quoted", confidence: 0.7 };
+
+  const clause = sentence.split(/[,;:(—–]|\b(?:but|though|although)\b/i).pop().replace(INDIRECT_QUESTION_RE, " ");
+  const window = clause.trim().split(/\s+/).slice(-NEGATION_WINDOW).join(" ");
+  if (NEGATION_RE.test(window)) return { assertion: "negated", confidence: 0.9 };
+  if (NEGATION_SUFFIX_RE.test(text.slice(index, index + length) + after)) return { assertion: "negated", confidence: 0.8 };
+
+  // Blank out requests ("if anyone knows") with the match in view, then keep what precedes it
+  const blank = (m) => " ".repeat(m.length);
+  const conditions = (sentence + text.slice(index, index + length))
+    .replace(REQUEST_IF_RE, blank).replace(INDIRECT_QUESTION_RE, blank).slice(0, sentence.length);
+  const joking = JOKE_RE.test(text);
+  if (HYPOTHETICAL_RE.test(conditions)) return { assertion: "hypothetical", confidence: joking ? 0.9 : 0.85 };
+  if (!isQuestion && MODAL_RE.test(conditions)) return { assertion: "hypothetical", confidence: 0.7 };
+
+  if (SARCASM_RE.test(text)) return { assertion: "negated", confidence: 0.6 };
+  return { assertion: "affirmed", confidence: joking ? 0.6 : 0.9 };
+}
+
+/** 0–1 multiplier for a tagged signal; an unsure tag keeps part of the face value */
+export function assertionWeight(signal) {
+  const { assertion = "affirmed", assertionConfidence = 1 } = signal || {};
+  return 1 - assertionConfidence * (1 - (ASSERTION_WEIGHTS[assertion] ?? 1));
+}
+
 // ═══════════════════════════════════════════════════════════
 // CONTEXTUAL INTELLIGENCE (mining the chat for real data)
 // ═══════════════════════════════════════════════════════════
 
 // Intent detection — what are people actively looking for?
-export function extractIntents(messages) {
-  const intentPatterns = [
-    { pattern: /(?:anyone know|does anyone|who knows|can someone|looking for|need a|searching for|trying to find)\s+(.+?)(?:\?|$)/i, type: "seeking" },
-    { pattern: /(?:i'?m? hiring|we'?re? hiring|looking to hire|need to hire|open role|job opening)\s*(.+?)(?:\?|$)/i, type: "hiring" },
-    { pattern: /(?:i'?m? looking for (?:a |an )?(?:new )?(?:job|role|position|opportunity|work))/i, type: "job_seeking" },
-    { pattern: /(?:thinking about (?:leaving|quitting)|(?:just )?left (?:my )?(?:job|company|role)|moving on from)/i, type: "career_transition" },
-    { pattern: /(?:raising|fundraising|looking for (?:investors?|funding|capital)|series [a-d]|seed round|pitch(?:ing)?)/i, type: "fundraising" },
-    { pattern: /(?:i'?ll be in|(?:heading|going|flying|traveling) to|visiting|based in|moving to|just (?:landed|arrived) in)\s+(.+?)(?:\s|$|,|\.)/i, type: "travel" },
-    { pattern: /(?:anyone (?:in|near|around)|who(?:'s| is) in)\s+(.+?)(?:\?|$)/i, type: "location_check" },
-    { pattern: /(?:can (?:someone )?(?:intro|introduce|connect)|would you (?:intro|introduce))/i, type: "seeking_intro" },
-    { pattern: /(?:i know (?:a |someone)|i can (?:intro|introduce|connect)|happy to (?:intro|introduce))/i, type: "offering_intro" },
-    { pattern: /(?:recommend|suggestion|know a good)\s+(.+?)(?:\?|$)/i, type: "recommendation" },
-  ];
+// The one intent extractor: the browser pipeline, discovery-engine, spark-engine
+// and /api/discover/intents all call this, so the same chat yields the same intents.
+
+/**
+ * Bumped whenever the fields below change meaning. Intent shape (v2):
+ * { type, sender, detail, fullText, date, messageIndex, daysSince, freshness,
+ *   strength, raw_strength, assertion, assertionConfidence }
+ * v2: strength decays on the intent type's half-life (decay.js) instead of
+ * fixed 7/30-day buckets; freshness is that decay, 0–1.
+ */
+export const INTENT_SCHEMA_VERSION = 2;
+
+// First pattern per type wins on a message, so stronger phrasings come first
+const INTENT_PATTERNS = [
+  { pattern: /(?:looking for|searching for|trying to find|need(?:ing)? an?)\s+(.+?)(?:[.!?]|$)/i, type: "seeking", strength: 0.9 },
+  { pattern: /(?:anyone know|does anyone|who knows|can (?:someone|anyone))\s+(.+?)(?:\?|$)/i, type: "seeking", strength: 0.85 },
+  { pattern: /(?:hiring|looking to hire|need to hire|open role|job opening)\s*(?:for\s+)?(.+?)(?:[.!?]|$)/i, type: "hiring", strength: 0.95 },
+  { pattern: /(?:looking for (?:a |an )?(?:new )?(?:job|role|position|opportunity|work))/i, type: "job_seeking", strength: 0.95 },
+  { pattern: /(?:open to (?:new )?opportunities|exploring (?:my )?options)/i, type: "job_seeking", strength: 0.8 },
+  { pattern: /(?:thinking about (?:leaving|quitting)|(?:just )?left (?:my )?(?:job|company|role)|moving on from)/i, type: "career_transition", strength: 0.8 },
+  { pattern: /(?:raising|fundraising|looking for (?:investors?|funding|capital)|series [a-d]|seed round|pre-seed|pitch deck|pitching)/i, type: "fundraising", strength: 0.95 },
+  { pattern: /(?:i'?ll be in|(?:heading|going|flying|traveling) to|visiting|based in|moving to|just (?:landed|arrived) in)\s+(.+?)(?:\s|$|,|\.)/i, type: "travel", strength: 0.6 },
+  { pattern: /(?:anyone (?:in|near|around)|who(?:'s| is) in)\s+(.+?)(?:\?|$)/i, type: "location_check", strength: 0.6 },
+  { pattern: /(?:can (?:someone |anyone )?(?:intro|introduce|connect)|would (?:you|anyone) (?:intro|introduce)|would love an intro|looking for (?:an )?intro)/i, type: "seeking_intro", strength: 0.9 },
+  { pattern: /(?:i know (?:a |someone)|i can (?:intro|introduce|connect)|happy to (?:intro|introduce)|want me to intro)/i, type: "offering_intro", strength: 0.8 },
+  { pattern: /(?:i can help with|i'?m offering|happy to help(?: with)?|let me know if you need)\s+(.+?)(?:[.!?]|$)/i, type: "offering", strength: 0.7 },
+  { pattern: /(?:recommend|suggestion|know a good)\s+(.+?)(?:\?|$)/i, type: "recommendation", strength: 0.7 },
+  { pattern: /(?:who(?:['’]s| is) (?:free|around|up for (?:something|anything|drinks|dinner))|anyone (?:free|up for (?:something|anything|drinks|dinner))|free (?:tonight|today|later))\s*(.*?)(?:\?|$)/i, type: "availability", strength: 0.6 },
+];
+
+// Full timestamp when there is one, else the calendar day ("2026-01-15", "1/15/26")
+function messageDay(msg) {
+  const full = parseMessageDateTime(msg);
+  if (full && !isNaN(full)) return full;
+  const parts = msg.date ? resolveDateParts(String(msg.date).trim().split(/[ ,T]/)[0], "MDY") : null;
+  return parts ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day)) : null;
+}
 
+/**
+ * One intent per type per message. strength = pattern strength × recency
+ * (3× when new, fading to 0.5× on the type's half-life; undated 0.5×) × assertionWeight,
+ * so "I'm NOT hiring" ends up at 0.
+ *
+ * @param {Array} messages - engine messages ({ sender, text, date, time?, timestamp? })
+ * @param {Object} options - { now } to measure recency against (default: today)
+ * @returns {Array} intents in the INTENT_SCHEMA_VERSION shape
+ */
+export function extractIntents(messages, options = {}) {
+  const now = new Date(options.now || Date.now());
   const intents = [];
-  messages.forEach(msg => {
-    intentPatterns.forEach(({ pattern, type }) => {
+  messages.forEach((msg, messageIndex) => {
+    if (!msg.text || msg.isMedia) return;
+    const day = messageDay(msg);
+    const daysSince = day ? Math.max(0, Math.floor((now - day) / (24 * 60 * 60 * 1000))) : null;
+    const seen = new Set();
+    INTENT_PATTERNS.forEach(({ pattern, type, strength }) => {
+      if (seen.has(type)) return;
       const match = msg.text.match(pattern);
-      if (match) {
-        intents.push({
-          type,
-          sender: msg.sender,
-          detail: match[1]?.trim() || msg.text.slice(0, 100),
-          fullText: msg.text.slice(0, 200),
-          date: msg.date,
-        });
-      }
+      if (!match) return;
+      seen.add(type);
+      const { assertion, confidence } = classifyAssertion(msg.text, match.index, match[0].length, msg);
+      // Fresh intents count up to 3x, fading on the type's half-life to 0.5x
+      const freshness = decayByAge(daysSince, halfLife("intent", type));
+      const recency = freshness == null ? 0.5 : 0.5 + 2.5 * freshness;
+      const intent = {
+        type,
+        sender: msg.sender,
+        detail: match[1]?.trim() || msg.text.slice(0, 100),
+        fullText: msg.text.slice(0, 200),
+        date: msg.date,
+        timestamp: msg.timestamp || null,
+        messageIndex,
+        daysSince,
+        freshness: freshness == null ? null : Math.round(freshness * 1000) / 1000,
+        raw_strength: strength,
+        assertion,
+        assertionConfidence: confidence,
+      };
+      intent.strength = Math.round(strength * recency * assertionWeight(intent) * 1000) / 1000;
+      intents.push(intent);
     });
   });
   return intents;
@@ -618,7 +2335,8 @@ export function extractEndorsements(messages, memberNames) {
 }
 
 // Self-disclosed data — verified statements about themselves
-export function extractSelfDisclosures(messages) {
+export function extractSelfDisclosures(messages, options = {}) {
+  const now = new Date(options.now || Date.now());
   const disclosurePatterns = [
     { pattern: /i (?:work|am) (?:at|for|with)\s+(.+?)(?:\.|,|$| as)/i, field: "company" },
     { pattern: /i'?m? (?:a |an )(.+?)(?:\.|,|$| at| for| and)/i, field: "role" },
@@ -631,17 +2349,28 @@ export function extractSelfDisclosures(messages) {
 
   const disclosures = [];
   messages.forEach(msg => {
+    const day = messageDay(msg);
+    const ageDays = day ? Math.max(0, (now - day) / (24 * 60 * 60 * 1000)) : null;
     disclosurePatterns.forEach(({ pattern, field }) => {
       const match = msg.text.match(pattern);
       if (match) {
-        disclosures.push({
+        const { assertion, confidence } = classifyAssertion(msg.text, match.index, match[0].length, msg);
+        const disclosure = {
           sender: msg.sender,
           field,
           value: match[1]?.trim() || "detected",
           fullText: msg.text.slice(0, 200),
           date: msg.date,
-          confidence: 0.85, // Self-stated = high confidence
-        });
+          timestamp: msg.timestamp || null,
+          assertion,
+          assertionConfidence: confidence,
+        };
+        // Self-stated = high confidence, unless it was negated or hypothetical
+        disclosure.confidence = Math.round(0.85 * assertionWeight(disclosure) * 100) / 100;
+        // A move stays true for a year, an age or a job less reliably
+        const freshness = decayByAge(ageDays, halfLife("disclosure", field));
+        disclosure.freshness = freshness == null ? null : Math.round(freshness * 100) / 100;
+        disclosures.push(disclosure);
       }
     });
   });
@@ -771,50 +2500,85 @@ export function generateSearchQueries(profiles, intents, endorsements, disclosur
 // EXTRACTORS
 // ═══════════════════════════════════════════════════════════
 
-function extractLocation(messages) {
-  const cities = ["bangkok","singapore","hong kong","hk","sg","bkk","los angeles","la","san francisco","sf","new york","nyc","london","tokyo","dubai","paris","berlin","sydney","melbourne","toronto","seattle","austin","miami","chicago","denver","portland","boston","atlanta","dallas","houston","dc","washington"];
+// Member messages grouped by language. English lexicon terms are matched
+// against everything — code-switching ("ไปดู UFC กัน") is the norm in mixed groups.
+function textByLanguage(messages) {
+  const byLanguage = { en: [] };
+  messages.forEach((m) => {
+    byLanguage.en.push(m.text);
+    const lang = detectLanguage(m.text);
+    if (lang !== "en" && LEXICONS[lang]) (byLanguage[lang] = byLanguage[lang] || []).push(m.text);
+  });
+  return Object.entries(byLanguage).map(([lang, texts]) => ({ lang, lexicon: LEXICONS[lang], matches: createTermMatcher(texts.join(" "), lang) }));
+}
+
+// Dropped pins count more than a city name-check: +0.5 confidence per pinned
+// city, and each pin outweighs text mentions when picking the primary city
+function extractLocation(messages, languages = textByLanguage(messages)) {
   const location = { cities: [], mentions: [], confidence: 0.0 };
-  const allText = messages.map((m) => m.text.toLowerCase()).join(" ");
-  cities.forEach((city) => { if (allText.includes(city)) { location.cities.push(city); location.confidence += 0.3; } });
+  languages.forEach(({ lexicon, matches }) => {
+    Object.entries(lexicon.locations).forEach(([term, city]) => {
+      if (matches(term) && !location.cities.includes(city)) { location.cities.push(city); location.confidence += 0.3; }
+    });
+  });
+  const pins = messages.filter((m) => m.location && (m.location.lat !== null || m.location.city)).map((m) => ({ ...m.location, date: m.date }));
+  new Set(pins.map((pin) => pin.city).filter(Boolean)).forEach((city) => {
+    if (!location.cities.includes(city)) location.cities.push(city);
+    location.confidence += 0.5;
+  });
+  if (pins.length > 0) location.pins = pins;
   if (location.cities.length > 0) {
     const cityCount = {};
     location.cities.forEach((city) => (cityCount[city] = (cityCount[city] || 0) + 1));
+    pins.forEach((pin) => { if (pin.city) cityCount[pin.city] += 2; });
     location.primary = Object.keys(cityCount).reduce((a, b) => (cityCount[a] > cityCount[b] ? a : b));
   }
   return location;
 }
 
-function extractInterests(messages) {
-  const interestKeywords = {
-    sports: ["ufc","mma","warriors","basketball","golf","football","soccer","tennis","gym","workout","nba","nfl","boxing"],
-    crypto: ["bitcoin","btc","ethereum","crypto","trading","blockchain","nft","defi","solana","web3"],
-    food: ["dim sum","restaurant","brunch","dinner","thai food","sushi","ramen","coffee","cocktails","lunch","bar","drinks"],
-    wellness: ["sauna","ice bath","massage","spa","wellness","yoga","meditation","mindfulness","recovery"],
-    tech: ["ai","startup","coding","engineering","product","developer","software","app","llm","gpt","claude"],
-    business: ["fundraising","investor","funding","strategy","revenue","growth","pitch","deal","vc","equity"],
-    travel: ["flight","airport","hotel","trip","vacation","traveling","passport","airline"],
-    music: ["concert","festival","spotify","playlist","dj","music","band","show","tickets"],
-  };
+// Categories come from the taxonomy; each language's hits count against its
+// own list size, so a Thai-only member isn't diluted by the English list.
+// English synonyms report the keyword they stand for.
+function extractInterests(messages, languages = textByLanguage(messages)) {
   const interests = [];
-  const allText = messages.map((m) => m.text.toLowerCase()).join(" ");
-  Object.entries(interestKeywords).forEach(([category, keywords]) => {
-    const matches = keywords.filter((kw) => allText.includes(kw));
-    if (matches.length > 0) interests.push({ category, keywords: matches, confidence: Math.min(matches.length / keywords.length, 1) });
+  Object.keys(getTaxonomy().categories).forEach((category) => {
+    const keywords = [];
+    let confidence = 0;
+    languages.forEach(({ lang, lexicon, matches }) => {
+      const terms = (lexicon.interests[category] || []).map((t) => [t, t]);
+      if (lang === "en") terms.unshift(...categoryTerms(category));
+      const found = [...new Set(terms.filter(([term]) => matches(term)).map(([, keyword]) => keyword))];
+      keywords.push(...found);
+      const size = new Set(terms.map(([, keyword]) => keyword)).size;
+      if (size > 0) confidence += found.length / size;
+    });
+    if (keywords.length > 0) interests.push({ category, keywords, confidence: Math.min(confidence, 1) });
   });
   return interests.sort((a, b) => b.confidence - a.confidence);
 }
 
-function extractAffinities(messages) {
-  const patterns = { sports_teams: ["warriors","niners","49ers","lakers","celtics","yankees","chiefs"], food_types: ["dim sum","sushi","thai","ramen","pizza","tacos","bbq","korean"], activities: ["golf","sauna","cycling","hiking","surfing","climbing","running","poker"] };
+// Affinities are reported in their canonical English form ("ซูชิ" → "sushi")
+function extractAffinities(messages, languages = textByLanguage(messages)) {
   const affinities = {};
-  const allText = messages.map((m) => m.text.toLowerCase()).join(" ");
-  Object.entries(patterns).forEach(([type, items]) => {
-    const matches = items.filter((item) => allText.includes(item));
-    if (matches.length > 0) affinities[type] = matches;
+  languages.forEach(({ lexicon, matches }) => {
+    Object.entries(lexicon.affinities).forEach(([type, terms]) => {
+      Object.entries(terms).forEach(([term, canonical]) => {
+        if (!matches(term)) return;
+        affinities[type] = affinities[type] || [];
+        if (!affinities[type].includes(canonical)) affinities[type].push(canonical);
+      });
+    });
   });
   return affinities;
 }
 
+// Languages a member writes in, most used first
+function extractLanguages(messages) {
+  const counts = {};
+  messages.forEach((m) => { const lang = detectLanguage(m.text); counts[lang] = (counts[lang] || 0) + 1; });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([lang]) => lang);
+}
+
 function calculateActivityLevel(member, parsedChat) {
   const ratio = member.messageCount / Math.max(parsedChat.stats.totalMessages, 1);
   return ratio > 0.15 ? "high" : ratio > 0.05 ? "medium" : "low";
@@ -846,46 +2610,688 @@ function findMentionedBy(memberName, allMessages) {
   return [...mentionedBy];
 }
 
+// ═══════════════════════════════════════════════════════════
+// EXPERTISE MODELING (what each member actually knows about)
+// ═══════════════════════════════════════════════════════════
+
+const EXPERTISE_MIN_MESSAGES = 2;   // a term has to recur to count
+const EXPERTISE_TOP = 10;
+const EXPERTISE_EVIDENCE = 2;
+const EXPERTISE_ANSWER_LOOKAHEAD = 5;
+const EXPERTISE_KIND_BOOST = { word: 1, phrase: 1.5, entity: 1.3 };
+// Proper nouns and acronyms: "Stripe", "Series A", "AWS"
+const ENTITY_RE = /\b(?:[A-Z][A-Za-z\d]*[A-Z\d][A-Za-z\d]*|[A-Z][a-z\d]+(?:\s+(?:[A-Z][A-Za-z\d]*))*)\b/g;
+
+// Content words in order, with stop words left as gaps so phrases never
+// bridge them ("term sheet" yes, "term of the sheet" no)
+function expertiseTerms(text, names) {
+  const words = text.toLowerCase().replace(/https?:\/\/[^\s]+/g, " ").replace(/['’]/g, "").split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const terms = [];
+  let run = [];
+  const flush = () => {
+    run.forEach((w, i) => {
+      terms.push([w, "word"]);
+      if (i > 0) terms.push([`${run[i - 1]} ${w}`, "phrase"]);
+      if (i > 1) terms.push([`${run[i - 2]} ${run[i - 1]} ${w}`, "phrase"]);
+    });
+    run = [];
+  };
+  words.forEach((w) => {
+    if (w.length > 2 && !TOPIC_STOP_WORDS.has(w) && !names.has(w) && !/^\d+$/.test(w)) run.push(w);
+    else flush();
+  });
+  flush();
+
+  // Capitalised words that don't just open a sentence
+  for (const match of text.replace(/https?:\/\/[^\s]+/g, " ").matchAll(ENTITY_RE)) {
+    const words = match[0].split(/\s+/);
+    const before = text.slice(0, match.index).trimEnd();
+    // Sentence openers are capitalised anyway — unless they're an acronym
+    if ((before === "" || /[.!?:\n]$/.test(before)) && !/[A-Z\d]/.test(words[0].slice(1))) words.shift();
+    const entity = words.join(" ");
+    const key = entity.toLowerCase();
+    if (key.length < 2 || words.some((w) => names.has(w.toLowerCase())) || words.every((w) => TOPIC_STOP_WORDS.has(w.toLowerCase()))) continue;
+    terms.push([key, "entity", entity]);
+  }
+  return terms;
+}
+
+/**
+ * Per-member expertise: words, recurring phrases and named entities scored by
+ * TF-IDF against the rest of the group, so what a member talks about more than
+ * everyone else rises to the top. Questions count half (asking about visas is
+ * interest, not expertise) and answering someone else's question with the term
+ * counts extra. Each entry keeps a couple of messages as evidence.
+ *
+ * @param {Object} parsedChat
+ * @returns {Object} { [member]: [{ term, kind, score, weight, messages, answers, category, evidence }] } — score is 0–1 against the member's top term
+ */
+export function buildExpertiseModel(parsedChat, options = {}) {
+  const { top = EXPERTISE_TOP } = options;
+  const { messages } = parsedChat;
+  const names = new Set(parsedChat.members.flatMap((m) => m.name.toLowerCase().split(/\s+/)));
+
+  const termsOf = messages.map((m) => (m.isMedia || m.type ? [] : expertiseTerms(m.text, names)));
+  const keysOf = termsOf.map((terms) => new Set(terms.map(([key]) => key)));
+
+  // member → term → { kind, count, answers, messages, casing }
+  const stats = new Map();
+  messages.forEach((msg, idx) => {
+    if (termsOf[idx].length === 0) return;
+    if (!stats.has(msg.sender)) stats.set(msg.sender, new Map());
+    const mine = stats.get(msg.sender);
+    const asking = QUESTION_RE.test(msg.text);
+    // A question from someone else a few messages back that this one shares terms with
+    let answered = null;
+    if (!asking) {
+      for (let j = idx - 1; j >= Math.max(0, idx - EXPERTISE_ANSWER_LOOKAHEAD); j--) {
+        if (messages[j].sender !== msg.sender && QUESTION_RE.test(messages[j].text)) { answered = keysOf[j]; break; }
+      }
+    }
+    termsOf[idx].forEach(([key, kind, casing]) => {
+      if (!mine.has(key)) mine.set(key, { kind, count: 0, answers: 0, messages: [], casing: {} });
+      const s = mine.get(key);
+      // "Stripe" the entity and "stripe" the word are the same term
+      if (kind === "entity") s.kind = "entity";
+      if (casing) s.casing[casing] = (s.casing[casing] || 0) + 1;
+      if (s.messages[s.messages.length - 1] === msg) return;
+      s.count += asking ? 0.5 : 1;
+      if (answered?.has(key)) s.answers += 1;
+      s.messages.push(msg);
+    });
+  });
+
+  // Members are the documents: a term only one member keeps using is expertise
+  const df = new Map();
+  stats.forEach((terms) => terms.forEach((_, key) => df.set(key, (df.get(key) || 0) + 1)));
+  const n = stats.size;
+  const idf = (key) => Math.log((n + 1) / ((df.get(key) || 0) + 1)) + 1;
+
+  const model = {};
+  stats.forEach((terms, member) => {
+    const ranked = [];
+    terms.forEach((s, key) => {
+      if (s.messages.length < EXPERTISE_MIN_MESSAGES) return;
+      const weight = (1 + Math.log(s.count)) * idf(key) * EXPERTISE_KIND_BOOST[s.kind] * (1 + 0.5 * Math.min(s.answers, s.count) / s.count);
+      ranked.push({ key, s, weight });
+    });
+    ranked.sort((a, b) => b.weight - a.weight);
+
+    // A word that only shows up inside a stronger phrase adds nothing ("sheet" under "term sheet")
+    const kept = [];
+    for (const entry of ranked) {
+      if (kept.length >= top) break;
+      const covered = kept.some((k) => k.key.includes(" ") && k.key.split(" ").includes(entry.key) && entry.s.messages.length <= k.s.messages.length * 1.5);
+      if (!covered) kept.push(entry);
+    }
+    if (kept.length === 0) return;
+
+    const best = kept[0].weight;
+    model[member] = kept.map(({ key, s, weight }) => {
+      const casings = Object.entries(s.casing).sort((a, b) => b[1] - a[1]);
+      const term = casings.length > 0 ? casings[0][0] : key;
+      return {
+        term,
+        kind: s.kind,
+        score: Math.round((weight / best) * 100) / 100,
+        weight: Math.round(weight * 100) / 100,
+        messages: s.messages.length,
+        answers: s.answers,
+        category: categorizeInterest(key),
+        evidence: s.messages.slice(-EXPERTISE_EVIDENCE).map((m) => ({ text: m.text.length > 140 ? `${m.text.slice(0, 137)}...` : m.text, date: m.date })),
+      };
+    });
+  });
+  return model;
+}
+
 // ═══════════════════════════════════════════════════════════
 // PROFILE ENRICHMENT
 // ═══════════════════════════════════════════════════════════
 
 export function enrichProfiles(parsedChat) {
-  return parsedChat.members.map((member) => ({
-    id: member.name.toLowerCase().replace(/[^a-z0-9]+/g, "_"),
-    source_name: member.name,
-    display_name: member.name,
-    message_count: member.messageCount,
-    first_seen: member.firstSeen,
-    last_seen: member.lastSeen,
-    location: extractLocation(member.messages),
-    interests: extractInterests(member.messages),
-    affinities: extractAffinities(member.messages),
-    activity_level: calculateActivityLevel(member, parsedChat),
-    mentions: findMentions(member.name, parsedChat.messages),
-    mentioned_by: findMentionedBy(member.name, parsedChat.messages),
-  }));
+  const membership = summarizeMembership(parsedChat.membershipEvents);
+  const pollPreferences = extractPollPreferences(parsedChat);
+  const expertise = buildExpertiseModel(parsedChat);
+  return parsedChat.members.map((member) => {
+    const languages = textByLanguage(member.messages);
+    return {
+      id: member.name.toLowerCase().replace(/[^a-z0-9]+/g, "_"),
+      source_name: member.name,
+      display_name: member.name,
+      message_count: member.messageCount,
+      first_seen: member.firstSeen,
+      last_seen: member.lastSeen,
+      languages: extractLanguages(member.messages),
+      location: extractLocation(member.messages, languages),
+      interests: extractInterests(member.messages, languages),
+      expertise: expertise[member.name] || [],
+      affinities: extractAffinities(member.messages, languages),
+      poll_votes: pollPreferences[member.name] || [],
+      activity_level: calculateActivityLevel(member, parsedChat),
+      mentions: findMentions(member.name, parsedChat.messages),
+      mentioned_by: findMentionedBy(member.name, parsedChat.messages),
+      ...membershipFields(member.name, membership),
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// NETWORK METRICS (centrality over the reply/mention graph)
+// ═══════════════════════════════════════════════════════════
+
+// A pair needs this much interaction (a real reply, or a few sequential
+// guesses) to count as a tie for betweenness and clustering
+const MIN_TIE_WEIGHT = 1;
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 50;
+
+// Directed interaction weights, summed per pair: [{ from, to, weight }]
+function sumEdges(pairs) {
+  const totals = new Map();
+  pairs.forEach(({ from, to, weight }) => {
+    if (!from || !to || from === to) return;
+    const key = `${from}\u0000${to}`;
+    const edge = totals.get(key) || { from, to, weight: 0 };
+    edge.weight += weight;
+    totals.set(key, edge);
+  });
+  return [...totals.values()];
+}
+
+/** Who answers or mentions whom, weighted by detectReplies evidence */
+export function replyEdges(parsedChat) {
+  return sumEdges(detectReplies(parsedChat));
+}
+
+/** The same from enriched profiles alone (mentions / mentioned_by), when there's no chat */
+export function mentionEdges(profiles) {
+  return sumEdges(profiles.flatMap((p) => [
+    ...(p.mentions || []).map((name) => ({ from: p.display_name, to: name, weight: 1 })),
+    ...(p.mentioned_by || []).map((name) => ({ from: name, to: p.display_name, weight: 1 })),
+  ])).map((edge) => ({ ...edge, weight: Math.min(edge.weight, 1) }));   // listed from both sides
+}
+
+// Weighted PageRank: a reply passes a share of the sender's rank to whoever they answer
+function pageRank(names, edges) {
+  const n = names.length;
+  const outWeight = new Map(names.map((name) => [name, 0]));
+  edges.forEach((e) => outWeight.set(e.from, outWeight.get(e.from) + e.weight));
+  let rank = new Map(names.map((name) => [name, 1 / n]));
+  for (let i = 0; i < PAGERANK_ITERATIONS; i++) {
+    // Members who never address anyone spread their rank evenly
+    const dangling = names.reduce((sum, name) => sum + (outWeight.get(name) > 0 ? 0 : rank.get(name)), 0);
+    const next = new Map(names.map((name) => [name, (1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * dangling / n]));
+    edges.forEach((e) => next.set(e.to, next.get(e.to) + PAGERANK_DAMPING * rank.get(e.from) * e.weight / outWeight.get(e.from)));
+    const change = names.reduce((sum, name) => sum + Math.abs(next.get(name) - rank.get(name)), 0);
+    rank = next;
+    if (change < 1e-9) break;
+  }
+  return rank;
+}
+
+// Smallest-first queue of [distance, name] for the shortest-path searches
+function pushQueue(queue, entry) {
+  queue.push(entry);
+  for (let i = queue.length - 1; i > 0;) {
+    const parent = (i - 1) >> 1;
+    if (queue[parent][0] <= queue[i][0]) break;
+    [queue[parent], queue[i]] = [queue[i], queue[parent]];
+    i = parent;
+  }
+}
+
+function popQueue(queue) {
+  const top = queue[0];
+  const last = queue.pop();
+  if (queue.length > 0) {
+    queue[0] = last;
+    for (let i = 0; ;) {
+      let smallest = i;
+      [2 * i + 1, 2 * i + 2].forEach((child) => { if (child < queue.length && queue[child][0] < queue[smallest][0]) smallest = child; });
+      if (smallest === i) break;
+      [queue[smallest], queue[i]] = [queue[i], queue[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+// Brandes' betweenness over ties, with strong ties as short distances, normalized 0–1
+function betweenness(names, ties) {
+  const score = new Map(names.map((name) => [name, 0]));
+  names.forEach((source) => {
+    const dist = new Map([[source, 0]]);
+    const sigma = new Map([[source, 1]]);
+    const preds = new Map();
+    const order = [];
+    const done = new Set();
+    const queue = [[0, source]];
+    while (queue.length > 0) {
+      const [d, v] = popQueue(queue);
+      if (done.has(v)) continue;
+      done.add(v);
+      order.push(v);
+      (ties.get(v) || new Map()).forEach((weight, w) => {
+        const nd = d + 1 / weight;
+        const known = dist.get(w);
+        if (known === undefined || nd < known - 1e-12) {
+          dist.set(w, nd);
+          sigma.set(w, sigma.get(v));
+          preds.set(w, [v]);
+          pushQueue(queue, [nd, w]);
+        } else if (Math.abs(nd - known) <= 1e-12 && !done.has(w)) {
+          sigma.set(w, sigma.get(w) + sigma.get(v));
+          preds.get(w).push(v);
+        }
+      });
+    }
+    const delta = new Map();
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      (preds.get(w) || []).forEach((v) => {
+        delta.set(v, (delta.get(v) || 0) + (sigma.get(v) / sigma.get(w)) * (1 + (delta.get(w) || 0)));
+      });
+      score.set(w, score.get(w) + (delta.get(w) || 0));
+    }
+  });
+  // Each undirected path was counted from both ends
+  const pairs = (names.length - 1) * (names.length - 2);
+  names.forEach((name) => score.set(name, pairs > 0 ? score.get(name) / pairs : 0));
+  return score;
+}
+
+// Share of a member's tie-neighbours who are tied to each other
+function clustering(name, ties) {
+  const neighbours = [...(ties.get(name)?.keys() || [])];
+  if (neighbours.length < 2) return 0;
+  let links = 0;
+  for (let i = 0; i < neighbours.length; i++) {
+    for (let j = i + 1; j < neighbours.length; j++) {
+      if (ties.get(neighbours[i])?.has(neighbours[j])) links++;
+    }
+  }
+  return links / (neighbours.length * (neighbours.length - 1) / 2);
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * PageRank, betweenness, clustering and reciprocity for every member of a
+ * directed, weighted interaction graph (replyEdges or mentionEdges).
+ *
+ * @returns {Object} { nodes: { [name]: { pagerank, influence, betweenness,
+ *   clustering, reciprocity, inDegree, outDegree, ties, mutualTies } },
+ *   network: { members, density, reciprocity, clustering } }
+ *   — influence is PageRank relative to the average member (1 = average)
+ */
+export function computeNetworkMetrics(names, edges) {
+  const members = [...new Set(names)];
+  const known = new Set(members);
+  const inGroup = edges.filter((e) => known.has(e.from) && known.has(e.to));
+
+  const weightOf = new Map();
+  const inDegree = new Map();
+  const outDegree = new Map();
+  inGroup.forEach((e) => {
+    weightOf.set(`${e.from}\u0000${e.to}`, e.weight);
+    inDegree.set(e.to, (inDegree.get(e.to) || 0) + 1);
+    outDegree.set(e.from, (outDegree.get(e.from) || 0) + 1);
+  });
+  const directed = (a, b) => weightOf.get(`${a}\u0000${b}`) || 0;
+
+  // Undirected ties: both directions together past MIN_TIE_WEIGHT
+  const ties = new Map();
+  inGroup.forEach(({ from, to }) => {
+    const weight = directed(from, to) + directed(to, from);
+    if (weight < MIN_TIE_WEIGHT) return;
+    if (!ties.has(from)) ties.set(from, new Map());
+    if (!ties.has(to)) ties.set(to, new Map());
+    ties.get(from).set(to, weight);
+    ties.get(to).set(from, weight);
+  });
+
+  const rank = members.length > 0 ? pageRank(members, inGroup) : new Map();
+  const between = betweenness(members, ties);
+  let mutualWeight = 0;
+  let totalWeight = 0;
+
+  const nodes = {};
+  members.forEach((name) => {
+    const neighbours = [...(ties.get(name)?.keys() || [])];
+    // Reciprocity: how evenly the interaction on each tie runs both ways
+    let min = 0;
+    let max = 0;
+    neighbours.forEach((other) => {
+      min += Math.min(directed(name, other), directed(other, name));
+      max += Math.max(directed(name, other), directed(other, name));
+    });
+    mutualWeight += min;
+    totalWeight += max;
+    nodes[name] = {
+      pagerank: round3(rank.get(name) || 0),
+      influence: round3((rank.get(name) || 0) * members.length),
+      betweenness: round3(between.get(name) || 0),
+      clustering: round3(clustering(name, ties)),
+      reciprocity: max > 0 ? round3(min / max) : 0,
+      inDegree: inDegree.get(name) || 0,
+      outDegree: outDegree.get(name) || 0,
+      ties: neighbours.length,
+      // Ties where each side put in at least half a tie's worth
+      mutualTies: neighbours.filter((other) => Math.min(directed(name, other), directed(other, name)) >= MIN_TIE_WEIGHT / 2).length,
+    };
+  });
+
+  const tieCount = [...ties.values()].reduce((sum, t) => sum + t.size, 0) / 2;
+  const possible = members.length * (members.length - 1) / 2;
+  const values = Object.values(nodes);
+  return {
+    nodes,
+    network: {
+      members: members.length,
+      density: possible > 0 ? round3(tieCount / possible) : 0,
+      reciprocity: totalWeight > 0 ? round3(mutualWeight / totalWeight) : 0,
+      clustering: values.length > 0 ? round3(values.reduce((sum, v) => sum + v.clustering, 0) / values.length) : 0,
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════
 // NETWORK ANALYSIS
 // ═══════════════════════════════════════════════════════════
 
-export function analyzeNetwork(profiles) {
-  const metrics = profiles.map((p) => ({
-    id: p.id, name: p.display_name, messageCount: p.message_count,
-    inDegree: p.mentioned_by.length, outDegree: p.mentions.length,
-    totalConnections: p.mentioned_by.length + p.mentions.length,
-    location: p.location?.primary, activityLevel: p.activity_level,
-  }));
+// On at least this share of shortest paths between other members
+const MIN_BROKER_BETWEENNESS = 0.05;
+
+/**
+ * Roles from the network metrics: hubs (high PageRank — the people others
+ * answer), brokers (high betweenness with a loosely-knit circle — they link
+ * sub-groups that don't otherwise talk), connectors (many two-way ties, or
+ * brought people into the group) and lurkers (barely post and nobody
+ * engages with them). Pass computeNetworkMetrics(names, replyEdges(chat))
+ * when the chat is at hand; otherwise the profiles' mentions are used.
+ */
+export function analyzeNetwork(profiles, networkMetrics = null) {
+  const { nodes, network } = networkMetrics || computeNetworkMetrics(profiles.map((p) => p.display_name), mentionEdges(profiles));
+  const empty = { pagerank: 0, influence: 0, betweenness: 0, clustering: 0, reciprocity: 0, inDegree: 0, outDegree: 0, ties: 0, mutualTies: 0 };
+  const metrics = profiles.map((p) => {
+    const m = nodes[p.display_name] || empty;
+    return {
+      id: p.id, name: p.display_name, messageCount: p.message_count,
+      ...m,
+      totalConnections: m.inDegree + m.outDegree,
+      location: p.location?.primary, activityLevel: p.activity_level,
+      invites: p.invited?.length || 0, isAdmin: Boolean(p.is_admin), leftGroup: Boolean(p.left_group),
+    };
+  });
+  const counts = metrics.map((n) => n.messageCount).sort((a, b) => a - b);
+  const medianMessages = counts.length > 0 ? counts[Math.floor(counts.length / 2)] : 0;
+  // Bringing people into the group is the strongest connector signal there is
+  const connectorScore = (n) => n.mutualTies + n.invites * 3;
+  const brokerScore = (n) => n.betweenness * (1 - n.clustering);
   return {
-    hubs: metrics.filter((n) => n.inDegree > 0).sort((a, b) => b.inDegree - a.inDegree),
-    connectors: metrics.filter((n) => n.outDegree > 0).sort((a, b) => b.outDegree - a.outDegree),
-    lurkers: metrics.filter((n) => n.messageCount < 5),
+    hubs: metrics.filter((n) => n.inDegree > 0 && n.influence > 1).sort((a, b) => b.pagerank - a.pagerank),
+    brokers: metrics.filter((n) => n.betweenness >= MIN_BROKER_BETWEENNESS).sort((a, b) => brokerScore(b) - brokerScore(a)),
+    connectors: metrics.filter((n) => connectorScore(n) > 0).sort((a, b) => connectorScore(b) - connectorScore(a)),
+    admins: metrics.filter((n) => n.isAdmin),
+    churned: metrics.filter((n) => n.leftGroup),
+    lurkers: metrics.filter((n) => n.messageCount < Math.max(3, medianMessages * 0.2) && n.inDegree === 0),
+    network,
     nodeMetrics: metrics.sort((a, b) => b.messageCount - a.messageCount),
   };
 }
 
+// ═══════════════════════════════════════════════════════════
+// COMMUNITY DETECTION (sub-circles within a group)
+// ═══════════════════════════════════════════════════════════
+
+const MIN_SPHERE_SIZE = 3;             // smaller clusters stay "unclustered"
+const LOUVAIN_MAX_PASSES = 20;
+const SPHERE_TOPICS = 3;
+const SPHERE_EXPERTISE_TERMS = 5;      // a member's top expertise terms count as their topics
+const MIN_LOCATION_SHARE = 0.4;        // of a sphere's located members, to name it after a city
+const CONNECTOR_OUTSIDE_SHARE = 0.3;   // share of a member's tie strength that leaves the sphere
+
+// Louvain: move each node to the neighbouring community with the best
+// modularity gain until nothing moves, collapse communities into nodes,
+// repeat. `adjacency` is symmetric — [{ [neighbour]: weight }] — and a
+// node's own entry holds twice its internal weight. Visits nodes in order,
+// so the same graph always gives the same clusters.
+function louvainLevel(adjacency, resolution) {
+  const n = adjacency.length;
+  const degree = adjacency.map((row) => [...row.values()].reduce((sum, w) => sum + w, 0));
+  const total = degree.reduce((sum, d) => sum + d, 0);
+  const community = adjacency.map((_, i) => i);
+  const communityDegree = [...degree];
+  if (total === 0) return { community, moved: false };
+
+  let moved = false;
+  for (let pass = 0; pass < LOUVAIN_MAX_PASSES; pass++) {
+    let changed = false;
+    for (let i = 0; i < n; i++) {
+      const own = community[i];
+      const toCommunity = new Map();
+      adjacency[i].forEach((weight, j) => {
+        if (j !== i) toCommunity.set(community[j], (toCommunity.get(community[j]) || 0) + weight);
+      });
+      communityDegree[own] -= degree[i];
+      const gain = (c) => (toCommunity.get(c) || 0) - resolution * communityDegree[c] * degree[i] / total;
+      let best = own;
+      let bestGain = gain(own);
+      toCommunity.forEach((_, c) => {
+        const g = gain(c);
+        if (g > bestGain + 1e-12) { best = c; bestGain = g; }
+      });
+      communityDegree[best] += degree[i];
+      if (best !== own) { community[i] = best; changed = true; moved = true; }
+    }
+    if (!changed) break;
+  }
+  return { community, moved };
+}
+
+function louvain(names, ties, resolution = 1) {
+  const index = new Map(names.map((name, i) => [name, i]));
+  let adjacency = names.map((name) => new Map([...(ties.get(name) || new Map())].map(([other, w]) => [index.get(other), w])));
+  let membership = names.map((_, i) => i);
+  for (;;) {
+    const { community, moved } = louvainLevel(adjacency, resolution);
+    if (!moved) break;
+    // Renumber 0…k-1 in first-seen order and collapse each community into a node
+    const renumber = new Map();
+    community.forEach((c) => { if (!renumber.has(c)) renumber.set(c, renumber.size); });
+    const collapsed = [...renumber.keys()].map(() => new Map());
+    adjacency.forEach((row, i) => {
+      const a = renumber.get(community[i]);
+      row.forEach((weight, j) => {
+        const b = renumber.get(community[j]);
+        collapsed[a].set(b, (collapsed[a].get(b) || 0) + weight);
+      });
+    });
+    membership = membership.map((node) => renumber.get(community[node]));
+    adjacency = collapsed;
+  }
+  return membership;
+}
+
+// Undirected tie strengths, from buildRelationshipGraph pairs ({ personA,
+// personB, strength }) or directed { from, to, weight } edges
+function undirectedTies(relationships) {
+  const ties = new Map();
+  const add = (a, b, weight) => {
+    if (!a || !b || a === b || !(weight > 0)) return;
+    if (!ties.has(a)) ties.set(a, new Map());
+    if (!ties.has(b)) ties.set(b, new Map());
+    ties.get(a).set(b, (ties.get(a).get(b) || 0) + weight);
+    ties.get(b).set(a, (ties.get(b).get(a) || 0) + weight);
+  };
+  relationships.forEach((r) => (r.personA ? add(r.personA, r.personB, r.strength / 100) : add(r.from, r.to, r.weight)));
+  return ties;
+}
+
+// What a member talks about: interest keywords and their top expertise terms
+function memberTopics(profile) {
+  return new Set([
+    ...(profile.interests || []).flatMap((i) => i.keywords || []),
+    ...(profile.expertise || []).slice(0, SPHERE_EXPERTISE_TERMS).map((e) => e.term),
+  ].filter(Boolean).map((term) => term.toLowerCase()));
+}
+
+// Topics that set a sphere apart: common inside it, rarer across the group
+function dominantTopics(members, topicsOf, groupCounts, groupSize) {
+  const counts = new Map();
+  members.forEach((name) => topicsOf.get(name)?.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1)));
+  return [...counts.entries()]
+    .filter(([, count]) => count >= 2)
+    .map(([term, count]) => ({ term, members: count, lift: (count / members.length) / (groupCounts.get(term) / groupSize) }))
+    .sort((a, b) => b.members * b.lift - a.members * a.lift || a.term.localeCompare(b.term))
+    .slice(0, SPHERE_TOPICS)
+    .map(({ term, members: count, lift }) => ({ term, members: count, lift: Math.round(lift * 100) / 100 }));
+}
+
+function sphereName(topics, locations, hub) {
+  const parts = [];
+  if (topics[0]) parts.push(capitalize(topics[0].term));
+  if (locations[0]?.share >= MIN_LOCATION_SHARE) parts.push(locations[0].city);
+  return parts.length > 0 ? parts.join(" · ") : `${hub}'s circle`;
+}
+
+/**
+ * Sub-circles of a group — the climbers, the SF founders, the parents —
+ * found by Louvain clustering over relationship strength and labelled by
+ * the topics and cities their members share. `relationships` is
+ * buildRelationshipGraph output (or replyEdges); without it the profiles'
+ * mentions are used. Roles inside a sphere follow sphere_members: the hub
+ * has the most tie strength inside it, connectors have at least
+ * CONNECTOR_OUTSIDE_SHARE of theirs leading to other spheres.
+ *
+ * @param {Array} profiles - enriched profiles
+ * @param {Array} relationships - relationship pairs or directed edges
+ * @param {Object} options - { networkMetrics, me (your name), resolution (higher = smaller spheres) }
+ * @returns {Object} { spheres, unclustered, modularity }
+ */
+export function detectCommunities(profiles, relationships = null, options = {}) {
+  const { networkMetrics = null, me = null, resolution = 1 } = options;
+  const names = profiles.map((p) => p.display_name);
+  const known = new Set(names);
+  const ties = undirectedTies(relationships || mentionEdges(profiles));
+  [...ties.keys()].forEach((name) => { if (!known.has(name)) ties.delete(name); });
+  ties.forEach((neighbours) => [...neighbours.keys()].forEach((name) => { if (!known.has(name)) neighbours.delete(name); }));
+
+  const membership = louvain(names, ties, resolution);
+  const groups = new Map();
+  names.forEach((name, i) => {
+    if (!groups.has(membership[i])) groups.set(membership[i], []);
+    groups.get(membership[i]).push(name);
+  });
+  const clusterOf = new Map(names.map((name, i) => [name, membership[i]]));
+
+  const profileOf = new Map(profiles.map((p) => [p.display_name, p]));
+  const topicsOf = new Map(profiles.map((p) => [p.display_name, memberTopics(p)]));
+  const groupCounts = new Map();
+  topicsOf.forEach((terms) => terms.forEach((term) => groupCounts.set(term, (groupCounts.get(term) || 0) + 1)));
+  const strengthTo = (name, inside) => [...(ties.get(name) || new Map())]
+    .reduce((sum, [other, w]) => sum + (inside(other) ? w : 0), 0);
+
+  // Modularity of the final split (0 = no better than chance)
+  const total = names.reduce((sum, name) => sum + strengthTo(name, () => true), 0);
+  const clusterDegree = new Map();
+  let internal = 0;
+  names.forEach((name) => {
+    const c = clusterOf.get(name);
+    clusterDegree.set(c, (clusterDegree.get(c) || 0) + strengthTo(name, () => true));
+    internal += strengthTo(name, (other) => clusterOf.get(other) === c);
+  });
+  const modularity = total > 0
+    ? internal / total - [...clusterDegree.values()].reduce((sum, d) => sum + (d / total) ** 2, 0)
+    : 0;
+
+  const kept = [...groups.entries()].filter(([, members]) => members.length >= MIN_SPHERE_SIZE);
+  const spheres = kept.map(([cluster, members]) => {
+    const inside = (other) => clusterOf.get(other) === cluster;
+    const stats = members.map((name) => {
+      const insideStrength = strengthTo(name, inside);
+      const outsideStrength = strengthTo(name, (other) => !inside(other));
+      return { name, insideStrength, outsideStrength };
+    }).sort((a, b) => b.insideStrength - a.insideStrength || a.name.localeCompare(b.name));
+    const hub = stats[0].name;
+    const roleOf = (s) => s.name === hub ? "hub"
+      : s.outsideStrength > 0 && s.outsideStrength / (s.insideStrength + s.outsideStrength) >= CONNECTOR_OUTSIDE_SHARE ? "connector"
+      : "member";
+
+    const cityCounts = new Map();
+    members.forEach((name) => {
+      const city = normLoc(profileOf.get(name)?.location?.primary);
+      if (city) cityCounts.set(city, (cityCounts.get(city) || 0) + 1);
+    });
+    const located = [...cityCounts.values()].reduce((sum, n) => sum + n, 0);
+    const locations = [...cityCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([city, count]) => ({ city, members: count, share: Math.round((count / located) * 100) / 100 }));
+    const topics = dominantTopics(members, topicsOf, groupCounts, names.length);
+
+    // Ties leaving the sphere, per neighbouring cluster — the bridges between circles
+    const bridges = new Map();
+    members.forEach((name) => ties.get(name)?.forEach((weight, other) => {
+      if (inside(other)) return;
+      const bridge = bridges.get(clusterOf.get(other)) || { cluster: clusterOf.get(other), via: new Set(), weight: 0 };
+      bridge.via.add(name);
+      bridge.weight += weight;
+      bridges.set(bridge.cluster, bridge);
+    }));
+
+    const insideTotal = stats.reduce((sum, s) => sum + s.insideStrength, 0);
+    const outsideTotal = stats.reduce((sum, s) => sum + s.outsideStrength, 0);
+    const activity = { low: 0, medium: 0, high: 0 };
+    members.forEach((name) => { const level = profileOf.get(name)?.activity_level; if (level in activity) activity[level]++; });
+
+    // Where you stand: inside the sphere, tied into it, or outside it
+    const myTies = me ? members.filter((name) => name !== me && ties.get(me)?.has(name)) : [];
+    return {
+      cluster,
+      name: sphereName(topics, locations, hub),
+      sphereType: "community",
+      size: members.length,
+      topics,
+      locations,
+      hub,
+      keyConnectors: stats.filter((s) => roleOf(s) === "connector").map((s) => s.name),
+      // Share of its members' tie strength that stays inside
+      cohesion: insideTotal + outsideTotal > 0 ? Math.round((insideTotal / (insideTotal + outsideTotal)) * 100) / 100 : 0,
+      activityLevel: Object.keys(activity).reduce((a, b) => (activity[b] > activity[a] ? b : a)),
+      members: stats.map((s) => ({
+        name: s.name,
+        role: roleOf(s),
+        influence: networkMetrics?.nodes?.[s.name]?.influence ?? (insideTotal > 0 ? Math.round((s.insideStrength / insideTotal) * members.length * 100) / 100 : 0),
+        connectionStrength: me && ties.get(me)?.has(s.name) ? Math.round(Math.min(ties.get(me).get(s.name), 1) * 100) / 100 : 0,
+        lastSeen: profileOf.get(s.name)?.last_seen || null,
+      })),
+      bridges: [...bridges.values()].sort((a, b) => b.weight - a.weight),
+      yourRole: !me ? null
+        : members.includes(me) ? roleOf(stats.find((s) => s.name === me))
+        : myTies.length > 0 ? "connector" : "outsider",
+      yourStrength: me ? Math.round((myTies.length / Math.max(members.length - (members.includes(me) ? 1 : 0), 1)) * 100) / 100 : 0,
+    };
+  }).sort((a, b) => b.size - a.size || b.cohesion - a.cohesion);
+
+  // Name the bridges after the spheres they lead to; ties into unclustered members are dropped
+  const idOf = new Map(spheres.map((s, i) => [s.cluster, `sphere_${i + 1}`]));
+  const nameOf = new Map(spheres.map((s) => [s.cluster, s.name]));
+  const result = spheres.map(({ cluster, bridges, ...sphere }) => ({
+    id: idOf.get(cluster),
+    ...sphere,
+    bridges: bridges
+      .filter((b) => idOf.has(b.cluster))
+      .map((b) => ({ sphere: idOf.get(b.cluster), name: nameOf.get(b.cluster), via: [...b.via], weight: Math.round(b.weight * 100) / 100 })),
+  }));
+
+  return {
+    spheres: result,
+    unclustered: [...groups.values()].filter((members) => members.length < MIN_SPHERE_SIZE).flat(),
+    modularity: Math.round(modularity * 1000) / 1000,
+  };
+}
+
 // ═══════════════════════════════════════════════════════════
 // LOCATION HELPERS
 // ═══════════════════════════════════════════════════════════
@@ -901,6 +3307,8 @@ export function normLoc(loc) { return loc ? (LOC_MAP[loc.toLowerCase()] || loc)
 export function generateSuggestions(profiles, deepSignals = null, parsedChat = null) {
   const suggestions = [];
   const locationGroups = {};
+  // Meetups the group already organised make a suggestion more likely to happen
+  const events = deepSignals?.events || (parsedChat ? extractEvents(parsedChat) : null);
   profiles.forEach((p) => {
     const loc = normLoc(p.location?.primary);
     if (loc) { if (!locationGroups[loc]) locationGroups[loc] = []; locationGroups[loc].push(p); }
@@ -912,18 +3320,23 @@ export function generateSuggestions(profiles, deepSignals = null, parsedChat = n
       allInterests.forEach((interest) => {
         const group = members.filter((m) => m.interests.some((i) => i.category === interest));
         if (group.length >= 2) {
-          const confidence = Math.min(0.5 + (group.length - 1) * 0.12, 0.95);
-          const emoji = { sports:"🏆",crypto:"₿",food:"🍜",wellness:"🧘",tech:"💻",business:"📊",travel:"✈️",music:"🎵" };
-          const titles = { sports:"Sports Watch Party",crypto:"Crypto Discussion",food:"Food Meetup",wellness:"Wellness Session",tech:"Tech Networking",business:"Business Lunch",travel:"Travel Crew",music:"Music Night" };
+          const history = events ? meetupHistory(events, { category: interest, city: loc }) : null;
+          const confidence = Math.min(0.5 + (group.length - 1) * 0.12 + (history ? Math.min(history.past * 0.05, 0.15) : 0), 0.95);
+          const category = getTaxonomy().categories[interest];
+          // Regulars from past meetups go first
+          const participants = group.map((m) => m.display_name);
+          if (history) participants.sort((a, b) => (history.regulars.includes(b) ? 1 : 0) - (history.regulars.includes(a) ? 1 : 0));
           suggestions.push({
             id: `${loc}-${interest}`,
-            type: `${loc} ${titles[interest] || interest + " Meetup"}`,
-            emoji: emoji[interest] || "📋",
-            participants: group.map((m) => m.display_name),
+            type: `${loc} ${category?.title || interest + " Meetup"}`,
+            emoji: category?.emoji || "📋",
+            participants,
             location: loc,
             activity: interest,
-            reason: `${group.length} people in ${loc} into ${interest}`,
+            activityId: category?.activity || null,
+            reason: `${group.length} people in ${loc} into ${interest}${history ? `; ${history.past} past meetup${history.past === 1 ? "" : "s"} (avg ${history.avgAttendance} going)` : ""}`,
             confidence: Math.round(confidence * 100),
+            history,
           });
         }
       });
@@ -943,16 +3356,26 @@ export function generateSuggestions(profiles, deepSignals = null, parsedChat = n
 // DM STRATEGY
 // ═══════════════════════════════════════════════════════════
 
-export function getDMStrategy(profiles) {
-  const ranked = [...profiles].sort((a, b) => {
-    const s = (p) => p.message_count * 0.4 + p.mentioned_by.length * 3 + p.mentions.length * 2 + (p.activity_level === "high" ? 10 : p.activity_level === "medium" ? 5 : 0);
-    return s(b) - s(a);
-  });
+/**
+ * Who to DM first: people who bridge sub-groups (betweenness) and whom the
+ * group answers (PageRank) rank above those who simply post the most.
+ */
+export function getDMStrategy(profiles, analysis = analyzeNetwork(profiles)) {
+  const metricsByName = new Map(analysis.nodeMetrics.map((m) => [m.name, m]));
+  const brokers = new Set(analysis.brokers.map((m) => m.name));
+  const score = (p) => {
+    const m = metricsByName.get(p.display_name) || {};
+    return (m.betweenness || 0) * 60 + Math.min(m.influence || 0, 5) * 6 + (m.mutualTies || 0) * 1.5
+      + Math.min(p.message_count, 100) * 0.05 + (p.activity_level === "high" ? 4 : p.activity_level === "medium" ? 2 : 0);
+  };
+  const ranked = [...profiles].sort((a, b) => score(b) - score(a));
   return ranked.slice(0, 5).map((p, i) => {
+    const m = metricsByName.get(p.display_name) || {};
     const reasons = [];
+    if (brokers.has(p.display_name)) reasons.push(`Bridges sub-groups — on ${Math.round(m.betweenness * 100)}% of the shortest paths between members`);
+    if (m.influence > 1 && m.inDegree > 0) reasons.push(`${m.inDegree} member${m.inDegree === 1 ? "" : "s"} engage with them (${m.influence.toFixed(1)}× average influence)`);
+    if (m.mutualTies > 0) reasons.push(`Two-way conversations with ${m.mutualTies} member${m.mutualTies === 1 ? "" : "s"}`);
     if (p.activity_level === "high") reasons.push("Very active in group");
-    if (p.mentioned_by.length > 0) reasons.push(`Referenced by ${p.mentioned_by.length} others`);
-    if (p.mentions.length > 0) reasons.push(`Engages with ${p.mentions.length} members`);
     if (p.interests.length > 0) reasons.push(`Into: ${p.interests.slice(0, 3).map((i) => i.category).join(", ")}`);
     const loc = normLoc(p.location?.primary);
     if (loc) reasons.push(`Based in ${loc}`);
@@ -960,53 +3383,275 @@ export function getDMStrategy(profiles) {
   });
 }
 
+// ═══════════════════════════════════════════════════════════
+// REPLY DETECTION
+// ═══════════════════════════════════════════════════════════
+
+// How much each kind of evidence says "this message answers that person".
+// "sequential" is the old previous-message-from-someone-else guess.
+export const REPLY_WEIGHTS = { quote: 1.0, mention: 0.9, address: 0.8, sequential: 0.3 };
+
+const MENTION_RE = /@(\+?\d[\d\s()-]{5,}\d|[\p{L}][\p{L}\p{M}'’.-]*(?:\s[\p{L}][\p{L}\p{M}'’.-]*)?)/gu;
+// "Sarah, agree" / "Sarah Lee: yes" / "Mike! congrats"
+const ADDRESS_RE = /^([\p{L}][\p{L}'’-]*)(?:\s+([\p{L}][\p{L}'’-]*))?\s*[,:!]/u;
+// "Thanks Sarah", "hey Mike"
+const GREETING_RE = /^(?:hey|hi|hello|thanks|thank you|thx|ty|congrats|welcome)\s+([\p{L}][\p{L}'’-]*)(?:\s+([\p{L}][\p{L}'’-]*))?/iu;
+// "> Sarah: original text" block, or a "Replying to Sarah:" line
+const QUOTE_BLOCK_RE = /^((?:>[^\n]*(?:\n|$))+)/;
+const REPLYING_TO_RE = /^(?:replying to|in reply to|reply to)\s+([^:\n]+)/i;
+
+const phoneDigits = (value) => value.replace(/\D/g, "");
+
+// Resolve how people write each other's names back to member names
+function buildMemberIndex(members) {
+  const byFullName = new Map();
+  const byFirstName = new Map();
+  const byDigits = new Map();
+  members.forEach(({ name }) => {
+    const lower = name.toLowerCase().trim();
+    byFullName.set(lower, name);
+    const first = lower.split(/\s+/)[0];
+    // A shared first name is ambiguous — only full names resolve then
+    if (first.length > 2) byFirstName.set(first, byFirstName.has(first) ? null : name);
+    const digits = phoneDigits(name);
+    if (digits.length >= 7 && /^[+\d\s()-]+$/.test(name.trim())) byDigits.set(digits.slice(-9), name);
+  });
+  return {
+    resolve(first, second = null) {
+      if (!first) return null;
+      const a = first.toLowerCase();
+      if (second && byFullName.has(`${a} ${second.toLowerCase()}`)) return byFullName.get(`${a} ${second.toLowerCase()}`);
+      if (byFullName.has(a)) return byFullName.get(a);
+      return byFirstName.get(a) || null;
+    },
+    resolvePhone(value) {
+      const digits = phoneDigits(value);
+      return digits.length >= 7 ? byDigits.get(digits.slice(-9)) || null : null;
+    },
+  };
+}
+
+// Who wrote the message a quote block is quoting
+function resolveQuote(quote, messages, idx, index) {
+  const lines = quote.split("\n").map((l) => l.replace(/^>\s?/, "").trim()).filter(Boolean);
+  if (lines.length === 0) return null;
+  const named = lines[0].match(/^([^:]{2,40}):\s*(.*)$/);
+  if (named) {
+    const [first, ...rest] = named[1].trim().split(/\s+/);
+    const author = index.resolve(first, rest[0]) || index.resolvePhone(named[1]);
+    if (author) return author;
+  }
+  // Unnamed quote: find the recent message it was copied from
+  const snippet = (named ? named[2] : lines[0]).toLowerCase().slice(0, 40);
+  if (snippet.length < 4) return null;
+  for (let j = idx - 1; j >= Math.max(0, idx - 200); j--) {
+    if (messages[j].text.toLowerCase().includes(snippet)) return messages[j].sender;
+  }
+  return null;
+}
+
+/**
+ * Work out who each message is replying to.
+ * Evidence, strongest first: platform reply ids (Telegram/Slack) and quoted
+ * messages, @mentions (names or phone numbers), messages that open by
+ * addressing someone ("Sarah, agree"), and only when none of those apply, the
+ * previous message from someone else at a much lower weight.
+ *
+ * @returns {Array} [{ index, from, to, kind, weight }] — index into parsedChat.messages
+ */
+export function detectReplies(parsedChat) {
+  const messages = parsedChat.messages;
+  const index = buildMemberIndex(parsedChat.members);
+  const bySourceId = new Map();
+  messages.forEach((m) => { if (m.sourceId != null) bySourceId.set(String(m.sourceId), m.sender); });
+
+  const replies = [];
+  messages.forEach((msg, idx) => {
+    const targets = new Map();
+    const add = (to, kind) => {
+      if (!to || to === msg.sender || targets.has(to)) return;
+      targets.set(to, kind);
+    };
+
+    // Platform reply ids and quoted messages
+    if (msg.replyToId != null) add(bySourceId.get(String(msg.replyToId)), "quote");
+    const quote = msg.text.match(QUOTE_BLOCK_RE);
+    if (quote) add(resolveQuote(quote[1], messages, idx, index), "quote");
+    const replyingTo = msg.text.match(REPLYING_TO_RE);
+    if (replyingTo) {
+      const [first, second] = replyingTo[1].trim().split(/\s+/);
+      add(index.resolve(first, second) || index.resolvePhone(replyingTo[1]), "quote");
+    }
+
+    // @Name / @+14155551234
+    for (const match of msg.text.matchAll(MENTION_RE)) {
+      const [first, second] = match[1].split(/\s+/);
+      add(/^\+?\d/.test(match[1]) ? index.resolvePhone(match[1]) : index.resolve(first, second), "mention");
+    }
+
+    // Name-addressed openers, checked after any quote block
+    const body = quote ? msg.text.slice(quote[1].length) : msg.text;
+    // "Thanks Dan, …" also fits ADDRESS_RE, so fall through when it names nobody
+    const address = body.trim().match(ADDRESS_RE);
+    const greeting = body.trim().match(GREETING_RE);
+    add((address && index.resolve(address[1], address[2])) || (greeting && index.resolve(greeting[1], greeting[2])), "address");
+
+    if (targets.size === 0 && idx > 0 && messages[idx - 1].sender !== msg.sender) {
+      add(messages[idx - 1].sender, "sequential");
+    }
+
+    targets.forEach((kind, to) => {
+      replies.push({ index: idx, from: msg.sender, to, kind, weight: REPLY_WEIGHTS[kind] });
+    });
+  });
+  return replies;
+}
+
+// ═══════════════════════════════════════════════════════════
+// TONE & SENTIMENT (warm, joking, at odds)
+// ═══════════════════════════════════════════════════════════
+
+const POSITIVE_WORDS = new Set(["good", "great", "love", "loved", "awesome", "amazing", "nice", "happy", "glad", "excited", "cool", "perfect", "brilliant", "beautiful", "fantastic", "wonderful", "best", "fun", "helpful", "legend", "agree", "yes", "congrats", "congratulations", "thanks", "thank", "appreciate", "welcome", "enjoy", "enjoyed", "proud", "impressive", "smart", "right", "exactly", "sweet", "solid"]);
+const NEGATIVE_WORDS = new Set(["bad", "hate", "hated", "awful", "terrible", "horrible", "worst", "stupid", "dumb", "annoying", "annoyed", "angry", "sad", "disappointed", "disappointing", "wrong", "useless", "ridiculous", "nonsense", "boring", "sucks", "ugh", "sorry", "upset", "frustrated", "frustrating", "scam", "lame", "rude", "mess", "fail", "failed"]);
+const POSITIVE_EMOJI_RE = /[❤😍🥰😊🙂😀😃😄🤗🙏👏🎉💪🙌💯👍✨]/gu;
+const NEGATIVE_EMOJI_RE = /[😡😠🙄👎😒😤😞😢💔]/gu;
+const TONE_NEGATORS = new Set(["not", "no", "never", "dont", "isnt", "wasnt", "arent", "didnt", "doesnt", "cant", "wont", "hardly"]);
+const TONE_INTENSIFIERS = new Set(["very", "so", "really", "super", "totally", "absolutely", "extremely"]);
+const SUPPORTIVE_RE = /\b(?:congrats|congratulations|well done|proud of (?:you|u)|you got this|good luck|fingers crossed|feel better|here for you|sorry to hear|thanks|thank you|appreciate|happy for (?:you|u)|great (?:job|work|idea|point)|\+1|agreed?|so true|exactly)\b|[🙏❤💪👏🤗]/iu;
+const JOKING_RE = /\b(?:lol|lmao|lmfao|rofl|haha\w*|hehe\w*|jk|kidding|joking|bruh)\b|[😂🤣💀😆😜😝]/iu;
+// A bare "no." / "no," opener disagrees; "no worries" and "no problem" don't
+const DISAGREEING_RE = /\b(?:disagree|not true|no way|that['’]?s (?:not|wrong|bs)|you['’]?re wrong|i don['’]?t think so|i don['’]?t agree|nonsense|not really|doubt it|makes no sense|are you serious)\b|^(?:actually|nah|well actually)\b[,.!\s]|^no(?:[.,!]|$)|🙄/iu;
+// Sympathy, not negativity: "sorry to hear that"
+const SYMPATHY_RE = /\bsorry (?:to hear|for your loss|about that)\b/giu;
+
+/**
+ * Lexicon tone of one message: sentiment from -1 to 1 (a negator flips the
+ * word right after it, skipping an intensifier, never across punctuation;
+ * intensifiers count double) and which of supportive, joking and
+ * disagreeing it reads as. A joke isn't scored as hostility.
+ *
+ * @returns {Object} { sentiment, supportive, joking, disagreeing }
+ */
+export function scoreTone(text) {
+  const clauses = text.toLowerCase().replace(/['’]/g, "").replace(SYMPATHY_RE, " ").split(/[.,;:!?\n]+/);
+  let score = 0;
+  let hits = 0;
+  clauses.forEach((clause) => {
+    const words = clause.split(/[^\p{L}]+/u).filter(Boolean);
+    words.forEach((word, i) => {
+      const polarity = POSITIVE_WORDS.has(word) ? 1 : NEGATIVE_WORDS.has(word) ? -1 : 0;
+      if (!polarity) return;
+      const intensified = i > 0 && TONE_INTENSIFIERS.has(words[i - 1]);
+      const negated = TONE_NEGATORS.has(words[i - (intensified ? 2 : 1)]);
+      score += polarity * (negated ? -0.5 : 1) * (intensified ? 2 : 1);
+      hits++;
+    });
+  });
+  const positiveEmoji = (text.match(POSITIVE_EMOJI_RE) || []).length;
+  const negativeEmoji = (text.match(NEGATIVE_EMOJI_RE) || []).length;
+  score += positiveEmoji - negativeEmoji;
+  hits += positiveEmoji + negativeEmoji;
+
+  const joking = JOKING_RE.test(text);
+  const disagreeing = DISAGREEING_RE.test(text.trim());
+  let sentiment = hits > 0 ? Math.max(-1, Math.min(1, score / (hits + 1))) : 0;
+  // "you're such an idiot lol" is banter, not a fight
+  if (joking && sentiment < 0) sentiment /= 2;
+  return {
+    sentiment: Math.round(sentiment * 100) / 100,
+    supportive: SUPPORTIVE_RE.test(text) && !disagreeing,
+    joking,
+    disagreeing,
+  };
+}
+
+// Directed tone summary: rates per message, and one warmth number from -1 to 1.
+// Joking counts a little towards warmth — people banter with people they like.
+function summarizeTone(tone) {
+  if (!tone || tone.messages === 0) return { messages: 0, sentiment: 0, supportive: 0, joking: 0, disagreeing: 0, warmth: 0 };
+  const rate = (n) => Math.round((n / tone.messages) * 100) / 100;
+  const sentiment = tone.sentimentSum / tone.messages;
+  const warmth = Math.max(-1, Math.min(1, sentiment + 0.5 * tone.supportive / tone.messages + 0.2 * tone.joking / tone.messages - 0.8 * tone.disagreeing / tone.messages));
+  return {
+    messages: tone.messages,
+    sentiment: Math.round(sentiment * 100) / 100,
+    supportive: rate(tone.supportive),
+    joking: rate(tone.joking),
+    disagreeing: rate(tone.disagreeing),
+    warmth: Math.round(warmth * 100) / 100,
+  };
+}
+
+// How a pair comes across overall
+function toneLabel(warmth, aToB, bToA) {
+  if (aToB.messages + bToA.messages === 0) return "neutral";
+  if (warmth <= -0.15 || Math.max(aToB.disagreeing, bToA.disagreeing) >= 0.4) return "tense";
+  if (Math.min(aToB.joking, bToA.joking) >= 0.25) return "playful";
+  if (warmth >= 0.2) return "warm";
+  return "neutral";
+}
+
 // ═══════════════════════════════════════════════════════════
 // RELATIONSHIP WEIGHT SCORING
 // ═══════════════════════════════════════════════════════════
 
 export function buildRelationshipGraph(parsedChat, options = {}) {
-  const { useTemporalDecay = false, referenceDate = null } = options;
+  const { useTemporalDecay = false, referenceDate = null, halfLifeDays = halfLife("relationship") } = options;
   const graph = {};
 
-  // Apply temporal decay if enabled
+  // Apply temporal decay if enabled — relationships fade slower than single messages
   let messagesWithDecay = parsedChat.messages;
   if (useTemporalDecay) {
-    messagesWithDecay = applyTemporalDecay(parsedChat.messages, referenceDate);
+    messagesWithDecay = applyTemporalDecay(parsedChat.messages, referenceDate, halfLifeDays);
   }
 
+  const emptyEdge = () => ({ replies: 0, replyWeight: 0, explicitReplies: 0, mentions: 0, avgDepth: 0, depths: [], lateNight: 0, mediaShared: 0, decayWeightSum: 0, tone: { messages: 0, sentimentSum: 0, supportive: 0, joking: 0, disagreeing: 0 } });
+
+  // Who each message answers — see detectReplies for the evidence and weights
+  const repliesByIndex = new Map();
+  detectReplies(parsedChat).forEach((reply) => {
+    if (!repliesByIndex.has(reply.index)) repliesByIndex.set(reply.index, []);
+    repliesByIndex.get(reply.index).push(reply);
+  });
+
   // Build directional interaction matrix
   messagesWithDecay.forEach((msg, idx) => {
     const sender = msg.sender;
     if (!graph[sender]) graph[sender] = {};
+    const replies = repliesByIndex.get(idx) || [];
+    const tone = replies.length > 0 && !msg.isMedia ? scoreTone(msg.text) : null;
+
+    replies.forEach((reply) => {
+      if (!graph[sender][reply.to]) graph[sender][reply.to] = emptyEdge();
+      const edge = graph[sender][reply.to];
+      edge.replies++;
+      edge.replyWeight += reply.weight;
+      if (reply.kind !== "sequential") edge.explicitReplies++;
+      edge.decayWeightSum += (msg.decayMultiplier || 1.0) * reply.weight;
+
+      // Message depth (word count)
+      const wordCount = msg.text.split(/\s+/).length;
+      edge.depths.push(wordCount);
+
+      // Late night check
+      const msgTime = parseMessageDateTime(msg);
+      if (msgTime) {
+        const hour = msgTime.getUTCHours();
+        if (hour >= 23 || hour <= 4) edge.lateNight++;
+      }
 
-    // Look at who they're replying to (message within 5 min of previous = likely reply)
-    if (idx > 0) {
-      const prevMsg = messagesWithDecay[idx - 1];
-      if (prevMsg.sender !== sender) {
-        // Crude reply detection — sequential messages from different people
-        if (!graph[sender][prevMsg.sender]) {
-          graph[sender][prevMsg.sender] = { replies: 0, mentions: 0, avgDepth: 0, depths: [], lateNight: 0, mediaShared: 0, decayWeightSum: 0 };
-        }
-        graph[sender][prevMsg.sender].replies++;
-        graph[sender][prevMsg.sender].decayWeightSum += (msg.decayMultiplier || 1.0);
-
-        // Message depth (word count)
-        const wordCount = msg.text.split(/\s+/).length;
-        graph[sender][prevMsg.sender].depths.push(wordCount);
-
-        // Late night check
-        const timeMatch = msg.time?.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
-        if (timeMatch) {
-          let hour = parseInt(timeMatch[1]);
-          if (timeMatch[4]?.toUpperCase() === "PM" && hour !== 12) hour += 12;
-          if (timeMatch[4]?.toUpperCase() === "AM" && hour === 12) hour = 0;
-          if (hour >= 23 || hour <= 4) graph[sender][prevMsg.sender].lateNight++;
-        }
+      // Media sharing
+      if (msg.isMedia) edge.mediaShared++;
 
-        // Media sharing
-        if (msg.isMedia) graph[sender][prevMsg.sender].mediaShared++;
+      // Tone towards the person replied to, weighted like the reply itself
+      if (tone) {
+        edge.tone.messages += reply.weight;
+        edge.tone.sentimentSum += tone.sentiment * reply.weight;
+        if (tone.supportive) edge.tone.supportive += reply.weight;
+        if (tone.joking) edge.tone.joking += reply.weight;
+        if (tone.disagreeing) edge.tone.disagreeing += reply.weight;
       }
-    }
+    });
 
     // Mention detection
     const text = msg.text.toLowerCase();
@@ -1014,9 +3659,7 @@ export function buildRelationshipGraph(parsedChat, options = {}) {
       if (member.name !== sender) {
         const firstName = member.name.toLowerCase().split(" ")[0];
         if (firstName.length > 2 && text.includes(firstName)) {
-          if (!graph[sender][member.name]) {
-            graph[sender][member.name] = { replies: 0, mentions: 0, avgDepth: 0, depths: [], lateNight: 0, mediaShared: 0, decayWeightSum: 0 };
-          }
+          if (!graph[sender][member.name]) graph[sender][member.name] = emptyEdge();
           graph[sender][member.name].mentions++;
           graph[sender][member.name].decayWeightSum += (msg.decayMultiplier || 1.0);
         }
@@ -1024,6 +3667,40 @@ export function buildRelationshipGraph(parsedChat, options = {}) {
     });
   });
 
+  // "A added B" — A knew B well enough to bring them in
+  (parsedChat.membershipEvents || []).forEach((e) => {
+    if (e.type !== "added" || e.actor === e.target) return;
+    if (!graph[e.actor]) graph[e.actor] = {};
+    if (!graph[e.actor][e.target]) graph[e.actor][e.target] = emptyEdge();
+    graph[e.actor][e.target].invited = true;
+  });
+
+  // Response speed per pair and informality per person, each in one pass —
+  // recomputing them per pair is quadratic on big exports
+  const responseSpeed = new Map();
+  for (let i = 1; i < parsedChat.messages.length; i++) {
+    const prev = parsedChat.messages[i - 1];
+    const curr = parsedChat.messages[i];
+    if (prev.sender === curr.sender) continue;
+    const t1 = parseMessageDateTime(prev);
+    const t2 = parseMessageDateTime(curr);
+    if (!t1 || !t2) continue;
+    const gap = Math.abs(t2 - t1) / 60000; // minutes
+    const points = gap <= 5 ? 3 : gap <= 30 ? 1 : 0; // Within 5 min = very engaged, 30 = normal
+    if (!points) continue;
+    const pairKey = [prev.sender, curr.sender].sort().join("↔");
+    responseSpeed.set(pairKey, (responseSpeed.get(pairKey) || 0) + points);
+  }
+
+  // Informal language detection (crude: emoji + lowercase + short msgs + slang)
+  const informality = new Map();
+  parsedChat.messages.forEach((m) => {
+    let score = 0;
+    if (/😂|🤣|💀|lmao|lol|haha|omg|bruh|dude|bro/i.test(m.text)) score += 2;
+    if (m.text === m.text.toLowerCase() && m.text.length < 50) score += 0.5;
+    informality.set(m.sender, (informality.get(m.sender) || 0) + score);
+  });
+
   // Calculate relationship scores
   const relationships = [];
   const processed = new Set();
@@ -1034,10 +3711,11 @@ export function buildRelationshipGraph(parsedChat, options = {}) {
       if (processed.has(key)) return;
       processed.add(key);
 
-      const reverseData = graph[personB]?.[personA] || { replies: 0, mentions: 0, depths: [], lateNight: 0, mediaShared: 0, decayWeightSum: 0 };
+      const reverseData = graph[personB]?.[personA] || emptyEdge();
 
-      // Bidirectional metrics
-      const totalInteractions = data.replies + reverseData.replies + data.mentions + reverseData.mentions;
+      // Bidirectional metrics — replies count by evidence weight, so a run of
+      // sequential guesses doesn't outweigh a few real replies
+      const totalInteractions = data.replyWeight + reverseData.replyWeight + data.mentions + reverseData.mentions;
 
       // Recency score — average decay weight across interactions (0-1, higher = more recent)
       const totalDecayWeight = (data.decayWeightSum || 0) + (reverseData.decayWeightSum || 0);
@@ -1046,46 +3724,17 @@ export function buildRelationshipGraph(parsedChat, options = {}) {
       const avgDepth = allDepths.length > 0 ? allDepths.reduce((a, b) => a + b, 0) / allDepths.length : 0;
       const lateNightTotal = data.lateNight + reverseData.lateNight;
       const mediaTotal = data.mediaShared + reverseData.mediaShared;
-      const isBidirectional = data.replies > 0 && reverseData.replies > 0;
-
-      // Response speed — check time gaps between sequential messages
-      let responseSpeedScore = 0;
-      for (let i = 1; i < parsedChat.messages.length; i++) {
-        const prev = parsedChat.messages[i - 1];
-        const curr = parsedChat.messages[i];
-        if ((prev.sender === personA && curr.sender === personB) ||
-            (prev.sender === personB && curr.sender === personA)) {
-          // Parse times for rough gap estimation
-          const parseHour = (t) => {
-            const m = t?.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
-            if (!m) return null;
-            let h = parseInt(m[1]);
-            if (m[4]?.toUpperCase() === "PM" && h !== 12) h += 12;
-            if (m[4]?.toUpperCase() === "AM" && h === 12) h = 0;
-            return h * 60 + parseInt(m[2]);
-          };
-          const t1 = parseHour(prev.time);
-          const t2 = parseHour(curr.time);
-          if (t1 !== null && t2 !== null) {
-            const gap = Math.abs(t2 - t1);
-            if (gap <= 5) responseSpeedScore += 3;      // Within 5 min = very engaged
-            else if (gap <= 30) responseSpeedScore += 1; // Within 30 min = normal
-          }
-        }
-      }
+      const isBidirectional = data.replyWeight >= 0.5 && reverseData.replyWeight >= 0.5;
+      const invitedBy = data.invited ? personA : reverseData.invited ? personB : null;
 
-      // Informal language detection (crude: emoji + lowercase + short msgs + slang)
-      const allMsgsA = parsedChat.messages.filter(m => m.sender === personA).map(m => m.text);
-      const allMsgsB = parsedChat.messages.filter(m => m.sender === personB).map(m => m.text);
-      const informalScore = (msgs) => {
-        let score = 0;
-        msgs.forEach(t => {
-          if (/😂|🤣|💀|lmao|lol|haha|omg|bruh|dude|bro/i.test(t)) score += 2;
-          if (t === t.toLowerCase() && t.length < 50) score += 0.5;
-        });
-        return score;
-      };
-      const informalityAB = informalScore(allMsgsA) + informalScore(allMsgsB);
+      const responseSpeedScore = responseSpeed.get(key) || 0;
+      const informalityAB = (informality.get(personA) || 0) + (informality.get(personB) || 0);
+
+      // Tone each way; pair warmth weights each direction by how much was said
+      const aToB = summarizeTone(data.tone);
+      const bToA = summarizeTone(reverseData.tone);
+      const toneMessages = aToB.messages + bToA.messages;
+      const warmth = toneMessages > 0 ? (aToB.warmth * aToB.messages + bToA.warmth * bToA.messages) / toneMessages : 0;
 
       // Weighted score
       let strength = 0;
@@ -1097,6 +3746,7 @@ export function buildRelationshipGraph(parsedChat, options = {}) {
       strength += Math.min((data.mentions + reverseData.mentions) * 3, 10); // Mentions (max 10)
       strength += Math.min(responseSpeedScore, 10);             // Response speed (max 10)
       strength += Math.min(informalityAB, 9);                   // Informal/casual tone (max 9)
+      strength += invitedBy ? 15 : 0;                           // One added the other to the group (15)
 
       // Recency boost — recent interactions amplify strength (when temporal decay is enabled)
       if (useTemporalDecay && recencyScore > 0) {
@@ -1111,13 +3761,17 @@ export function buildRelationshipGraph(parsedChat, options = {}) {
         personB,
         strength: finalStrength,
         recencyScore: Math.round(recencyScore * 100) / 100, // 0-1, higher = more recent activity
-        interactions: totalInteractions,
+        interactions: Math.round(totalInteractions),
+        explicitReplies: data.explicitReplies + reverseData.explicitReplies,
         bidirectional: isBidirectional,
         avgMessageDepth: Math.round(avgDepth),
         lateNightMessages: lateNightTotal,
         mediaShared: mediaTotal,
         responseSpeed: responseSpeedScore > 5 ? "fast" : responseSpeedScore > 2 ? "normal" : "slow",
         informality: informalityAB > 5 ? "casual" : "formal",
+        tone: { aToB, bToA, label: toneLabel(warmth, aToB, bToA) },
+        warmth: Math.round(warmth * 100) / 100,   // -1 at odds … 1 warm
+        invitedBy,
         label: finalStrength >= 60 ? "strong" : finalStrength >= 30 ? "moderate" : "weak",
       });
     });
@@ -1131,19 +3785,23 @@ export function buildRelationshipGraph(parsedChat, options = {}) {
 // ═══════════════════════════════════════════════════════════
 
 export function prioritizeContacts(profiles, userProfile, deepSignals) {
+  // Centrality over the reply graph when the caller computed it, else over mentions
+  const network = (deepSignals?.networkMetrics || computeNetworkMetrics(profiles.map(p => p.display_name), mentionEdges(profiles))).nodes;
+
   // Score each contact on likelihood of meaningful connection
   return profiles.map(profile => {
     let priority = 0;
     const signals = [];
+    const metrics = network[profile.display_name] || {};
 
     // 1. Activity level — more messages = more data to work with
     if (profile.activity_level === "high") { priority += 20; signals.push("Very active in group"); }
     else if (profile.activity_level === "medium") { priority += 10; signals.push("Moderately active"); }
     else { priority += 2; }
 
-    // 2. Social capital — mentioned by others = respected/valued
-    if (profile.mentioned_by?.length >= 3) { priority += 25; signals.push(`Referenced by ${profile.mentioned_by.length} people — high social capital`); }
-    else if (profile.mentioned_by?.length >= 1) { priority += 10; signals.push(`Referenced by ${profile.mentioned_by.length} people`); }
+    // 2. Social capital — the group answers them (PageRank over replies)
+    if (metrics.influence >= 2) { priority += 25; signals.push(`${metrics.inDegree} people engage with them — ${metrics.influence.toFixed(1)}× average influence`); }
+    else if (metrics.influence > 1 && metrics.inDegree > 0) { priority += 10; signals.push(`${metrics.inDegree} ${metrics.inDegree === 1 ? "person engages" : "people engage"} with them`); }
 
     // 3. Interest overlap with user
     if (userProfile) {
@@ -1168,18 +3826,32 @@ export function prioritizeContacts(profiles, userProfile, deepSignals) {
 
     // 5. Shared links — people who share content are more interesting
     if (deepSignals?.sharedLinks) {
-      const theirLinks = deepSignals.sharedLinks.filter(l => l.sender === profile.display_name);
+      // Re-posting the same link doesn't make someone more interesting
+      const theirLinks = deepSignals.sharedLinks.filter(l => l.sender === profile.display_name && !l.repeat);
       if (theirLinks.length > 0) {
-        priority += theirLinks.length * 3;
-        const types = [...new Set(theirLinks.map(l => l.type).filter(t => t !== "other"))];
+        priority += theirLinks.length * 3 + Math.min(theirLinks.reduce((sum, l) => sum + l.reactedBy.length, 0), 10);
+        const types = [...new Set(theirLinks.map(l => LINK_TYPE_LABELS[l.type] || (l.platform !== "other" ? l.platform : null)).filter(Boolean))];
         if (types.length > 0) signals.push(`Shares: ${types.join(", ")}`);
       }
     }
+    if (deepSignals?.sharedContent) {
+      const content = deepSignals.sharedContent.find(c => c.name === profile.display_name);
+      if (content && (content.document > 0 || content.contact > 0)) {
+        priority += Math.min(content.document * 2 + content.contact * 3, 10);
+        const parts = [];
+        if (content.document > 0) parts.push(`${content.document} docs`);
+        if (content.contact > 0) parts.push(`${content.contact} contact cards`);
+        signals.push(`Shares resources: ${parts.join(", ")}`);
+      }
+    }
 
-    // 6. Connector potential — mentions many others = well-connected
-    if (profile.mentions?.length >= 3) {
+    // 6. Bridge potential — sits between sub-groups that don't talk directly
+    if (metrics.betweenness >= 0.15) {
+      priority += 20;
+      signals.push(`Bridges sub-groups — on ${Math.round(metrics.betweenness * 100)}% of shortest paths between members`);
+    } else if (metrics.betweenness >= MIN_BROKER_BETWEENNESS) {
       priority += 10;
-      signals.push(`Connects with ${profile.mentions.length} members — potential bridge`);
+      signals.push(`Links members who don't talk directly`);
     }
 
     // 7. Phone signals — if from same area/country
@@ -1314,12 +3986,15 @@ function generateIntroRequest(myName, theirName, reasons) {
 // PIPELINE
 // ═══════════════════════════════════════════════════════════
 
-export function runPipeline(chatText) {
-  const parsedChat = parseWhatsAppText(chatText);
+// Accepts raw WhatsApp text, or a chat already normalized by one of the
+// importers in chat-importers.js (Telegram, Signal, Slack).
+export function runPipeline(chatInput) {
+  const parsedChat = typeof chatInput === "string" ? parseWhatsAppText(chatInput) : chatInput;
   if (parsedChat.stats.totalMessages === 0) return null;
   const profiles = enrichProfiles(parsedChat);
-  const analysis = analyzeNetwork(profiles);
-  const dmStrategy = getDMStrategy(profiles);
+  const networkMetrics = computeNetworkMetrics(parsedChat.members.map(m => m.name), replyEdges(parsedChat));
+  const analysis = analyzeNetwork(profiles, networkMetrics);
+  const dmStrategy = getDMStrategy(profiles, analysis);
 
   // Thread detection
   const rawThreads = detectThreads(parsedChat.messages);
@@ -1332,18 +4007,26 @@ export function runPipeline(chatText) {
   const selfDisclosures = extractSelfDisclosures(parsedChat.messages);
   const identifiers = extractIdentifiers(parsedChat.messages, memberNames);
 
+  // Per-message extractors share one pass over the messages
+  const { sharedLinks, sharedContent, timingPatterns, emojiProfiles } = collectAll(createSignalCollector(), parsedChat.messages);
+
   const deepSignals = {
-    sharedLinks: extractSharedLinks(parsedChat.messages),
+    sharedLinks,
+    linkSummary: summarizeLinks(sharedLinks),
+    sharedContent,
     phoneSignals: extractPhoneSignals(parsedChat.members),
-    timingPatterns: extractTimingPatterns(parsedChat.messages),
-    emojiProfiles: extractEmojiProfile(parsedChat.messages),
+    timingPatterns,
+    emojiProfiles,
     relationshipGraph: buildRelationshipGraph(parsedChat, { useTemporalDecay: true }),
     intents,
     endorsements,
     selfDisclosures,
     identifiers,
     searchQueries: generateSearchQueries(profiles, intents, endorsements, selfDisclosures, identifiers),
+    events: extractEvents(parsedChat),
+    networkMetrics,
   };
+  deepSignals.communities = detectCommunities(profiles, deepSignals.relationshipGraph, { networkMetrics });
 
   // Generate suggestions with evidence trails attached
   const suggestions = generateSuggestions(profiles, deepSignals, parsedChat);
@@ -0,0 +1,148 @@
+/**
+ * Decay — how long each kind of signal stays relevant
+ *
+ * Time-sensitive scores weigh a signal by 0.5^(age / halfLife): relationship
+ * edges in buildRelationshipGraph, intent strength and staleness in
+ * connex-engine, urgency in spark-engine and opportunity scores in
+ * proactive-brain. "Moving to Lisbon" matters for a year, "who's free
+ * tonight" for a day. Half-lives are in days; override any of them with
+ * setHalfLives().
+ *
+ * {
+ *   message: days,                          // applyTemporalDecay default
+ *   relationship: days,                     // relationship graph edges
+ *   mention: days,                          // things the user said (userContext.mentions)
+ *   intent: { default, [intentType]: days },
+ *   disclosure: { default, [field]: days },
+ * }
+ */
+
+// ═══════════════════════════════════════════════════════════
+// DEFAULT HALF-LIVES
+// ═══════════════════════════════════════════════════════════
+
+export const DEFAULT_HALF_LIVES = {
+  message: 30,
+  relationship: 90,
+  mention: 30,
+  intent: {
+    default: 30,
+    availability: 1,
+    location_check: 3,
+    travel: 14,
+    recommendation: 14,
+    seeking: 30,
+    seeking_intro: 21,
+    hiring: 45,
+    job_seeking: 45,
+    fundraising: 60,
+    offering_intro: 60,
+    offering: 90,
+    career_transition: 90,
+  },
+  disclosure: {
+    default: 180,
+    life_event: 180,
+    location: 365,
+    company: 365,
+    role: 365,
+    age: 365,
+    relationship: 730,
+    education: 3650,
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════
+
+function checkDays(value, name) {
+  if (typeof value !== "number" || !(value > 0)) throw new Error(`Half-life "${name}" must be a positive number of days`);
+  return value;
+}
+
+/**
+ * Merge overrides onto the defaults. Throws on anything that isn't a
+ * positive number of days — the message names the offending key.
+ */
+export function normalizeHalfLives(raw = {}) {
+  if (!raw || typeof raw !== "object") throw new Error("Half-lives must be an object");
+  const result = {};
+  Object.entries(DEFAULT_HALF_LIVES).forEach(([kind, value]) => {
+    if (typeof value === "number") {
+      result[kind] = checkDays(raw[kind] ?? value, kind);
+      return;
+    }
+    result[kind] = { ...value };
+    Object.entries(raw[kind] || {}).forEach(([subtype, days]) => {
+      result[kind][subtype] = checkDays(days, `${kind}.${subtype}`);
+    });
+  });
+  return result;
+}
+
+/**
+ * Just the overrides in `raw`, checked: known kinds only, each a positive
+ * number of days. This is what gets saved, so a default changed in a later
+ * release still applies to everything the user didn't override.
+ */
+export function halfLifeOverrides(raw = {}) {
+  if (!raw || typeof raw !== "object") throw new Error("Half-lives must be an object");
+  const overrides = {};
+  Object.entries(raw).forEach(([kind, value]) => {
+    const defaults = DEFAULT_HALF_LIVES[kind];
+    if (defaults == null) throw new Error(`Unknown signal kind "${kind}"`);
+    if (typeof defaults === "number") {
+      overrides[kind] = checkDays(value, kind);
+      return;
+    }
+    if (!value || typeof value !== "object") throw new Error(`Half-lives for "${kind}" must be an object of days by type`);
+    overrides[kind] = {};
+    Object.entries(value).forEach(([subtype, days]) => {
+      overrides[kind][subtype] = checkDays(days, `${kind}.${subtype}`);
+    });
+  });
+  return overrides;
+}
+
+let current = normalizeHalfLives();
+
+export function getHalfLives() {
+  return current;
+}
+
+/** Override some half-lives (the rest stay default); pass null to reset. */
+export function setHalfLives(raw) {
+  current = normalizeHalfLives(raw || {});
+  return current;
+}
+
+// ═══════════════════════════════════════════════════════════
+// LOOKUPS
+// ═══════════════════════════════════════════════════════════
+
+/** Half-life in days: halfLife("intent", "hiring"), halfLife("relationship") */
+export function halfLife(kind, subtype = null, halfLives = current) {
+  const value = halfLives[kind];
+  if (value == null) throw new Error(`Unknown signal kind "${kind}"`);
+  if (typeof value === "number") return value;
+  return value[subtype] ?? value.default;
+}
+
+/** Weight 0–1 for something ageDays old; unknown age → null */
+export function decayByAge(ageDays, halfLifeDays) {
+  if (ageDays == null || Number.isNaN(ageDays)) return null;
+  return Math.pow(0.5, Math.max(ageDays, 0) / halfLifeDays);
+}
+
+/** Weight 0–1 for a Date, timestamp or ISO string; unknown or unparseable date → null */
+export function decayWeight(date, halfLifeDays, now = Date.now()) {
+  if (date == null) return null;
+  const time = date instanceof Date ? date.getTime() : typeof date === "number" ? date : Date.parse(date);
+  if (Number.isNaN(time)) return null;
+  return decayByAge((new Date(now).getTime() - time) / DAY_MS, halfLifeDays);
+}
+
+export default { DEFAULT_HALF_LIVES, normalizeHalfLives, halfLifeOverrides, getHalfLives, setHalfLives, halfLife, decayByAge, decayWeight };
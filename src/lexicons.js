@@ -0,0 +1,195 @@
+/**
+ * Lexicons — per-language keywords for interest, affinity and location extraction
+ *
+ * Every lexicon maps its own words onto the same interest categories (the
+ * taxonomy, see taxonomy.js), affinity types and canonical city keys, so
+ * "มวยไทย", "泰拳" and "boxeo" all land in sports. Add a language with
+ * registerLexicon(); detectLanguage() picks one per message by script, then
+ * by stopwords for Latin-script languages.
+ */
+
+// ═══════════════════════════════════════════════════════════
+// LEXICONS
+// ═══════════════════════════════════════════════════════════
+
+// Affinities/locations map a term to its canonical English form, which for
+// English is the term itself
+const same = (terms) => Object.fromEntries(terms.map((t) => [t, t]));
+
+const en = {
+  name: "English",
+  stopwords: ["the", "and", "is", "are", "you", "to", "of", "for", "with", "this", "that", "what", "have", "it", "in", "on", "i", "we"],
+  // English interest keywords and synonyms come from the taxonomy (taxonomy.js);
+  // anything registered here is matched on top of them
+  interests: {},
+  affinities: {
+    sports_teams: same(["warriors", "niners", "49ers", "lakers", "celtics", "yankees", "chiefs"]),
+    food_types: same(["dim sum", "sushi", "thai", "ramen", "pizza", "tacos", "bbq", "korean"]),
+    activities: same(["golf", "sauna", "cycling", "hiking", "surfing", "climbing", "running", "poker"]),
+  },
+  locations: same(["bangkok", "singapore", "hong kong", "hk", "sg", "bkk", "los angeles", "la", "san francisco", "sf", "new york", "nyc", "london", "tokyo", "dubai", "paris", "berlin", "sydney", "melbourne", "toronto", "seattle", "austin", "miami", "chicago", "denver", "portland", "boston", "atlanta", "dallas", "houston", "dc", "washington"]),
+};
+
+const th = {
+  name: "Thai",
+  script: /[\u0E00-\u0E7F]/g,
+  // No spaces between Thai words — match on Intl.Segmenter word boundaries
+  segmented: true,
+  interests: {
+    sports: ["มวยไทย", "มวย", "ชกมวย", "ฟุตบอล", "บาสเกตบอล", "บาส", "กอล์ฟ", "เทนนิส", "ยิม", "ฟิตเนส", "ออกกำลังกาย"],
+    crypto: ["บิทคอยน์", "คริปโต", "อีเธอเรียม", "บล็อกเชน", "เทรด", "เหรียญ"],
+    food: ["ร้านอาหาร", "บรันช์", "มื้อเย็น", "ข้าวเย็น", "กาแฟ", "ซูชิ", "ราเมง", "ติ่มซำ", "หมูกระทะ", "ส้มตำ", "เครื่องดื่ม", "บาร์"],
+    wellness: ["ซาวน่า", "นวด", "นวดไทย", "สปา", "โยคะ", "สมาธิ", "อาบน้ำแข็ง"],
+    tech: ["สตาร์ทอัพ", "เขียนโค้ด", "โปรแกรมเมอร์", "ซอฟต์แวร์", "แอป", "ปัญญาประดิษฐ์", "เอไอ"],
+    business: ["ระดมทุน", "นักลงทุน", "ลงทุน", "เงินทุน", "กลยุทธ์", "รายได้", "ธุรกิจ"],
+    travel: ["เที่ยวบิน", "สนามบิน", "โรงแรม", "ทริป", "เที่ยว", "พาสปอร์ต", "สายการบิน", "วันหยุด"],
+    music: ["คอนเสิร์ต", "เทศกาลดนตรี", "เพลง", "ดนตรี", "ดีเจ", "วงดนตรี", "ตั๋ว"],
+  },
+  affinities: {
+    sports_teams: {},
+    food_types: { "ติ่มซำ": "dim sum", "ซูชิ": "sushi", "ราเมง": "ramen", "พิซซ่า": "pizza", "ปิ้งย่าง": "bbq", "อาหารเกาหลี": "korean", "ส้มตำ": "thai" },
+    activities: { "กอล์ฟ": "golf", "ซาวน่า": "sauna", "ปั่นจักรยาน": "cycling", "เดินป่า": "hiking", "โต้คลื่น": "surfing", "ปีนผา": "climbing", "วิ่ง": "running", "โป๊กเกอร์": "poker" },
+  },
+  locations: { "กรุงเทพ": "bangkok", "กทม": "bangkok", "สิงคโปร์": "singapore", "ฮ่องกง": "hong kong", "โตเกียว": "tokyo", "ลอนดอน": "london", "ดูไบ": "dubai", "ปารีส": "paris", "นิวยอร์ก": "new york", "ซิดนีย์": "sydney" },
+};
+
+// Simplified and Traditional forms side by side
+const zh = {
+  name: "Chinese",
+  script: /[\u3400-\u9FFF]/g,
+  segmented: true,
+  interests: {
+    sports: ["泰拳", "拳击", "拳擊", "综合格斗", "綜合格鬥", "篮球", "籃球", "足球", "高尔夫", "高爾夫", "网球", "網球", "健身", "健身房", "锻炼", "鍛煉"],
+    crypto: ["比特币", "比特幣", "以太坊", "加密货币", "加密貨幣", "区块链", "區塊鏈", "币圈", "幣圈"],
+    food: ["餐厅", "餐廳", "早午餐", "晚饭", "晚飯", "晚餐", "咖啡", "寿司", "壽司", "拉面", "拉麵", "点心", "點心", "饮茶", "飲茶", "火锅", "火鍋", "酒吧", "喝酒"],
+    wellness: ["桑拿", "按摩", "水疗", "水療", "瑜伽", "冥想", "冰浴", "养生", "養生"],
+    tech: ["人工智能", "创业", "創業", "初创", "初創", "编程", "編程", "工程师", "工程師", "软件", "軟件", "产品经理", "產品經理", "大模型"],
+    business: ["融资", "融資", "投资人", "投資人", "投资", "投資", "资金", "資金", "战略", "戰略", "营收", "營收", "增长", "增長", "路演"],
+    travel: ["航班", "机场", "機場", "酒店", "旅行", "旅游", "旅遊", "度假", "护照", "護照", "航空公司"],
+    music: ["演唱会", "演唱會", "音乐节", "音樂節", "音乐", "音樂", "歌单", "歌單", "乐队", "樂隊", "门票", "門票"],
+  },
+  affinities: {
+    sports_teams: {},
+    food_types: { "点心": "dim sum", "點心": "dim sum", "寿司": "sushi", "壽司": "sushi", "泰国菜": "thai", "泰國菜": "thai", "拉面": "ramen", "拉麵": "ramen", "披萨": "pizza", "披薩": "pizza", "烧烤": "bbq", "燒烤": "bbq", "韩国菜": "korean", "韓國菜": "korean" },
+    activities: { "高尔夫": "golf", "高爾夫": "golf", "桑拿": "sauna", "骑行": "cycling", "騎行": "cycling", "徒步": "hiking", "爬山": "hiking", "冲浪": "surfing", "衝浪": "surfing", "攀岩": "climbing", "跑步": "running", "扑克": "poker", "撲克": "poker" },
+  },
+  locations: { "曼谷": "bangkok", "新加坡": "singapore", "香港": "hong kong", "东京": "tokyo", "東京": "tokyo", "伦敦": "london", "倫敦": "london", "迪拜": "dubai", "杜拜": "dubai", "巴黎": "paris", "柏林": "berlin", "悉尼": "sydney", "雪梨": "sydney", "纽约": "new york", "紐約": "new york", "洛杉矶": "los angeles", "洛杉磯": "los angeles", "旧金山": "san francisco", "舊金山": "san francisco", "三藩市": "san francisco", "西雅图": "seattle", "西雅圖": "seattle" },
+};
+
+const es = {
+  name: "Spanish",
+  stopwords: ["que", "de", "el", "la", "los", "las", "por", "para", "con", "una", "un", "es", "está", "pero", "muy", "también", "hola", "gracias", "qué", "cómo", "nos", "vamos", "y"],
+  interests: {
+    sports: ["boxeo", "fútbol", "futbol", "baloncesto", "básquet", "tenis", "gimnasio", "entrenamiento", "artes marciales"],
+    crypto: ["criptomonedas", "cripto", "cadena de bloques"],
+    food: ["restaurante", "almuerzo", "cena", "desayuno", "café", "tapas", "copas", "cervezas"],
+    wellness: ["masaje", "meditación", "bienestar", "baño de hielo"],
+    tech: ["inteligencia artificial", "emprendimiento", "programación", "desarrollador", "ingeniería", "aplicación"],
+    business: ["inversionista", "inversor", "inversión", "financiamiento", "ronda de inversión", "estrategia", "ingresos", "crecimiento", "negocio"],
+    travel: ["vuelo", "aeropuerto", "viaje", "vacaciones", "pasaporte", "aerolínea"],
+    music: ["concierto", "música", "lista de reproducción", "entradas", "boletos"],
+  },
+  affinities: {
+    sports_teams: {},
+    food_types: { "parrillada": "bbq", "asado": "bbq", "comida coreana": "korean", "comida tailandesa": "thai" },
+    activities: { "ciclismo": "cycling", "senderismo": "hiking", "escalada": "climbing", "correr": "running", "póker": "poker" },
+  },
+  locations: { "nueva york": "new york", "londres": "london", "tokio": "tokyo", "singapur": "singapore", "parís": "paris", "berlín": "berlin", "los ángeles": "los angeles" },
+};
+
+export const LEXICONS = { en, th, zh, es };
+
+/**
+ * Add or extend a language. `lexicon` follows the shape above:
+ * { name, script?, segmented?, stopwords?, interests, affinities, locations }.
+ * Extending an existing code merges keyword lists into it.
+ */
+export function registerLexicon(code, lexicon) {
+  const existing = LEXICONS[code];
+  if (!existing) {
+    LEXICONS[code] = { interests: {}, affinities: {}, locations: {}, ...lexicon };
+    return LEXICONS[code];
+  }
+  Object.entries(lexicon.interests || {}).forEach(([category, terms]) => {
+    existing.interests[category] = [...new Set([...(existing.interests[category] || []), ...terms])];
+  });
+  Object.entries(lexicon.affinities || {}).forEach(([type, terms]) => {
+    existing.affinities[type] = { ...(existing.affinities[type] || {}), ...terms };
+  });
+  existing.locations = { ...existing.locations, ...(lexicon.locations || {}) };
+  if (lexicon.stopwords) existing.stopwords = [...new Set([...(existing.stopwords || []), ...lexicon.stopwords])];
+  return existing;
+}
+
+// ═══════════════════════════════════════════════════════════
+// LANGUAGE DETECTION
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Guess a message's language: the lexicon whose script covers at least 30%
+ * of its letters, else the Latin-script lexicon with most stopword hits,
+ * else English.
+ */
+export function detectLanguage(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return "en";
+
+  let best = null;
+  let bestShare = 0.3;
+  Object.entries(LEXICONS).forEach(([code, lexicon]) => {
+    if (!lexicon.script) return;
+    const share = (text.match(lexicon.script) || []).length / letters;
+    if (share >= bestShare) { best = code; bestShare = share; }
+  });
+  if (best) return best;
+
+  const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  let bestHits = 0;
+  best = "en";
+  Object.entries(LEXICONS).forEach(([code, lexicon]) => {
+    if (lexicon.script || !lexicon.stopwords) return;
+    const stopwords = new Set(lexicon.stopwords);
+    const hits = words.filter((w) => stopwords.has(w)).length;
+    if (hits > bestHits) { best = code; bestHits = hits; }
+  });
+  return best;
+}
+
+// ═══════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════
+
+const segmenters = new Map();
+
+// Word-boundary offsets for scripts written without spaces, or null when the
+// runtime has no Intl.Segmenter (then matching falls back to substrings)
+function wordBoundaries(text, code) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) return null;
+  if (!segmenters.has(code)) segmenters.set(code, new Intl.Segmenter(code, { granularity: "word" }));
+  const bounds = new Set([text.length]);
+  for (const { index } of segmenters.get(code).segment(text)) bounds.add(index);
+  return bounds;
+}
+
+/**
+ * Build a term matcher over `text` for one language. Latin-script languages
+ * match substrings of the lowercased text; segmented scripts (Thai, Chinese)
+ * only match terms anchored to a word boundary at either end — segmenters
+ * glue verbs onto nouns ("打高尔夫"), so requiring both misses real hits.
+ *
+ * @returns {Function} (term) => boolean
+ */
+export function createTermMatcher(text, code) {
+  const lexicon = LEXICONS[code];
+  const haystack = lexicon?.segmented ? text : text.toLowerCase();
+  const bounds = lexicon?.segmented ? wordBoundaries(haystack, code) : null;
+  if (!bounds) return (term) => haystack.includes(term);
+  return (term) => {
+    for (let at = haystack.indexOf(term); at !== -1; at = haystack.indexOf(term, at + 1)) {
+      if (bounds.has(at) || bounds.has(at + term.length)) return true;
+    }
+    return false;
+  };
+}
+
+export default { LEXICONS, registerLexicon, detectLanguage, createTermMatcher };
@@ -9,6 +9,9 @@
  * against NEW information (chats, contacts, events)
  */
 
+import { categorizeInterest, getTaxonomy } from "./taxonomy.js";
+import { halfLife, decayWeight } from "./decay.js";
+
 // ═══════════════════════════════════════════════════════════
 // USER CONTEXT (Persistent Profile)
 // ═══════════════════════════════════════════════════════════
@@ -100,10 +103,14 @@ export const ConnectionType = {
 /**
  * Scan a parsed chat/contact list for opportunities
  * Returns array of Opportunity objects
+ *
+ * options.intents (extractIntents) and options.disclosures
+ * (extractSelfDisclosures) from the same chat date the signals, so a need
+ * or a move fades on its half-life (decay.js) from when it was said.
  */
 export function detectOpportunities(userContext, parsedProfiles, options = {}) {
   const opportunities = [];
-  const { minConfidence = 0.5, maxResults = 10 } = options;
+  const { minConfidence = 0.5, maxResults = 10, intents = [], disclosures = [], now = Date.now() } = options;
   
   for (const profile of parsedProfiles) {
     // Skip if it's the user themselves
@@ -135,9 +142,21 @@ export function detectOpportunities(userContext, parsedProfiles, options = {}) {
         );
         
         // Check if user mentioned this topic recently
-        const userMentioned = (userContext.mentions || []).some(m =>
+        const mention = (userContext.mentions || []).find(m =>
           m.topic?.toLowerCase().includes(needLower)
         );
+        const userMentioned = Boolean(mention);
+        
+        // How current the signal is: when they asked for it, else the user's mention
+        const asked = latestSaid(intents, profile.name, i => {
+          const detail = (i.detail || "").toLowerCase();
+          return Boolean(detail) && (detail.includes(needLower) || needLower.includes(detail));
+        });
+        const freshness = asked
+          ? decayWeight(asked.timestamp, halfLife("intent", asked.type), now)
+          : !userOffers && !userExpert && !userNetwork && mention?.date
+          ? decayWeight(mention.date, halfLife("mention"), now)
+          : null;
         
         if (userOffers || userExpert || userNetwork || userMentioned) {
           detected.push({
@@ -152,6 +171,7 @@ export function detectOpportunities(userContext, parsedProfiles, options = {}) {
               ? `You know people in ${need}`
               : `You mentioned ${need} recently`,
             actionable: true,
+            freshness,
           });
         }
       }
@@ -187,12 +207,14 @@ export function detectOpportunities(userContext, parsedProfiles, options = {}) {
       const userCityLower = userCity.toLowerCase();
       
       if (profileCityLower.includes(userCityLower) || userCityLower.includes(profileCityLower)) {
+        const said = latestSaid(disclosures, profile.name, d => d.field === "location");
         detected.push({
           type: OpportunityType.LOCATION_OVERLAP,
           confidence: 0.7,
           reason: `${profile.name} is also in ${userCity}`,
           hook: `Easy to meet IRL`,
           actionable: true,
+          freshness: said ? decayWeight(said.timestamp, halfLife("disclosure", "location"), now) : null,
         });
       }
     }
@@ -224,6 +246,15 @@ export function detectOpportunities(userContext, parsedProfiles, options = {}) {
       }
     }
     
+    // Same taxonomy category counts too ("ufc" + "boxing" → sports)
+    const userCategories = new Set(userInterests.map(i => categorizeInterest(i)).filter(Boolean));
+    for (const pi of profileInterests) {
+      const category = categorizeInterest(pi);
+      if (!category || !userCategories.has(category)) continue;
+      if (sharedInterests.some(si => categorizeInterest(si) === category)) continue;
+      sharedInterests.push(getTaxonomy().categories[category].label.toLowerCase());
+    }
+    
     // Check affinities (especially wellness)
     for (const [category, items] of Object.entries(profile.affinities || {})) {
       const userItems = userContext.affinities?.[category] || [];
@@ -277,6 +308,14 @@ export function detectOpportunities(userContext, parsedProfiles, options = {}) {
     .slice(0, maxResults);
 }
 
+// Newest dated, affirmed intent/disclosure by `name` that passes `matches`
+function latestSaid(signals, name, matches) {
+  const nameLower = name?.toLowerCase();
+  return signals
+    .filter(s => s.timestamp && s.sender?.toLowerCase() === nameLower && (s.assertion || "affirmed") === "affirmed" && matches(s))
+    .reduce((latest, s) => (!latest || s.timestamp > latest.timestamp ? s : latest), null);
+}
+
 // ═══════════════════════════════════════════════════════════
 // SCORING & RANKING
 // ═══════════════════════════════════════════════════════════
@@ -290,6 +329,11 @@ function calculateOpportunityScore(primary, secondary, profile = null, userConte
   // Bonus for actionable opportunities
   if (primary.actionable) score += 5;
   
+  // FRESHNESS — dated signals fade on their half-life (decay.js), down to half weight
+  if (primary.freshness != null) {
+    score *= 0.5 + 0.5 * primary.freshness;
+  }
+  
   // LOCATION BOOST — same city gets significant bonus
   if (profile && userContext) {
     const profileCity = (profile.location?.current || '').toLowerCase();
@@ -674,8 +718,9 @@ function scoreConnection(a, b) {
     (typeof i === 'string' ? i : i.category || '').toLowerCase()
   ).filter(Boolean);
   
+  const topicOf = (i) => categorizeInterest(i) || i;
   const sharedInterests = aInterests.filter(ai => 
-    bInterests.some(bi => ai.includes(bi) || bi.includes(ai))
+    bInterests.some(bi => ai.includes(bi) || bi.includes(ai) || topicOf(ai) === topicOf(bi))
   );
   
   if (sharedInterests.length > 0) {
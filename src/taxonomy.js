@@ -0,0 +1,184 @@
+/**
+ * Taxonomy — interest categories and the activities they turn into
+ *
+ * One JSON-shaped object drives interest extraction (connex-engine), meetup
+ * suggestions and the Activity Coordinator (ConnexApp), interest scoring in
+ * match-engine and the interest checks in proactive-brain. The server keeps
+ * an editable copy (GET/PUT /api/taxonomy); clients load it with setTaxonomy().
+ *
+ * {
+ *   version: 1,
+ *   categories: {
+ *     [id]: { label, emoji, title, keywords: [...], synonyms: { term: keyword }, activity }
+ *   },
+ *   activities: [{ id, emoji, label, template }]   // template uses {location} and {names}
+ * }
+ *
+ * Synonyms count as a hit for the keyword they point at, so "muay thai" and
+ * "boxing" both surface as "boxing". Non-English words for a category live in
+ * lexicons.js; synonyms work in any language too.
+ */
+
+// ═══════════════════════════════════════════════════════════
+// DEFAULT TAXONOMY
+// ═══════════════════════════════════════════════════════════
+
+export const DEFAULT_TAXONOMY = {
+  version: 1,
+  categories: {
+    sports: {
+      label: "Sports", emoji: "🏆", title: "Sports Watch Party", activity: "ufc",
+      keywords: ["ufc", "mma", "warriors", "basketball", "golf", "football", "soccer", "tennis", "gym", "workout", "nba", "nfl", "boxing"],
+      synonyms: { "muay thai": "boxing", "jiu jitsu": "mma", "working out": "workout" },
+    },
+    crypto: {
+      label: "Crypto", emoji: "₿", title: "Crypto Discussion", activity: "crypto",
+      keywords: ["bitcoin", "btc", "ethereum", "crypto", "trading", "blockchain", "nft", "defi", "solana", "web3"],
+      synonyms: { "altcoin": "crypto", "memecoin": "crypto" },
+    },
+    food: {
+      label: "Food", emoji: "🍜", title: "Food Meetup", activity: "dimsum",
+      keywords: ["dim sum", "restaurant", "brunch", "dinner", "thai food", "sushi", "ramen", "coffee", "cocktails", "lunch", "bar", "drinks"],
+      synonyms: { "yum cha": "dim sum", "omakase": "sushi" },
+    },
+    wellness: {
+      label: "Wellness", emoji: "🧘", title: "Wellness Session", activity: "wellness",
+      keywords: ["sauna", "ice bath", "massage", "spa", "wellness", "yoga", "meditation", "mindfulness", "recovery"],
+      synonyms: { "cold plunge": "ice bath", "steam room": "sauna" },
+    },
+    tech: {
+      label: "Tech", emoji: "💻", title: "Tech Networking", activity: "coworking",
+      keywords: ["ai", "startup", "coding", "engineering", "product", "developer", "software", "app", "llm", "gpt", "claude"],
+      synonyms: { "machine learning": "ai", "vibe coding": "coding" },
+    },
+    business: {
+      label: "Business", emoji: "📊", title: "Business Lunch", activity: "coffee",
+      keywords: ["fundraising", "investor", "funding", "strategy", "revenue", "growth", "pitch", "deal", "vc", "equity"],
+      synonyms: { "seed round": "funding", "series a": "funding" },
+    },
+    travel: {
+      label: "Travel", emoji: "✈️", title: "Travel Crew", activity: "coffee",
+      keywords: ["flight", "airport", "hotel", "trip", "vacation", "traveling", "passport", "airline"],
+      synonyms: { "layover": "flight", "jet lag": "flight" },
+    },
+    music: {
+      label: "Music", emoji: "🎵", title: "Music Night", activity: "music",
+      keywords: ["concert", "festival", "spotify", "playlist", "dj", "music", "band", "show", "tickets"],
+      synonyms: { "live music": "music", "setlist": "concert" },
+    },
+  },
+  activities: [
+    { id: "ufc", emoji: "🥊", label: "UFC Watch Party", template: "🥊 *UFC Watch Party — {location}*\n\nHey {names}! Let's catch the next UFC card together.\n\n📅 When works?\n• This Saturday\n• Next Saturday\n• Other (reply below)\n\n📍 Sports bar in {location} — suggestions welcome!\n\nWho's in? 👊" },
+    { id: "dimsum", emoji: "🍜", label: "Dim Sum / Food Meetup", template: "🍜 *{location} Food Meetup*\n\nHey {names}! Let's do dim sum (or whatever sounds good).\n\n📅 When works?\n• Weekend brunch\n• Weeknight dinner\n• Other\n\n📍 {location} — drop your favorite spots!\n\nReply with your pick 🍽️" },
+    { id: "crypto", emoji: "₿", label: "Crypto Discussion", template: "₿ *{location} Crypto Discussion*\n\nHey {names}! Let's meet up and talk crypto, markets, and what's next.\n\n📅 When works?\n• Weeknight evening\n• Weekend afternoon\n• Coffee this week\n\n📍 {location} café or co-working space\n\nWho's in? 📈" },
+    { id: "coworking", emoji: "💻", label: "Co-working / Tech", template: "💻 *{location} Tech Co-working Day*\n\nHey {names}! Let's grab a space, hack on projects, swap ideas.\n\n📅 When works?\n• This week\n• Next week\n• Weekend session\n\n📍 {location} — know any good spots?\n\nLet's build 🚀" },
+    { id: "wellness", emoji: "🧘", label: "Wellness Session", template: "🧘 *{location} Wellness Session*\n\nHey {names}! Group wellness day — sauna, ice bath, yoga, whatever works.\n\n📅 When free?\n• This weekend\n• Next weekend\n• Weekday evening\n\n📍 {location} — I'll research the best spots!\n\nWho needs this? 🙌" },
+    { id: "golf", emoji: "⛳", label: "Golf Outing", template: "⛳ *{location} Golf Outing*\n\nHey {names}! Let's hit the course.\n\n📅 When works?\n• Saturday AM\n• Sunday AM\n• Weekday\n\n📍 {location} — course preferences?\n\nAll levels welcome! 🏌️" },
+    { id: "coffee", emoji: "☕", label: "Business Coffee", template: "☕ *{location} Business Coffee*\n\nHey {names}! Let's grab coffee and catch up on projects.\n\n📅 When works?\n• Morning this week\n• Afternoon\n• Lunch\n\n📍 {location} — café suggestions?\n\nCasual & productive ☕" },
+    { id: "music", emoji: "🎵", label: "Music Night", template: "🎵 *{location} Music Night*\n\nHey {names}! Let's check out live music together.\n\n📅 When?\n• This weekend\n• Next weekend\n• Weeknight\n\n📍 {location} — anyone know what's playing?\n\nLet's go! 🎶" },
+  ],
+};
+
+// ═══════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════
+
+const cleanTerm = (term) => String(term).toLowerCase().trim();
+
+/**
+ * Validate a taxonomy and fill in defaults (label, emoji, title).
+ * Keywords and synonyms are lowercased. Throws on anything the engine
+ * couldn't use — the message names the offending category or activity.
+ */
+export function normalizeTaxonomy(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Taxonomy must be an object");
+  const activities = (raw.activities || []).map((a, i) => {
+    if (!a?.id || typeof a.template !== "string") throw new Error(`Activity ${a?.id || i} needs an id and a template`);
+    return { id: String(a.id), emoji: a.emoji || "📋", label: a.label || String(a.id), template: a.template };
+  });
+  const activityIds = new Set(activities.map((a) => a.id));
+
+  const entries = Object.entries(raw.categories || {});
+  if (entries.length === 0) throw new Error("Taxonomy needs at least one category");
+  const categories = {};
+  entries.forEach(([id, category]) => {
+    const keywords = [...new Set((category?.keywords || []).map(cleanTerm).filter(Boolean))];
+    if (keywords.length === 0) throw new Error(`Category "${id}" needs at least one keyword`);
+    const synonyms = {};
+    Object.entries(category.synonyms || {}).forEach(([term, keyword]) => {
+      if (!keywords.includes(cleanTerm(keyword))) throw new Error(`Synonym "${term}" in "${id}" points at unknown keyword "${keyword}"`);
+      synonyms[cleanTerm(term)] = cleanTerm(keyword);
+    });
+    if (category.activity && !activityIds.has(category.activity)) throw new Error(`Category "${id}" uses unknown activity "${category.activity}"`);
+    const label = category.label || id.charAt(0).toUpperCase() + id.slice(1);
+    categories[id] = {
+      label,
+      emoji: category.emoji || "📋",
+      title: category.title || `${label} Meetup`,
+      keywords,
+      synonyms,
+      activity: category.activity || null,
+    };
+  });
+
+  return { version: raw.version || 1, categories, activities };
+}
+
+let current = normalizeTaxonomy(DEFAULT_TAXONOMY);
+
+export function getTaxonomy() {
+  return current;
+}
+
+/** Replace the active taxonomy; pass null to go back to the default. */
+export function setTaxonomy(raw) {
+  current = normalizeTaxonomy(raw || DEFAULT_TAXONOMY);
+  return current;
+}
+
+// ═══════════════════════════════════════════════════════════
+// LOOKUPS
+// ═══════════════════════════════════════════════════════════
+
+/** [term, keyword] pairs to search for in a category — keywords map to themselves */
+export function categoryTerms(id, taxonomy = current) {
+  const category = taxonomy.categories[id];
+  if (!category) return [];
+  return [...category.keywords.map((k) => [k, k]), ...Object.entries(category.synonyms)];
+}
+
+/** Map a free-text interest ("Muay Thai", "hoops") to its keyword, or itself */
+export function canonicalTerm(term, taxonomy = current) {
+  const lower = cleanTerm(term);
+  for (const category of Object.values(taxonomy.categories)) {
+    if (category.synonyms[lower]) return category.synonyms[lower];
+  }
+  return lower;
+}
+
+/**
+ * Category id for a free-text interest: exact id/label first, then an exact
+ * keyword or synonym, then a keyword appearing as a whole word ("UFC 300").
+ */
+export function categorizeInterest(interest, taxonomy = current) {
+  const lower = cleanTerm(interest);
+  if (!lower) return null;
+  const entries = Object.entries(taxonomy.categories);
+  const exact = entries.find(([id, c]) => id === lower || c.label.toLowerCase() === lower || c.keywords.includes(lower) || c.synonyms[lower]);
+  if (exact) return exact[0];
+  const words = ` ${lower.replace(/[^\p{L}\p{N}]+/gu, " ")} `;
+  const partial = entries.find(([id]) => categoryTerms(id, taxonomy).some(([term]) => words.includes(` ${term} `)));
+  return partial ? partial[0] : null;
+}
+
+/** The activity template a category's suggestions turn into */
+export function activityFor(categoryId, taxonomy = current) {
+  const id = taxonomy.categories[categoryId]?.activity;
+  return taxonomy.activities.find((a) => a.id === id) || null;
+}
+
+export function fillTemplate(activity, { location = "TBD", names = "" } = {}) {
+  return activity.template.replace(/\{location\}/g, location).replace(/\{names\}/g, names);
+}
+
+export default { DEFAULT_TAXONOMY, normalizeTaxonomy, getTaxonomy, setTaxonomy, categoryTerms, canonicalTerm, categorizeInterest, activityFor, fillTemplate };
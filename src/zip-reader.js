@@ -0,0 +1,78 @@
+/**
+ * Zip Reader — minimal, dependency-free
+ *
+ * Reads the central directory of a .zip and inflates entries on demand with
+ * the platform DecompressionStream (browsers, Node 18+). Only what chat
+ * exports need: stored + deflate entries, no ZIP64, no encryption.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function findEndOfCentralDirectory(view) {
+  // EOCD is 22 bytes plus an optional comment of up to 65535 bytes
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * List the entries of a zip archive.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - the whole archive
+ * @returns {Promise<Array>} [{ name, size, compressedSize, isDirectory, bytes(), text() }]
+ */
+export async function readZip(data) {
+  const buffer = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd < 0) throw new Error("Not a zip archive");
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (offset === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error("Corrupt zip central directory");
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(buffer.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const bytes = async () => {
+      if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry: ${name}`);
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const raw = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return raw;
+      if (method === 8) return inflateRaw(raw);
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    };
+
+    entries.push({
+      name,
+      size,
+      compressedSize,
+      isDirectory: name.endsWith("/"),
+      bytes,
+      text: async () => decoder.decode(await bytes()),
+    });
+  }
+  return entries;
+}
+
+export default { readZip };
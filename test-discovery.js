@@ -1,5 +1,6 @@
 // Quick test: Run discovery on FF Sports chat with Nathan's profile
 import fs from 'fs';
+import { parseWhatsAppText } from './src/connex-engine.js';
 import { extractIntents, extractTimingSignals, discoverConnections } from './server/discovery-engine.js';
 
 // Nathan's profile
@@ -11,41 +12,9 @@ const yourProfile = {
   offering: ["product strategy", "crypto knowledge", "bangkok connections", "startup advice"]
 };
 
-// Parse WhatsApp chat
-function parseWhatsAppChat(text) {
-  const lines = text.split('\n');
-  const messages = [];
-  const memberSet = new Set();
-  
-  // WhatsApp format: [M/D/YY, H:MM:SS AM/PM] Name: Message
-  const msgRegex = /^\[(\d+\/\d+\/\d+),\s+(\d+:\d+:\d+\s+[AP]M)\]\s+([^:]+):\s*(.*)$/;
-  
-  for (const line of lines) {
-    const match = line.match(msgRegex);
-    if (match) {
-      const [_, date, time, sender, text] = match;
-      if (!sender.includes('Messages and calls are end-to-end') && 
-          !text.includes('joined from the community') &&
-          !text.includes('created this group')) {
-        messages.push({ date: `${date} ${time}`, sender: sender.trim(), text: text.trim() });
-        memberSet.add(sender.trim());
-      }
-    }
-  }
-  
-  const members = Array.from(memberSet).map(name => ({
-    name,
-    messageCount: messages.filter(m => m.sender === name).length,
-    firstSeen: messages.find(m => m.sender === name)?.date,
-    lastSeen: messages.filter(m => m.sender === name).pop()?.date
-  }));
-  
-  return { messages, members, stats: { totalMessages: messages.length, totalMembers: members.length } };
-}
-
 // Load and parse chat
 const chatText = fs.readFileSync('/home/moltbot/clawd/stanford-lead-chat/_chat.txt', 'utf-8');
-const parsedChat = parseWhatsAppChat(chatText);
+const parsedChat = parseWhatsAppText(chatText);
 
 console.log(`\n📊 Chat Stats:`);
 console.log(`   Messages: ${parsedChat.stats.totalMessages}`);
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { classifyAssertion, assertionWeight, extractIntents } from "../src/connex-engine.js";
+
+// Classify the first occurrence of `phrase` in `text`
+const tagOf = (text, phrase, msg = null) => classifyAssertion(text, text.toLowerCase().indexOf(phrase), phrase.length, msg).assertion;
+
+test("classifyAssertion: negation in the same clause, or a freeze right after", () => {
+  assert.equal(tagOf("I'm NOT hiring right now", "hiring"), "negated");
+  assert.equal(tagOf("hiring freeze at our place", "hiring"), "negated");
+  assert.equal(tagOf("not this month, but we're hiring engineers", "hiring"), "affirmed");
+  assert.equal(tagOf("we're hiring engineers", "hiring"), "affirmed");
+});
+
+test("classifyAssertion: wishes and conditions are hypothetical, requests aren't", () => {
+  assert.equal(tagOf("lol I wish I was raising", "raising"), "hypothetical");
+  assert.equal(tagOf("if I ever move to Tokyo", "move to"), "hypothetical");
+  assert.equal(tagOf("if anyone knows a good dentist, let me know", "dentist"), "affirmed");
+  assert.equal(tagOf("not sure if anyone knows a good dentist?", "dentist"), "affirmed");
+});
+
+test("classifyAssertion: forwarded messages, > quotes and reported speech are quoted", () => {
+  assert.equal(tagOf("Fwd: we're hiring a designer", "hiring"), "quoted");
+  assert.equal(tagOf("we're hiring a designer", "hiring", { forwardedFrom: "Acme Jobs" }), "quoted");
+  assert.equal(tagOf("> we're hiring a designer\nha nice", "hiring"), "quoted");
+  assert.equal(tagOf("ha nice\n> we're hiring a designer", "hiring"), "quoted");
+  assert.equal(tagOf("she said they're hiring", "hiring"), "quoted");
+  assert.equal(tagOf("\"we're hiring\" is what they all say", "hiring"), "quoted");
+});
+
+test("classifyAssertion: sarcasm discounts rather than drops", () => {
+  const text = "yeah right, we're totally raising";
+  const tag = classifyAssertion(text, text.indexOf("raising"), "raising".length);
+  assert.deepEqual(tag, { assertion: "negated", confidence: 0.6 });
+  assert.ok(assertionWeight({ assertion: tag.assertion, assertionConfidence: tag.confidence }) > 0.3);
+});
+
+test("extractIntents: tags each intent and weights it by how it was said", () => {
+  const intents = extractIntents([
+    { sender: "Ana", text: "I'm NOT hiring right now", date: "1/15/24", time: "10:00" },
+    { sender: "Ben", text: "we're hiring a frontend engineer", date: "1/15/24", time: "10:01" },
+  ]);
+  const bySender = Object.fromEntries(intents.map(i => [i.sender, i]));
+  assert.equal(bySender.Ana.assertion, "negated");
+  assert.ok(assertionWeight(bySender.Ana) < 0.2);
+  assert.equal(bySender.Ben.assertion, "affirmed");
+  assert.equal(assertionWeight(bySender.Ben), 1);
+});
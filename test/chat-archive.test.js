@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "node:zlib";
+import { readZip } from "../src/zip-reader.js";
+import { importChatArchive, parseVCards } from "../src/chat-archive.js";
+
+// Minimal zip writer: one local header + data per entry, central directory, end record.
+// CRCs are left at 0 — readZip doesn't check them.
+function buildZip(files, { deflate = false } = {}) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const raw = encoder.encode(content);
+    const data = deflate ? new Uint8Array(deflateRawSync(raw)) : raw;
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(8, deflate ? 8 : 0, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, raw.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(10, deflate ? 8 : 0, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, raw.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  });
+  const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, centrals.length, true);
+  ev.setUint16(10, centrals.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let at = 0;
+  [...locals, ...centrals, end].forEach((part) => { zip.set(part, at); at += part.length; });
+  return zip;
+}
+
+const VCARD = "BEGIN:VCARD\nVERSION:3.0\nFN:Carla Designer\nTEL;type=CELL;waid=447700900123:+44 7700 900123\nORG:Studio C;\nTITLE:Designer\nEND:VCARD";
+
+test("readZip: stored and deflated entries", async () => {
+  for (const deflate of [false, true]) {
+    const entries = await readZip(buildZip({ "a.txt": "hello", "dir/": "" }, { deflate }));
+    assert.deepEqual(entries.map((e) => [e.name, e.isDirectory]), [["a.txt", false], ["dir/", true]]);
+    assert.equal(await entries[0].text(), "hello");
+  }
+});
+
+test("readZip: rejects something that isn't a zip", async () => {
+  await assert.rejects(readZip(new TextEncoder().encode("not a zip")), /Not a zip archive/);
+});
+
+test("parseVCards: WhatsApp waid, org and title", () => {
+  assert.deepEqual(parseVCards(VCARD), [{ name: "Carla Designer", phones: ["+447700900123"], emails: [], org: "Studio C", title: "Designer" }]);
+});
+
+test("importChatArchive: links attachments and turns shared vCards into contacts", async () => {
+  const zip = buildZip({
+    "WhatsApp Chat with Climbers.txt": "1/15/24, 2:05 PM - Ana: Carla Designer.vcf (file attached)\n1/15/24, 2:06 PM - Ben: IMG-1.jpg (file attached)",
+    "Carla Designer.vcf": VCARD,
+  }, { deflate: true });
+  const { parsedChat, sharedContacts } = await importChatArchive(zip);
+  assert.equal(parsedChat.stats.groupName, "Climbers");
+  assert.deepEqual(parsedChat.messages.map((m) => m.attachments.map((a) => [a.kind, a.included])), [[["contact", true]], [["image", false]]]);
+  assert.equal(sharedContacts.length, 1);
+  assert.equal(sharedContacts[0].phone, "+447700900123");
+  assert.equal(sharedContacts[0].sharedBy, "Ana");
+  assert.match(sharedContacts[0].notes, /shared by Ana in Climbers .* Designer at Studio C/);
+});
+
+test("importChatArchive: Slack workspace zips go to the Slack importer", async () => {
+  const zip = buildZip({
+    "users.json": JSON.stringify([{ id: "U1", name: "ana" }]),
+    "general/2024-01-15.json": JSON.stringify([{ type: "message", user: "U1", text: "hi", ts: "1705309260.0002" }]),
+  });
+  const { parsedChat } = await importChatArchive(zip);
+  assert.equal(parsedChat.stats.source, "slack");
+  assert.equal(parsedChat.messages[0].sender, "ana");
+});
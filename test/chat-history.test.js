@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, fingerprintMessage, fingerprintChat, mergeChatHistory, summarizeMemberActivity } from "../src/connex-engine.js";
+
+test("fingerprintMessage: the same message from iOS and Android exports matches", () => {
+  const ios = parseWhatsAppText("[15/01/2024, 14:05:09] Ana: See you  at 7").messages[0];
+  const android = parseWhatsAppText("15/01/2024, 14:05 - Ana: see you at 7").messages[0];
+  assert.equal(fingerprintMessage(ios), fingerprintMessage(android));
+});
+
+test("fingerprintMessage: media placeholders match across export kinds", () => {
+  const omitted = { timestamp: "2024-01-15T14:05:00.000Z", sender: "Ana", text: "<Media omitted>", isMedia: true };
+  const attached = { timestamp: "2024-01-15T14:05:00.000Z", sender: "Ana", text: "IMG-20240115-WA0001.jpg (file attached)" };
+  assert.equal(fingerprintMessage(omitted), fingerprintMessage(attached));
+  assert.notEqual(fingerprintMessage(omitted), fingerprintMessage({ ...omitted, sender: "Ben" }));
+});
+
+test("fingerprintChat: repeats in the same minute stay distinct", () => {
+  const chat = fingerprintChat(parseWhatsAppText("1/15/24, 2:05 PM - Ana: ok\n1/15/24, 2:05 PM - Ana: ok\n1/15/24, 2:06 PM - Ana: ok"));
+  const [a, b, c] = chat.messages.map((m) => m.fingerprint);
+  assert.equal(b, `${a}-1`);
+  assert.notEqual(c, a);
+  assert.equal(new Set([a, b, c]).size, 3);
+});
+
+const first = "1/15/24, 2:05 PM - Ana: hi all\n1/15/24, 2:06 PM - Ben: hey\n1/16/24, 9:00 AM - Ana: coffee?";
+const second = "1/16/24, 9:00 AM - Ana: coffee?\n1/16/24, 9:10 AM - Cat: I'm in\n1/17/24, 8:00 AM - Ben: me too";
+
+test("mergeChatHistory: overlapping re-export only adds what's new", () => {
+  const { parsedChat: history } = mergeChatHistory(null, parseWhatsAppText(first));
+  const { parsedChat, newMessages, duplicateCount } = mergeChatHistory(history, parseWhatsAppText(second));
+  assert.equal(duplicateCount, 1);
+  assert.deepEqual(newMessages.map((m) => m.text), ["I'm in", "me too"]);
+  assert.deepEqual(parsedChat.messages.map((m) => m.text), ["hi all", "hey", "coffee?", "I'm in", "me too"]);
+  assert.deepEqual(parsedChat.members.map((m) => [m.name, m.messageCount]), [["Ana", 2], ["Ben", 2], ["Cat", 1]]);
+  assert.equal(parsedChat.stats.totalMessages, 5);
+  assert.equal(parsedChat.stats.imports, 2);
+});
+
+test("mergeChatHistory: importing the same export twice changes nothing", () => {
+  const { parsedChat: history } = mergeChatHistory(null, parseWhatsAppText(first));
+  const again = mergeChatHistory(history, parseWhatsAppText(first));
+  assert.equal(again.newMessages.length, 0);
+  assert.equal(again.parsedChat.messages.length, 3);
+});
+
+test("mergeChatHistory: membership notices are deduplicated", () => {
+  const withJoin = "1/15/24, 2:00 PM - Ana added Ben\n1/15/24, 2:05 PM - Ana: hi";
+  const { parsedChat: history } = mergeChatHistory(null, parseWhatsAppText(withJoin));
+  const merged = mergeChatHistory(history, parseWhatsAppText(withJoin)).parsedChat;
+  assert.equal(merged.membershipEvents.length, 1);
+});
+
+test("summarizeMemberActivity: counts and ISO bounds per sender", () => {
+  const chat = parseWhatsAppText(first);
+  assert.deepEqual(summarizeMemberActivity(chat.messages), [
+    { name: "Ana", messageCount: 2, firstSeen: "2024-01-15T14:05:00.000Z", lastSeen: "2024-01-16T09:00:00.000Z" },
+    { name: "Ben", messageCount: 1, firstSeen: "2024-01-15T14:06:00.000Z", lastSeen: "2024-01-15T14:06:00.000Z" },
+  ]);
+});
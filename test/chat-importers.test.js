@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseTelegramExport, parseSignalExport, parseSlackExport, detectChatSource, parseChatExport } from "../src/chat-importers.js";
+
+test("parseTelegramExport: messages, formatted text and membership notices", () => {
+  const chat = parseTelegramExport({
+    name: "Climbers",
+    messages: [
+      { id: 1, type: "service", date: "2024-01-15T09:00:00", actor: "Ana", action: "invite_members", members: ["Ben"] },
+      { id: 2, type: "message", date: "2024-01-15T09:02:00", from: "Ana", text: ["see ", { type: "bold", text: "you" }, " there"] },
+      { id: 3, type: "message", date: "2024-01-15T09:05:30", from: "Ben", text: "on my way", reply_to_message_id: 2 },
+    ],
+  });
+  assert.equal(chat.stats.source, "telegram");
+  assert.equal(chat.stats.groupName, "Climbers");
+  assert.deepEqual(chat.messages.map((m) => m.text), ["see you there", "on my way"]);
+  assert.equal(chat.messages[1].timestamp, "2024-01-15T09:05:30.000Z");
+  assert.equal(chat.messages[1].replyToId, 2);
+  assert.deepEqual(chat.membershipEvents.map((e) => [e.type, e.actor, e.target]), [["added", "Ana", "Ben"]]);
+});
+
+test("parseSignalExport: continuation lines and attachments", () => {
+  const chat = parseSignalExport("[2024-01-15 09:02] Ana: hi\nstill me\n[2024-01-15 09:03] Ben: ![photo](media/1.jpg)");
+  assert.equal(chat.messages.length, 2);
+  assert.equal(chat.messages[0].text, "hi\nstill me");
+  assert.equal(chat.messages[1].isMedia, true);
+  assert.equal(chat.messages[0].timestamp, "2024-01-15T09:02:00.000Z");
+});
+
+const slackFiles = {
+  "users.json": JSON.stringify([{ id: "U1", profile: { real_name: "Ana Lima" } }, { id: "U2", name: "ben" }]),
+  "channels.json": JSON.stringify([{ name: "general" }]),
+  "general/2024-01-15.json": JSON.stringify([
+    { type: "message", subtype: "channel_join", user: "U2", ts: "1705309200.000100" },
+    { type: "message", user: "U1", text: "hey <@U2>, see <https://lu.ma/x|this>", ts: "1705309260.000200" },
+    { type: "message", user: "U2", text: "thanks!", ts: "1705309320.000300", thread_ts: "1705309260.000200" },
+  ]),
+};
+
+test("parseSlackExport: names, mrkdwn, threads and joins", () => {
+  const chat = parseSlackExport(slackFiles);
+  assert.equal(chat.stats.source, "slack");
+  assert.deepEqual(chat.messages.map((m) => [m.sender, m.text]), [["Ana Lima", "hey @ben, see https://lu.ma/x"], ["ben", "thanks!"]]);
+  assert.equal(chat.messages[1].replyToId, "1705309260.000200");
+  assert.deepEqual(chat.membershipEvents.map((e) => [e.type, e.target]), [["joined", "ben"]]);
+});
+
+test("detectChatSource / parseChatExport dispatch on content", () => {
+  assert.equal(detectChatSource(slackFiles), "slack");
+  assert.equal(detectChatSource({ messages: [] }), "telegram");
+  assert.equal(detectChatSource("[2024-01-15 09:02] Ana: hi"), "signal");
+  assert.equal(detectChatSource("1/15/24, 2:05 PM - Ana: hi"), "whatsapp");
+  assert.equal(parseChatExport(slackFiles).messages.length, 2);
+});
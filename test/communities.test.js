@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectCommunities } from "../src/connex-engine.js";
+
+const climbers = ["Ana", "Ben", "Cat", "Dan"];
+const founders = ["Eve", "Fay", "Gus", "Hal"];
+const profile = (name, keyword, city) => ({ display_name: name, interests: [{ category: "x", keywords: [keyword] }], location: { primary: city } });
+const profiles = [
+  ...climbers.map((name) => profile(name, "climbing", "San Francisco")),
+  ...founders.map((name) => profile(name, "fundraising", "New York")),
+  { display_name: "Ivy", interests: [] },
+];
+
+// Two tight circles, one thin tie between Dan and Eve, and Ivy who talks to nobody
+function edges() {
+  const all = [];
+  const clique = (group) => group.forEach((a, i) => group.slice(i + 1).forEach((b) => all.push({ from: a, to: b, weight: 3 }, { from: b, to: a, weight: 3 })));
+  clique(climbers);
+  clique(founders);
+  all.push({ from: "Ana", to: "Ben", weight: 3 });
+  all.push({ from: "Dan", to: "Eve", weight: 1 }, { from: "Eve", to: "Dan", weight: 1 });
+  return all;
+}
+
+test("detectCommunities: Louvain recovers planted circles", () => {
+  const { spheres, unclustered, modularity } = detectCommunities(profiles, edges());
+  assert.deepEqual(spheres.map((s) => s.members.map((m) => m.name).sort()), [climbers, founders]);
+  assert.deepEqual(unclustered, ["Ivy"]);
+  assert.ok(modularity > 0.4);
+});
+
+test("detectCommunities: spheres are named by shared topic and city", () => {
+  const { spheres } = detectCommunities(profiles, edges());
+  assert.deepEqual(spheres.map((s) => s.name), ["Climbing · San Francisco", "Fundraising · New York"]);
+  assert.equal(spheres[0].hub, "Ana");
+  assert.equal(spheres[0].members.find((m) => m.name === "Ana").role, "hub");
+});
+
+test("detectCommunities: bridges and your place in each sphere", () => {
+  const { spheres } = detectCommunities(profiles, edges(), { me: "Dan" });
+  const [climbing, fundraising] = spheres;
+  assert.deepEqual(climbing.bridges.map((b) => [b.name, b.via]), [["Fundraising · New York", ["Dan"]]]);
+  assert.equal(climbing.yourRole, "member");
+  assert.equal(climbing.yourStrength, 1);
+  // Outside it, but tied to Eve: a way in
+  assert.equal(fundraising.yourRole, "connector");
+  assert.equal(fundraising.yourStrength, 0.25);
+  assert.equal(detectCommunities(profiles, edges(), { me: "Ivy" }).spheres[0].yourRole, "outsider");
+});
+
+test("detectCommunities: no ties, no spheres", () => {
+  const { spheres, unclustered } = detectCommunities(profiles, []);
+  assert.deepEqual(spheres, []);
+  assert.equal(unclustered.length, profiles.length);
+});
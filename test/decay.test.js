@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_HALF_LIVES, normalizeHalfLives, halfLifeOverrides, setHalfLives, halfLife, decayByAge, decayWeight } from "../src/decay.js";
+import { parseWhatsAppText, extractIntents, extractSelfDisclosures } from "../src/connex-engine.js";
+import { detectOpportunities, createUserContext, OpportunityType } from "../src/proactive-brain.js";
+import { generateSparks } from "../server/spark-engine.js";
+
+test("decayByAge / decayWeight: half weight after one half-life", () => {
+  assert.equal(decayByAge(0, 30), 1);
+  assert.equal(decayByAge(30, 30), 0.5);
+  assert.equal(decayByAge(null, 30), null);
+  assert.equal(decayWeight("2024-01-01T00:00:00Z", 10, "2024-01-21T00:00:00Z"), 0.25);
+  assert.equal(decayWeight("not a date", 10), null);
+});
+
+test("normalizeHalfLives: overrides merge onto defaults and bad values name the key", () => {
+  const merged = normalizeHalfLives({ intent: { hiring: 60 }, message: 10 });
+  assert.equal(merged.intent.hiring, 60);
+  assert.equal(merged.intent.fundraising, DEFAULT_HALF_LIVES.intent.fundraising);
+  assert.equal(merged.message, 10);
+  assert.throws(() => normalizeHalfLives({ disclosure: { location: -1 } }), /disclosure\.location/);
+});
+
+test("halfLifeOverrides: keeps only what was overridden, checked", () => {
+  assert.deepEqual(halfLifeOverrides({ intent: { hiring: 60 }, message: 10 }), { intent: { hiring: 60 }, message: 10 });
+  assert.deepEqual(halfLifeOverrides({}), {});
+  assert.throws(() => halfLifeOverrides({ intent: { hiring: 0 } }), /intent\.hiring/);
+  assert.throws(() => halfLifeOverrides({ vibes: 3 }), /Unknown signal kind "vibes"/);
+  assert.throws(() => halfLifeOverrides({ intent: 30 }), /"intent"/);
+  assert.throws(() => halfLifeOverrides(null), /must be an object/);
+});
+
+test("setHalfLives: lookups follow the override until reset", () => {
+  try {
+    setHalfLives({ intent: { hiring: 2 } });
+    assert.equal(halfLife("intent", "hiring"), 2);
+    assert.equal(halfLife("intent", "unknown_type"), DEFAULT_HALF_LIVES.intent.default);
+  } finally {
+    setHalfLives(null);
+  }
+  assert.equal(halfLife("intent", "hiring"), DEFAULT_HALF_LIVES.intent.hiring);
+});
+
+test("generateSparks: age comes from the timestamp, whatever the export's date order", async () => {
+  // 13/02 only parses day-first — read as M/D it would be no date at all
+  const chat = parseWhatsAppText("13/02/2024, 09:00 - Raj: we're hiring a backend engineer, DM me\n14/02/2024, 10:00 - Ana: nice");
+  const now = "2024-02-23T12:00:00Z";
+  const intents = extractIntents(chat.messages, { now });
+  assert.equal(intents[0].timestamp, "2024-02-13T09:00:00.000Z");
+  const [spark] = await generateSparks({ name: "Me" }, intents, chat.messages, chat.members, { useAI: false, now });
+  assert.equal(spark.daysAgo, 10);
+});
+
+test("detectOpportunities: dated intents and disclosures set freshness", () => {
+  const chat = parseWhatsAppText(`1/10/24, 9:05 AM - Eve: I'm based in Lisbon.
+1/10/24, 9:05 AM - Eve: looking for a designer for our app`);
+  const now = "2024-02-09T09:05:00Z";
+  const user = createUserContext({ name: "Me", offering: ["designer"], currentCity: "Lisbon" });
+  const profiles = [{ name: "Eve", lookingFor: ["designer"], location: { current: "Lisbon" } }];
+  const options = { intents: extractIntents(chat.messages, { now }), disclosures: extractSelfDisclosures(chat.messages, { now }), now };
+  const [found] = detectOpportunities(user, profiles, options);
+  const byType = Object.fromEntries([found.primary, ...found.secondary].map((o) => [o.type, o]));
+  assert.equal(byType[OpportunityType.HIRING_MATCH].freshness, decayByAge(30, halfLife("intent", "seeking")));
+  assert.equal(byType[OpportunityType.LOCATION_OVERLAP].freshness, decayByAge(30, halfLife("disclosure", "location")));
+
+  const [undated] = detectOpportunities(user, profiles);
+  assert.equal(undated.primary.freshness, null);
+});
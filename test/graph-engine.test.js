@@ -0,0 +1,188 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, extractEvents } from "../src/connex-engine.js";
+import { ConnexGraph, NodeType, EdgeType, addMembershipEvents, addChatEvents, addChatToGraph } from "../server/graph-engine.js";
+
+const climbers = parseWhatsAppText(`1/15/24, 2:00 PM - Ana created group "Climbers"
+1/15/24, 2:01 PM - Ana added Ben
+1/15/24, 2:02 PM - Cat joined using this group's invite link
+1/15/24, 2:03 PM - Ana: welcome both
+1/16/24, 2:05 PM - Ben left`);
+
+// ═══════════════════════════════════════════════════════════════
+// MEMBERSHIP
+// ═══════════════════════════════════════════════════════════════
+
+test("addMembershipEvents: adding someone is a KNOWS edge", () => {
+  const graph = addMembershipEvents(climbers.membershipEvents, new ConnexGraph(), "Climbers");
+  const knows = graph.getEdge("Ana", "Ben", EdgeType.KNOWS);
+  assert.equal(knows.context.via, "added_to_group");
+  assert.equal(knows.context.timestamp, "2024-01-15T14:01:00.000Z");
+  assert.equal(graph.getEdge("Cat", "Ana", EdgeType.KNOWS), null);
+});
+
+test("addMembershipEvents: MEMBER_OF carries role, inviter and tenure", () => {
+  const graph = addMembershipEvents(climbers.membershipEvents, new ConnexGraph(), "Climbers");
+  const member = (name) => graph.getEdge(name, "Climbers", EdgeType.MEMBER_OF).context;
+  assert.equal(member("Ana").role, "admin");
+  assert.deepEqual(member("Ben"), { role: "member", invitedBy: "Ana", joinedViaLink: false, active: false, leftAt: "2024-01-16T14:05:00.000Z" });
+  assert.equal(member("Cat").joinedViaLink, true);
+  assert.equal(member("Cat").active, true);
+});
+
+test("addChatToGraph: membership from a parsed chat lands in the graph once", () => {
+  const graph = addChatToGraph({ ...climbers, groupName: "Climbers" }, new ConnexGraph());
+  addChatToGraph({ ...climbers, groupName: "Climbers" }, graph);
+  assert.equal(graph.getEdge("Ana", "Ben", EdgeType.KNOWS).weight, 3);
+  assert.equal(graph.getEdgesByType(EdgeType.MEMBER_OF).length, 3);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// MEETUPS
+// ═══════════════════════════════════════════════════════════════
+
+const dinner = parseWhatsAppText(`1/15/24, 2:03 PM - Ana: Dinner at Nopa this Friday 7pm, who's in?
+1/15/24, 2:04 PM - Ben: I'm in!
+1/15/24, 2:05 PM - Cat: count me in
+1/15/24, 2:06 PM - Dev: can't make it, sorry`);
+
+test("addChatEvents: attendees get ATTENDED and pairwise MET_AT edges", () => {
+  const graph = addChatEvents(extractEvents(dinner), new ConnexGraph(), "Foodies");
+  const [event] = graph.getEdgesByType(EdgeType.ATTENDED).map((e) => graph.getNode(e.to));
+  assert.equal(event.type, NodeType.EVENT);
+  assert.equal(event.data.where, "Nopa");
+  assert.deepEqual(graph.getEdgesByType(EdgeType.ATTENDED).map((e) => e.from).sort(), ["ana", "ben", "cat"]);
+  assert.equal(graph.getEdgesByType(EdgeType.MET_AT).length, 3);
+  assert.equal(graph.getEdge("Ben", "Cat", EdgeType.MET_AT).context.location, "Nopa");
+  assert.equal(graph.getNode("Dev"), null);
+});
+
+test("extractEvents: statements, idioms and answers to other people aren't RSVPs", () => {
+  const chat = parseWhatsAppText(`1/15/24, 2:00 PM - Ana: dinner at Soho House Thursday 7pm, who's in?
+1/15/24, 2:01 PM - Ben: I'm in Bangkok next week
+1/15/24, 2:02 PM - Cat: I'm in the office, down the hall
+1/15/24, 2:03 PM - Dev: anyone know a good plumber?
+1/15/24, 2:04 PM - Eve: Sure
+1/15/24, 2:05 PM - Gus: @Ana count me in`);
+  const [event] = extractEvents(chat);
+  assert.deepEqual(event.attendees, ["Ana", "Gus"]);
+  const graph = addChatEvents([event], new ConnexGraph(), "Foodies");
+  assert.deepEqual(graph.getEdgesByType(EdgeType.MET_AT).map((e) => [e.from, e.to]), [["ana", "gus"]]);
+});
+
+test("addChatToGraph: meetups in a re-imported chat aren't counted twice", () => {
+  const graph = addChatToGraph({ ...dinner, groupName: "Foodies" }, new ConnexGraph());
+  addChatToGraph({ ...dinner, groupName: "Foodies" }, graph);
+  assert.equal(graph.getEdge("Ana", "Ben", EdgeType.MET_AT).weight, 1);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════════
+
+function triangle() {
+  const graph = new ConnexGraph();
+  ["Ana", "Ben", "Cat"].forEach((name) => graph.addNode(name, NodeType.PERSON));
+  graph.addEdge("Ana", "Ben", EdgeType.KNOWS);
+  graph.addEdge("Ben", "Cat", EdgeType.KNOWS);
+  graph.addEdge("Cat", "Ana", EdgeType.COLLEAGUE);
+  return graph;
+}
+
+test("indexes: lookups by source, target, type and either end", () => {
+  const graph = triangle();
+  assert.deepEqual(graph.getEdgesFrom("Ben").map((e) => e.to), ["cat"]);
+  assert.deepEqual(graph.getEdgesTo("Ben").map((e) => e.from), ["ana"]);
+  assert.deepEqual(graph.getConnections("Ana").map((e) => e.type).sort(), ["colleague", "knows"]);
+  assert.equal(graph.getEdgesByType(EdgeType.KNOWS).length, 2);
+  assert.deepEqual(graph.getStats().edgesByType, { knows: 2, colleague: 1 });
+});
+
+test("indexes: strengthening an edge doesn't add a second one", () => {
+  const graph = triangle();
+  graph.addEdge("Ana", "Ben", EdgeType.KNOWS, { via: "dinner" });
+  assert.equal(graph.getEdgesFrom("Ana").length, 1);
+  assert.equal(graph.getEdge("Ana", "Ben", EdgeType.KNOWS).weight, 2);
+});
+
+test("indexes: removing a node drops its edges from every index", () => {
+  const graph = triangle();
+  assert.equal(graph.removeNode("Ben"), true);
+  assert.equal(graph.getNode("Ben"), null);
+  assert.deepEqual(graph.getEdgesFrom("Ana"), []);
+  assert.deepEqual(graph.getEdgesTo("Cat"), []);
+  assert.equal(graph.getEdgesByType(EdgeType.KNOWS).length, 0);
+  assert.equal(graph.getConnections("Ana").length, 1);
+  assert.equal(graph.getStats().nodesByType.person, 2);
+});
+
+test("indexes: removeEdge without a type removes every edge in that direction", () => {
+  const graph = triangle();
+  graph.addEdge("Ana", "Ben", EdgeType.COLLEAGUE);
+  assert.equal(graph.removeEdge("Ana", "Ben"), 2);
+  assert.equal(graph.removeEdge("Ana", "Ben"), 0);
+  assert.deepEqual(graph.getEdgesFrom("Ana"), []);
+  assert.equal(graph.getEdge("Cat", "Ana", EdgeType.COLLEAGUE).type, "colleague");
+});
+
+// ═══════════════════════════════════════════════════════════════
+// INTRO PATHS
+// ═══════════════════════════════════════════════════════════════
+
+function introGraph() {
+  const graph = new ConnexGraph();
+  ["Me", "Ana", "Ben", "Cat", "Dev", "Zoe"].forEach((name) => graph.addNode(name, NodeType.PERSON));
+  graph.addNode("AI", NodeType.INTEREST);
+  graph.addEdge("Me", "Ana", EdgeType.KNOWS);
+  graph.addEdge("Me", "Ana", EdgeType.KNOWS);   // known well: tie 0.75
+  graph.addEdge("Ana", "Zoe", EdgeType.KNOWS);
+  graph.addEdge("Me", "Ben", EdgeType.KNOWS);
+  graph.addEdge("Ben", "Zoe", EdgeType.CLASSMATE, { school: "Stanford" });
+  graph.addEdge("Me", "Cat", EdgeType.KNOWS);
+  graph.addEdge("Cat", "Dev", EdgeType.KNOWS);
+  graph.addEdge("Dev", "Zoe", EdgeType.KNOWS);
+  // Sharing an interest is not an intro
+  graph.addEdge("Me", "AI", EdgeType.INTERESTED_IN);
+  graph.addEdge("Zoe", "AI", EdgeType.INTERESTED_IN);
+  return graph;
+}
+
+test("findBestPaths: ranks distinct chains by the product of hop strengths", () => {
+  const paths = introGraph().findBestPaths("Me", "Zoe", { k: 5 });
+  assert.deepEqual(paths.map((p) => p.names), [
+    ["Me", "Ana", "Zoe"],
+    ["Me", "Ben", "Zoe"],
+    ["Me", "Cat", "Dev", "Zoe"],
+  ]);
+  assert.deepEqual(paths.map((p) => p.strength), [0.375, 0.225, 0.125]);
+  paths.forEach((p) => {
+    const product = p.steps.reduce((x, step) => x * step.strength, 1);
+    assert.ok(Math.abs(product - p.strength) < 1e-3);
+  });
+});
+
+test("findBestPaths: k and maxHops limit the chains", () => {
+  const graph = introGraph();
+  assert.equal(graph.findBestPaths("Me", "Zoe", { k: 1 }).length, 1);
+  assert.equal(graph.findBestPaths("Me", "Zoe", { k: 5, maxHops: 2 }).length, 2);
+  assert.deepEqual(graph.findBestPaths("Me", "Nobody"), []);
+});
+
+test("findBestPaths: every hop explains itself", () => {
+  const [, viaBen] = introGraph().findBestPaths("Me", "Zoe");
+  assert.deepEqual(viaBen.steps.map((s) => s.explanation), ["Me knows Ben", "Ben and Zoe were classmates at Stanford"]);
+  const [viaAna] = introGraph().findBestPaths("Me", "Zoe");
+  assert.equal(viaAna.steps[0].explanation, "Me knows Ana · 2 interactions");
+});
+
+test("findBestPaths: a strong path past a weak first hop fits within the hop limit", () => {
+  const graph = new ConnexGraph();
+  ["Me", "Ana", "Ben", "Cat", "Zoe"].forEach((name) => graph.addNode(name, NodeType.PERSON));
+  // Cheapest way to Cat takes two hops, leaving no room to reach Zoe through Cat
+  graph.addEdge("Me", "Ana", EdgeType.KNOWS);
+  graph.addEdge("Ana", "Cat", EdgeType.KNOWS);
+  graph.addEdge("Me", "Cat", EdgeType.MEMBER_OF);
+  graph.addEdge("Cat", "Zoe", EdgeType.KNOWS);
+  const [best] = graph.findBestPaths("Me", "Zoe", { maxHops: 2 });
+  assert.deepEqual(best.names, ["Me", "Cat", "Zoe"]);
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ConnexGraph, NodeType, EdgeType } from "../server/graph-engine.js";
+import { createFileGraphStore, createSupabaseGraphStore } from "../server/graph-store.js";
+
+function sampleGraph() {
+  const graph = new ConnexGraph();
+  graph.addNode("Ana", NodeType.PERSON, { city: "Lisbon" });
+  graph.addNode("Ben", NodeType.PERSON);
+  graph.addEdge("Ana", "Ben", EdgeType.KNOWS, { timestamp: "2024-01-15T14:01:00.000Z" });
+  return graph;
+}
+
+// Just enough of the Supabase client for the store: paged select and upsert
+function memoryClient() {
+  const tables = { graph_nodes: new Map(), graph_edges: new Map() };
+  return {
+    tables,
+    from(table) {
+      const rows = tables[table];
+      return {
+        select: () => ({
+          range: async (from, to) => ({ data: [...rows.values()].slice(from, to + 1), error: null }),
+        }),
+        upsert: async (batch, { onConflict }) => {
+          batch.forEach((row) => {
+            const key = onConflict.split(",").map((col) => row[col]).join("|");
+            rows.set(key, { ...rows.get(key), ...row });
+          });
+          return { error: null };
+        },
+      };
+    },
+  };
+}
+
+test("diffSince: reports added, strengthened and removed items after a point", () => {
+  const graph = sampleGraph();
+  const { until } = graph.diffSince(0);
+  graph.addEdge("Ana", "Ben", EdgeType.KNOWS);
+  graph.addNode("Cat", NodeType.PERSON);
+  graph.removeNode("Ben");
+  const diff = graph.diffSince(until);
+  assert.deepEqual(diff.nodes.added.map((n) => n.id), ["cat"]);
+  assert.deepEqual(diff.nodes.removed.map((n) => n.id), ["ben"]);
+  assert.deepEqual(diff.edges.removed.map((e) => [e.from, e.to]), [["ana", "ben"]]);
+  assert.equal(graph.diffSince(diff.until).nodes.added.length, 0);
+  assert.throws(() => graph.diffSince("yesterday-ish"), /Invalid since/);
+});
+
+test("file store: a saved graph loads back with its change times", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "connex-graph-"));
+  try {
+    const store = createFileGraphStore(path.join(dir, "graph.json"));
+    assert.equal(await store.load(), null);
+    const graph = sampleGraph();
+    assert.deepEqual(await store.save(graph), { nodes: 2, edges: 1, removed: 0 });
+    const loaded = await store.load();
+    assert.equal(loaded.getNode("Ana").data.city, "Lisbon");
+    assert.equal(loaded.getEdge("Ana", "Ben", EdgeType.KNOWS).timestamp, "2024-01-15T14:01:00.000Z");
+    assert.equal(loaded.lastChange, graph.lastChange);
+    assert.equal(loaded.diffSince(graph.lastChange).nodes.added.length, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("supabase store: saves only what changed and keeps removals as rows", async () => {
+  const client = memoryClient();
+  const store = createSupabaseGraphStore(client);
+  assert.equal(await store.load(), null);
+  const graph = sampleGraph();
+  assert.deepEqual(await store.save(graph), { nodes: 2, edges: 1, removed: 0 });
+  assert.deepEqual(await store.save(graph), { nodes: 0, edges: 0, removed: 0 });
+
+  graph.removeEdge("Ana", "Ben", EdgeType.KNOWS);
+  assert.deepEqual(await store.save(graph), { nodes: 0, edges: 0, removed: 1 });
+  assert.ok(client.tables.graph_edges.get(`ana|ben|${EdgeType.KNOWS}`).removed_at);
+
+  const loaded = await createSupabaseGraphStore(client).load();
+  assert.equal(loaded.getEdge("Ana", "Ben", EdgeType.KNOWS), null);
+  assert.equal(loaded.getNode("Ana").data.city, "Lisbon");
+  assert.equal(loaded.diffSince(0).edges.removed.length, 1);
+});
@@ -0,0 +1,18 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, extractIntents, runPipeline } from "../src/connex-engine.js";
+import discovery, { extractIntents as discoveryIntents } from "../server/discovery-engine.js";
+
+const text = `1/15/24, 2:00 PM - Ana: we're hiring a frontend engineer, DM me
+1/15/24, 2:01 PM - Ben: I'm NOT hiring right now
+1/15/24, 2:02 PM - Cat: anyone know a good dentist in the Mission?
+1/15/24, 2:03 PM - Dan: heading to Tokyo next week, who's around?`;
+
+test("extractIntents: discovery-engine and the browser pipeline emit the same intents", () => {
+  const { messages } = parseWhatsAppText(text);
+  const browser = extractIntents(messages);
+  assert.ok(browser.length > 0);
+  assert.deepEqual(discoveryIntents(messages), browser);
+  assert.deepEqual(discovery.extractIntents(messages), browser);
+  assert.deepEqual(runPipeline(text).deepSignals.intents, browser);
+});
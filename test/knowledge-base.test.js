@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, detectThreads, buildKnowledgeBase, searchKnowledgeBase } from "../src/connex-engine.js";
+
+const chat = parseWhatsAppText(`1/15/24, 2:00 PM - Ana: does anyone know a good dentist in the Mission?
+1/15/24, 2:02 PM - Ben: Ana, try Dr Patel on 24th street, call +1 415 555 0100
+1/15/24, 2:03 PM - Cat: I used Bright Smiles, they were fine
+1/15/24, 2:05 PM - Ana: Thanks Ben, booked!
+1/15/24, 2:06 PM - Dan: lol
+1/16/24, 9:00 AM - Eve: anyone have a recommendation for a tax accountant for freelancers?
+1/16/24, 9:04 AM - Fay: check out https://ledgerly.com/freelance they do accounting for freelancers
+1/16/24, 11:00 AM - Gus: really?`);
+
+test("buildKnowledgeBase: questions with the answers that resolved them", () => {
+  const { entries, messageCount } = buildKnowledgeBase(chat);
+  assert.equal(messageCount, 8);
+  // "really?" is too short to be worth keeping
+  assert.deepEqual(entries.map(e => e.id), ["q0", "q5"]);
+
+  const [dentist, accountant] = entries;
+  assert.equal(dentist.asker, "Ana");
+  assert.deepEqual(dentist.answeredBy, ["Ben", "Cat"]);
+  assert.equal(dentist.resolved, true);
+  // "Thanks Ben" names the answer that resolved it
+  assert.equal(dentist.answers[0].by, "Ben");
+  assert.equal(dentist.answers[0].accepted, true);
+  assert.equal(dentist.answers.some(a => a.text === "lol"), false);
+
+  assert.deepEqual(accountant.links, ["https://ledgerly.com/freelance"]);
+  assert.equal(accountant.resolved, false);
+});
+
+test("buildKnowledgeBase: reuses threads it's given", () => {
+  const threads = detectThreads(chat.messages);
+  assert.deepEqual(buildKnowledgeBase(chat, { threads }), buildKnowledgeBase(chat));
+  assert.deepEqual(buildKnowledgeBase(chat, { threads: [] }).entries, []);
+});
+
+test("searchKnowledgeBase: stems match and question words count most", () => {
+  const kb = buildKnowledgeBase(chat);
+  assert.deepEqual(searchKnowledgeBase(kb, "dentists").map(e => e.id), ["q0"]);
+  assert.deepEqual(searchKnowledgeBase(kb, "accounting").map(e => e.id), ["q5"]);
+  assert.deepEqual(searchKnowledgeBase(kb, "sushi"), []);
+  assert.deepEqual(searchKnowledgeBase(kb, ""), []);
+
+  const asked = searchKnowledgeBase(kb, "accountant")[0].score;
+  const answered = searchKnowledgeBase(kb, "check")[0].score;
+  assert.ok(Math.abs(asked - 2 * answered) <= 0.01);
+});
+
+test("searchKnowledgeBase: resolved questions rank higher, and limit caps the results", () => {
+  const twice = parseWhatsAppText(`1/15/24, 2:00 PM - Ana: anyone know a plumber for a leaking sink?
+1/15/24, 2:02 PM - Ben: Ana, call Joe's plumbing, great plumber
+1/15/24, 2:05 PM - Ana: thanks Ben!
+1/16/24, 2:00 PM - Cat: anyone know a plumber for a leaking sink?
+1/16/24, 2:02 PM - Dan: Cat, call Joe's plumbing, great plumber`);
+  const kb = buildKnowledgeBase(twice);
+  const results = searchKnowledgeBase(kb, "plumber");
+  assert.deepEqual(results.map(e => e.asker), ["Ana", "Cat"]);
+  assert.ok(results[0].score > results[1].score);
+  assert.equal(searchKnowledgeBase(kb, "plumber", { limit: 1 }).length, 1);
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { LEXICONS, detectLanguage, createTermMatcher, registerLexicon } from "../src/lexicons.js";
+import { parseWhatsAppText, enrichProfiles } from "../src/connex-engine.js";
+
+test("detectLanguage: script first, then stopwords, else English", () => {
+  assert.deepEqual(
+    ["ไปต่อยมวยไทยกันไหม", "我们周末去打高尔夫吧", "hola, vamos a la cena", "see you at the gym", "ok 👍", "ไปดู UFC กัน"].map(detectLanguage),
+    ["th", "zh", "es", "en", "en", "th"],
+  );
+});
+
+test("createTermMatcher: Latin scripts match substrings case-insensitively", () => {
+  const matches = createTermMatcher("Going CLIMBING in Tokyo", "en");
+  assert.equal(matches("climbing"), true);
+  assert.equal(matches("tokyo"), true);
+  assert.equal(matches("sushi"), false);
+});
+
+test("createTermMatcher: segmented scripts need a word boundary at one end", () => {
+  // Segments as ไป | ต่อย | มวยไทย | กัน | ไหม
+  const thai = createTermMatcher("ไปต่อยมวยไทยกันไหม", "th");
+  assert.equal(thai("มวยไทย"), true);
+  assert.equal(thai("มวย"), true);
+  assert.equal(thai("อยมว"), false);
+  // The segmenter glues 打 onto 高尔夫; the end boundary still anchors it
+  assert.equal(createTermMatcher("我们周末去打高尔夫吧", "zh")("高尔夫"), true);
+});
+
+test("registerLexicon: adds a language, or merges into an existing one", () => {
+  registerLexicon("pt", {
+    name: "Portuguese",
+    stopwords: ["não", "você", "com", "uma", "para", "vamos"],
+    interests: { sports: ["futebol"] },
+    locations: { "lisboa": "lisbon" },
+  });
+  assert.equal(detectLanguage("vamos jogar futebol com você"), "pt");
+  assert.deepEqual(LEXICONS.pt.affinities, {});
+
+  registerLexicon("es", { interests: { sports: ["pádel", "boxeo"] }, locations: { "lisboa": "lisbon" } });
+  assert.equal(LEXICONS.es.interests.sports.filter(t => t === "boxeo").length, 1);
+  assert.ok(LEXICONS.es.interests.sports.includes("pádel"));
+  assert.equal(LEXICONS.es.locations["nueva york"], "new york");
+  assert.equal(LEXICONS.es.locations.lisboa, "lisbon");
+});
+
+test("enrichProfiles: interests, cities and affinities from each member's own language", () => {
+  const profiles = enrichProfiles(parseWhatsAppText(`1/15/24, 2:00 PM - Nok: ไปต่อยมวยไทยกันไหม อยู่กรุงเทพ
+1/15/24, 2:01 PM - Wei: 我们周末去打高尔夫吧，我在香港`));
+  const byName = Object.fromEntries(profiles.map(p => [p.display_name, p]));
+  assert.deepEqual(byName.Nok.interests.map(i => i.category), ["sports"]);
+  assert.equal(byName.Nok.location.primary, "bangkok");
+  assert.deepEqual(byName.Nok.languages, ["th"]);
+  assert.equal(byName.Wei.location.primary, "hong kong");
+  assert.deepEqual(byName.Wei.affinities.activities, ["golf"]);
+});
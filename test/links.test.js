@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, normalizeUrl, classifyLink, extractSharedLinks, summarizeLinks } from "../src/connex-engine.js";
+
+test("normalizeUrl: a closing paren that belongs to the URL stays", () => {
+  assert.equal(normalizeUrl("https://en.wikipedia.org/wiki/Foo_(bar)").url, "https://en.wikipedia.org/wiki/Foo_(bar)");
+  assert.equal(normalizeUrl("https://en.wikipedia.org/wiki/Foo_(bar)).").url, "https://en.wikipedia.org/wiki/Foo_(bar)");
+  assert.equal(normalizeUrl("https://example.com/a)").url, "https://example.com/a");
+  assert.equal(normalizeUrl("https://example.com/a],").url, "https://example.com/a");
+});
+
+test("normalizeUrl: hosts, tracking params and shorteners", () => {
+  assert.deepEqual(normalizeUrl("http://www.youtube.com/watch?v=abc&utm_source=x&feature=share#t=1"), { url: "https://youtube.com/watch?v=abc", domain: "youtube.com", shortened: false });
+  assert.equal(normalizeUrl("https://youtu.be/abc?t=30").url, "https://youtube.com/watch?t=30&v=abc");
+  assert.equal(normalizeUrl("https://twitter.com/ana?s=20").url, "https://x.com/ana");
+  assert.deepEqual(normalizeUrl("https://bit.ly/3xyz"), { url: "https://bit.ly/3xyz", domain: "bit.ly", shortened: true });
+  assert.equal(normalizeUrl("not a url"), null);
+});
+
+test("classifyLink: job, event, product, profile, article, calendar or other", () => {
+  assert.deepEqual([
+    "https://boards.greenhouse.io/acme/jobs/1",
+    "https://lu.ma/abc",
+    "https://www.amazon.com/dp/B0",
+    "https://www.linkedin.com/in/ana",
+    "https://medium.com/@ana/post-1",
+    "https://calendly.com/ana/30min",
+    "https://example.com",
+  ].map(classifyLink), ["job", "event", "product", "profile", "article", "calendar", "other"]);
+  assert.equal(classifyLink("nonsense"), "other");
+});
+
+test("summarizeLinks: repeat shares merge and reactions rank the reading list", () => {
+  const chat = parseWhatsAppText(`1/15/24, 2:00 PM - Ana: great piece https://www.nytimes.com/2024/01/15/tech/ai.html?smid=url-share
+1/15/24, 2:01 PM - Ben: great read 🔥
+1/15/24, 2:02 PM - Cat: we're hiring https://jobs.lever.co/acme/123 and my profile https://linkedin.com/in/cat
+1/15/24, 2:30 PM - Ben: saw this too https://nytimes.com/2024/01/15/tech/ai.html
+1/15/24, 2:31 PM - Dan: bookmarked
+1/15/24, 2:40 PM - Dan: (map: https://en.wikipedia.org/wiki/Foo_(bar))`);
+  const { byMember, readingList } = summarizeLinks(extractSharedLinks(chat.messages));
+
+  assert.deepEqual(readingList.map(e => e.url), [
+    "https://nytimes.com/2024/01/15/tech/ai.html",
+    "https://jobs.lever.co/acme/123",
+    "https://en.wikipedia.org/wiki/Foo_(bar)",
+  ]);
+  const article = readingList[0];
+  assert.deepEqual(article.sharedBy, ["Ana", "Ben"]);
+  assert.equal(article.shares, 2);
+  // Ben shared it too, so only Dan counts as a reader
+  assert.deepEqual(article.reactedBy, ["Dan"]);
+
+  assert.equal(byMember.Ben.unique, 0);
+  assert.equal(byMember.Ben.reactedTo, 1);
+  assert.equal(byMember.Cat.topType, "job");
+  assert.equal(byMember.Dan.topType, null);
+});
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { scoreMatch, findMatches } from "../server/match-engine.js";
+
+test("scoreMatch: plain-string expertise from stored profiles counts in full", () => {
+  const a = { name: "A", interests: ["ai"], expertise: ["woodworking"] };
+  const b = { name: "B", interests: ["ai"], expertise: ["woodworking"] };
+  const { score, reasons } = scoreMatch(a, b);
+  assert.ok(Number.isFinite(score));
+  assert.equal(score, 20);
+  assert.ok(!reasons.join(" ").includes("undefined"));
+});
+
+test("scoreMatch: modeled expertise counts by score and skills need answers", () => {
+  const a = { expertise: [{ term: "fundraising", score: 0.5, answers: 2 }, { term: "sushi", score: 0.2, answers: 0 }] };
+  const b = { expertise: [{ term: "fundraising", score: 0.8, answers: 1 }, { term: "sushi", score: 0.9, answers: 0 }] };
+  const { score, reasons } = scoreMatch(a, b);
+  // interests: (0.5 + 0.2) × 10 = 7; skills: 0.5 × 8 = 4
+  assert.equal(score, 11);
+  assert.ok(reasons.includes("Shared skills: fundraising"));
+});
+
+test("scoreMatch: entries without a term are skipped", () => {
+  const a = { interests: ["ai"], expertise: [null, {}, { score: 1 }, ""] };
+  const b = { interests: ["ai"], expertise: [{ term: "ai", score: NaN }] };
+  const { score } = scoreMatch(a, b);
+  assert.ok(Number.isFinite(score));
+  assert.equal(score, 10);
+});
+
+test("findMatches: string expertise doesn't drop the pair", () => {
+  const profiles = [
+    { id: 1, name: "A", interests: ["ai"], expertise: ["woodworking"] },
+    { id: 2, name: "B", interests: ["ai"], expertise: ["woodworking"] },
+  ];
+  assert.equal(findMatches(profiles).length, 1);
+});
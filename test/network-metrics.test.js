@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeNetworkMetrics, analyzeNetwork } from "../src/connex-engine.js";
+
+// Two triangles (A B C, D E F) joined through X; L only ever talks at A
+const both = (a, b, weight = 2) => [{ from: a, to: b, weight }, { from: b, to: a, weight }];
+const names = ["A", "B", "C", "X", "D", "E", "F", "L"];
+const edges = [
+  ...both("A", "B"), ...both("B", "C"), ...both("A", "C"),
+  ...both("C", "X"), ...both("X", "D"),
+  ...both("D", "E"), ...both("E", "F"), ...both("D", "F"),
+  { from: "L", to: "A", weight: 3 },
+];
+const { nodes, network } = computeNetworkMetrics(names, edges);
+
+test("computeNetworkMetrics: betweenness is the share of shortest paths through a member", () => {
+  // X sits between {A, B, C, L} and {D, E, F}: 12 of the 21 pairs of others
+  assert.equal(nodes.X.betweenness, Math.round((12 / 21) * 1000) / 1000);
+  assert.equal(nodes.B.betweenness, 0);
+  assert.ok(nodes.C.betweenness > nodes.A.betweenness);
+});
+
+test("computeNetworkMetrics: clustering and reciprocity", () => {
+  assert.equal(nodes.B.clustering, 1);
+  assert.equal(nodes.X.clustering, 0);
+  assert.equal(nodes.L.reciprocity, 0);
+  // A: two even ties and L's one-way 3 → 4 / 7
+  assert.equal(nodes.A.reciprocity, 0.571);
+  assert.equal(nodes.A.mutualTies, 2);
+  assert.equal(network.density, Math.round((9 / 28) * 1000) / 1000);
+});
+
+test("computeNetworkMetrics: PageRank sums to one and favours the addressed", () => {
+  const total = Object.values(nodes).reduce((sum, n) => sum + n.pagerank, 0);
+  assert.ok(Math.abs(total - 1) < 0.01);
+  assert.equal(Object.entries(nodes).sort((a, b) => a[1].pagerank - b[1].pagerank)[0][0], "L");
+  assert.ok(nodes.A.influence > nodes.B.influence);
+});
+
+test("computeNetworkMetrics: edges to people outside the list are ignored", () => {
+  const { nodes: only } = computeNetworkMetrics(["A", "B"], [...both("A", "B"), ...both("A", "Stranger")]);
+  assert.deepEqual(Object.keys(only), ["A", "B"]);
+  assert.equal(only.A.ties, 1);
+});
+
+test("analyzeNetwork: the bridge is a broker and the one-way poster a lurker", () => {
+  const profiles = names.map((name, id) => ({ id, display_name: name, message_count: name === "L" ? 1 : 20 }));
+  const roles = analyzeNetwork(profiles, { nodes, network });
+  assert.equal(roles.brokers[0].name, "X");
+  assert.deepEqual(roles.lurkers.map((m) => m.name), ["L"]);
+  assert.ok(!roles.hubs.some((m) => m.name === "L"));
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, detectReplies } from "../src/connex-engine.js";
+
+const chat = parseWhatsAppText(`1/15/24, 2:00 PM - Sarah Lee: anyone know a plumber?
+1/15/24, 2:01 PM - Dan Park: try Joe's plumbing
+1/15/24, 2:02 PM - Sarah Lee: Thanks Dan, will call them
+1/15/24, 2:03 PM - Mike Ross: @Sarah Lee I used them too
+1/15/24, 2:04 PM - Dan Park: > Mike Ross: I used them too
+glad it worked
+1/15/24, 2:05 PM - Sarah Lee: Mike! congrats on the new job
+1/15/24, 2:06 PM - Mike Ross: Honestly, thanks
+1/15/24, 2:07 PM - Dan Park: @+1 415 555 1234 welcome
+1/15/24, 2:08 PM - +1 415 555 1234: hi all`);
+
+const repliesAt = (replies, index) => replies.filter(r => r.index === index).map(({ to, kind, weight }) => ({ to, kind, weight }));
+
+test("detectReplies: quotes, @mentions and addressed openers name who's being answered", () => {
+  const replies = detectReplies(chat);
+  assert.deepEqual(repliesAt(replies, 3), [{ to: "Sarah Lee", kind: "mention", weight: 0.9 }]);
+  assert.deepEqual(repliesAt(replies, 4), [{ to: "Mike Ross", kind: "quote", weight: 1 }]);
+  assert.deepEqual(repliesAt(replies, 5), [{ to: "Mike Ross", kind: "address", weight: 0.8 }]);
+  assert.deepEqual(repliesAt(replies, 7), [{ to: "+1 415 555 1234", kind: "mention", weight: 0.9 }]);
+});
+
+test("detectReplies: a greeting that also looks like an address resolves the greeted name", () => {
+  assert.deepEqual(repliesAt(detectReplies(chat), 2), [{ to: "Dan Park", kind: "address", weight: 0.8 }]);
+});
+
+test("detectReplies: an opener that names nobody falls back to the previous sender", () => {
+  const replies = detectReplies(chat);
+  assert.deepEqual(repliesAt(replies, 1), [{ to: "Sarah Lee", kind: "sequential", weight: 0.3 }]);
+  assert.deepEqual(repliesAt(replies, 6), [{ to: "Sarah Lee", kind: "sequential", weight: 0.3 }]);
+});
+
+test("detectReplies: a first name two members share only resolves in full", () => {
+  const shared = parseWhatsAppText(`1/15/24, 2:00 PM - Dan Park: ramen tonight?
+1/15/24, 2:01 PM - Dan Wu: sure
+1/15/24, 2:02 PM - Amy: Dan, which place?
+1/15/24, 2:03 PM - Amy: Dan Wu: and what time?`);
+  const replies = detectReplies(shared);
+  assert.deepEqual(repliesAt(replies, 2), [{ to: "Dan Wu", kind: "sequential", weight: 0.3 }]);
+  assert.deepEqual(repliesAt(replies, 3), [{ to: "Dan Wu", kind: "address", weight: 0.8 }]);
+});
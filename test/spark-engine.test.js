@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, extractIntents } from "../src/connex-engine.js";
+import { generateSparks } from "../server/spark-engine.js";
+
+const you = { name: "Me", interests: [], offering: [] };
+const chat = parseWhatsAppText(`3/1/24, 9:00 AM - Eve: I'm looking for a designer for our app, any recs?
+3/1/24, 9:30 AM - Dan: try Sam, she's great
+3/2/24, 10:00 AM - Eve: found one, thanks all
+3/2/24, 11:00 AM - Raj: we're hiring a backend engineer, DM me`);
+const now = "2024-03-03T12:00:00Z";
+
+test("generateSparks: an ask the asker closed doesn't spark", async () => {
+  const intents = extractIntents(chat.messages, { now });
+  assert.deepEqual(intents.map((i) => i.sender), ["Eve", "Raj"]);
+  const sparks = await generateSparks(you, intents, chat.messages, chat.members, { useAI: false, now });
+  assert.deepEqual(sparks.map((s) => s.person), ["Raj"]);
+});
+
+test("generateSparks: an ask that went quiet long ago is stale", async () => {
+  const later = "2024-06-01T12:00:00Z";
+  const intents = extractIntents(chat.messages, { now: later });
+  const sparks = await generateSparks(you, intents, chat.messages, chat.members, { useAI: false, now: later });
+  assert.deepEqual(sparks, []);
+});
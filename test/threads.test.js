@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhatsAppText, detectThreads } from "../src/connex-engine.js";
+
+const threadTexts = (text) => detectThreads(parseWhatsAppText(text).messages).map(t => t.messages.map(m => m.text));
+
+test("detectThreads: reply links keep interleaved topics apart", () => {
+  assert.deepEqual(threadTexts(`1/15/24, 2:00 PM - Ana: anyone been to the new ramen place on Valencia?
+1/15/24, 2:01 PM - Ben: yes the tonkotsu broth is great
+1/15/24, 2:02 PM - Cat: does anyone know a good accountant for startup taxes?
+1/15/24, 2:03 PM - Dan: Cat, try Priya at Ledgerly
+1/15/24, 2:04 PM - Ana: Ben, was it busy?`), [
+    ["anyone been to the new ramen place on Valencia?", "yes the tonkotsu broth is great", "Ben, was it busy?"],
+    ["does anyone know a good accountant for startup taxes?", "Cat, try Priya at Ledgerly"],
+  ]);
+});
+
+test("detectThreads: a new question opens its own thread, a follow-up statement doesn't", () => {
+  assert.deepEqual(threadTexts(`1/15/24, 2:00 PM - Ana: who's up for climbing at Mission Cliffs tonight?
+1/15/24, 2:01 PM - Ben: bringing my new shoes and chalk bag
+1/15/24, 2:02 PM - Cat: does anyone know a good accountant for startup taxes?`), [
+    ["who's up for climbing at Mission Cliffs tonight?", "bringing my new shoes and chalk bag"],
+    ["does anyone know a good accountant for startup taxes?"],
+  ]);
+});
+
+test("detectThreads: time alone holds a thread for about ten minutes", () => {
+  assert.deepEqual(threadTexts(`1/15/24, 2:00 PM - Ana: who's up for climbing at Mission Cliffs tonight?
+1/15/24, 2:08 PM - Ben: ok
+1/15/24, 2:40 PM - Cat: ok`), [
+    ["who's up for climbing at Mission Cliffs tonight?", "ok"],
+    ["ok"],
+  ]);
+});
+
+test("detectThreads: a reply can't resume a thread that's been quiet for over 12 hours", () => {
+  const threads = threadTexts(`1/15/24, 2:00 PM - Ana: anyone know a good dentist in the Mission?
+1/15/24, 2:05 PM - Ben: Dr Patel on 24th street is great
+1/16/24, 9:00 AM - Ana: Ben, booked, thank you!`);
+  assert.equal(threads.length, 2);
+  assert.deepEqual(threads[1], ["Ben, booked, thank you!"]);
+});
+
+test("detectThreads: a long thread still matches on its recent words", () => {
+  // Well past the point where the decayed centroid is rescaled
+  const messages = Array.from({ length: 300 }, (_, i) => ({
+    sender: i % 2 ? "Ana" : "Ben",
+    text: i < 250 ? `the bouldering gym route ${i} was tough` : "sourdough starter feeding day",
+    timestamp: new Date(Date.UTC(2024, 0, 15) + i * 30 * 60 * 1000).toISOString(),
+  }));
+  const threads = detectThreads(messages);
+  assert.deepEqual(threads.map(t => t.messageCount), [250, 50]);
+  assert.ok(threads[0].topicKeywords.includes("bouldering"));
+});
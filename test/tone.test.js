@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { scoreTone, parseWhatsAppText, buildRelationshipGraph } from "../src/connex-engine.js";
+
+test("scoreTone: friendly replies that start with no aren't disagreement", () => {
+  const worries = scoreTone("No worries, happy to help!");
+  assert.equal(worries.disagreeing, false);
+  assert.ok(worries.sentiment > 0);
+  assert.equal(scoreTone("No problem, thanks 🙏").disagreeing, false);
+  assert.equal(scoreTone("No problem, thanks 🙏").supportive, true);
+});
+
+test("scoreTone: idioms and degrees aren't hostility", () => {
+  assert.equal(scoreTone("come on over").disagreeing, false);
+  assert.equal(scoreTone("she has a BS degree in chemistry").disagreeing, false);
+  assert.equal(scoreTone("that's bs").disagreeing, true);
+});
+
+test("scoreTone: sympathy is supportive, not negative", () => {
+  const tone = scoreTone("Sorry to hear that, feel better soon");
+  assert.equal(tone.supportive, true);
+  assert.ok(tone.sentiment >= 0);
+  assert.ok(scoreTone("sorry, that's just wrong").sentiment < 0);
+});
+
+test("scoreTone: a negator flips the next word only, and not across punctuation", () => {
+  assert.ok(scoreTone("not good").sentiment < 0);
+  assert.ok(scoreTone("not very good").sentiment < 0);
+  assert.ok(scoreTone("not sure, but great idea").sentiment > 0);
+  assert.ok(scoreTone("no time today but love it").sentiment > 0);
+});
+
+test("scoreTone: real disagreement is still caught", () => {
+  assert.equal(scoreTone("No. That's not how it works").disagreeing, true);
+  assert.equal(scoreTone("no").disagreeing, true);
+  assert.equal(scoreTone("Nah, I don't agree").disagreeing, true);
+  assert.equal(scoreTone("you're wrong about this").disagreeing, true);
+});
+
+test("buildRelationshipGraph: a supportive pair reads as warm", () => {
+  const chat = parseWhatsAppText(`1/15/24, 9:00 AM - Ana: @Ben could you look at my deck?
+1/15/24, 9:05 AM - Ben: No worries, happy to help!
+1/15/24, 9:10 AM - Ana: @Ben thanks so much 🙏
+1/15/24, 9:12 AM - Ben: No problem, thanks 🙏
+1/15/24, 9:20 AM - Ana: @Ben my cat is sick today
+1/15/24, 9:21 AM - Ben: Sorry to hear that, feel better soon`);
+  const pair = buildRelationshipGraph(chat).find((r) => [r.personA, r.personB].sort().join() === "Ana,Ben");
+  assert.ok(pair.warmth > 0);
+  assert.notEqual(pair.tone.label, "tense");
+});
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectDateFormat, toTimestamp, parseWhatsAppText, parseWhatsAppStream, createWhatsAppParser } from "../src/connex-engine.js";
+
+test("detectDateFormat: a component above 12 fixes the order", () => {
+  assert.equal(detectDateFormat(["[25/01/2024, 10:00:00] Ana: hi"]).dateOrder, "DMY");
+  assert.equal(detectDateFormat(["1/25/24, 10:00 AM - Ana: hi"]).dateOrder, "MDY");
+  assert.equal(detectDateFormat(["2024-01-25, 10:00 - Ana: hi"]).dateOrder, "YMD");
+});
+
+test("detectDateFormat: ambiguous dates resolve to the order that reads chronologically", () => {
+  const lines = ["05/02/24, 10:00 - Ana: hi", "01/03/24, 10:00 - Ben: hey"];
+  assert.equal(detectDateFormat(lines).dateOrder, "DMY");
+});
+
+test("detectDateFormat: reads the clock", () => {
+  assert.equal(detectDateFormat(["1/15/24, 2:05 PM - Ana: hi"]).clock, "12h");
+  assert.equal(detectDateFormat(["15.01.24, 14:05 - Ana: hi"]).clock, "24h");
+});
+
+test("toTimestamp: wall-clock time encoded as UTC", () => {
+  assert.equal(toTimestamp("1/15/24", "2:05 PM"), "2024-01-15T14:05:00.000Z");
+  assert.equal(toTimestamp("1/15/24", "12:30 AM"), "2024-01-15T00:30:00.000Z");
+  assert.equal(toTimestamp("15.01.24", "14:05:09", { dateOrder: "DMY" }), "2024-01-15T14:05:09.000Z");
+});
+
+test("toTimestamp: rejects dates that don't exist instead of rolling them over", () => {
+  assert.equal(toTimestamp("31/02/24", "10:00", { dateOrder: "DMY" }), null);
+  assert.equal(toTimestamp("29/02/23", "10:00", { dateOrder: "DMY" }), null);
+  assert.equal(toTimestamp("29/02/24", "10:00", { dateOrder: "DMY" }), "2024-02-29T10:00:00.000Z");
+  assert.equal(toTimestamp("4/31/24", "10:00 AM"), null);
+  assert.equal(toTimestamp("13/13/24", "10:00", { dateOrder: "DMY" }), null);
+});
+
+test("parseWhatsAppText: iOS export with a continuation line", () => {
+  const chat = parseWhatsAppText([
+    "[15/01/2024, 14:05:09] Ana: hi",
+    "[15/01/2024, 14:06:00] Ben: hello",
+    "second line",
+    "[16/01/2024, 09:00:00] Ana: see you",
+  ].join("\n"));
+  assert.equal(chat.stats.totalMessages, 3);
+  assert.deepEqual(chat.stats.format, { dateOrder: "DMY", clock: "24h" });
+  assert.equal(chat.messages[1].text, "hello\nsecond line");
+  assert.equal(chat.messages[1].timestamp, "2024-01-15T14:06:00.000Z");
+  assert.deepEqual(chat.members.map((m) => [m.name, m.messageCount]), [["Ana", 2], ["Ben", 1]]);
+});
+
+test("parseWhatsAppText: Android export with a 12-hour clock", () => {
+  const chat = parseWhatsAppText("1/15/24, 2:05 PM - Ana: hi\n1/16/24, 9:00 AM - Ben: yo");
+  assert.deepEqual(chat.messages.map((m) => m.timestamp), ["2024-01-15T14:05:00.000Z", "2024-01-16T09:00:00.000Z"]);
+  assert.equal(chat.stats.source, "whatsapp");
+});
+
+const streamed = `[15/01/2024, 14:05:09] Ana: café at 7? ☕
+it's on me
+[15/01/2024, 14:06:00] Ben: 🙌 yes
+[16/01/2024, 09:00:00] Ana added Cat
+[16/01/2024, 09:01:00] Cat: hola`;
+
+test("parseWhatsAppStream: byte chunks split mid-character parse like the whole text", async () => {
+  const bytes = new TextEncoder().encode(streamed);
+  async function* chunks() {
+    for (let i = 0; i < bytes.length; i += 7) yield bytes.slice(i, i + 7);
+  }
+  assert.deepEqual(await parseWhatsAppStream(chunks()), parseWhatsAppText(streamed));
+});
+
+test("createWhatsAppParser: each message is emitted once, in order", () => {
+  const seen = [];
+  const parser = createWhatsAppParser({ onMessage: (msg) => seen.push(msg.text) });
+  for (let i = 0; i < streamed.length; i += 5) parser.push(streamed.slice(i, i + 5));
+  const { messages } = parser.end();
+  assert.deepEqual(seen, messages.map((m) => m.text));
+  assert.equal(messages[0].text, "café at 7? ☕\nit's on me");
+});